@@ -1,8 +1,9 @@
 import Database from 'better-sqlite3';
-import { readFileSync, mkdirSync, existsSync } from 'fs';
+import { mkdirSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
+import { runPendingMigrations } from '../utils/migrationRunner.js';
 
 dotenv.config();
 
@@ -31,19 +32,21 @@ export function getDatabase() {
   return db;
 }
 
-export function initializeDatabase() {
+/**
+ * Initialize database schema by applying pending migrations
+ * @returns {Promise<object>} - Database connection
+ */
+export async function initializeDatabase() {
   const database = getDatabase();
   
-  // Read and execute initialization SQL
-  const initSqlPath = join(__dirname, '../migrations/init.sql');
+  const applied = await runPendingMigrations(database);
   
-  if (!existsSync(initSqlPath)) {
-    throw new Error(`Database initialization SQL file not found at: ${initSqlPath}`);
+  if (applied.length > 0) {
+    console.log(`Applied ${applied.length} database migration(s)`);
+  } else {
+    console.log('Database schema is up to date');
   }
   
-  const initSql = readFileSync(initSqlPath, 'utf-8');
-  database.exec(initSql);
-  
   console.log('Database initialized successfully');
   return database;
 }
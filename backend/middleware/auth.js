@@ -1,76 +1,106 @@
+import AuthService, { hasRole } from '../services/authService.js';
+
 /**
  * Authentication Middleware
  * Handles authentication for admin routes
  */
 
 /**
- * Simple API key authentication middleware
- * Checks for API key in header or query parameter
- * Also accepts login tokens (base64 encoded username:timestamp)
+ * Read the bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null}
  */
-export function authenticateAdmin(req, res, next) {
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Resolve the caller of a request
+ * Accepts a session access token ("Authorization: Bearer <token>") or the
+ * ADMIN_API_KEY (X-API-Key header or apiKey query parameter).
+ * @param {object} req - Express request
+ * @returns {object|null} - { type: 'session', role, user, session } or { type: 'apiKey', role: 'admin' }
+ */
+function resolveAuth(req) {
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    const result = AuthService.verifyAccessToken(bearerToken);
+    return result ? { type: 'session', role: result.user.role, ...result } : null;
+  }
+
   const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  const expectedKey = process.env.ADMIN_API_KEY;
-  const expectedUsername = process.env.ADMIN_USERNAME || 'admin';
-  const expectedPassword = process.env.ADMIN_PASSWORD || 'admin';
+  if (apiKey && AuthService.verifyApiKey(apiKey)) {
+    // The API key is a deployment secret and has full access
+    return { type: 'apiKey', role: 'admin' };
+  }
 
-  // If no API key is set, allow access (development mode)
-  if (!expectedKey) {
-    // Check if it's a valid login token
-    if (apiKey) {
-      try {
-        const decoded = Buffer.from(apiKey, 'base64').toString('utf-8');
-        const [username] = decoded.split(':');
-        if (username === expectedUsername) {
-          return next();
-        }
-      } catch (e) {
-        // Not a valid token, continue to check
+  return null;
+}
+
+/**
+ * Admin authentication middleware
+ * Rejects every request when neither an admin user nor ADMIN_API_KEY is configured.
+ * Sets req.auth (and req.user for session logins) on success.
+ */
+export function authenticateAdmin(req, res, next) {
+  if (!AuthService.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: {
+        message: 'Admin authentication is not configured. Create an admin user or set ADMIN_API_KEY.'
       }
-    }
-    console.warn('Warning: ADMIN_API_KEY not set. Allowing access without authentication.');
-    return next();
+    });
   }
 
-  // Check against expected API key
-  if (apiKey && apiKey === expectedKey) {
-    return next();
-  }
+  const auth = resolveAuth(req);
 
-  // Check if it's a valid login token
-  if (apiKey) {
-    try {
-      const decoded = Buffer.from(apiKey, 'base64').toString('utf-8');
-      const [username] = decoded.split(':');
-      if (username === expectedUsername) {
-        return next();
+  if (!auth) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Unauthorized. Valid access token or API key required.'
       }
-    } catch (e) {
-      // Not a valid token
-    }
+    });
   }
 
-  return res.status(401).json({
-    success: false,
-    error: {
-      message: 'Unauthorized. Valid API key or login token required.'
+  req.auth = auth;
+  req.user = auth.user || null;
+  req.authenticated = true;
+  next();
+}
+
+/**
+ * Role check middleware, used after authenticateAdmin
+ * Roles are ordered viewer < editor < admin; a higher role passes any lower check.
+ * @param {string} role - Minimum role required
+ * @returns {Function} - Express middleware
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth || !hasRole(req.auth.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: `Forbidden. This action requires the ${role} role.`
+        }
+      });
     }
-  });
+    next();
+  };
 }
 
 /**
- * Optional authentication - doesn't fail if no key provided
+ * Optional authentication - doesn't fail if no credentials provided
  * Useful for endpoints that have different behavior for authenticated users
  */
 export function optionalAuth(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  const expectedKey = process.env.ADMIN_API_KEY;
+  const auth = resolveAuth(req);
 
-  if (expectedKey && apiKey === expectedKey) {
-    req.authenticated = true;
-  } else {
-    req.authenticated = false;
-  }
+  req.auth = auth;
+  req.user = auth?.user || null;
+  req.authenticated = Boolean(auth);
 
   next();
 }
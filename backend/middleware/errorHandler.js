@@ -60,3 +60,15 @@ export function notFoundHandler(req, res, next) {
     }
   });
 }
+
+/**
+ * Create an error the error handler turns into a 4xx response
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status (default 400)
+ * @returns {Error}
+ */
+export function clientError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
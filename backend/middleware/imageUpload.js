@@ -0,0 +1,58 @@
+import multer from 'multer';
+import ImageUploadService from '../services/imageUploadService.js';
+import { asyncHandler, clientError } from './errorHandler.js';
+
+/**
+ * Image Upload Middleware
+ * Reads image files from multipart/form-data and sanitizes them (see ImageUploadService)
+ * before route handlers see them in req.files
+ */
+
+/**
+ * Turn a Multer error into a 4xx error with a clear reason
+ * @param {Error} error - Error from Multer
+ * @returns {Error}
+ */
+function toClientError(error) {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return clientError(`Image "${error.field}" is larger than ${ImageUploadService.getMaxMegabytes()} MB`, 413);
+    case 'LIMIT_FILE_COUNT':
+      return clientError('Too many image files');
+    case 'LIMIT_UNEXPECTED_FILE':
+      return clientError(`Unexpected file field "${error.field}" (or too many files in it)`);
+    default:
+      return clientError(error.message);
+  }
+}
+
+/**
+ * Accept image files in the given form fields
+ * @param {Array<{name: string, maxCount: number}>} fields - File fields
+ * @returns {Array<Function>} - Middleware for a route
+ */
+export function imageUpload(fields) {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: ImageUploadService.getMaxBytes(),
+      files: fields.reduce((total, field) => total + field.maxCount, 0)
+    }
+  }).fields(fields);
+
+  return [
+    (req, res, next) => parse(req, res, error => next(error ? toClientError(error) : undefined)),
+    asyncHandler(async (req, res, next) => {
+      for (const files of Object.values(req.files || {})) {
+        for (const [index, file] of files.entries()) {
+          files[index] = await ImageUploadService.sanitizeFile(file);
+        }
+      }
+      next();
+    })
+  ];
+}
+
+export default imageUpload;
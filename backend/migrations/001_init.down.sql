@@ -0,0 +1,9 @@
+-- Meat Cuts App Database Schema
+-- Revert initial schema
+
+DROP TABLE IF EXISTS metadata;
+DROP TABLE IF EXISTS meat_cut_recommended_dishes;
+DROP TABLE IF EXISTS meat_cut_cooking_methods;
+DROP TABLE IF EXISTS recommended_dishes;
+DROP TABLE IF EXISTS cooking_methods;
+DROP TABLE IF EXISTS meat_cuts;
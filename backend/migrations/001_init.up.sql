@@ -1,5 +1,5 @@
 -- Meat Cuts App Database Schema
--- SQLite Database Initialization
+-- Migration 001: initial schema
 
 -- Main meat_cuts table
 CREATE TABLE IF NOT EXISTS meat_cuts (
@@ -0,0 +1,4 @@
+-- Revert migration 002: full-text search index for meat cuts
+
+DROP TABLE IF EXISTS meat_cuts_fts;
+DELETE FROM metadata WHERE key = 'search_index_rebuild';
@@ -0,0 +1,16 @@
+-- Migration 002: full-text search index for meat cuts
+-- meat_cuts_fts rowid = meat_cuts.id. The index is kept in sync by the MeatCut model;
+-- existing meat cuts are indexed by the server at startup (metadata key search_index_rebuild).
+
+CREATE VIRTUAL TABLE IF NOT EXISTS meat_cuts_fts USING fts5(
+    name,
+    chinese_name,
+    part,
+    texture_notes,
+    cooking_methods,
+    recommended_dishes,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+INSERT OR REPLACE INTO metadata (key, value, updated_at)
+VALUES ('search_index_rebuild', datetime('now'), datetime('now'));
@@ -0,0 +1,19 @@
+-- Revert migration 003: Simplified Chinese and Pinyin columns in the search index
+-- The original columns are copied over; the Simplified and Pinyin ones are dropped.
+
+CREATE VIRTUAL TABLE meat_cuts_fts_previous USING fts5(
+    name,
+    chinese_name,
+    part,
+    texture_notes,
+    cooking_methods,
+    recommended_dishes,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+INSERT INTO meat_cuts_fts_previous (rowid, name, chinese_name, part, texture_notes, cooking_methods, recommended_dishes)
+SELECT rowid, name, chinese_name, part, texture_notes, cooking_methods, recommended_dishes
+FROM meat_cuts_fts;
+
+DROP TABLE meat_cuts_fts;
+ALTER TABLE meat_cuts_fts_previous RENAME TO meat_cuts_fts;
@@ -0,0 +1,21 @@
+-- Migration 003: Simplified Chinese and Pinyin columns in the search index
+-- FTS5 tables cannot be altered, so meat_cuts_fts is recreated with two extra columns:
+-- - chinese_name_simplified: chinese_name converted to Simplified, segmented per character
+-- - chinese_name_pinyin: chinese_name as toneless Pinyin syllables
+-- The server fills it again at startup (metadata key search_index_rebuild).
+
+DROP TABLE IF EXISTS meat_cuts_fts;
+CREATE VIRTUAL TABLE meat_cuts_fts USING fts5(
+    name,
+    chinese_name,
+    part,
+    texture_notes,
+    cooking_methods,
+    recommended_dishes,
+    chinese_name_simplified,
+    chinese_name_pinyin,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+INSERT OR REPLACE INTO metadata (key, value, updated_at)
+VALUES ('search_index_rebuild', datetime('now'), datetime('now'));
@@ -0,0 +1,4 @@
+-- Revert migration 004: admin users and login sessions
+
+DROP TABLE IF EXISTS auth_sessions;
+DROP TABLE IF EXISTS admin_users;
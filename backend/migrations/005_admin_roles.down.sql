@@ -0,0 +1,3 @@
+-- Revert migration 005: admin user roles
+
+ALTER TABLE admin_users DROP COLUMN role;
@@ -0,0 +1,5 @@
+-- Migration 005: admin user roles
+-- Existing users keep full access
+
+ALTER TABLE admin_users
+    ADD COLUMN role TEXT NOT NULL DEFAULT 'admin' CHECK (role IN ('viewer', 'editor', 'admin'));
@@ -0,0 +1,3 @@
+-- Revert migration 006: audit log of admin changes
+
+DROP TABLE IF EXISTS audit_log;
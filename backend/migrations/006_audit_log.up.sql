@@ -0,0 +1,18 @@
+-- Migration 006: audit log of admin changes
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_type TEXT NOT NULL,          -- 'user', 'apiKey' or 'system'
+    actor_id INTEGER,                  -- admin_users.id for 'user' (kept after the user is deleted)
+    actor_name TEXT NOT NULL,
+    action TEXT NOT NULL,              -- e.g. 'meat_cut.update'
+    entity_type TEXT NOT NULL,         -- e.g. 'meat_cut'
+    entity_id TEXT,
+    changes TEXT,                      -- JSON: { field: { before, after } }
+    metadata TEXT,                     -- JSON: extra context (file names, counts, ...)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id);
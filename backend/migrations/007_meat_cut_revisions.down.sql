@@ -0,0 +1,3 @@
+-- Revert migration 007: meat cut revision history
+
+DROP TABLE IF EXISTS meat_cut_revisions;
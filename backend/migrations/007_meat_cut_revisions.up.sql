@@ -0,0 +1,16 @@
+-- Migration 007: meat cut revision history
+-- Each row holds the state of a meat cut before an update
+
+CREATE TABLE IF NOT EXISTS meat_cut_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meat_cut_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    snapshot TEXT NOT NULL,            -- JSON: { row, cookingMethods, recommendedDishes }
+    reason TEXT NOT NULL DEFAULT 'update', -- 'update' or 'restore'
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (meat_cut_id) REFERENCES meat_cuts(id) ON DELETE CASCADE,
+    UNIQUE (meat_cut_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meat_cut_revisions_meat_cut_id ON meat_cut_revisions(meat_cut_id);
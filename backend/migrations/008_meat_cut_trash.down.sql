@@ -0,0 +1,8 @@
+-- Revert migration 008: soft delete for meat cuts
+-- Trashed cuts are purged so they do not reappear as live rows
+
+DELETE FROM meat_cuts WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_meat_cuts_deleted_at;
+ALTER TABLE meat_cuts DROP COLUMN deleted_by;
+ALTER TABLE meat_cuts DROP COLUMN deleted_at;
@@ -0,0 +1,7 @@
+-- Migration 008: soft delete for meat cuts
+-- Deleted cuts stay in the table (and keep their image) until purged from the trash
+
+ALTER TABLE meat_cuts ADD COLUMN deleted_at DATETIME;
+ALTER TABLE meat_cuts ADD COLUMN deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_meat_cuts_deleted_at ON meat_cuts(deleted_at);
@@ -0,0 +1,106 @@
+/**
+ * Migration 009: column mapping profiles for imports
+ * A profile maps source columns to meat cut fields, each with an optional transform.
+ * The built-in profiles (default, drive-sync) are read-only.
+ * They are written out here as they were when this migration was added, so later
+ * changes to the import columns do not change what it does.
+ */
+const BUILTIN_PROFILES = [
+  {
+    name: 'default',
+    description: 'Init CSV and export headers (CSV, Excel) and JSON field names',
+    columns: [
+      { source: 'ID', field: 'id' },
+      { source: 'id', field: 'id' },
+      { source: 'Name', field: 'name' },
+      { source: 'name', field: 'name' },
+      { source: 'Chinese Name', field: 'chineseName' },
+      { source: 'chineseName', field: 'chineseName' },
+      { source: 'chinese_name', field: 'chineseName' },
+      { source: 'Part', field: 'part' },
+      { source: 'part', field: 'part' },
+      { source: 'Lean', field: 'lean' },
+      { source: 'lean', field: 'lean' },
+      { source: 'Approx. Price', field: 'priceDisplay' },
+      { source: 'Approx Price', field: 'priceDisplay' },
+      { source: 'Price Display', field: 'priceDisplay' },
+      { source: 'priceDisplay', field: 'priceDisplay' },
+      { source: 'price_display', field: 'priceDisplay' },
+      { source: 'Price Min', field: 'priceMin' },
+      { source: 'priceMin', field: 'priceMin' },
+      { source: 'price_min', field: 'priceMin' },
+      { source: 'Price Max', field: 'priceMax' },
+      { source: 'priceMax', field: 'priceMax' },
+      { source: 'price_max', field: 'priceMax' },
+      { source: 'Price Mean', field: 'priceMean' },
+      { source: 'priceMean', field: 'priceMean' },
+      { source: 'price_mean', field: 'priceMean' },
+      { source: 'Texture & Notes', field: 'textureNotes' },
+      { source: 'textureNotes', field: 'textureNotes' },
+      { source: 'texture_notes', field: 'textureNotes' },
+      { source: 'image reference', field: 'imageReference' },
+      { source: 'imageReference', field: 'imageReference' },
+      { source: 'image_reference', field: 'imageReference' },
+      { source: 'Rec. Cooking Methods', field: 'cookingMethods' },
+      { source: 'cookingMethods', field: 'cookingMethods' },
+      { source: 'Recommended Dishes', field: 'recommendedDishes' },
+      { source: 'recommendedDishes', field: 'recommendedDishes' },
+      { source: 'Google Drive Image ID', field: 'googleDriveImageId' },
+      { source: 'google_drive_image_id', field: 'googleDriveImageId' },
+      { source: 'googleDriveImageId', field: 'googleDriveImageId' },
+      { source: 'Google Drive Image URL', field: 'googleDriveImageUrl' },
+      { source: 'google_drive_image_url', field: 'googleDriveImageUrl' },
+      { source: 'googleDriveImageUrl', field: 'googleDriveImageUrl' },
+      { source: 'Slug', field: 'slug' },
+      { source: 'slug', field: 'slug' }
+    ]
+  },
+  {
+    name: 'drive-sync',
+    description: 'CSV written by the Google Drive sync scripts (beefcut_init_database_temp.csv)',
+    columns: [
+      { source: 'ID', field: 'id' },
+      { source: 'Name', field: 'name' },
+      { source: 'Chinese Name', field: 'chineseName' },
+      { source: 'Part', field: 'part' },
+      { source: 'Lean', field: 'lean' },
+      { source: 'Approx. Price', field: 'priceDisplay' },
+      { source: 'Rec. Cooking Methods', field: 'cookingMethods' },
+      { source: 'Recommended Dishes', field: 'recommendedDishes' },
+      { source: 'Texture & Notes', field: 'textureNotes' },
+      { source: 'image reference', field: 'imageReference' },
+      { source: 'googleDriveImageId', field: 'googleDriveImageId' },
+      { source: 'google_drive_image_id', field: 'googleDriveImageId' },
+      { source: 'googleDriveImageUrl', field: 'googleDriveImageUrl' },
+      { source: 'google_drive_image_url', field: 'googleDriveImageUrl' }
+    ]
+  }
+];
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        columns TEXT NOT NULL,             -- JSON: [{ source, field, transform, separator }]
+        builtin INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO import_profiles (name, description, columns, builtin)
+    VALUES (?, ?, ?, 1)
+  `);
+
+  for (const profile of BUILTIN_PROFILES) {
+    insert.run(profile.name, profile.description, JSON.stringify(profile.columns));
+  }
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS import_profiles;');
+}
@@ -0,0 +1,105 @@
+/**
+ * Migration 010: currency and unit for meat cut prices
+ * Existing prices get the currency and unit stated in their display text
+ * ("NT$450–600/斤" -> TWD per jin); texts that state none keep USD per lb.
+ * The built-in default import profile gains the Price Currency / Price Unit columns.
+ * Spellings and columns are written out as they were when this migration was added,
+ * so later changes to the price parser or the import columns do not change what it does.
+ */
+
+// Currency spellings, tried in order; spellings containing shorter ones come first
+// ("US$" before "S$", "NT$" before "$", "CN¥" before "¥")
+const CURRENCY_SPELLINGS = [
+  ['USD', ['us$']],
+  ['TWD', ['nt$', 'ntd', 'twd', '元']],
+  ['HKD', ['hk$', 'hkd']],
+  ['CNY', ['cn¥', 'rmb', 'cny']],
+  ['CAD', ['ca$', 'c$', 'cad']],
+  ['AUD', ['au$', 'a$', 'aud']],
+  ['SGD', ['s$', 'sgd']],
+  ['JPY', ['jp¥', '¥', '円', 'jpy']],
+  ['EUR', ['€', 'eur']],
+  ['GBP', ['£', 'gbp']],
+  ['KRW', ['₩', 'krw']],
+  ['USD', ['$', 'usd']]
+];
+
+// Unit spellings, tried in the same way ("公斤" before "斤")
+const UNIT_SPELLINGS = [
+  ['100g', ['100g', '100 g', '100克', '100公克']],
+  ['kg', ['kg', 'kilo', '公斤']],
+  ['lb', ['lb', 'pound', '磅']],
+  ['jin', ['斤', 'jin', 'catt']],
+  ['piece', ['piece', 'pcs', 'each', '塊', '份', '片', '個']]
+];
+
+// Columns added to the default profile, after its Price Mean columns
+const PRICE_COLUMNS = [
+  { source: 'Price Currency', field: 'priceCurrency' },
+  { source: 'Currency', field: 'priceCurrency' },
+  { source: 'priceCurrency', field: 'priceCurrency' },
+  { source: 'price_currency', field: 'priceCurrency' },
+  { source: 'Price Unit', field: 'priceUnit' },
+  { source: 'Unit', field: 'priceUnit' },
+  { source: 'priceUnit', field: 'priceUnit' },
+  { source: 'price_unit', field: 'priceUnit' }
+];
+
+/**
+ * SQL choosing the value of the first spelling found in price_display
+ * @param {Array<[string, Array<string>]>} spellings - Value and its lowercase spellings
+ * @param {string} fallback - Column kept when no spelling is found
+ * @returns {string}
+ */
+function caseOfSpellings(spellings, fallback) {
+  const conditions = spellings.map(([value, tokens]) => {
+    const found = tokens.map(token => `instr(lower(price_display), '${token}') > 0`).join(' OR ');
+    return `WHEN ${found} THEN '${value}'`;
+  });
+  return `CASE ${conditions.join(' ')} ELSE ${fallback} END`;
+}
+
+/**
+ * Change the columns of the built-in default import profile
+ * @param {object} db - better-sqlite3 database
+ * @param {Function} change - Receives the columns and returns the new ones
+ */
+function changeDefaultProfileColumns(db, change) {
+  const profile = db.prepare(`
+    SELECT columns FROM import_profiles WHERE name = 'default' AND builtin = 1
+  `).get();
+  if (!profile) return;
+
+  db.prepare(`
+    UPDATE import_profiles
+    SET columns = ?, updated_at = datetime('now')
+    WHERE name = 'default' AND builtin = 1
+  `).run(JSON.stringify(change(JSON.parse(profile.columns))));
+}
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE meat_cuts ADD COLUMN price_currency TEXT NOT NULL DEFAULT 'USD';
+    ALTER TABLE meat_cuts ADD COLUMN price_unit TEXT NOT NULL DEFAULT 'lb';
+
+    UPDATE meat_cuts SET
+      price_currency = ${caseOfSpellings(CURRENCY_SPELLINGS, 'price_currency')},
+      price_unit = ${caseOfSpellings(UNIT_SPELLINGS, 'price_unit')}
+    WHERE price_display IS NOT NULL;
+  `);
+
+  changeDefaultProfileColumns(db, columns => {
+    const at = columns.findLastIndex(column => column.field === 'priceMean') + 1;
+    return [...columns.slice(0, at), ...PRICE_COLUMNS, ...columns.slice(at)];
+  });
+}
+
+export function down(db) {
+  const priceFields = new Set(PRICE_COLUMNS.map(column => column.field));
+  changeDefaultProfileColumns(db, columns => columns.filter(column => !priceFields.has(column.field)));
+
+  db.exec(`
+    ALTER TABLE meat_cuts DROP COLUMN price_unit;
+    ALTER TABLE meat_cuts DROP COLUMN price_currency;
+  `);
+}
@@ -0,0 +1,3 @@
+-- Revert migration 011: exchange-rate table
+
+DROP TABLE IF EXISTS exchange_rates;
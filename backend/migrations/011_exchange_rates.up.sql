@@ -0,0 +1,23 @@
+-- Migration 011: offline exchange-rate table for multi-currency prices
+-- rate is the number of units of the currency per 1 USD (USD itself is always 1).
+-- The seeded rates are approximate starting points; admins edit or import current ones.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency TEXT PRIMARY KEY,         -- ISO code, e.g. 'TWD'
+    rate REAL NOT NULL CHECK (rate > 0),
+    updated_by TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO exchange_rates (currency, rate, updated_by) VALUES
+    ('USD', 1, 'migration'),
+    ('TWD', 32, 'migration'),
+    ('HKD', 7.8, 'migration'),
+    ('CNY', 7.2, 'migration'),
+    ('JPY', 150, 'migration'),
+    ('EUR', 0.92, 'migration'),
+    ('GBP', 0.79, 'migration'),
+    ('CAD', 1.37, 'migration'),
+    ('AUD', 1.52, 'migration'),
+    ('SGD', 1.34, 'migration'),
+    ('KRW', 1350, 'migration');
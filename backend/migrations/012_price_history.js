@@ -0,0 +1,79 @@
+/**
+ * Migration 012: price history of meat cuts
+ * One row per price a cut has had, with when it took effect and where it came from.
+ * Existing history is rebuilt from the revision snapshots (each holds the price of a
+ * previous state, which took effect at that state's updated_at) and the current rows.
+ */
+
+// Currency and unit of snapshots saved before migration 010 (the defaults it gave existing prices)
+const SNAPSHOT_CURRENCY = 'USD';
+const SNAPSHOT_UNIT = 'lb';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meat_cut_id INTEGER NOT NULL,
+        price_min REAL NOT NULL,
+        price_max REAL NOT NULL,
+        price_mean REAL NOT NULL,
+        price_currency TEXT NOT NULL,
+        price_unit TEXT NOT NULL,
+        source TEXT,                       -- e.g. 'admin', 'import', 'restore', 'backfill'
+        store TEXT,                        -- where the price was seen (optional)
+        recorded_by TEXT,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (meat_cut_id) REFERENCES meat_cuts(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_history_meat_cut ON price_history(meat_cut_id, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_price_history_recorded_at ON price_history(recorded_at);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO price_history (
+      meat_cut_id, price_min, price_max, price_mean, price_currency, price_unit, source, recorded_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 'backfill', ?)
+  `);
+  const revisions = db.prepare(`
+    SELECT snapshot FROM meat_cut_revisions
+    WHERE meat_cut_id = ?
+    ORDER BY revision_number
+  `);
+
+  for (const current of db.prepare('SELECT * FROM meat_cuts').all()) {
+    const states = [
+      ...revisions.all(current.id).map(revision => JSON.parse(revision.snapshot).row),
+      current
+    ];
+
+    let previousKey = null;
+    for (const row of states) {
+      const currency = row.price_currency ?? SNAPSHOT_CURRENCY;
+      const unit = row.price_unit ?? SNAPSHOT_UNIT;
+      const key = [row.price_min, row.price_max, currency, unit].join('|');
+
+      // Revisions of other fields repeat the same price
+      if (key === previousKey) continue;
+      previousKey = key;
+
+      insert.run(
+        current.id,
+        row.price_min,
+        row.price_max,
+        row.price_mean,
+        currency,
+        unit,
+        row.updated_at || row.created_at
+      );
+    }
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_price_history_recorded_at;
+    DROP INDEX IF EXISTS idx_price_history_meat_cut;
+    DROP TABLE IF EXISTS price_history;
+  `);
+}
@@ -0,0 +1,8 @@
+-- Revert migration 013: stores and price observations
+
+ALTER TABLE meat_cuts DROP COLUMN price_mode;
+
+DROP INDEX IF EXISTS idx_price_observations_store;
+DROP INDEX IF EXISTS idx_price_observations_meat_cut;
+DROP TABLE IF EXISTS price_observations;
+DROP TABLE IF EXISTS stores;
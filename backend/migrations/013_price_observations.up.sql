@@ -0,0 +1,37 @@
+-- Migration 013: stores and per-store price observations
+-- An observation is one price seen at one store on one day. A meat cut whose
+-- price_mode is 'observations' gets its price range from the recent observations
+-- instead of the hand-entered one.
+
+CREATE TABLE IF NOT EXISTS stores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    location TEXT,
+    url TEXT,
+    notes TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS price_observations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    store_id INTEGER NOT NULL,
+    meat_cut_id INTEGER NOT NULL,
+    price REAL NOT NULL CHECK (price > 0),
+    currency TEXT NOT NULL,
+    unit TEXT NOT NULL,
+    observed_on DATE NOT NULL,         -- 'YYYY-MM-DD'
+    note TEXT,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE RESTRICT,
+    FOREIGN KEY (meat_cut_id) REFERENCES meat_cuts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_observations_meat_cut ON price_observations(meat_cut_id, observed_on);
+CREATE INDEX IF NOT EXISTS idx_price_observations_store ON price_observations(store_id);
+
+-- 'manual' (typed in by an admin) or 'observations' (derived from price_observations)
+ALTER TABLE meat_cuts ADD COLUMN price_mode TEXT NOT NULL DEFAULT 'manual';
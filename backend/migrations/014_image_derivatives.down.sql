@@ -0,0 +1,3 @@
+-- Revert migration 014: image derivatives
+
+DROP TABLE IF EXISTS image_derivatives;
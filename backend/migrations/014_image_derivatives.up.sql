@@ -0,0 +1,17 @@
+-- Migration 014: resized copies of stored images
+-- Each original image (by its storage file ID) gets one derivative per size and
+-- format, stored with the same provider as the original.
+
+CREATE TABLE IF NOT EXISTS image_derivatives (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id TEXT NOT NULL,            -- storage file ID of the original
+    size TEXT NOT NULL,                -- 'thumbnail', 'medium' or 'full'
+    format TEXT NOT NULL,              -- 'jpeg' or 'webp'
+    file_id TEXT NOT NULL UNIQUE,      -- storage file ID of the derivative
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    bytes INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (image_id, size, format)
+);
@@ -0,0 +1,7 @@
+-- Revert migration 015: image galleries
+-- The primary images are still in meat_cuts.google_drive_image_id.
+
+DROP INDEX IF EXISTS idx_meat_cut_images_primary;
+DROP INDEX IF EXISTS idx_meat_cut_images_image;
+DROP INDEX IF EXISTS idx_meat_cut_images_meat_cut;
+DROP TABLE IF EXISTS meat_cut_images;
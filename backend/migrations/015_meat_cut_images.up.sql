@@ -0,0 +1,28 @@
+-- Migration 015: image galleries
+-- A meat cut can have several images, shown in sort_order. The one with role
+-- 'primary' is also kept in meat_cuts.google_drive_image_id, which lists,
+-- exports and older clients use.
+
+CREATE TABLE IF NOT EXISTS meat_cut_images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meat_cut_id INTEGER NOT NULL,
+    image_id TEXT NOT NULL,            -- storage file ID
+    role TEXT NOT NULL DEFAULT 'raw' CHECK (role IN ('primary', 'raw', 'cooked', 'diagram')),
+    caption TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (meat_cut_id) REFERENCES meat_cuts(id) ON DELETE CASCADE,
+    UNIQUE (meat_cut_id, image_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meat_cut_images_meat_cut ON meat_cut_images(meat_cut_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_meat_cut_images_image ON meat_cut_images(image_id);
+-- At most one primary image per meat cut
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meat_cut_images_primary ON meat_cut_images(meat_cut_id) WHERE role = 'primary';
+
+-- Existing images become the primary image of their cut
+INSERT INTO meat_cut_images (meat_cut_id, image_id, role, sort_order)
+SELECT id, google_drive_image_id, 'primary', 0
+FROM meat_cuts
+WHERE google_drive_image_id IS NOT NULL AND google_drive_image_id != '';
@@ -0,0 +1,3 @@
+-- Revert migration 016: Drive sync state
+
+DROP TABLE IF EXISTS sync_state;
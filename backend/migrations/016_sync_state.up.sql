@@ -0,0 +1,15 @@
+-- Migration 016: Drive sync state
+-- What each synced item looked like on both sides after its last sync, so the
+-- next sync can tell which side changed since then.
+
+CREATE TABLE IF NOT EXISTS sync_state (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK (kind IN ('image', 'csv')),
+    item_key TEXT NOT NULL,            -- image reference, or 'meat-cuts' for the CSV export
+    remote_id TEXT,                    -- Drive (or storage) file ID
+    remote_modified_time TEXT,         -- modifiedTime reported by Drive
+    remote_hash TEXT,                  -- md5Checksum reported by Drive
+    local_hash TEXT,                   -- MD5 of the local file or export
+    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (kind, item_key)
+);
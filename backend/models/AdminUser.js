@@ -0,0 +1,155 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * AdminUser Model
+ * Handles database operations for admin users
+ */
+export class AdminUser {
+  /**
+   * Create a new admin user
+   * @param {string} username - Username (unique, case-insensitive)
+   * @param {string} passwordHash - Hash from hashPassword()
+   * @param {string} role - 'viewer', 'editor' or 'admin'
+   * @returns {object} - Created user
+   */
+  static create(username, passwordHash, role) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO admin_users (username, password_hash, role)
+      VALUES (?, ?, ?)
+    `).run(username, passwordHash, role);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find admin user by ID
+   * @param {number} id - User ID
+   * @returns {object|null} - User or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const user = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(id);
+
+    if (!user) return null;
+
+    return this.formatUser(user);
+  }
+
+  /**
+   * Find admin user by username, including the password hash
+   * @param {string} username - Username
+   * @returns {object|null} - User with passwordHash, or null
+   */
+  static findByUsernameWithPassword(username) {
+    const db = getDatabase();
+    const user = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username);
+
+    if (!user) return null;
+
+    return {
+      ...this.formatUser(user),
+      passwordHash: user.password_hash
+    };
+  }
+
+  /**
+   * Get all admin users
+   * @returns {Array} - Array of users
+   */
+  static findAll() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM admin_users ORDER BY username')
+      .all()
+      .map(user => this.formatUser(user));
+  }
+
+  /**
+   * Count admin users
+   * @returns {number}
+   */
+  static count() {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM admin_users').get().count;
+  }
+
+  /**
+   * Count admin users with a given role
+   * @param {string} role - Role
+   * @returns {number}
+   */
+  static countByRole(role) {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM admin_users WHERE role = ?').get(role).count;
+  }
+
+  /**
+   * Change a user's role
+   * @param {number} id - User ID
+   * @param {string} role - 'viewer', 'editor' or 'admin'
+   * @returns {boolean} - True if updated
+   */
+  static updateRole(id, role) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE admin_users
+      SET role = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(role, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace a user's password hash
+   * @param {number} id - User ID
+   * @param {string} passwordHash - Hash from hashPassword()
+   * @returns {boolean} - True if updated
+   */
+  static updatePassword(id, passwordHash) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE admin_users
+      SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(passwordHash, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record a successful login
+   * @param {number} id - User ID
+   */
+  static touchLastLogin(id) {
+    const db = getDatabase();
+    db.prepare('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+  }
+
+  /**
+   * Delete admin user (sessions are removed by CASCADE)
+   * @param {number} id - User ID
+   * @returns {boolean} - True if deleted
+   */
+  static delete(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM admin_users WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Format database row to API format (never includes the password hash)
+   * @param {object} row - Database row
+   * @returns {object} - Formatted user
+   */
+  static formatUser(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      role: row.role,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default AdminUser;
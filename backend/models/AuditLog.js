@@ -0,0 +1,116 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * AuditLog Model
+ * Handles database operations for the audit log
+ */
+export class AuditLog {
+  /**
+   * Append an audit entry
+   * @param {object} entry - { actorType, actorId, actorName, action, entityType, entityId, changes, metadata }
+   * @returns {object} - Created entry
+   */
+  static create(entry) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO audit_log (actor_type, actor_id, actor_name, action, entity_type, entity_id, changes, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.actorType,
+      entry.actorId ?? null,
+      entry.actorName,
+      entry.action,
+      entry.entityType,
+      entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+      entry.changes ? JSON.stringify(entry.changes) : null,
+      entry.metadata ? JSON.stringify(entry.metadata) : null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find audit entry by ID
+   * @param {number} id - Entry ID
+   * @returns {object|null} - Entry or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const entry = db.prepare('SELECT * FROM audit_log WHERE id = ?').get(id);
+
+    if (!entry) return null;
+
+    return this.formatEntry(entry);
+  }
+
+  /**
+   * Find audit entries, newest first
+   * @param {object} options - { limit, offset, entityType, entityId, action, actorId }
+   * @returns {{entries: Array, total: number}}
+   */
+  static findAll(options = {}) {
+    const db = getDatabase();
+    const { limit = 50, offset = 0, entityType, entityId, action, actorId } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(entityType);
+    }
+    if (entityId !== undefined && entityId !== null && entityId !== '') {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actorId !== undefined && actorId !== null) {
+      conditions.push("actor_type = 'user' AND actor_id = ?");
+      params.push(actorId);
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM audit_log ${whereClause}`).get(...params).count;
+    const entries = db.prepare(`
+      SELECT * FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      entries: entries.map(entry => this.formatEntry(entry)),
+      total
+    };
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted entry
+   */
+  static formatEntry(row) {
+    return {
+      id: row.id,
+      actor: {
+        type: row.actor_type,
+        id: row.actor_id,
+        name: row.actor_name
+      },
+      action: row.action,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      changes: row.changes ? JSON.parse(row.changes) : null,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,129 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * AuthSession Model
+ * Handles database operations for admin login sessions
+ */
+export class AuthSession {
+  /**
+   * Create a new session
+   * @param {object} data - { id, userId, refreshTokenHash, expiresAt, userAgent }
+   * @returns {object} - Created session
+   */
+  static create(data) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO auth_sessions (id, user_id, refresh_token_hash, expires_at, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(data.id, data.userId, data.refreshTokenHash, data.expiresAt, data.userAgent || null);
+
+    return this.findById(data.id);
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} id - Session ID
+   * @returns {object|null} - Session or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const session = db.prepare('SELECT * FROM auth_sessions WHERE id = ?').get(id);
+
+    if (!session) return null;
+
+    return this.formatSession(session);
+  }
+
+  /**
+   * Find a session that is neither revoked nor expired
+   * @param {string} id - Session ID
+   * @returns {object|null} - Session or null
+   */
+  static findActiveById(id) {
+    const db = getDatabase();
+    const session = db.prepare(`
+      SELECT * FROM auth_sessions
+      WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `).get(id);
+
+    if (!session) return null;
+
+    return this.formatSession(session);
+  }
+
+  /**
+   * Replace the refresh token of a session (refresh token rotation)
+   * @param {string} id - Session ID
+   * @param {string} refreshTokenHash - Hash of the new refresh token
+   * @param {string} expiresAt - New expiry (SQLite datetime)
+   */
+  static rotateRefreshToken(id, refreshTokenHash, expiresAt) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE auth_sessions
+      SET refresh_token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(refreshTokenHash, expiresAt, id);
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} id - Session ID
+   * @returns {boolean} - True if an active session was revoked
+   */
+  static revoke(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND revoked_at IS NULL
+    `).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {number} userId - User ID
+   * @returns {number} - Number of sessions revoked
+   */
+  static revokeAllForUser(userId) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `).run(userId);
+    return result.changes;
+  }
+
+  /**
+   * Delete sessions that expired or were revoked
+   * @returns {number} - Number of sessions deleted
+   */
+  static deleteInactive() {
+    const db = getDatabase();
+    const result = db.prepare(`
+      DELETE FROM auth_sessions
+      WHERE revoked_at IS NOT NULL OR expires_at <= datetime('now')
+    `).run();
+    return result.changes;
+  }
+
+  /**
+   * Format database row
+   * @param {object} row - Database row
+   * @returns {object} - Formatted session
+   */
+  static formatSession(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      refreshTokenHash: row.refresh_token_hash,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    };
+  }
+}
+
+export default AuthSession;
@@ -0,0 +1,81 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * ExchangeRate Model
+ * Handles database operations for the offline exchange-rate table
+ * A rate is the number of units of a currency per 1 USD.
+ */
+export class ExchangeRate {
+  /**
+   * Get all rates, by currency code
+   * @returns {Array} - Array of rates
+   */
+  static findAll() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM exchange_rates ORDER BY currency')
+      .all()
+      .map(rate => this.formatRate(rate));
+  }
+
+  /**
+   * Find the rate of a currency
+   * @param {string} currency - ISO code
+   * @returns {object|null} - Rate or null
+   */
+  static findByCurrency(currency) {
+    const db = getDatabase();
+    const rate = db.prepare('SELECT * FROM exchange_rates WHERE currency = ?').get(currency);
+
+    if (!rate) return null;
+
+    return this.formatRate(rate);
+  }
+
+  /**
+   * Get all rates as a lookup
+   * @returns {object} - { [currency]: rate }
+   */
+  static getRateMap() {
+    const db = getDatabase();
+    return Object.fromEntries(db.prepare('SELECT currency, rate FROM exchange_rates')
+      .all()
+      .map(row => [row.currency, row.rate]));
+  }
+
+  /**
+   * Create or replace the rate of a currency
+   * @param {string} currency - ISO code
+   * @param {number} rate - Units per 1 USD
+   * @param {string} updatedBy - Actor name
+   * @returns {object} - Saved rate
+   */
+  static upsert(currency, rate, updatedBy = null) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO exchange_rates (currency, rate, updated_by, updated_at)
+      VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT(currency) DO UPDATE SET
+        rate = excluded.rate,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `).run(currency, rate, updatedBy);
+
+    return this.findByCurrency(currency);
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted rate
+   */
+  static formatRate(row) {
+    return {
+      currency: row.currency,
+      rate: row.rate,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default ExchangeRate;
@@ -0,0 +1,119 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * ImageDerivative Model
+ * Handles database operations for the resized copies (derivatives) of stored images
+ */
+export class ImageDerivative {
+  /**
+   * Find the derivative of an image in one size and format
+   * @param {string} imageId - Storage file ID of the original
+   * @param {string} size - Size name
+   * @param {string} format - Format name
+   * @returns {object|null} - Derivative or null
+   */
+  static find(imageId, size, format) {
+    const db = getDatabase();
+    const row = db.prepare(`
+      SELECT * FROM image_derivatives WHERE image_id = ? AND size = ? AND format = ?
+    `).get(imageId, size, format);
+
+    return row ? this.formatDerivative(row) : null;
+  }
+
+  /**
+   * Find a derivative by its own storage file ID
+   * @param {string} fileId - Storage file ID of the derivative
+   * @returns {object|null} - Derivative or null
+   */
+  static findByFileId(fileId) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM image_derivatives WHERE file_id = ?').get(fileId);
+
+    return row ? this.formatDerivative(row) : null;
+  }
+
+  /**
+   * Get every derivative of an image
+   * @param {string} imageId - Storage file ID of the original
+   * @returns {Array} - Array of derivatives
+   */
+  static findByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM image_derivatives WHERE image_id = ? ORDER BY size, format
+    `).all(imageId).map(row => this.formatDerivative(row));
+  }
+
+  /**
+   * Count the derivatives of an image
+   * @param {string} imageId - Storage file ID of the original
+   * @returns {number}
+   */
+  static countByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM image_derivatives WHERE image_id = ?').get(imageId).count;
+  }
+
+  /**
+   * Get the storage file IDs of all derivatives
+   * @returns {Set<string>}
+   */
+  static findAllFileIds() {
+    const db = getDatabase();
+    return new Set(db.prepare('SELECT file_id FROM image_derivatives').pluck().all());
+  }
+
+  /**
+   * Insert or replace the derivative of an image in one size and format
+   * @param {object} data - { imageId, size, format, fileId, width, height, bytes }
+   * @returns {object} - Saved derivative
+   */
+  static upsert(data) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO image_derivatives (image_id, size, format, file_id, width, height, bytes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(image_id, size, format) DO UPDATE SET
+        file_id = excluded.file_id,
+        width = excluded.width,
+        height = excluded.height,
+        bytes = excluded.bytes,
+        updated_at = datetime('now')
+    `).run(data.imageId, data.size, data.format, data.fileId, data.width, data.height, data.bytes);
+
+    return this.find(data.imageId, data.size, data.format);
+  }
+
+  /**
+   * Delete every derivative record of an image
+   * @param {string} imageId - Storage file ID of the original
+   * @returns {number} - Number of records deleted
+   */
+  static deleteByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM image_derivatives WHERE image_id = ?').run(imageId).changes;
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted derivative
+   */
+  static formatDerivative(row) {
+    return {
+      id: row.id,
+      imageId: row.image_id,
+      size: row.size,
+      format: row.format,
+      fileId: row.file_id,
+      width: row.width,
+      height: row.height,
+      bytes: row.bytes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default ImageDerivative;
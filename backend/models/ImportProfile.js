@@ -0,0 +1,109 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * ImportProfile Model
+ * Handles database operations for import column mapping profiles
+ */
+export class ImportProfile {
+  /**
+   * Create a new profile
+   * @param {object} data - { name, description, columns, createdBy }
+   * @returns {object} - Created profile
+   */
+  static create(data) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO import_profiles (name, description, columns, created_by)
+      VALUES (?, ?, ?, ?)
+    `).run(data.name, data.description || null, JSON.stringify(data.columns), data.createdBy || null);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find profile by ID
+   * @param {number} id - Profile ID
+   * @returns {object|null} - Profile or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const profile = db.prepare('SELECT * FROM import_profiles WHERE id = ?').get(id);
+
+    if (!profile) return null;
+
+    return this.formatProfile(profile);
+  }
+
+  /**
+   * Find profile by name (case-insensitive)
+   * @param {string} name - Profile name
+   * @returns {object|null} - Profile or null
+   */
+  static findByName(name) {
+    const db = getDatabase();
+    const profile = db.prepare('SELECT * FROM import_profiles WHERE name = ?').get(name);
+
+    if (!profile) return null;
+
+    return this.formatProfile(profile);
+  }
+
+  /**
+   * Get all profiles, built-in ones first
+   * @returns {Array} - Array of profiles
+   */
+  static findAll() {
+    const db = getDatabase();
+    return db.prepare('SELECT * FROM import_profiles ORDER BY builtin DESC, name')
+      .all()
+      .map(profile => this.formatProfile(profile));
+  }
+
+  /**
+   * Update a profile
+   * @param {number} id - Profile ID
+   * @param {object} data - { name, description, columns }
+   * @returns {object|null} - Updated profile or null
+   */
+  static update(id, data) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE import_profiles
+      SET name = ?, description = ?, columns = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(data.name, data.description || null, JSON.stringify(data.columns), id);
+
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a profile
+   * @param {number} id - Profile ID
+   * @returns {boolean} - True if deleted
+   */
+  static delete(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM import_profiles WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted profile
+   */
+  static formatProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      columns: JSON.parse(row.columns),
+      builtin: row.builtin === 1,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default ImportProfile;
@@ -1,5 +1,14 @@
 import getDatabase from '../config/database.js';
 import { generateSlug, generateUniqueSlugSync } from '../utils/slugGenerator.js';
+import { segmentForSearch } from '../utils/searchText.js';
+import { toSimplified, toPinyin } from '../utils/chineseText.js';
+import { DEFAULT_CURRENCY, DEFAULT_UNIT } from '../utils/priceParser.js';
+import CookingMethod from './CookingMethod.js';
+import RecommendedDish from './RecommendedDish.js';
+import MeatCutRevision from './MeatCutRevision.js';
+import PriceHistory from './PriceHistory.js';
+import MeatCutImage from './MeatCutImage.js';
+import { SEARCH_INDEX_REBUILD_KEY } from './Metadata.js';
 
 /**
  * MeatCut Model
@@ -8,56 +17,77 @@ import { generateSlug, generateUniqueSlugSync } from '../utils/slugGenerator.js'
 export class MeatCut {
   /**
    * Create a new meat cut
-   * @param {object} data - Meat cut data
+   * The initial price is the first entry of its price history.
+   * @param {object} data - Meat cut data; an images array ({ imageId, role, caption }) sets the gallery
+   * @param {object} options - { source, store: where the price was seen, createdBy: who made the change }
    * @returns {object} - Created meat cut
    */
-  static create(data) {
+  static create(data, options = {}) {
     const db = getDatabase();
     
-    // Generate slug if not provided
-    if (!data.slug) {
-      const baseSlug = generateSlug(data.name);
-      data.slug = generateUniqueSlugSync(baseSlug, (slug) => {
-        const existing = db.prepare('SELECT id FROM meat_cuts WHERE slug = ?').get(slug);
-        return existing !== undefined;
-      });
-    }
+    const id = db.transaction(() => {
+      // Generate slug if not provided
+      if (!data.slug) {
+        const baseSlug = generateSlug(data.name);
+        data.slug = generateUniqueSlugSync(baseSlug, (slug) => {
+          const existing = db.prepare('SELECT id FROM meat_cuts WHERE slug = ?').get(slug);
+          return existing !== undefined;
+        });
+      }
     
-    const stmt = db.prepare(`
-      INSERT INTO meat_cuts (
-        name, chinese_name, part, lean, price_min, price_max, price_mean,
-        price_display, texture_notes, image_reference,
-        google_drive_image_id, google_drive_image_url, slug
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    const result = stmt.run(
-      data.name,
-      data.chineseName || data.chinese_name,
-      data.part,
-      data.lean ? 1 : 0,
-      data.priceMin || data.price_min,
-      data.priceMax || data.price_max,
-      data.priceMean || data.price_mean,
-      data.priceDisplay || data.price_display,
-      data.textureNotes || data.texture_notes || null,
-      data.imageReference || data.image_reference,
-      data.googleDriveImageId || data.google_drive_image_id || null,
-      data.googleDriveImageUrl || data.google_drive_image_url || null,
-      data.slug
-    );
+      const stmt = db.prepare(`
+        INSERT INTO meat_cuts (
+          name, chinese_name, part, lean, price_min, price_max, price_mean,
+          price_currency, price_unit, price_display, price_mode, texture_notes, image_reference,
+          google_drive_image_id, google_drive_image_url, slug
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
     
-    return this.findById(result.lastInsertRowid);
+      const result = stmt.run(
+        data.name,
+        data.chineseName || data.chinese_name,
+        data.part,
+        data.lean ? 1 : 0,
+        data.priceMin ?? data.price_min,
+        data.priceMax ?? data.price_max,
+        data.priceMean ?? data.price_mean,
+        data.priceCurrency ?? data.price_currency ?? DEFAULT_CURRENCY,
+        data.priceUnit ?? data.price_unit ?? DEFAULT_UNIT,
+        data.priceDisplay ?? data.price_display,
+        data.priceMode || data.price_mode || 'manual',
+        data.textureNotes || data.texture_notes || null,
+        data.imageReference || data.image_reference,
+        data.googleDriveImageId || data.google_drive_image_id || null,
+        data.googleDriveImageUrl || data.google_drive_image_url || null,
+        data.slug
+      );
+    
+      if (Array.isArray(data.images)) {
+        MeatCutImage.replaceForMeatCut(result.lastInsertRowid, data.images);
+      } else {
+        MeatCutImage.setPrimaryImage(result.lastInsertRowid, data.googleDriveImageId || data.google_drive_image_id || null);
+      }
+      this.refreshSearchIndex(result.lastInsertRowid);
+      this.recordPrice(result.lastInsertRowid, { ...options, source: options.source || 'create' });
+      
+      return result.lastInsertRowid;
+    })();
+    
+    return this.findById(id);
   }
   
   /**
    * Find meat cut by ID
    * @param {number} id - Meat cut ID
+   * @param {object} options - { includeDeleted: also return cuts in the trash }
    * @returns {object|null} - Meat cut or null
    */
-  static findById(id) {
+  static findById(id, options = {}) {
     const db = getDatabase();
-    const meatCut = db.prepare('SELECT * FROM meat_cuts WHERE id = ?').get(id);
+    const query = options.includeDeleted
+      ? 'SELECT * FROM meat_cuts WHERE id = ?'
+      : 'SELECT * FROM meat_cuts WHERE id = ? AND deleted_at IS NULL';
+    const meatCut = db.prepare(query).get(id);
     
     if (!meatCut) return null;
     
@@ -71,7 +101,26 @@ export class MeatCut {
    */
   static findBySlug(slug) {
     const db = getDatabase();
-    const meatCut = db.prepare('SELECT * FROM meat_cuts WHERE slug = ?').get(slug);
+    const meatCut = db.prepare('SELECT * FROM meat_cuts WHERE slug = ? AND deleted_at IS NULL').get(slug);
+    
+    if (!meatCut) return null;
+    
+    return this.formatMeatCut(meatCut);
+  }
+  
+  /**
+   * Find the first meat cut with an image reference
+   * @param {string} imageReference - Image reference
+   * @returns {object|null} - Meat cut or null
+   */
+  static findByImageReference(imageReference) {
+    const db = getDatabase();
+    const meatCut = db.prepare(`
+      SELECT * FROM meat_cuts
+      WHERE image_reference = ? AND deleted_at IS NULL
+      ORDER BY id
+      LIMIT 1
+    `).get(imageReference);
     
     if (!meatCut) return null;
     
@@ -79,7 +128,7 @@ export class MeatCut {
   }
   
   /**
-   * Get all meat cuts
+   * Get all meat cuts (not in the trash)
    * @param {object} options - Query options (limit, offset)
    * @returns {Array} - Array of meat cuts
    */
@@ -95,7 +144,7 @@ export class MeatCut {
     const validatedLimit = limit && limit > 0 ? parseInt(limit, 10) : null;
     const validatedOffset = offset && offset >= 0 ? parseInt(offset, 10) : null;
     
-    let query = `SELECT * FROM meat_cuts ORDER BY ${validOrderBy} ${orderDirection}`;
+    let query = `SELECT * FROM meat_cuts WHERE deleted_at IS NULL ORDER BY ${validOrderBy} ${orderDirection}`;
     let meatCuts;
     
     if (validatedLimit) {
@@ -109,16 +158,71 @@ export class MeatCut {
     } else {
       meatCuts = db.prepare(query).all();
     }
-    return meatCuts.map(mc => this.formatMeatCut(mc));
+    const galleries = MeatCutImage.findByMeatCutIds(meatCuts.map(mc => mc.id));
+    return meatCuts.map(mc => this.formatMeatCut(mc, galleries.get(mc.id)));
+  }
+  
+  /**
+   * Count meat cuts (not in the trash)
+   * @returns {number}
+   */
+  static count() {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM meat_cuts WHERE deleted_at IS NULL').get().count;
+  }
+  
+  /**
+   * Get meat cuts in the trash, most recently deleted first
+   * @returns {Array} - Array of meat cuts with deletedAt / deletedBy
+   */
+  static findDeleted() {
+    const db = getDatabase();
+    const meatCuts = db.prepare('SELECT * FROM meat_cuts WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC').all();
+    const galleries = MeatCutImage.findByMeatCutIds(meatCuts.map(mc => mc.id));
+    return meatCuts.map(mc => ({
+      ...this.formatMeatCut(mc, galleries.get(mc.id)),
+      deletedAt: mc.deleted_at,
+      deletedBy: mc.deleted_by
+    }));
+  }
+  
+  /**
+   * Get the IDs of live meat cuts whose price comes from the given source
+   * @param {string} priceMode - 'manual' | 'observations'
+   * @returns {Array<number>}
+   */
+  static findIdsByPriceMode(priceMode) {
+    const db = getDatabase();
+    return db.prepare('SELECT id FROM meat_cuts WHERE price_mode = ? AND deleted_at IS NULL')
+      .all(priceMode)
+      .map(row => row.id);
+  }
+  
+  /**
+   * Get IDs of trashed meat cuts deleted more than retentionDays ago
+   * @param {number} retentionDays - Days a cut stays in the trash
+   * @returns {Array<number>}
+   */
+  static findExpiredDeletedIds(retentionDays) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT id FROM meat_cuts
+      WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+    `).all(`-${retentionDays} days`).map(row => row.id);
   }
   
   /**
    * Update meat cut
+   * The previous state (row, cooking methods and recommended dishes) is saved
+   * as a revision when anything actually changes, and a new price is added to
+   * the price history.
    * @param {number} id - Meat cut ID
-   * @param {object} data - Updated data
+   * @param {object} data - Updated data; cookingMethods / recommendedDishes / images arrays replace the associations
+   * @param {object} options - { reason: 'update' | 'restore', createdBy: who made the change,
+   *   source: price history source (defaults to the reason), store: where the price was seen }
    * @returns {object|null} - Updated meat cut or null
    */
-  static update(id, data) {
+  static update(id, data, options = {}) {
     const db = getDatabase();
     
     // Build update query dynamically
@@ -143,19 +247,31 @@ export class MeatCut {
     }
     if (data.priceMin !== undefined || data.price_min !== undefined) {
       updates.push('price_min = ?');
-      values.push(data.priceMin || data.price_min);
+      values.push(data.priceMin ?? data.price_min);
     }
     if (data.priceMax !== undefined || data.price_max !== undefined) {
       updates.push('price_max = ?');
-      values.push(data.priceMax || data.price_max);
+      values.push(data.priceMax ?? data.price_max);
     }
     if (data.priceMean !== undefined || data.price_mean !== undefined) {
       updates.push('price_mean = ?');
-      values.push(data.priceMean || data.price_mean);
+      values.push(data.priceMean ?? data.price_mean);
+    }
+    if (data.priceCurrency !== undefined || data.price_currency !== undefined) {
+      updates.push('price_currency = ?');
+      values.push(data.priceCurrency ?? data.price_currency);
+    }
+    if (data.priceUnit !== undefined || data.price_unit !== undefined) {
+      updates.push('price_unit = ?');
+      values.push(data.priceUnit ?? data.price_unit);
     }
     if (data.priceDisplay !== undefined || data.price_display !== undefined) {
       updates.push('price_display = ?');
-      values.push(data.priceDisplay || data.price_display);
+      values.push(data.priceDisplay ?? data.price_display);
+    }
+    if (data.priceMode !== undefined || data.price_mode !== undefined) {
+      updates.push('price_mode = ?');
+      values.push(data.priceMode || data.price_mode);
     }
     if (data.textureNotes !== undefined || data.texture_notes !== undefined) {
       updates.push('texture_notes = ?');
@@ -178,30 +294,256 @@ export class MeatCut {
       values.push(data.slug);
     }
     
-    if (updates.length === 0) {
+    const setsCookingMethods = Array.isArray(data.cookingMethods);
+    const setsRecommendedDishes = Array.isArray(data.recommendedDishes);
+    const setsImages = Array.isArray(data.images);
+    
+    if (updates.length === 0 && !setsCookingMethods && !setsRecommendedDishes && !setsImages) {
       return this.findById(id);
     }
     
-    updates.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(id);
-    
-    const query = `UPDATE meat_cuts SET ${updates.join(', ')} WHERE id = ?`;
-    db.prepare(query).run(...values);
+    db.transaction(() => {
+      const previous = this.getRevisionSnapshot(id);
+      
+      if (updates.length > 0) {
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        const query = `UPDATE meat_cuts SET ${updates.join(', ')} WHERE id = ?`;
+        db.prepare(query).run(...values, id);
+      }
+      if (setsImages) {
+        MeatCutImage.replaceForMeatCut(id, data.images);
+      } else if (data.googleDriveImageId !== undefined || data.google_drive_image_id !== undefined) {
+        MeatCutImage.setPrimaryImage(id, data.googleDriveImageId || data.google_drive_image_id || null);
+      }
+      if (setsCookingMethods) {
+        this.setCookingMethods(id, data.cookingMethods);
+      }
+      if (setsRecommendedDishes) {
+        this.setRecommendedDishes(id, data.recommendedDishes);
+      }
+      
+      this.refreshSearchIndex(id);
+      
+      const current = this.getRevisionSnapshot(id);
+      if (previous && !this.isSameSnapshot(previous, current)) {
+        MeatCutRevision.create(id, previous, options);
+      }
+      if (previous && !this.isSamePrice(previous.row, current.row)) {
+        this.recordPrice(id, { ...options, source: options.source || options.reason || 'update' });
+      }
+    })();
     
     return this.findById(id);
   }
   
   /**
-   * Delete meat cut
+   * Capture the full state of a meat cut for revision history
+   * @param {number} id - Meat cut ID
+   * @returns {object|null} - { row, cookingMethods, recommendedDishes, images } or null
+   */
+  static getRevisionSnapshot(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM meat_cuts WHERE id = ?').get(id);
+    
+    if (!row) return null;
+    
+    return {
+      row,
+      cookingMethods: this.getCookingMethods(id),
+      recommendedDishes: this.getRecommendedDishes(id),
+      images: MeatCutImage.findByMeatCutId(id).map(({ imageId, role, caption }) => ({ imageId, role, caption }))
+    };
+  }
+  
+  /**
+   * Compare two revision snapshots, ignoring the updated_at timestamp
+   * @param {object} a - Snapshot
+   * @param {object} b - Snapshot
+   * @returns {boolean}
+   */
+  static isSameSnapshot(a, b) {
+    const normalize = ({ row, ...rest }) => JSON.stringify({ ...rest, row: { ...row, updated_at: null } });
+    return normalize(a) === normalize(b);
+  }
+  
+  /**
+   * Compare the prices of two meat_cuts rows
+   * @param {object} a - Database row
+   * @param {object} b - Database row
+   * @returns {boolean}
+   */
+  static isSamePrice(a, b) {
+    return ['price_min', 'price_max', 'price_mean', 'price_currency', 'price_unit']
+      .every(column => a[column] === b[column]);
+  }
+  
+  /**
+   * Add the current price of a meat cut to its price history
    * @param {number} id - Meat cut ID
+   * @param {object} options - { source, store, createdBy }
+   * @returns {object} - Price history entry
+   */
+  static recordPrice(id, options = {}) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM meat_cuts WHERE id = ?').get(id);
+    
+    return PriceHistory.recordRow(row, {
+      source: options.source,
+      store: options.store,
+      recordedBy: options.createdBy
+    });
+  }
+  
+  /**
+   * Move meat cut to the trash
+   * The row, its associations and its image are kept until purge().
+   * @param {number} id - Meat cut ID
+   * @param {object} options - { deletedBy: who deleted it }
    * @returns {boolean} - True if deleted
    */
-  static delete(id) {
+  static delete(id, options = {}) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      UPDATE meat_cuts SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `).run(options.deletedBy || null, id);
+    this.refreshSearchIndex(id);
+    return result.changes > 0;
+  }
+  
+  /**
+   * Take meat cut out of the trash
+   * @param {number} id - Meat cut ID
+   * @returns {boolean} - True if restored
+   */
+  static restoreDeleted(id) {
     const db = getDatabase();
-    const result = db.prepare('DELETE FROM meat_cuts WHERE id = ?').run(id);
+    const result = db.prepare(`
+      UPDATE meat_cuts SET deleted_at = NULL, deleted_by = NULL
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `).run(id);
+    this.refreshSearchIndex(id);
     return result.changes > 0;
   }
   
+  /**
+   * Permanently delete a trashed meat cut (CASCADE removes related records)
+   * @param {number} id - Meat cut ID
+   * @returns {boolean} - True if purged
+   */
+  static purge(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM meat_cuts WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+    db.prepare('DELETE FROM meat_cuts_fts WHERE rowid = ?').run(id);
+    return result.changes > 0;
+  }
+  
+  /**
+   * Count meat cuts, including trashed ones, that use an image
+   * @param {string} imageId - Stored image ID
+   * @returns {number}
+   */
+  static countByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM meat_cuts WHERE google_drive_image_id = ?').get(imageId).count;
+  }
+  
+  /**
+   * Replace the cooking methods of a meat cut
+   * @param {number} meatCutId - Meat cut ID
+   * @param {Array<string>} names - Cooking method names
+   * @returns {Array} - Array of cooking method names
+   */
+  static setCookingMethods(meatCutId, names) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM meat_cut_cooking_methods WHERE meat_cut_id = ?').run(meatCutId);
+    
+    for (const name of names) {
+      if (name && name.trim()) {
+        const method = CookingMethod.findOrCreate(name.trim());
+        CookingMethod.associateWithMeatCut(meatCutId, method.id);
+      }
+    }
+    
+    this.refreshSearchIndex(meatCutId);
+    return this.getCookingMethods(meatCutId);
+  }
+  
+  /**
+   * Replace the recommended dishes of a meat cut
+   * @param {number} meatCutId - Meat cut ID
+   * @param {Array<string>} names - Recommended dish names
+   * @returns {Array} - Array of recommended dish names
+   */
+  static setRecommendedDishes(meatCutId, names) {
+    const db = getDatabase();
+    db.prepare('DELETE FROM meat_cut_recommended_dishes WHERE meat_cut_id = ?').run(meatCutId);
+    
+    for (const name of names) {
+      if (name && name.trim()) {
+        const dish = RecommendedDish.findOrCreate(name.trim());
+        RecommendedDish.associateWithMeatCut(meatCutId, dish.id);
+      }
+    }
+    
+    this.refreshSearchIndex(meatCutId);
+    return this.getRecommendedDishes(meatCutId);
+  }
+  
+  /**
+   * Rewrite the full-text search entries of all meat cuts
+   * Migrations that change the index only change its schema and ask for this
+   * (SEARCH_INDEX_REBUILD_KEY), so the index is filled by the current text processing.
+   * @returns {number} - Number of meat cuts indexed
+   */
+  static rebuildSearchIndex() {
+    const db = getDatabase();
+    const ids = db.prepare('SELECT id FROM meat_cuts WHERE deleted_at IS NULL ORDER BY id').all();
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM meat_cuts_fts').run();
+      for (const { id } of ids) {
+        this.refreshSearchIndex(id);
+      }
+      db.prepare('DELETE FROM metadata WHERE key = ?').run(SEARCH_INDEX_REBUILD_KEY);
+    })();
+
+    return ids.length;
+  }
+  
+  /**
+   * Rewrite the full-text search entry of a meat cut
+   * Called whenever the meat cut or its cooking methods / dishes change.
+   * Trashed meat cuts are left out of the index.
+   * @param {number} id - Meat cut ID
+   */
+  static refreshSearchIndex(id) {
+    const db = getDatabase();
+    const meatCut = db.prepare('SELECT * FROM meat_cuts WHERE id = ?').get(id);
+    
+    db.prepare('DELETE FROM meat_cuts_fts WHERE rowid = ?').run(id);
+    
+    if (!meatCut || meatCut.deleted_at) return;
+    
+    db.prepare(`
+      INSERT INTO meat_cuts_fts (
+        rowid, name, chinese_name, part, texture_notes, cooking_methods, recommended_dishes,
+        chinese_name_simplified, chinese_name_pinyin
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      meatCut.id,
+      meatCut.name,
+      segmentForSearch(meatCut.chinese_name),
+      meatCut.part,
+      meatCut.texture_notes || '',
+      this.getCookingMethods(meatCut.id).join(', '),
+      this.getRecommendedDishes(meatCut.id).join(', '),
+      segmentForSearch(toSimplified(meatCut.chinese_name)),
+      toPinyin(meatCut.chinese_name)
+    );
+  }
+  
   /**
    * Get cooking methods for a meat cut
    * @param {number} meatCutId - Meat cut ID
@@ -238,12 +580,44 @@ export class MeatCut {
     return dishes.map(d => d.name);
   }
   
+  /**
+   * Get the cooking methods, recommended dishes and images of many meat cuts in two queries
+   * @param {Array<number>} meatCutIds - Meat cut IDs
+   * @returns {Map<number, {cookingMethods: Array<string>, recommendedDishes: Array<string>, images: Array}>}
+   */
+  static getRelations(meatCutIds) {
+    const galleries = MeatCutImage.findByMeatCutIds(meatCutIds);
+    const relations = new Map(meatCutIds.map(id => [id, { cookingMethods: [], recommendedDishes: [], images: galleries.get(id) }]));
+    if (meatCutIds.length === 0) return relations;
+
+    const db = getDatabase();
+    const ids = JSON.stringify(meatCutIds);
+    const rows = db.prepare(`
+      SELECT mccm.meat_cut_id, 'cookingMethods' AS relation, cm.name
+      FROM meat_cut_cooking_methods mccm
+      JOIN cooking_methods cm ON cm.id = mccm.cooking_method_id
+      WHERE mccm.meat_cut_id IN (SELECT value FROM json_each(?))
+      UNION ALL
+      SELECT mcrd.meat_cut_id, 'recommendedDishes' AS relation, rd.name
+      FROM meat_cut_recommended_dishes mcrd
+      JOIN recommended_dishes rd ON rd.id = mcrd.recommended_dish_id
+      WHERE mcrd.meat_cut_id IN (SELECT value FROM json_each(?))
+      ORDER BY name
+    `).all(ids, ids);
+
+    for (const row of rows) {
+      relations.get(row.meat_cut_id)[row.relation].push(row.name);
+    }
+    return relations;
+  }
+  
   /**
    * Format meat cut for API response
    * @param {object} meatCut - Raw meat cut from database
+   * @param {Array} images - The cut's gallery, when already loaded (see MeatCutImage.findByMeatCutIds)
    * @returns {object} - Formatted meat cut
    */
-  static formatMeatCut(meatCut) {
+  static formatMeatCut(meatCut, images = MeatCutImage.findByMeatCutId(meatCut.id)) {
     return {
       id: meatCut.id,
       name: meatCut.name,
@@ -254,12 +628,16 @@ export class MeatCut {
         min: meatCut.price_min,
         max: meatCut.price_max,
         mean: meatCut.price_mean,
+        currency: meatCut.price_currency,
+        unit: meatCut.price_unit,
         display: meatCut.price_display
       },
+      priceMode: meatCut.price_mode,
       textureNotes: meatCut.texture_notes,
       imageReference: meatCut.image_reference,
       googleDriveImageId: meatCut.google_drive_image_id,
       googleDriveImageUrl: meatCut.google_drive_image_url,
+      images,
       slug: meatCut.slug,
       createdAt: meatCut.created_at,
       updatedAt: meatCut.updated_at
@@ -0,0 +1,135 @@
+import getDatabase from '../config/database.js';
+
+export const IMAGE_ROLES = ['primary', 'raw', 'cooked', 'diagram'];
+
+/**
+ * MeatCutImage Model
+ * Handles database operations for the image gallery of meat cuts
+ */
+export class MeatCutImage {
+  /**
+   * Get the gallery of a meat cut in display order
+   * @param {number} meatCutId - Meat cut ID
+   * @returns {Array} - Array of images
+   */
+  static findByMeatCutId(meatCutId) {
+    return this.findByMeatCutIds([meatCutId]).get(meatCutId);
+  }
+
+  /**
+   * Get the galleries of many meat cuts in one query
+   * @param {Array<number>} meatCutIds - Meat cut IDs
+   * @returns {Map<number, Array>} - Images in display order by meat cut ID
+   */
+  static findByMeatCutIds(meatCutIds) {
+    const galleries = new Map(meatCutIds.map(id => [id, []]));
+    if (meatCutIds.length === 0) return galleries;
+
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT * FROM meat_cut_images
+      WHERE meat_cut_id IN (SELECT value FROM json_each(?))
+      ORDER BY sort_order, id
+    `).all(JSON.stringify(meatCutIds));
+
+    for (const row of rows) {
+      galleries.get(row.meat_cut_id).push(this.formatImage(row));
+    }
+    return galleries;
+  }
+
+  /**
+   * Count gallery entries, including those of trashed meat cuts, that use an image
+   * @param {string} imageId - Stored image ID
+   * @returns {number}
+   */
+  static countByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM meat_cut_images WHERE image_id = ?').get(imageId).count;
+  }
+
+  /**
+   * Get the gallery entries, including those of trashed meat cuts, that use an image
+   * @param {string} imageId - Stored image ID
+   * @returns {Array<{meatCutId: number, role: string}>}
+   */
+  static findByImageId(imageId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT meat_cut_id, role FROM meat_cut_images
+      WHERE image_id = ?
+      ORDER BY meat_cut_id, sort_order
+    `).all(imageId).map(row => ({ meatCutId: row.meat_cut_id, role: row.role }));
+  }
+
+  /**
+   * Replace the gallery of a meat cut
+   * @param {number} meatCutId - Meat cut ID
+   * @param {Array<{imageId: string, role: string, caption: string|null}>} images - Images in display order
+   * @returns {Array} - Saved images
+   */
+  static replaceForMeatCut(meatCutId, images) {
+    const db = getDatabase();
+    const insert = db.prepare(`
+      INSERT INTO meat_cut_images (meat_cut_id, image_id, role, caption, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM meat_cut_images WHERE meat_cut_id = ?').run(meatCutId);
+      images.forEach((image, index) => {
+        insert.run(meatCutId, image.imageId, image.role, image.caption || null, index);
+      });
+    })();
+
+    return this.findByMeatCutId(meatCutId);
+  }
+
+  /**
+   * Make an image the primary image of a meat cut, shown first.
+   * The previous primary image leaves the gallery; null only removes it.
+   * @param {number} meatCutId - Meat cut ID
+   * @param {string|null} imageId - Stored image ID
+   */
+  static setPrimaryImage(meatCutId, imageId) {
+    const db = getDatabase();
+    const primary = db.prepare(`
+      SELECT image_id FROM meat_cut_images WHERE meat_cut_id = ? AND role = 'primary'
+    `).get(meatCutId);
+    if ((primary?.image_id ?? null) === (imageId || null)) return;
+
+    db.transaction(() => {
+      db.prepare(`DELETE FROM meat_cut_images WHERE meat_cut_id = ? AND role = 'primary'`).run(meatCutId);
+      if (!imageId) return;
+
+      // An image already in the gallery keeps its caption
+      const existing = db.prepare(`
+        SELECT caption FROM meat_cut_images WHERE meat_cut_id = ? AND image_id = ?
+      `).get(meatCutId, imageId);
+      db.prepare('DELETE FROM meat_cut_images WHERE meat_cut_id = ? AND image_id = ?').run(meatCutId, imageId);
+      db.prepare('UPDATE meat_cut_images SET sort_order = sort_order + 1 WHERE meat_cut_id = ?').run(meatCutId);
+      db.prepare(`
+        INSERT INTO meat_cut_images (meat_cut_id, image_id, role, caption, sort_order)
+        VALUES (?, ?, 'primary', ?, 0)
+      `).run(meatCutId, imageId, existing?.caption ?? null);
+    })();
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted image
+   */
+  static formatImage(row) {
+    return {
+      id: row.id,
+      imageId: row.image_id,
+      url: `/api/drive/image/${row.image_id}`,
+      role: row.role,
+      caption: row.caption,
+      sortOrder: row.sort_order
+    };
+  }
+}
+
+export default MeatCutImage;
@@ -0,0 +1,77 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * MeatCutRevision Model
+ * Handles database operations for meat cut revisions (previous states of a meat cut)
+ */
+export class MeatCutRevision {
+  /**
+   * Store a snapshot as the next revision of a meat cut
+   * @param {number} meatCutId - Meat cut ID
+   * @param {object} snapshot - { row, cookingMethods, recommendedDishes }
+   * @param {object} options - { reason: 'update' | 'restore', createdBy }
+   * @returns {object} - Created revision
+   */
+  static create(meatCutId, snapshot, options = {}) {
+    const db = getDatabase();
+    const { next } = db.prepare(`
+      SELECT COALESCE(MAX(revision_number), 0) + 1 as next
+      FROM meat_cut_revisions
+      WHERE meat_cut_id = ?
+    `).get(meatCutId);
+
+    const result = db.prepare(`
+      INSERT INTO meat_cut_revisions (meat_cut_id, revision_number, snapshot, reason, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(meatCutId, next, JSON.stringify(snapshot), options.reason || 'update', options.createdBy || null);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find revision by ID
+   * @param {number} id - Revision ID
+   * @returns {object|null} - Revision or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const revision = db.prepare('SELECT * FROM meat_cut_revisions WHERE id = ?').get(id);
+
+    if (!revision) return null;
+
+    return this.formatRevision(revision);
+  }
+
+  /**
+   * Get all revisions of a meat cut, newest first
+   * @param {number} meatCutId - Meat cut ID
+   * @returns {Array} - Array of revisions
+   */
+  static findByMeatCut(meatCutId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT * FROM meat_cut_revisions
+      WHERE meat_cut_id = ?
+      ORDER BY revision_number DESC
+    `).all(meatCutId).map(revision => this.formatRevision(revision));
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted revision
+   */
+  static formatRevision(row) {
+    return {
+      id: row.id,
+      meatCutId: row.meat_cut_id,
+      revisionNumber: row.revision_number,
+      snapshot: JSON.parse(row.snapshot),
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default MeatCutRevision;
@@ -0,0 +1,43 @@
+import getDatabase from '../config/database.js';
+
+// Changes whenever meat cuts, or anything shown with them, change
+export const MEAT_CUTS_UPDATE_KEY = 'last_meat_cuts_update';
+
+// Set by migrations that change the search index; the server then rebuilds it at startup
+export const SEARCH_INDEX_REBUILD_KEY = 'search_index_rebuild';
+
+/**
+ * Metadata Model
+ * Handles database operations for the metadata key/value table
+ */
+export class Metadata {
+  /**
+   * Get a metadata value
+   * @param {string} key - Metadata key
+   * @returns {string|null} - Value or null
+   */
+  static get(key) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT value FROM metadata WHERE key = ?').get(key);
+
+    return row ? row.value : null;
+  }
+
+  /**
+   * Mark the meat cuts data as changed
+   * The timestamp has millisecond precision and always moves forward, so every
+   * change gives a new value (response caches are keyed on it).
+   */
+  static touchMeatCutsUpdate() {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO metadata (key, value, updated_at)
+      VALUES (?, strftime('%Y-%m-%d %H:%M:%f', 'now'), datetime('now'))
+      ON CONFLICT(key) DO UPDATE SET
+        value = strftime('%Y-%m-%d %H:%M:%f', MAX(julianday('now'), COALESCE(julianday(value), 0) + 0.001 / 86400)),
+        updated_at = excluded.updated_at
+    `).run(MEAT_CUTS_UPDATE_KEY);
+  }
+}
+
+export default Metadata;
@@ -0,0 +1,144 @@
+import getDatabase from '../config/database.js';
+import { formatPrice } from '../utils/priceParser.js';
+
+/**
+ * PriceHistory Model
+ * Handles database operations for the price history of meat cuts
+ */
+export class PriceHistory {
+  /**
+   * Record the price of a meat cut
+   * @param {object} data - { meatCutId, priceMin, priceMax, priceMean, priceCurrency, priceUnit, source, store, recordedBy }
+   * @returns {object} - Created entry
+   */
+  static create(data) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO price_history (
+        meat_cut_id, price_min, price_max, price_mean, price_currency, price_unit,
+        source, store, recorded_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.meatCutId,
+      data.priceMin,
+      data.priceMax,
+      data.priceMean,
+      data.priceCurrency,
+      data.priceUnit,
+      data.source || null,
+      data.store || null,
+      data.recordedBy || null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Record the current price of a meat cut row
+   * @param {object} row - meat_cuts row
+   * @param {object} options - { source, store, recordedBy }
+   * @returns {object} - Created entry
+   */
+  static recordRow(row, options = {}) {
+    return this.create({
+      meatCutId: row.id,
+      priceMin: row.price_min,
+      priceMax: row.price_max,
+      priceMean: row.price_mean,
+      priceCurrency: row.price_currency,
+      priceUnit: row.price_unit,
+      ...options
+    });
+  }
+
+  /**
+   * Find entry by ID
+   * @param {number} id - Entry ID
+   * @returns {object|null} - Entry or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const entry = db.prepare('SELECT * FROM price_history WHERE id = ?').get(id);
+
+    if (!entry) return null;
+
+    return this.formatEntry(entry);
+  }
+
+  /**
+   * Get the price history of a meat cut, oldest first
+   * @param {number} meatCutId - Meat cut ID
+   * @param {object} options - { from, to } (inclusive, 'YYYY-MM-DD' or datetime)
+   * @returns {Array} - Array of entries
+   */
+  static findByMeatCut(meatCutId, options = {}) {
+    const db = getDatabase();
+    const conditions = ['meat_cut_id = ?'];
+    const params = [meatCutId];
+
+    if (options.from) {
+      conditions.push('recorded_at >= ?');
+      params.push(options.from);
+    }
+    if (options.to) {
+      conditions.push('recorded_at <= ?');
+      params.push(options.to);
+    }
+
+    return db.prepare(`
+      SELECT * FROM price_history
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY recorded_at, id
+    `).all(...params).map(entry => this.formatEntry(entry));
+  }
+
+  /**
+   * Get the history of every live meat cut with its current part, oldest first
+   * @param {object} options - { part }
+   * @returns {Array} - Entries with part
+   */
+  static findAllWithPart(options = {}) {
+    const db = getDatabase();
+    const conditions = ['mc.deleted_at IS NULL'];
+    const params = [];
+
+    if (options.part) {
+      conditions.push('mc.part = ?');
+      params.push(options.part);
+    }
+
+    return db.prepare(`
+      SELECT ph.*, mc.part
+      FROM price_history ph
+      JOIN meat_cuts mc ON mc.id = ph.meat_cut_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ph.recorded_at, ph.id
+    `).all(...params).map(entry => ({ ...this.formatEntry(entry), part: entry.part }));
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted entry
+   */
+  static formatEntry(row) {
+    return {
+      id: row.id,
+      meatCutId: row.meat_cut_id,
+      priceRange: {
+        min: row.price_min,
+        max: row.price_max,
+        mean: row.price_mean,
+        currency: row.price_currency,
+        unit: row.price_unit,
+        display: formatPrice({ min: row.price_min, max: row.price_max, currency: row.price_currency, unit: row.price_unit })
+      },
+      source: row.source,
+      store: row.store,
+      recordedBy: row.recorded_by,
+      recordedAt: row.recorded_at
+    };
+  }
+}
+
+export default PriceHistory;
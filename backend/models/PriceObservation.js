@@ -0,0 +1,200 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * PriceObservation Model
+ * Handles database operations for prices seen at a store on a given day
+ */
+export class PriceObservation {
+  /**
+   * Create a new observation
+   * @param {object} data - { storeId, meatCutId, price, currency, unit, observedOn, note, createdBy }
+   * @returns {object} - Created observation
+   */
+  static create(data) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO price_observations (
+        store_id, meat_cut_id, price, currency, unit, observed_on, note, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      data.storeId,
+      data.meatCutId,
+      data.price,
+      data.currency,
+      data.unit,
+      data.observedOn,
+      data.note || null,
+      data.createdBy || null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find observation by ID
+   * @param {number} id - Observation ID
+   * @returns {object|null} - Observation or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const observation = db.prepare(`
+      SELECT po.*, s.name as store_name
+      FROM price_observations po
+      JOIN stores s ON s.id = po.store_id
+      WHERE po.id = ?
+    `).get(id);
+
+    if (!observation) return null;
+
+    return this.formatObservation(observation);
+  }
+
+  /**
+   * Get observations, newest first
+   * @param {object} options - { meatCutId, storeId, since: 'YYYY-MM-DD', limit, offset }
+   * @returns {Array} - Array of observations
+   */
+  static findAll(options = {}) {
+    const db = getDatabase();
+    const { limit = 100, offset = 0 } = options;
+    const { where, params } = this.buildFilters(options);
+
+    return db.prepare(`
+      SELECT po.*, s.name as store_name
+      FROM price_observations po
+      JOIN stores s ON s.id = po.store_id
+      ${where}
+      ORDER BY po.observed_on DESC, po.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(observation => this.formatObservation(observation));
+  }
+
+  /**
+   * Count observations
+   * @param {object} options - { meatCutId, storeId, since }
+   * @returns {number}
+   */
+  static count(options = {}) {
+    const db = getDatabase();
+    const { where, params } = this.buildFilters(options);
+
+    return db.prepare(`SELECT COUNT(*) as count FROM price_observations po ${where}`).get(...params).count;
+  }
+
+  /**
+   * Get the latest observation of a meat cut at each store
+   * @param {number} meatCutId - Meat cut ID
+   * @returns {Array} - Observations with store details and the store's observation count
+   */
+  static findLatestByStore(meatCutId) {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT po.*, s.name as store_name, s.location as store_location, s.url as store_url, ranked.observation_count
+      FROM (
+        SELECT id,
+          ROW_NUMBER() OVER (PARTITION BY store_id ORDER BY observed_on DESC, id DESC) as position,
+          COUNT(*) OVER (PARTITION BY store_id) as observation_count
+        FROM price_observations
+        WHERE meat_cut_id = ?
+      ) ranked
+      JOIN price_observations po ON po.id = ranked.id
+      JOIN stores s ON s.id = po.store_id
+      WHERE ranked.position = 1
+    `).all(meatCutId).map(observation => ({
+      ...this.formatObservation(observation),
+      storeLocation: observation.store_location,
+      storeUrl: observation.store_url,
+      observationCount: observation.observation_count
+    }));
+  }
+
+  /**
+   * Update an observation
+   * @param {number} id - Observation ID
+   * @param {object} data - { storeId, meatCutId, price, currency, unit, observedOn, note }
+   * @returns {object|null} - Updated observation or null
+   */
+  static update(id, data) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE price_observations
+      SET store_id = ?, meat_cut_id = ?, price = ?, currency = ?, unit = ?, observed_on = ?, note = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      data.storeId,
+      data.meatCutId,
+      data.price,
+      data.currency,
+      data.unit,
+      data.observedOn,
+      data.note || null,
+      id
+    );
+
+    return this.findById(id);
+  }
+
+  /**
+   * Delete an observation
+   * @param {number} id - Observation ID
+   * @returns {boolean} - True if deleted
+   */
+  static delete(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM price_observations WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Build the WHERE clause of findAll() / count()
+   * @param {object} options - { meatCutId, storeId, since }
+   * @returns {{where: string, params: Array}}
+   */
+  static buildFilters(options) {
+    const conditions = [];
+    const params = [];
+
+    if (options.meatCutId) {
+      conditions.push('po.meat_cut_id = ?');
+      params.push(options.meatCutId);
+    }
+    if (options.storeId) {
+      conditions.push('po.store_id = ?');
+      params.push(options.storeId);
+    }
+    if (options.since) {
+      conditions.push('po.observed_on >= ?');
+      params.push(options.since);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted observation
+   */
+  static formatObservation(row) {
+    return {
+      id: row.id,
+      storeId: row.store_id,
+      storeName: row.store_name,
+      meatCutId: row.meat_cut_id,
+      price: row.price,
+      currency: row.currency,
+      unit: row.unit,
+      observedOn: row.observed_on,
+      note: row.note,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default PriceObservation;
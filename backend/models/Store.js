@@ -0,0 +1,126 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * Store Model
+ * Handles database operations for stores (butchers, supermarkets) where prices are observed
+ */
+export class Store {
+  /**
+   * Create a new store
+   * @param {object} data - { name, location, url, notes, createdBy }
+   * @returns {object} - Created store
+   */
+  static create(data) {
+    const db = getDatabase();
+    const result = db.prepare(`
+      INSERT INTO stores (name, location, url, notes, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(data.name, data.location || null, data.url || null, data.notes || null, data.createdBy || null);
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Find store by ID
+   * @param {number} id - Store ID
+   * @returns {object|null} - Store or null
+   */
+  static findById(id) {
+    const db = getDatabase();
+    const store = db.prepare('SELECT * FROM stores WHERE id = ?').get(id);
+
+    if (!store) return null;
+
+    return this.formatStore(store);
+  }
+
+  /**
+   * Find store by name (case-insensitive)
+   * @param {string} name - Store name
+   * @returns {object|null} - Store or null
+   */
+  static findByName(name) {
+    const db = getDatabase();
+    const store = db.prepare('SELECT * FROM stores WHERE name = ?').get(name);
+
+    if (!store) return null;
+
+    return this.formatStore(store);
+  }
+
+  /**
+   * Get all stores by name, with how many prices were observed at each
+   * @returns {Array} - Array of stores
+   */
+  static findAll() {
+    const db = getDatabase();
+    return db.prepare(`
+      SELECT s.*, COUNT(po.id) as observation_count
+      FROM stores s
+      LEFT JOIN price_observations po ON po.store_id = s.id
+      GROUP BY s.id
+      ORDER BY s.name
+    `).all().map(store => ({
+      ...this.formatStore(store),
+      observationCount: store.observation_count
+    }));
+  }
+
+  /**
+   * Update a store
+   * @param {number} id - Store ID
+   * @param {object} data - { name, location, url, notes }
+   * @returns {object|null} - Updated store or null
+   */
+  static update(id, data) {
+    const db = getDatabase();
+    db.prepare(`
+      UPDATE stores
+      SET name = ?, location = ?, url = ?, notes = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(data.name, data.location || null, data.url || null, data.notes || null, id);
+
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a store
+   * @param {number} id - Store ID
+   * @returns {boolean} - True if deleted
+   */
+  static delete(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM stores WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Count the price observations made at a store
+   * @param {number} id - Store ID
+   * @returns {number}
+   */
+  static countObservations(id) {
+    const db = getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM price_observations WHERE store_id = ?').get(id).count;
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted store
+   */
+  static formatStore(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      location: row.location,
+      url: row.url,
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default Store;
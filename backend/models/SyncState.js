@@ -0,0 +1,83 @@
+import getDatabase from '../config/database.js';
+
+/**
+ * SyncState Model
+ * Handles database operations for what synced items looked like after their last Drive sync
+ */
+export class SyncState {
+  /**
+   * Key of an item in the map returned by findAll()
+   * @param {string} kind - 'image' or 'csv'
+   * @param {string} itemKey - Item key
+   * @returns {string}
+   */
+  static key(kind, itemKey) {
+    return `${kind}:${itemKey}`;
+  }
+
+  /**
+   * Get the state of every synced item
+   * @returns {Map<string, object>} - States by key()
+   */
+  static findAll() {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM sync_state ORDER BY kind, item_key').all();
+
+    return new Map(rows.map(row => [this.key(row.kind, row.item_key), this.formatState(row)]));
+  }
+
+  /**
+   * Record the state of an item after it was synced
+   * @param {object} data - { kind, itemKey, remoteId, remoteModifiedTime, remoteHash, localHash }
+   */
+  static upsert(data) {
+    const db = getDatabase();
+    db.prepare(`
+      INSERT INTO sync_state (kind, item_key, remote_id, remote_modified_time, remote_hash, local_hash)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(kind, item_key) DO UPDATE SET
+        remote_id = excluded.remote_id,
+        remote_modified_time = excluded.remote_modified_time,
+        remote_hash = excluded.remote_hash,
+        local_hash = excluded.local_hash,
+        synced_at = datetime('now')
+    `).run(
+      data.kind,
+      data.itemKey,
+      data.remoteId ?? null,
+      data.remoteModifiedTime ?? null,
+      data.remoteHash ?? null,
+      data.localHash ?? null
+    );
+  }
+
+  /**
+   * Forget the state of an item
+   * @param {string} kind - 'image' or 'csv'
+   * @param {string} itemKey - Item key
+   * @returns {boolean} - True if a state was removed
+   */
+  static remove(kind, itemKey) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM sync_state WHERE kind = ? AND item_key = ?').run(kind, itemKey).changes > 0;
+  }
+
+  /**
+   * Format database row to API format
+   * @param {object} row - Database row
+   * @returns {object} - Formatted state
+   */
+  static formatState(row) {
+    return {
+      kind: row.kind,
+      itemKey: row.item_key,
+      remoteId: row.remote_id,
+      remoteModifiedTime: row.remote_modified_time,
+      remoteHash: row.remote_hash,
+      localHash: row.local_hash,
+      syncedAt: row.synced_at
+    };
+  }
+}
+
+export default SyncState;
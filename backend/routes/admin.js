@@ -5,64 +5,340 @@ import MeatCut from '../models/MeatCut.js';
 import CookingMethod from '../models/CookingMethod.js';
 import RecommendedDish from '../models/RecommendedDish.js';
 import googleDriveService from '../services/googleDriveService.js';
-import { authenticateAdmin } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { validateMeatCut, normalizeLean } from '../utils/validators.js';
-import { exportMeatCutsToCSVWithFilename } from '../utils/csvExporter.js';
+import imageStorage from '../services/imageStorageService.js';
+import AdminUser from '../models/AdminUser.js';
+import AuthService, { ROLES } from '../services/authService.js';
+import AuditService from '../services/auditService.js';
+import RevisionService from '../services/revisionService.js';
+import TrashService from '../services/trashService.js';
+import ImageDerivativeService from '../services/imageDerivativeService.js';
+import ImageCacheService from '../services/imageCacheService.js';
+import MeatCutImageService, { MAX_GALLERY_IMAGES } from '../services/meatCutImageService.js';
+import ImageUploadService from '../services/imageUploadService.js';
+import ImportService, { IMPORT_MODES } from '../services/importService.js';
+import ImportProfileService from '../services/importProfileService.js';
+import SyncService from '../services/syncService.js';
+import ImportProfile from '../models/ImportProfile.js';
+import ExchangeRateService, { BASE_CURRENCY } from '../services/exchangeRateService.js';
+import StoreService from '../services/storeService.js';
+import PriceObservationService from '../services/priceObservationService.js';
+import Store from '../models/Store.js';
+import Metadata from '../models/Metadata.js';
+import { authenticateAdmin, requireRole } from '../middleware/auth.js';
+import { imageUpload } from '../middleware/imageUpload.js';
+import { asyncHandler, clientError } from '../middleware/errorHandler.js';
+import { validateMeatCut, validatePriceRange, normalizeLean } from '../utils/validators.js';
+import {
+  parsePrice,
+  normalizeCurrency,
+  normalizeUnit,
+  formatPrice,
+  PriceFormatError,
+  DEFAULT_CURRENCY,
+  DEFAULT_UNIT
+} from '../utils/priceParser.js';
+import { exportMeatCutsToCSVWithFilename, exportMeatCuts } from '../utils/csvExporter.js';
+import { FILE_FORMATS, detectFormat, readRows } from '../utils/fileFormats.js';
+import { FIELD_TRANSFORMS } from '../utils/meatCutColumns.js';
 
 const router = express.Router();
 
 // Configure multer for file uploads (memory storage)
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Meat cut forms: the main image and gallery images, checked and stripped of metadata
+const meatCutUploads = imageUpload([
+  { name: 'imageFile', maxCount: 1 },
+  { name: 'images', maxCount: MAX_GALLERY_IMAGES }
+]);
+
+/**
+ * Parse a positive integer route/query parameter
+ * @param {string} value - Raw value
+ * @returns {number|null}
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
 /**
  * POST /api/admin/login
  * Admin login (no authentication required)
+ * Returns a short-lived access token and a refresh token
  */
 router.post('/login', asyncHandler(async (req, res) => {
   const { username, password } = req.body;
-  const expectedUsername = process.env.ADMIN_USERNAME || 'admin';
-  const expectedPassword = process.env.ADMIN_PASSWORD || 'admin';
 
-  if (username === expectedUsername && password === expectedPassword) {
-    // Generate a simple token (in production, use JWT)
-    const token = Buffer.from(`${username}:${Date.now()}`).toString('base64');
-    res.json({
-      success: true,
-      token,
-      message: 'Login successful'
+  if (!username || !password) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Username and password are required'
+      }
     });
-  } else {
-    res.status(401).json({
+  }
+
+  const result = AuthService.login(username, password, { userAgent: req.headers['user-agent'] });
+
+  if (!result) {
+    return res.status(401).json({
       success: false,
       error: {
         message: 'Invalid credentials'
       }
     });
   }
+
+  res.json({
+    success: true,
+    token: result.accessToken,
+    expiresIn: result.expiresIn,
+    refreshToken: result.refreshToken,
+    refreshExpiresAt: result.refreshExpiresAt,
+    user: result.user,
+    message: 'Login successful'
+  });
+}));
+
+/**
+ * POST /api/admin/refresh
+ * Exchange a refresh token for a new token pair (no authentication required)
+ * The old refresh token stops working.
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const result = AuthService.refresh(req.body.refreshToken);
+
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid or expired refresh token'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    token: result.accessToken,
+    expiresIn: result.expiresIn,
+    refreshToken: result.refreshToken,
+    refreshExpiresAt: result.refreshExpiresAt,
+    user: result.user
+  });
 }));
 
 // All other admin routes require authentication
 router.use(authenticateAdmin);
 
+/**
+ * POST /api/admin/logout
+ * Revoke the current session, or every session of the user with { all: true }
+ * Role: viewer
+ */
+router.post('/logout', requireRole('viewer'), asyncHandler(async (req, res) => {
+  if (req.auth.type !== 'session') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Logout requires a session access token'
+      }
+    });
+  }
+
+  const revoked = req.body?.all
+    ? AuthService.logoutAll(req.user.id)
+    : (AuthService.logout(req.auth.session.id) ? 1 : 0);
+
+  res.json({
+    success: true,
+    revoked,
+    message: 'Logged out'
+  });
+}));
+
+/**
+ * GET /api/admin/me
+ * Get the authenticated user
+ * Role: viewer
+ */
+router.get('/me', requireRole('viewer'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    authType: req.auth.type,
+    user: req.user
+  });
+}));
+
+/**
+ * GET /api/admin/users
+ * List admin users
+ * Role: admin
+ */
+router.get('/users', requireRole('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    users: AdminUser.findAll(),
+    roles: ROLES
+  });
+}));
+
+/**
+ * POST /api/admin/users
+ * Create an admin user ({ username, password, role })
+ * Role: admin
+ */
+router.post('/users', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { username, password, role = 'viewer' } = req.body;
+  const user = AuthService.createUser(username, password, role);
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'user.create',
+    entityType: 'user',
+    entityId: user.id,
+    after: { username: user.username, role: user.role }
+  });
+
+  res.status(201).json({
+    success: true,
+    user
+  });
+}));
+
+/**
+ * PUT /api/admin/users/:id
+ * Change a user's role and/or password ({ role, password })
+ * Changing the password signs the user out everywhere.
+ * Role: admin
+ */
+router.put('/users/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || !AdminUser.findById(id)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Admin user not found'
+      }
+    });
+  }
+
+  const before = AdminUser.findById(id);
+  const { role, password } = req.body;
+  if (role !== undefined) {
+    AuthService.validateRole(role);
+  }
+  if (password !== undefined) {
+    AuthService.validatePassword(password);
+  }
+
+  // Both changes and their audit entry are saved together or not at all
+  const db = getDatabase();
+  db.transaction(() => {
+    if (role !== undefined) {
+      AuthService.setRole(id, role);
+    }
+    if (password !== undefined) {
+      AuthService.setPassword(id, password);
+    }
+    const after = AdminUser.findById(id);
+
+    AuditService.record({
+      actor: AuditService.getRequestActor(req),
+      action: 'user.update',
+      entityType: 'user',
+      entityId: id,
+      before: { username: before.username, role: before.role },
+      after: { username: after.username, role: after.role },
+      // Passwords are never logged, only the fact that one was set
+      metadata: password !== undefined ? { passwordChanged: true } : null
+    });
+  })();
+
+  res.json({
+    success: true,
+    user: AdminUser.findById(id)
+  });
+}));
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete an admin user (not yourself, not the last admin)
+ * Role: admin
+ */
+router.delete('/users/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid user ID'
+      }
+    });
+  }
+
+  const before = AdminUser.findById(id);
+  AuthService.deleteUser(id, { actingUserId: req.user?.id });
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'user.delete',
+    entityType: 'user',
+    entityId: id,
+    before: { username: before.username, role: before.role }
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin user deleted'
+  });
+}));
+
+/**
+ * GET /api/admin/audit
+ * List audit log entries, newest first
+ * Query: page, limit (max 200), entityType, entityId, action, actorId
+ * Role: viewer
+ */
+router.get('/audit', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const actorId = req.query.actorId !== undefined ? parseInt(req.query.actorId) : undefined;
+
+  const result = AuditService.list({
+    page: req.query.page,
+    limit: req.query.limit,
+    entityType: req.query.entityType,
+    entityId: req.query.entityId,
+    action: req.query.action,
+    actorId: isNaN(actorId) ? undefined : actorId
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
 /**
  * GET /api/admin/meat-cuts
  * List all meat cuts (for admin interface)
+ * Role: viewer
  */
-router.get('/meat-cuts', asyncHandler(async (req, res) => {
+router.get('/meat-cuts', requireRole('viewer'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const offset = (page - 1) * limit;
   const orderBy = req.query.orderBy || 'name'; // Default to 'name' to match public view
 
   const meatCuts = MeatCut.findAll({ limit, offset, orderBy });
-  const total = getDatabase().prepare('SELECT COUNT(*) as count FROM meat_cuts').get().count;
+  const total = MeatCut.count();
 
   // Add related data for each meat cut
+  const relations = MeatCut.getRelations(meatCuts.map(mc => mc.id));
   const meatCutsWithRelations = meatCuts.map(mc => ({
     ...mc,
-    cookingMethods: MeatCut.getCookingMethods(mc.id),
-    recommendedDishes: MeatCut.getRecommendedDishes(mc.id),
+    ...relations.get(mc.id),
     imageUrl: mc.googleDriveImageId ? `/api/drive/image/${mc.googleDriveImageId}` : null,
     // Include googleDriveImageId and googleDriveImageUrl for frontend use
     googleDriveImageId: mc.googleDriveImageId,
@@ -80,8 +356,9 @@ router.get('/meat-cuts', asyncHandler(async (req, res) => {
 /**
  * GET /api/admin/meat-cuts/:id
  * Get single meat cut by ID (for admin interface)
+ * Role: viewer
  */
-router.get('/meat-cuts/:id', asyncHandler(async (req, res) => {
+router.get('/meat-cuts/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id);
   
   if (isNaN(id)) {
@@ -119,13 +396,180 @@ router.get('/meat-cuts/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Read the price fields of a meat cut create/update request
+ * A price text (priceDisplay) is parsed with the price grammar; priceMin/priceMax,
+ * priceCurrency and priceUnit fill in or override what it states. Without a price
+ * text, the display is generated from the other fields.
+ * @param {object} data - Request body
+ * @param {object|null} current - Current priceRange when updating, null when creating
+ * @returns {object} - priceMin, priceMax, priceMean, priceCurrency, priceUnit and
+ *   priceDisplay, or an empty object when an update sends no price fields
+ */
+function readPriceFields(data, current = null) {
+  const input = {
+    min: data.priceMin ?? data.price_min,
+    max: data.priceMax ?? data.price_max,
+    mean: data.priceMean ?? data.price_mean,
+    display: typeof (data.priceDisplay ?? data.price_display) === 'string'
+      ? (data.priceDisplay ?? data.price_display).trim()
+      : undefined,
+    currency: data.priceCurrency ?? data.price_currency,
+    unit: data.priceUnit ?? data.price_unit
+  };
+
+  if (current && Object.values(input).every(value => value === undefined || value === '')) {
+    return {};
+  }
+
+  let stated = { currency: null, unit: null };
+  if (input.display) {
+    try {
+      stated = parsePrice(input.display, { currency: null, unit: null });
+    } catch (error) {
+      if (!(error instanceof PriceFormatError)) throw error;
+      throw clientError(`Invalid price "${input.display}": ${error.message}`);
+    }
+  }
+
+  const number = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw clientError(`Price ${name} must be a non-negative number`);
+    }
+    return parsed;
+  };
+  const attribute = (value, normalize, name) => {
+    if (value === undefined || value === '') return stated[name];
+    const normalized = normalize(String(value));
+    if (!normalized) {
+      throw clientError(`Unknown price ${name} "${value}"`);
+    }
+    if (stated[name] && stated[name] !== normalized) {
+      throw clientError(`Price ${name} ${normalized} does not match the price "${input.display}"`);
+    }
+    return normalized;
+  };
+
+  const min = number(input.min, 'min') ?? stated.min ?? current?.min ?? 0;
+  const max = number(input.max, 'max') ?? stated.max ?? current?.max ?? 0;
+  if (!validatePriceRange(min, max)) {
+    throw clientError(`Minimum price ${min} is higher than maximum price ${max}`);
+  }
+
+  const price = {
+    min,
+    max,
+    currency: attribute(input.currency, normalizeCurrency, 'currency') ?? current?.currency ?? DEFAULT_CURRENCY,
+    unit: attribute(input.unit, normalizeUnit, 'unit') ?? current?.unit ?? DEFAULT_UNIT
+  };
+
+  // Keep the current wording ("$12.50 to $15") when the price itself is unchanged
+  const unchanged = current && ['min', 'max', 'currency', 'unit'].every(key => price[key] === current[key]);
+
+  return {
+    priceMin: price.min,
+    priceMax: price.max,
+    priceMean: number(input.mean, 'mean') ?? (price.min + price.max) / 2,
+    priceCurrency: price.currency,
+    priceUnit: price.unit,
+    priceDisplay: input.display || (unchanged ? current.display : formatPrice(price))
+  };
+}
+
+/**
+ * Read where a new price came from, for the price history
+ * @param {object} data - Request body (optional priceSource, priceStore)
+ * @param {object} actor - From AuditService.getRequestActor()
+ * @returns {object} - MeatCut.create/update options
+ */
+function readPriceHistoryOptions(data, actor) {
+  const text = (value) => (typeof value === 'string' && value.trim()) || null;
+
+  return {
+    source: text(data.priceSource) || 'admin',
+    store: text(data.priceStore),
+    createdBy: actor.name
+  };
+}
+
+/**
+ * Read the gallery changes sent with a meat cut form
+ * @param {object} req - Express request (images files; gallery, imageRoles and imageCaptions fields)
+ * @returns {{gallery: Array|undefined, uploads: Array}|null} - Null when the gallery is left alone
+ */
+function readGalleryInput(req) {
+  const uploads = MeatCutImageService.readUploads(req.files?.images, req.body);
+  const gallery = MeatCutImageService.parseGallery(req.body.gallery);
+  return uploads.length > 0 || gallery !== undefined ? { gallery, uploads } : null;
+}
+
+/**
+ * Upload a meat cut's new gallery images and make its primary image the main image
+ * @param {Array} images - From MeatCutImageService.buildGallery()
+ * @param {object} data - Meat cut data being saved; gets images, googleDriveImageId and googleDriveImageUrl
+ * @param {string} baseName - Name the stored files start with
+ */
+async function storeGallery(images, data, baseName) {
+  data.images = await MeatCutImageService.storeUploads(images, baseName);
+
+  const primaryId = MeatCutImageService.getPrimaryImageId(data.images);
+  data.googleDriveImageId = primaryId;
+  data.googleDriveImageUrl = primaryId ? imageStorage.getImageUrl(primaryId) : null;
+}
+
+/**
+ * List the required meat cut fields a create request leaves out
+ * @param {object} data - Request body
+ * @returns {Array<string>} - Missing field names
+ */
+function missingMeatCutFields(data) {
+  const given = (...values) => values.some(value => value !== undefined && String(value).trim() !== '');
+
+  const missing = [];
+  if (!given(data.name)) missing.push('name');
+  if (!given(data.chineseName, data.chinese_name)) missing.push('chineseName');
+  if (!given(data.imageReference, data.image_reference)) missing.push('imageReference');
+  if (!given(data.priceDisplay, data.price_display)
+    && !(given(data.priceMin, data.price_min) && given(data.priceMax, data.price_max))) {
+    missing.push('price (priceDisplay, or priceMin and priceMax)');
+  }
+  return missing;
+}
+
+/**
+ * Delete images stored for a request that then failed, with their derivatives
+ * @param {Array<string>} imageIds - Stored image IDs
+ */
+async function deleteStoredImages(imageIds) {
+  for (const imageId of imageIds) {
+    try {
+      await ImageDerivativeService.deleteFor(imageId);
+      await imageStorage.deleteImage(imageId);
+    } catch (error) {
+      console.error('Failed to delete image from storage:', error);
+    }
+  }
+}
+
 /**
  * POST /api/admin/meat-cuts
  * Create new meat cut
+ * Gallery images are sent as `images` files, with `imageRoles` and `imageCaptions`
+ * (JSON arrays in the same order); the main image becomes the primary one.
+ * Role: editor
  */
-router.post('/meat-cuts', upload.single('imageFile'), asyncHandler(async (req, res) => {
+router.post('/meat-cuts', requireRole('editor'), meatCutUploads, asyncHandler(async (req, res) => {
   const data = req.body;
-  const file = req.file;
+  const file = req.files?.imageFile?.[0];
+  const galleryInput = readGalleryInput(req);
+
+  // Check the required fields before anything is stored
+  const missing = missingMeatCutFields(data);
+  if (missing.length > 0) {
+    throw clientError(`Missing required fields: ${missing.join(', ')}`);
+  }
 
   // Parse array fields from FormData
   let cookingMethods = [];
@@ -148,23 +592,26 @@ router.post('/meat-cuts', upload.single('imageFile'), asyncHandler(async (req, r
     chineseName: data.chineseName || data.chinese_name || '',
     part: (data.part || 'Other').trim(),
     lean: normalizeLean(data.lean),
-    priceMin: parseFloat(data.priceMin || data.price_min || '0'),
-    priceMax: parseFloat(data.priceMax || data.price_max || '0'),
-    priceMean: data.priceMean || data.price_mean || ((parseFloat(data.priceMin || data.price_min || '0') + parseFloat(data.priceMax || data.price_max || '0')) / 2),
-    priceDisplay: data.priceDisplay || data.price_display || `$${data.priceMin || data.price_min || '0'} – $${data.priceMax || data.price_max || '0'}`,
+    ...readPriceFields(data),
+    priceMode: PriceObservationService.requirePriceMode(data.priceMode),
     textureNotes: data.textureNotes || data.texture_notes || null,
     imageReference: data.imageReference || data.image_reference || '',
     googleDriveImageId: data.googleDriveImageId || data.google_drive_image_id || null,
     googleDriveImageUrl: data.googleDriveImageUrl || data.google_drive_image_url || null
   };
 
+  // Images stored for this request, deleted again if the meat cut is not created
+  const storedImageIds = [];
+
   // Handle image upload
   if (file) {
     try {
       // Convert buffer to base64
       const base64Image = file.buffer.toString('base64');
-      const fileName = `${meatCutData.imageReference || meatCutData.name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
-      const uploadResult = await googleDriveService.uploadImage(base64Image, fileName);
+      const fileName = `${meatCutData.imageReference || meatCutData.name.toLowerCase().replace(/\s+/g, '-')}.${ImageUploadService.extensionFor(file.mimetype)}`;
+      const uploadResult = await imageStorage.uploadImage(base64Image, fileName, file.mimetype || 'image/jpeg');
+      storedImageIds.push(uploadResult.fileId);
+      await ImageDerivativeService.generateQuietly(uploadResult.fileId, file.buffer, fileName);
       meatCutData.googleDriveImageId = uploadResult.fileId;
       meatCutData.googleDriveImageUrl = uploadResult.imageUrl;
     } catch (uploadError) {
@@ -177,42 +624,63 @@ router.post('/meat-cuts', upload.single('imageFile'), asyncHandler(async (req, r
       });
     }
   } else if (data.googleDriveImageId) {
-    // Use existing Google Drive image
+    // Use existing stored image
     meatCutData.googleDriveImageId = data.googleDriveImageId;
-    meatCutData.googleDriveImageUrl = googleDriveService.getImageUrl(data.googleDriveImageId);
+    meatCutData.googleDriveImageUrl = imageStorage.getImageUrl(data.googleDriveImageId);
   }
 
-  // Create meat cut
-  const meatCut = MeatCut.create(meatCutData);
-
-  // Associate cooking methods (tags)
-  for (const methodName of cookingMethods) {
-    if (methodName && methodName.trim()) {
-      const method = CookingMethod.findOrCreate(methodName.trim());
-      CookingMethod.associateWithMeatCut(meatCut.id, method.id);
+  if (galleryInput) {
+    const images = MeatCutImageService.buildGallery({ ...galleryInput, primaryImageId: meatCutData.googleDriveImageId });
+    try {
+      const baseName = meatCutData.imageReference || meatCutData.name.toLowerCase().replace(/\s+/g, '-');
+      await storeGallery(images, meatCutData, baseName);
+      storedImageIds.push(...meatCutData.images.filter((image, index) => images[index].file).map(image => image.imageId));
+    } catch (uploadError) {
+      console.error('Gallery upload failed during meat cut creation:', uploadError);
+      await deleteStoredImages(storedImageIds);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to upload image: ' + uploadError.message
+        }
+      });
     }
   }
 
+  // Create meat cut (its price starts the price history)
+  const actor = AuditService.getRequestActor(req);
+  let meatCut;
+  try {
+    meatCut = MeatCut.create(meatCutData, readPriceHistoryOptions(data, actor));
+  } catch (error) {
+    await deleteStoredImages(storedImageIds);
+    throw error;
+  }
+
+  // Associate cooking methods (tags)
+  MeatCut.setCookingMethods(meatCut.id, cookingMethods);
+
   // Associate recommended dishes (if provided)
   if (data.recommendedDishes) {
     const dishes = Array.isArray(data.recommendedDishes) 
       ? data.recommendedDishes 
       : (typeof data.recommendedDishes === 'string' ? [data.recommendedDishes] : []);
-    for (const dishName of dishes) {
-      if (dishName && dishName.trim()) {
-        const dish = RecommendedDish.findOrCreate(dishName.trim());
-        RecommendedDish.associateWithMeatCut(meatCut.id, dish.id);
-      }
-    }
+    MeatCut.setRecommendedDishes(meatCut.id, dishes);
   }
 
+  AuditService.record({
+    actor,
+    action: 'meat_cut.create',
+    entityType: 'meat_cut',
+    entityId: meatCut.id,
+    after: AuditService.snapshotMeatCut(meatCut.id),
+    metadata: file || galleryInput?.uploads.length
+      ? { imageUploaded: Boolean(file), galleryImagesUploaded: galleryInput?.uploads.length || 0 }
+      : null
+  });
+
   // Update metadata
-  const db = getDatabase();
-  db.prepare(`
-    UPDATE metadata 
-    SET value = datetime('now'), updated_at = datetime('now')
-    WHERE key = 'last_meat_cuts_update'
-  `).run();
+  Metadata.touchMeatCutsUpdate();
 
   // Get full meat cut with relations
   const fullMeatCut = {
@@ -231,8 +699,12 @@ router.post('/meat-cuts', upload.single('imageFile'), asyncHandler(async (req, r
 /**
  * PUT /api/admin/meat-cuts/:id
  * Update meat cut
+ * New gallery images are sent as `images` files (with `imageRoles` and `imageCaptions`) and
+ * added after the current ones; a `gallery` JSON array of { imageId, role, caption } replaces
+ * the current images and their order, with { upload: n, role, caption } placing the n-th new file.
+ * Role: editor
  */
-router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req, res) => {
+router.put('/meat-cuts/:id', requireRole('editor'), meatCutUploads, asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id);
   
   if (isNaN(id)) {
@@ -255,8 +727,10 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
     });
   }
 
+  const before = AuditService.snapshotMeatCut(id);
   const data = req.body;
-  const file = req.file;
+  const file = req.files?.imageFile?.[0];
+  const galleryInput = readGalleryInput(req);
   const updateData = {};
 
   // Build update data
@@ -266,18 +740,10 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
   }
   if (data.part !== undefined) updateData.part = data.part.trim();
   if (data.lean !== undefined) updateData.lean = normalizeLean(data.lean);
-  if (data.priceMin !== undefined || data.price_min !== undefined) {
-    updateData.priceMin = parseFloat(data.priceMin || data.price_min);
-  }
-  if (data.priceMax !== undefined || data.price_max !== undefined) {
-    updateData.priceMax = parseFloat(data.priceMax || data.price_max);
-  }
-  if (data.priceMean !== undefined || data.price_mean !== undefined) {
-    updateData.priceMean = parseFloat(data.priceMean || data.price_mean);
-  }
-  if (data.priceDisplay !== undefined || data.price_display !== undefined) {
-    updateData.priceDisplay = data.priceDisplay || data.price_display;
-  }
+  // Price fields are replaced together so the display text matches the numbers
+  Object.assign(updateData, readPriceFields(data, existing.priceRange));
+  const priceMode = PriceObservationService.requirePriceMode(data.priceMode);
+  if (priceMode !== undefined) updateData.priceMode = priceMode;
   if (data.textureNotes !== undefined || data.texture_notes !== undefined) {
     updateData.textureNotes = data.textureNotes || data.texture_notes || null;
   }
@@ -295,7 +761,7 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
   if (file) {
     try {
       const imageReference = data.imageReference || data.image_reference || existing.imageReference;
-      const fileName = `${imageReference || existing.name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
+      const fileName = `${imageReference || existing.name.toLowerCase().replace(/\s+/g, '-')}.${ImageUploadService.extensionFor(file.mimetype)}`;
       
       // Convert buffer to base64
       const base64Image = file.buffer.toString('base64');
@@ -303,11 +769,14 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
       let uploadResult;
       if (existing.googleDriveImageId) {
         // Update existing image
-        uploadResult = await googleDriveService.updateImage(existing.googleDriveImageId, base64Image);
+        uploadResult = await imageStorage.updateImage(existing.googleDriveImageId, base64Image, file.mimetype || 'image/jpeg');
+        await ImageCacheService.remove(existing.googleDriveImageId);
       } else {
         // Upload new image
-        uploadResult = await googleDriveService.uploadImage(base64Image, fileName);
+        uploadResult = await imageStorage.uploadImage(base64Image, fileName, file.mimetype || 'image/jpeg');
       }
+      // Replaces the resized copies of an updated image
+      await ImageDerivativeService.generateQuietly(uploadResult.fileId, file.buffer, fileName);
       
       updateData.googleDriveImageId = uploadResult.fileId;
       updateData.googleDriveImageUrl = uploadResult.imageUrl;
@@ -321,15 +790,33 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
       });
     }
   } else if (data.googleDriveImageId && data.googleDriveImageId !== existing.googleDriveImageId) {
-    // Use different existing Google Drive image
+    // Use different existing stored image
     updateData.googleDriveImageId = data.googleDriveImageId;
-    updateData.googleDriveImageUrl = googleDriveService.getImageUrl(data.googleDriveImageId);
+    updateData.googleDriveImageUrl = imageStorage.getImageUrl(data.googleDriveImageId);
   }
 
-  // Update meat cut
-  const updated = MeatCut.update(id, updateData);
+  if (galleryInput) {
+    const images = MeatCutImageService.buildGallery({
+      current: existing.images,
+      ...galleryInput,
+      // Replacing the main image in place keeps its ID, so it stays the primary image
+      primaryImageId: updateData.googleDriveImageId !== existing.googleDriveImageId ? updateData.googleDriveImageId : undefined
+    });
+    try {
+      const imageReference = data.imageReference || data.image_reference || existing.imageReference;
+      await storeGallery(images, updateData, imageReference || existing.name.toLowerCase().replace(/\s+/g, '-'));
+    } catch (uploadError) {
+      console.error('Gallery upload failed during meat cut update:', uploadError);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to upload image: ' + uploadError.message
+        }
+      });
+    }
+  }
 
-  // Update cooking methods if provided
+  // Replace cooking methods if provided
   if (data.cookingMethods !== undefined) {
     let cookingMethods = [];
     if (Array.isArray(data.cookingMethods)) {
@@ -341,238 +828,877 @@ router.put('/meat-cuts/:id', upload.single('imageFile'), asyncHandler(async (req
         cookingMethods = [data.cookingMethods];
       }
     }
-    
-    const db = getDatabase();
-    // Remove existing associations
-    db.prepare('DELETE FROM meat_cut_cooking_methods WHERE meat_cut_id = ?').run(id);
-    // Add new associations
-    for (const methodName of cookingMethods) {
-      if (methodName && methodName.trim()) {
-        const method = CookingMethod.findOrCreate(methodName.trim());
-        CookingMethod.associateWithMeatCut(id, method.id);
+    updateData.cookingMethods = cookingMethods;
+  }
+
+  // Replace recommended dishes if provided
+  if (Array.isArray(data.recommendedDishes)) {
+    updateData.recommendedDishes = data.recommendedDishes;
+  }
+
+  // Update meat cut (the previous state is kept as a revision, a new price is added to the history)
+  const actor = AuditService.getRequestActor(req);
+  let updated = MeatCut.update(id, updateData, readPriceHistoryOptions(data, actor));
+
+  AuditService.record({
+    actor,
+    action: 'meat_cut.update',
+    entityType: 'meat_cut',
+    entityId: id,
+    before,
+    after: AuditService.snapshotMeatCut(id),
+    // Replacing the image keeps the same file ID, so it does not show up in the diff
+    metadata: file || galleryInput?.uploads.length
+      ? { imageReplaced: Boolean(file), galleryImagesUploaded: galleryInput?.uploads.length || 0 }
+      : null
+  });
+
+  // A cut priced from store observations takes the derived price over the one sent
+  if (PriceObservationService.refreshMeatCutPrice(id, actor)) {
+    updated = MeatCut.findById(id);
+  }
+
+  // Update metadata
+  Metadata.touchMeatCutsUpdate();
+
+  // Get full meat cut with relations
+  const fullMeatCut = {
+    ...updated,
+    cookingMethods: MeatCut.getCookingMethods(updated.id),
+    recommendedDishes: MeatCut.getRecommendedDishes(updated.id),
+    imageUrl: updated.googleDriveImageId ? `/api/drive/image/${updated.googleDriveImageId}` : null,
+    // Include googleDriveImageId and googleDriveImageUrl for frontend use
+    googleDriveImageId: updated.googleDriveImageId,
+    googleDriveImageUrl: updated.googleDriveImageUrl
+  };
+
+  res.json(fullMeatCut);
+}));
+
+/**
+ * GET /api/admin/meat-cuts/:id/revisions
+ * List previous states of a meat cut, newest first
+ * Role: viewer
+ */
+router.get('/meat-cuts/:id/revisions', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut ID'
       }
+    });
+  }
+
+  res.json({
+    success: true,
+    revisions: RevisionService.list(id)
+  });
+}));
+
+/**
+ * GET /api/admin/meat-cuts/:id/revisions/diff
+ * Compare two revisions of a meat cut
+ * Query: from (revision ID), to (revision ID or "current", default "current")
+ * Role: viewer
+ */
+router.get('/meat-cuts/:id/revisions/diff', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const from = parseId(req.query.from);
+  const to = req.query.to === undefined || req.query.to === 'current' ? 'current' : parseId(req.query.to);
+
+  if (!id || !from || !to) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut ID or revision IDs (from is required, to defaults to "current")'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    ...RevisionService.diff(id, from, to)
+  });
+}));
+
+/**
+ * GET /api/admin/meat-cuts/:id/revisions/:revisionId
+ * Get a single revision with its full snapshot
+ * Role: viewer
+ */
+router.get('/meat-cuts/:id/revisions/:revisionId', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const revisionId = parseId(req.params.revisionId);
+
+  if (!id || !revisionId) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut or revision ID'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    revision: RevisionService.get(id, revisionId)
+  });
+}));
+
+/**
+ * POST /api/admin/meat-cuts/:id/revisions/:revisionId/restore
+ * Restore a meat cut to a previous revision (the replaced state is kept as a new revision)
+ * Role: editor
+ */
+router.post('/meat-cuts/:id/revisions/:revisionId/restore', requireRole('editor'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const revisionId = parseId(req.params.revisionId);
+
+  if (!id || !revisionId) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut or revision ID'
+      }
+    });
+  }
+
+  const updated = RevisionService.restore(id, revisionId, AuditService.getRequestActor(req));
+
+  res.json({
+    ...updated,
+    cookingMethods: MeatCut.getCookingMethods(updated.id),
+    recommendedDishes: MeatCut.getRecommendedDishes(updated.id),
+    imageUrl: updated.googleDriveImageId ? `/api/drive/image/${updated.googleDriveImageId}` : null
+  });
+}));
+
+/**
+ * DELETE /api/admin/meat-cuts/:id
+ * Move meat cut to the trash (its image is kept until it is purged)
+ * Role: admin
+ */
+router.delete('/meat-cuts/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id);
+  
+  if (isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut ID'
+      }
+    });
+  }
+
+  // Check if meat cut exists
+  const existing = MeatCut.findById(id);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Meat cut not found'
+      }
+    });
+  }
+
+  const before = AuditService.snapshotMeatCut(id);
+  const actor = AuditService.getRequestActor(req);
+
+  // Move to trash
+  const deleted = MeatCut.delete(id, { deletedBy: actor.name });
+
+  if (!deleted) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete meat cut'
+      }
+    });
+  }
+
+  AuditService.record({
+    actor,
+    action: 'meat_cut.delete',
+    entityType: 'meat_cut',
+    entityId: id,
+    before
+  });
+
+  // Update metadata
+  Metadata.touchMeatCutsUpdate();
+
+  res.json({
+    success: true,
+    message: 'Meat cut moved to trash'
+  });
+}));
+
+/**
+ * GET /api/admin/cooking-methods
+ * List all cooking methods
+ * Role: viewer
+ */
+router.get('/cooking-methods', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const cookingMethods = CookingMethod.findAll();
+  res.json({ cookingMethods });
+}));
+
+/**
+ * GET /api/admin/recommended-dishes
+ * List all recommended dishes
+ * Role: viewer
+ */
+router.get('/recommended-dishes', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const recommendedDishes = RecommendedDish.findAll();
+  res.json({ recommendedDishes });
+}));
+
+/**
+ * GET /api/admin/tags
+ * List all tags (parts + cooking methods)
+ * Role: viewer
+ */
+router.get('/tags', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  
+  // Get all unique parts
+  const parts = db.prepare(`
+    SELECT DISTINCT part 
+    FROM meat_cuts 
+    WHERE part IS NOT NULL AND part != '' AND deleted_at IS NULL
+    ORDER BY part
+  `).all().map(r => r.part);
+
+  // Get all cooking methods
+  const cookingMethods = CookingMethod.findAll().map(m => m.name);
+
+  res.json({
+    parts,
+    cookingMethods
+  });
+}));
+
+
+/**
+ * POST /api/admin/meat-cuts/bulk-delete
+ * Move multiple meat cuts to the trash
+ * Role: admin
+ */
+router.post('/meat-cuts/bulk-delete', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid IDs array'
+      }
+    });
+  }
+
+  const db = getDatabase();
+  const actor = AuditService.getRequestActor(req);
+  const deletedIds = [];
+  const errors = [];
+
+  for (const id of ids) {
+    try {
+      const meatCut = MeatCut.findById(parseInt(id));
+      if (!meatCut) {
+        errors.push({ id, error: 'Not found' });
+        continue;
+      }
+
+      // Move to trash
+      const before = AuditService.snapshotMeatCut(meatCut.id);
+      const deleted = MeatCut.delete(meatCut.id, { deletedBy: actor.name });
+      if (deleted) {
+        deletedIds.push(id);
+        AuditService.record({
+          actor,
+          action: 'meat_cut.delete',
+          entityType: 'meat_cut',
+          entityId: meatCut.id,
+          before,
+          metadata: { bulk: true }
+        });
+      } else {
+        errors.push({ id, error: 'Failed to delete' });
+      }
+    } catch (error) {
+      errors.push({ id, error: error.message });
     }
   }
 
-  // Update recommended dishes if provided
-  if (data.recommendedDishes !== undefined) {
-    if (Array.isArray(data.recommendedDishes)) {
-      const db = getDatabase();
-      // Remove existing associations
-      db.prepare('DELETE FROM meat_cut_recommended_dishes WHERE meat_cut_id = ?').run(id);
-      // Add new associations
-      for (const dishName of data.recommendedDishes) {
-        if (dishName && dishName.trim()) {
-          const dish = RecommendedDish.findOrCreate(dishName.trim());
-          RecommendedDish.associateWithMeatCut(id, dish.id);
-        }
+  // Update metadata
+  if (deletedIds.length > 0) {
+    Metadata.touchMeatCutsUpdate();
+  }
+
+  res.json({
+    success: true,
+    deleted: deletedIds.length,
+    deletedIds,
+    errors
+  });
+}));
+
+/**
+ * GET /api/admin/trash
+ * List meat cuts in the trash, most recently deleted first
+ * Role: admin
+ */
+router.get('/trash', requireRole('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    meatCuts: TrashService.list(),
+    retentionDays: TrashService.getRetentionDays()
+  });
+}));
+
+/**
+ * POST /api/admin/trash/:id/restore
+ * Take a meat cut out of the trash
+ * Role: admin
+ */
+router.post('/trash/:id/restore', requireRole('admin'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut ID'
+      }
+    });
+  }
+
+  const meatCut = TrashService.restore(id, AuditService.getRequestActor(req));
+
+  res.json({
+    success: true,
+    meatCut,
+    message: 'Meat cut restored'
+  });
+}));
+
+/**
+ * DELETE /api/admin/trash/:id
+ * Permanently delete a meat cut from the trash, with its image
+ * Role: admin
+ */
+router.delete('/trash/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid meat cut ID'
+      }
+    });
+  }
+
+  await TrashService.purge(id, AuditService.getRequestActor(req));
+
+  res.json({
+    success: true,
+    message: 'Meat cut permanently deleted'
+  });
+}));
+
+/**
+ * DELETE /api/admin/trash
+ * Empty the trash
+ * Role: admin
+ */
+router.delete('/trash', requireRole('admin'), asyncHandler(async (req, res) => {
+  const result = await TrashService.purgeAll(AuditService.getRequestActor(req));
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * Work out the format of an uploaded import file
+ * @param {object} req - Express request with req.file
+ * @returns {string} - One of FILE_FORMATS
+ */
+function getImportFormat(req) {
+  const format = req.body.format || req.query.format || detectFormat(req.file.originalname) || 'csv';
+
+  if (!FILE_FORMATS.includes(format)) {
+    throw clientError(`Format must be one of: ${FILE_FORMATS.join(', ')}`);
+  }
+
+  return format;
+}
+
+/**
+ * GET /api/admin/import-profiles
+ * List column mapping profiles and the fields/transforms they can use
+ * Role: editor
+ */
+router.get('/import-profiles', requireRole('editor'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    profiles: ImportProfile.findAll(),
+    fields: FIELD_TRANSFORMS
+  });
+}));
+
+/**
+ * POST /api/admin/import-profiles
+ * Create a column mapping profile ({ name, description, columns: [{ source, field, transform, separator }] })
+ * Role: editor
+ */
+router.post('/import-profiles', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const profile = ImportProfileService.create(req.body, actor);
+
+  AuditService.record({
+    actor,
+    action: 'import_profile.create',
+    entityType: 'import_profile',
+    entityId: profile.id,
+    after: { name: profile.name, description: profile.description, columns: profile.columns }
+  });
+
+  res.status(201).json({
+    success: true,
+    profile
+  });
+}));
+
+/**
+ * PUT /api/admin/import-profiles/:id
+ * Update a column mapping profile (built-in profiles cannot be changed)
+ * Role: editor
+ */
+router.put('/import-profiles/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const { before, after } = ImportProfileService.update(parseId(req.params.id), req.body);
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'import_profile.update',
+    entityType: 'import_profile',
+    entityId: after.id,
+    before: { name: before.name, description: before.description, columns: before.columns },
+    after: { name: after.name, description: after.description, columns: after.columns }
+  });
+
+  res.json({
+    success: true,
+    profile: after
+  });
+}));
+
+/**
+ * DELETE /api/admin/import-profiles/:id
+ * Delete a column mapping profile (built-in profiles cannot be deleted)
+ * Role: editor
+ */
+router.delete('/import-profiles/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const profile = ImportProfileService.delete(parseId(req.params.id));
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'import_profile.delete',
+    entityType: 'import_profile',
+    entityId: profile.id,
+    before: { name: profile.name, description: profile.description, columns: profile.columns }
+  });
+
+  res.json({
+    success: true,
+    message: 'Import profile deleted'
+  });
+}));
+
+/**
+ * POST /api/admin/import/detect
+ * Rank the column mapping profiles against an uploaded file's header row (multipart field "file")
+ * Body: format (optional, as for /import)
+ * Role: editor
+ */
+router.post('/import/detect', requireRole('editor'), upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'No file provided'
       }
-    }
+    });
   }
 
-  // Update metadata
-  const db = getDatabase();
-  db.prepare(`
-    UPDATE metadata 
-    SET value = datetime('now'), updated_at = datetime('now')
-    WHERE key = 'last_meat_cuts_update'
-  `).run();
-
-  // Get full meat cut with relations
-  const fullMeatCut = {
-    ...updated,
-    cookingMethods: MeatCut.getCookingMethods(updated.id),
-    recommendedDishes: MeatCut.getRecommendedDishes(updated.id),
-    imageUrl: updated.googleDriveImageId ? `/api/drive/image/${updated.googleDriveImageId}` : null,
-    // Include googleDriveImageId and googleDriveImageUrl for frontend use
-    googleDriveImageId: updated.googleDriveImageId,
-    googleDriveImageUrl: updated.googleDriveImageUrl
-  };
+  const rows = await readRows(req.file.buffer, getImportFormat(req));
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
 
-  res.json(fullMeatCut);
+  res.json({
+    success: true,
+    headers,
+    profiles: ImportProfileService.detect(headers)
+  });
 }));
 
 /**
- * DELETE /api/admin/meat-cuts/:id
- * Delete meat cut
+ * POST /api/admin/import (alias: /api/admin/import/csv)
+ * Import meat cuts from an uploaded CSV, Excel (.xlsx), JSON or NDJSON file (multipart field "file")
+ * Rows matching an existing cut by ID, slug or image reference update it; other rows create new cuts.
+ * Body: format (csv | xlsx | json | ndjson, default from the file extension, else csv),
+ *   profile (column mapping profile ID or name, default "default"),
+ *   mode (insert | upsert | replace, default upsert), dryRun ("false" to apply, default preview only),
+ *   fingerprint (from the preview, optional)
+ * Role: editor
  */
-router.delete('/meat-cuts/:id', asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
-  
-  if (isNaN(id)) {
+router.post(['/import', '/import/csv'], requireRole('editor'), upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
     return res.status(400).json({
       success: false,
       error: {
-        message: 'Invalid meat cut ID'
+        message: 'No file provided'
       }
     });
   }
 
-  // Check if meat cut exists
-  const existing = MeatCut.findById(id);
-  if (!existing) {
-    return res.status(404).json({
+  const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+  const mode = req.body.mode || req.query.mode || 'upsert';
+  const format = getImportFormat(req);
+  const profile = req.body.profile || req.query.profile;
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({
       success: false,
       error: {
-        message: 'Meat cut not found'
+        message: `Import mode must be one of: ${IMPORT_MODES.join(', ')}`
       }
     });
   }
 
-  // Delete image from Google Drive if googleDriveImageId exists
-  if (existing.googleDriveImageId) {
-    try {
-      await googleDriveService.deleteImage(existing.googleDriveImageId);
-    } catch (error) {
-      console.error('Failed to delete image from Google Drive:', error);
-      // We continue with deletion from DB even if Drive deletion fails
-    }
-  }
+  const result = dryRun
+    ? await ImportService.preview(req.file.buffer, { mode, format, profile })
+    : await ImportService.apply(req.file.buffer, {
+      actor: AuditService.getRequestActor(req),
+      mode,
+      format,
+      profile,
+      source: req.file.originalname,
+      fingerprint: req.body.fingerprint
+    });
 
-  // Delete meat cut (CASCADE will handle related records)
-  const deleted = MeatCut.delete(id);
+  res.json({
+    success: true,
+    dryRun,
+    format,
+    ...result
+  });
+}));
 
-  if (!deleted) {
-    return res.status(500).json({
+/**
+ * GET /api/admin/exchange-rates
+ * List the exchange rates (units of each currency per 1 USD)
+ * Role: viewer
+ */
+router.get('/exchange-rates', requireRole('viewer'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    baseCurrency: BASE_CURRENCY,
+    rates: ExchangeRateService.list()
+  });
+}));
+
+/**
+ * PUT /api/admin/exchange-rates/:currency
+ * Set the rate of one currency
+ * Body: { rate } (units per 1 USD)
+ * Role: editor
+ */
+router.put('/exchange-rates/:currency', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const { before, after } = ExchangeRateService.update(req.params.currency, req.body.rate, actor);
+
+  AuditService.record({
+    actor,
+    action: 'exchange_rate.update',
+    entityType: 'exchange_rate',
+    entityId: after.currency,
+    before: before ? { rate: before.rate } : null,
+    after: { rate: after.rate }
+  });
+
+  res.json({
+    success: true,
+    rate: after
+  });
+}));
+
+/**
+ * POST /api/admin/exchange-rates/import
+ * Set rates from an uploaded file (multipart field "file") with Currency and Rate columns
+ * Every row must be valid, otherwise nothing is imported.
+ * Body: format (optional, as for /import)
+ * Role: editor
+ */
+router.post('/exchange-rates/import', requireRole('editor'), upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
       success: false,
       error: {
-        message: 'Failed to delete meat cut'
+        message: 'No file provided'
       }
     });
   }
 
-  // Update metadata
-  const db = getDatabase();
-  db.prepare(`
-    UPDATE metadata 
-    SET value = datetime('now'), updated_at = datetime('now')
-    WHERE key = 'last_meat_cuts_update'
-  `).run();
+  const actor = AuditService.getRequestActor(req);
+  const rows = await readRows(req.file.buffer, getImportFormat(req));
+  const { changes, unchanged } = ExchangeRateService.importRows(rows, actor);
+
+  for (const change of changes) {
+    AuditService.record({
+      actor,
+      action: 'exchange_rate.update',
+      entityType: 'exchange_rate',
+      entityId: change.currency,
+      before: change.before ? { rate: change.before.rate } : null,
+      after: { rate: change.after.rate },
+      metadata: { source: req.file.originalname }
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Meat cut deleted'
+    updated: changes.map(change => change.currency),
+    unchanged,
+    rates: ExchangeRateService.list()
   });
 }));
 
 /**
- * GET /api/admin/cooking-methods
- * List all cooking methods
+ * GET /api/admin/stores
+ * List the stores where prices are observed
+ * Role: viewer
  */
-router.get('/cooking-methods', asyncHandler(async (req, res) => {
-  const cookingMethods = CookingMethod.findAll();
-  res.json({ cookingMethods });
+router.get('/stores', requireRole('viewer'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    stores: Store.findAll()
+  });
 }));
 
 /**
- * GET /api/admin/recommended-dishes
- * List all recommended dishes
+ * POST /api/admin/stores
+ * Create a store ({ name, location, url, notes })
+ * Role: editor
  */
-router.get('/recommended-dishes', asyncHandler(async (req, res) => {
-  const recommendedDishes = RecommendedDish.findAll();
-  res.json({ recommendedDishes });
+router.post('/stores', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const store = StoreService.create(req.body, actor);
+
+  AuditService.record({
+    actor,
+    action: 'store.create',
+    entityType: 'store',
+    entityId: store.id,
+    after: { name: store.name, location: store.location, url: store.url, notes: store.notes }
+  });
+
+  res.status(201).json({
+    success: true,
+    store
+  });
 }));
 
 /**
- * GET /api/admin/tags
- * List all tags (parts + cooking methods)
+ * PUT /api/admin/stores/:id
+ * Update a store
+ * Role: editor
  */
-router.get('/tags', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-  
-  // Get all unique parts
-  const parts = db.prepare(`
-    SELECT DISTINCT part 
-    FROM meat_cuts 
-    WHERE part IS NOT NULL AND part != ''
-    ORDER BY part
-  `).all().map(r => r.part);
+router.put('/stores/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const { before, after } = StoreService.update(parseId(req.params.id), req.body);
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'store.update',
+    entityType: 'store',
+    entityId: after.id,
+    before: { name: before.name, location: before.location, url: before.url, notes: before.notes },
+    after: { name: after.name, location: after.location, url: after.url, notes: after.notes }
+  });
 
-  // Get all cooking methods
-  const cookingMethods = CookingMethod.findAll().map(m => m.name);
+  res.json({
+    success: true,
+    store: after
+  });
+}));
+
+/**
+ * DELETE /api/admin/stores/:id
+ * Delete a store (only when no prices were observed there)
+ * Role: editor
+ */
+router.delete('/stores/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const store = StoreService.delete(parseId(req.params.id));
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'store.delete',
+    entityType: 'store',
+    entityId: store.id,
+    before: { name: store.name, location: store.location, url: store.url, notes: store.notes }
+  });
 
   res.json({
-    parts,
-    cookingMethods
+    success: true,
+    message: 'Store deleted'
   });
 }));
 
+/**
+ * Capture the audited fields of a price observation
+ * @param {object} observation - Observation
+ * @returns {object}
+ */
+function snapshotObservation(observation) {
+  return {
+    storeId: observation.storeId,
+    meatCutId: observation.meatCutId,
+    price: observation.price,
+    currency: observation.currency,
+    unit: observation.unit,
+    observedOn: observation.observedOn,
+    note: observation.note
+  };
+}
 
 /**
- * POST /api/admin/meat-cuts/bulk-delete
- * Delete multiple meat cuts
+ * GET /api/admin/price-observations
+ * List price observations, newest first
+ * Query: meatCutId, storeId, page, limit (all optional)
+ * Role: viewer
  */
-router.post('/meat-cuts/bulk-delete', asyncHandler(async (req, res) => {
-  const { ids } = req.body;
+router.get('/price-observations', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const result = PriceObservationService.list({
+    meatCutId: parseId(req.query.meatCutId),
+    storeId: parseId(req.query.storeId),
+    page: parseId(req.query.page),
+    limit: parseId(req.query.limit)
+  });
 
-  if (!Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        message: 'Invalid IDs array'
-      }
-    });
-  }
+  res.json({
+    success: true,
+    ...result
+  });
+}));
 
-  const db = getDatabase();
-  const deletedIds = [];
-  const errors = [];
+/**
+ * POST /api/admin/price-observations
+ * Record a price seen at a store ({ storeId, meatCutId, price, currency, unit, observedOn, note })
+ * Role: editor
+ */
+router.post('/price-observations', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const observation = PriceObservationService.create(req.body, actor);
+
+  AuditService.record({
+    actor,
+    action: 'price_observation.create',
+    entityType: 'price_observation',
+    entityId: observation.id,
+    after: snapshotObservation(observation)
+  });
 
-  for (const id of ids) {
-    try {
-      const meatCut = MeatCut.findById(parseInt(id));
-      if (!meatCut) {
-        errors.push({ id, error: 'Not found' });
-        continue;
-      }
+  res.status(201).json({
+    success: true,
+    observation
+  });
+}));
 
-      // Delete image from Google Drive if exists
-      if (meatCut.googleDriveImageId) {
-        try {
-          await googleDriveService.deleteImage(meatCut.googleDriveImageId);
-        } catch (error) {
-          console.error(`Failed to delete image ${meatCut.googleDriveImageId}:`, error);
-          // Continue with DB deletion even if Drive deletion fails
-        }
-      }
+/**
+ * PUT /api/admin/price-observations/:id
+ * Update a price observation
+ * Role: editor
+ */
+router.put('/price-observations/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const { before, after } = PriceObservationService.update(parseId(req.params.id), req.body, actor);
+
+  AuditService.record({
+    actor,
+    action: 'price_observation.update',
+    entityType: 'price_observation',
+    entityId: after.id,
+    before: snapshotObservation(before),
+    after: snapshotObservation(after)
+  });
 
-      // Delete from database
-      const deleted = MeatCut.delete(parseInt(id));
-      if (deleted) {
-        deletedIds.push(id);
-      } else {
-        errors.push({ id, error: 'Failed to delete' });
-      }
-    } catch (error) {
-      errors.push({ id, error: error.message });
-    }
-  }
+  res.json({
+    success: true,
+    observation: after
+  });
+}));
 
-  // Update metadata
-  if (deletedIds.length > 0) {
-    db.prepare(`
-      UPDATE metadata 
-      SET value = datetime('now'), updated_at = datetime('now')
-      WHERE key = 'last_meat_cuts_update'
-    `).run();
-  }
+/**
+ * DELETE /api/admin/price-observations/:id
+ * Delete a price observation
+ * Role: editor
+ */
+router.delete('/price-observations/:id', requireRole('editor'), asyncHandler(async (req, res) => {
+  const actor = AuditService.getRequestActor(req);
+  const observation = PriceObservationService.delete(parseId(req.params.id), actor);
+
+  AuditService.record({
+    actor,
+    action: 'price_observation.delete',
+    entityType: 'price_observation',
+    entityId: observation.id,
+    before: snapshotObservation(observation)
+  });
 
   res.json({
     success: true,
-    deleted: deletedIds.length,
-    deletedIds,
-    errors
+    message: 'Price observation deleted'
   });
 }));
 
+/**
+ * GET /api/admin/export
+ * Export all meat cuts (download)
+ * Query: format (csv | xlsx | json | ndjson, default csv)
+ * Role: viewer
+ */
+router.get('/export', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!FILE_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Format must be one of: ${FILE_FORMATS.join(', ')}`
+      }
+    });
+  }
+
+  const { content, filename, contentType } = await exportMeatCuts(format);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+}));
+
 /**
  * GET /api/admin/export/csv
  * Export all meat cuts to CSV format (download)
+ * Role: viewer
  */
-router.get('/export/csv', asyncHandler(async (req, res) => {
-  const { content, filename } = exportMeatCutsToCSVWithFilename();
+router.get('/export/csv', requireRole('viewer'), asyncHandler(async (req, res) => {
+  const { content, filename, contentType } = await exportMeatCuts('csv');
   
-  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Type', contentType);
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   res.send(content);
 }));
@@ -580,14 +1706,23 @@ router.get('/export/csv', asyncHandler(async (req, res) => {
 /**
  * POST /api/admin/sync/csv-to-drive
  * Export database to CSV and upload to Google Drive
+ * Role: admin
  */
-router.post('/sync/csv-to-drive', asyncHandler(async (req, res) => {
+router.post('/sync/csv-to-drive', requireRole('admin'), asyncHandler(async (req, res) => {
   try {
-    const { content, filename } = exportMeatCutsToCSVWithFilename();
+    const { content, filename } = await exportMeatCutsToCSVWithFilename();
     
     // Upload to Google Drive
     const uploadResult = await googleDriveService.uploadCSV(content, filename);
     
+    AuditService.record({
+      actor: AuditService.getRequestActor(req),
+      action: 'drive.csv_sync',
+      entityType: 'drive_csv',
+      entityId: uploadResult.fileId,
+      metadata: { fileName: uploadResult.fileName || filename }
+    });
+
     // Update metadata
     const db = getDatabase();
     db.prepare(`
@@ -619,8 +1754,9 @@ router.post('/sync/csv-to-drive', asyncHandler(async (req, res) => {
 /**
  * GET /api/admin/drive/csv
  * List all CSV files in Google Drive
+ * Role: viewer
  */
-router.get('/drive/csv', asyncHandler(async (req, res) => {
+router.get('/drive/csv', requireRole('viewer'), asyncHandler(async (req, res) => {
   try {
     const csvFiles = await googleDriveService.listCSVFiles();
     
@@ -647,8 +1783,9 @@ router.get('/drive/csv', asyncHandler(async (req, res) => {
 /**
  * GET /api/admin/drive/csv/:id
  * Download a specific CSV file from Google Drive
+ * Role: viewer
  */
-router.get('/drive/csv/:id', asyncHandler(async (req, res) => {
+router.get('/drive/csv/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
     const csvContent = await googleDriveService.downloadCSV(id);
@@ -669,13 +1806,21 @@ router.get('/drive/csv/:id', asyncHandler(async (req, res) => {
 /**
  * DELETE /api/admin/drive/csv/:id
  * Delete a CSV file from Google Drive
+ * Role: admin
  */
-router.delete('/drive/csv/:id', asyncHandler(async (req, res) => {
+router.delete('/drive/csv/:id', requireRole('admin'), asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
     const deleted = await googleDriveService.deleteCSV(id);
     
     if (deleted) {
+      AuditService.record({
+        actor: AuditService.getRequestActor(req),
+        action: 'drive.csv_delete',
+        entityType: 'drive_csv',
+        entityId: id
+      });
+
       res.json({
         success: true,
         message: 'CSV file deleted successfully'
@@ -700,11 +1845,13 @@ router.delete('/drive/csv/:id', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/admin/drive/images
- * List all images from Google Drive (enhanced)
+ * List all images from the configured image storage
+ * Role: editor
  */
-router.get('/drive/images', asyncHandler(async (req, res) => {
+router.get('/drive/images', requireRole('editor'), asyncHandler(async (req, res) => {
   try {
-    const files = await googleDriveService.listFiles();
+    // Resized copies are served with their original, so they are not listed
+    const files = ImageDerivativeService.excludeDerivatives(await imageStorage.listFiles());
     const imageFiles = files
       .filter(file => file.mimeType && file.mimeType.startsWith('image/'))
       .map(file => ({
@@ -713,7 +1860,7 @@ router.get('/drive/images', asyncHandler(async (req, res) => {
         mimeType: file.mimeType,
         createdTime: file.createdTime,
         modifiedTime: file.modifiedTime,
-        imageUrl: googleDriveService.getImageUrl(file.id)
+        imageUrl: imageStorage.getImageUrl(file.id)
       }));
     
     res.json({
@@ -732,11 +1879,12 @@ router.get('/drive/images', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/admin/drive/image
- * Upload an image directly to Google Drive images/ folder
+ * Upload an image directly to the configured image storage
+ * Role: admin
  */
-router.post('/drive/image', upload.single('imageFile'), asyncHandler(async (req, res) => {
+router.post('/drive/image', requireRole('admin'), imageUpload([{ name: 'imageFile', maxCount: 1 }]), asyncHandler(async (req, res) => {
   try {
-    const file = req.file;
+    const file = req.files?.imageFile?.[0];
     
     if (!file) {
       return res.status(400).json({
@@ -749,18 +1897,30 @@ router.post('/drive/image', upload.single('imageFile'), asyncHandler(async (req,
 
     // Convert buffer to base64
     const base64Image = file.buffer.toString('base64');
-    const fileName = req.body.fileName || file.originalname || `image_${Date.now()}.jpg`;
+    // The extension matches the image's real type
+    const fileName = req.body.fileName
+      ? `${req.body.fileName.replace(/\.[^.]*$/, '')}.${ImageUploadService.extensionFor(file.mimetype)}`
+      : file.originalname;
     
-    // Upload to Google Drive images folder
-    const uploadResult = await googleDriveService.uploadImage(
+    // Upload to the images folder of the configured storage
+    const uploadResult = await imageStorage.uploadImage(
       base64Image,
       fileName,
       file.mimetype || 'image/jpeg'
     );
+    await ImageDerivativeService.generateQuietly(uploadResult.fileId, file.buffer, fileName);
     
+    AuditService.record({
+      actor: AuditService.getRequestActor(req),
+      action: 'image.upload',
+      entityType: 'image',
+      entityId: uploadResult.fileId,
+      metadata: { fileName, mimeType: file.mimetype || 'image/jpeg', provider: imageStorage.name }
+    });
+
     res.json({
       success: true,
-      message: 'Image uploaded to Google Drive successfully',
+      message: 'Image uploaded successfully',
       file: {
         id: uploadResult.fileId,
         name: fileName,
@@ -769,11 +1929,11 @@ router.post('/drive/image', upload.single('imageFile'), asyncHandler(async (req,
       }
     });
   } catch (error) {
-    console.error('Error uploading image to Google Drive:', error);
+    console.error('Error uploading image:', error);
     res.status(500).json({
       success: false,
       error: {
-        message: error.message || 'Failed to upload image to Google Drive'
+        message: error.message || 'Failed to upload image'
       }
     });
   }
@@ -782,8 +1942,9 @@ router.post('/drive/image', upload.single('imageFile'), asyncHandler(async (req,
 /**
  * GET /api/admin/sync/status
  * Get synchronization status
+ * Role: viewer
  */
-router.get('/sync/status', asyncHandler(async (req, res) => {
+router.get('/sync/status', requireRole('viewer'), asyncHandler(async (req, res) => {
   try {
     const db = getDatabase();
     
@@ -797,9 +1958,9 @@ router.get('/sync/status', asyncHandler(async (req, res) => {
     `).get();
     
     // Get counts
-    const meatCutsCount = db.prepare('SELECT COUNT(*) as count FROM meat_cuts').get().count;
+    const meatCutsCount = MeatCut.count();
     const imagesWithDriveId = db.prepare(`
-      SELECT COUNT(*) as count FROM meat_cuts WHERE google_drive_image_id IS NOT NULL
+      SELECT COUNT(*) as count FROM meat_cuts WHERE google_drive_image_id IS NOT NULL AND deleted_at IS NULL
     `).get().count;
     
     // Get Drive folder info
@@ -807,7 +1968,7 @@ router.get('/sync/status', asyncHandler(async (req, res) => {
     let csvCount = 0;
     let missingImages = [];
     try {
-      const imageFiles = await googleDriveService.listFiles();
+      const imageFiles = ImageDerivativeService.excludeDerivatives(await imageStorage.listFiles());
       const driveImageIds = new Set(imageFiles
         .filter(f => f.mimeType && f.mimeType.startsWith('image/'))
         .map(f => f.id));
@@ -825,10 +1986,15 @@ router.get('/sync/status', asyncHandler(async (req, res) => {
         }
       }
       
+    } catch (error) {
+      console.warn('Error getting image storage file counts:', error.message);
+    }
+
+    try {
       const csvFiles = await googleDriveService.listCSVFiles();
       csvCount = csvFiles.length;
     } catch (error) {
-      console.warn('Error getting Drive file counts:', error.message);
+      console.warn('Error getting Drive CSV file count:', error.message);
     }
     
     res.json({
@@ -842,7 +2008,8 @@ router.get('/sync/status', asyncHandler(async (req, res) => {
         googleDrive: {
           imagesCount,
           csvCount,
-          imagesFolderId: googleDriveService.getFolderId(),
+          imageStorageProvider: imageStorage.name,
+          imagesFolderId: imageStorage.getFolderId(),
           csvFolderId: googleDriveService.getCSVFolderId(),
           lastCSVSync: lastCSVSync?.value || null
         },
@@ -866,20 +2033,70 @@ router.get('/sync/status', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * POST /api/admin/sync/plan
+ * Compare the local images and database with Drive and list what a sync would do
+ * (see SyncService); nothing is changed, but Drive is called
+ * Role: editor
+ */
+router.post('/sync/plan', requireRole('editor'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    plan: await SyncService.plan()
+  });
+}));
+
+/**
+ * POST /api/admin/sync/apply
+ * Run a two-way sync between the local images and database and Drive
+ * Body: resolutions ({ itemId: 'local' | 'remote' }, the side that wins each conflict;
+ *   unresolved conflicts are skipped), items (item IDs to sync, default all),
+ *   fingerprint (from the plan, required; 409 if the files changed since)
+ * Role: admin
+ */
+router.post('/sync/apply', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { resolutions = {}, items, fingerprint } = req.body;
+
+  if (typeof resolutions !== 'object' || Array.isArray(resolutions) || resolutions === null) {
+    throw clientError('resolutions must be an object of item ID to "local" or "remote"');
+  }
+  if (items !== undefined && (!Array.isArray(items) || items.some(id => typeof id !== 'string'))) {
+    throw clientError('items must be an array of item IDs');
+  }
+
+  const actor = AuditService.getRequestActor(req);
+  const result = await SyncService.apply({ actor, resolutions, items, fingerprint });
+
+  AuditService.record({
+    actor,
+    action: 'drive.sync',
+    entityType: 'drive_sync',
+    metadata: {
+      summary: result.summary,
+      results: result.results.map(({ id, action, status, side }) => ({ id, action, status, side })),
+      errors: result.errors
+    }
+  });
+  if (result.summary.done > 0) {
+    Metadata.touchMeatCutsUpdate();
+  }
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
 /**
  * GET /api/admin/drive/image/:id
- * Proxy an image from Google Drive
+ * Proxy an image from the configured image storage, through the local disk cache
+ * Role: viewer
  */
-router.get('/drive/image/:id', asyncHandler(async (req, res) => {
+router.get('/drive/image/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   try {
-    const buffer = await googleDriveService.downloadImage(id);
-    
-    // Set appropriate content type (default to jpeg if unknown)
-    res.setHeader('Content-Type', 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-    res.send(buffer);
+    await ImageCacheService.send(req, res, id);
   } catch (error) {
     console.error(`Error proxying image ${id}:`, error.message);
     res.status(404).json({
@@ -891,4 +2108,62 @@ router.get('/drive/image/:id', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/admin/image-cache
+ * Show the image proxy's disk cache: size, budget, hit counts and cached images
+ * Role: viewer
+ */
+router.get('/image-cache', requireRole('viewer'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    cache: await ImageCacheService.getStats()
+  });
+}));
+
+/**
+ * DELETE /api/admin/image-cache
+ * Remove every image from the disk cache (they are downloaded again on the next request)
+ * Role: admin
+ */
+router.delete('/image-cache', requireRole('admin'), asyncHandler(async (req, res) => {
+  const result = await ImageCacheService.purge();
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'image_cache.purge',
+    entityType: 'image_cache',
+    entityId: null,
+    metadata: result
+  });
+
+  res.json({
+    success: true,
+    ...result
+  });
+}));
+
+/**
+ * DELETE /api/admin/image-cache/:id
+ * Remove one image from the disk cache
+ * Role: admin
+ */
+router.delete('/image-cache/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const removed = await ImageCacheService.remove(req.params.id);
+  if (!removed) {
+    throw clientError('Image is not cached', 404);
+  }
+
+  AuditService.record({
+    actor: AuditService.getRequestActor(req),
+    action: 'image_cache.purge',
+    entityType: 'image_cache',
+    entityId: req.params.id
+  });
+
+  res.json({
+    success: true,
+    removed: 1
+  });
+}));
+
 export default router;
@@ -1,40 +1,67 @@
 import express from 'express';
-import getDatabase from '../config/database.js';
 import MeatCut from '../models/MeatCut.js';
-import SearchService from '../services/searchService.js';
+import SearchService, { SORT_OPTIONS, MATCH_MODES } from '../services/searchService.js';
+import ExchangeRateService from '../services/exchangeRateService.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import PriceHistoryService from '../services/priceHistoryService.js';
+import PriceObservationService from '../services/priceObservationService.js';
+import CacheService from '../services/cacheService.js';
+import ImageDerivativeService, { ORIGINAL_SIZE, DEFAULT_SIZE } from '../services/imageDerivativeService.js';
+import ImageCacheService from '../services/imageCacheService.js';
+import Metadata, { MEAT_CUTS_UPDATE_KEY } from '../models/Metadata.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+/**
+ * Send a cached JSON response with ETag and Last-Modified headers,
+ * or 304 Not Modified when the client's copy is still current
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} entry - From CacheService.rememberResponse()
+ */
+function sendCachedJson(req, res, entry) {
+  res.set('ETag', entry.etag);
+  if (entry.lastModified) {
+    res.set('Last-Modified', entry.lastModified);
+  }
+  // Clients may keep the response but must revalidate it
+  res.set('Cache-Control', 'no-cache');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('json').send(entry.json);
+}
+
 /**
  * GET /api/metadata
  * Get system metadata
  */
 router.get('/metadata', asyncHandler(async (req, res) => {
-  const db = getDatabase();
-  
   // Get metadata
-  const lastUpdate = db.prepare(`
-    SELECT value FROM metadata WHERE key = 'last_meat_cuts_update'
-  `).get();
-  
-  const version = db.prepare(`
-    SELECT value FROM metadata WHERE key = 'app_version'
-  `).get();
+  const lastUpdate = Metadata.get(MEAT_CUTS_UPDATE_KEY);
+  const version = Metadata.get('app_version');
   
   // Get total meat cuts count
-  const totalCount = db.prepare('SELECT COUNT(*) as count FROM meat_cuts').get();
+  const totalCount = MeatCut.count();
 
   res.json({
-    lastUpdate: lastUpdate?.value || new Date().toISOString(),
-    totalMeatCuts: totalCount.count || 0,
-    version: version?.value || '1.0.0'
+    lastUpdate: lastUpdate || new Date().toISOString(),
+    totalMeatCuts: totalCount,
+    version: version || '1.0.0'
   });
 }));
 
 /**
  * GET /api/meat-cuts/search
- * Search meat cuts with filters
+ * Search meat cuts with filters, one page at a time, with facet counts
+ * Responses are cached until the meat cuts change and carry ETag / Last-Modified
+ * Query: currency (optional) converts prices and the price filters to that currency;
+ * unit (optional, default lb) is the unit of the price filters, price sorting and priceRange;
+ * part, cookingMethod, dish and excludePart, excludeCookingMethod, excludeDish (repeated or
+ * comma-separated), match (any or all cooking methods / dishes, default any);
+ * page, limit (optional, default 1 and 50, max 200)
  */
 router.get('/meat-cuts/search', asyncHandler(async (req, res) => {
   const {
@@ -43,30 +70,68 @@ router.get('/meat-cuts/search', asyncHandler(async (req, res) => {
     priceMax,
     part,
     lean,
-    cookingMethod
+    cookingMethod,
+    dish,
+    excludePart,
+    excludeCookingMethod,
+    excludeDish,
+    match,
+    currency,
+    unit,
+    sort,
+    page,
+    limit
   } = req.query;
 
+  if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid sort option. Expected one of: ${SORT_OPTIONS.join(', ')}`
+      }
+    });
+  }
+
+  if (match !== undefined && !MATCH_MODES.includes(match)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid match option. Expected one of: ${MATCH_MODES.join(', ')}`
+      }
+    });
+  }
+
   // Parse query parameters
-  const filters = {
+  const filters = SearchService.normalizeFilters({
     q: q || '',
     priceMin: priceMin ? parseFloat(priceMin) : undefined,
     priceMax: priceMax ? parseFloat(priceMax) : undefined,
-    part: part || undefined,
+    part,
     lean: lean !== undefined ? lean === 'true' || lean === '1' : undefined,
-    cookingMethod: cookingMethod || undefined
-  };
-
-  const results = SearchService.search(filters);
+    cookingMethod,
+    dish,
+    excludePart,
+    excludeCookingMethod,
+    excludeDish,
+    match: match || 'any',
+    currency: ExchangeRateService.requireCurrency(currency),
+    unit: SearchService.requireUnit(unit),
+    sort: sort || 'name',
+    page: parseInt(page) || undefined,
+    limit: parseInt(limit) || undefined
+  });
 
-  res.json(results);
+  sendCachedJson(req, res, CacheService.rememberResponse('search', filters, () => SearchService.search(filters)));
 }));
 
 /**
  * GET /api/meat-cuts/:slug
  * Get single meat cut by slug
+ * Query: currency (optional) converts priceRange to that currency
  */
 router.get('/meat-cuts/:slug', asyncHandler(async (req, res) => {
   const { slug } = req.params;
+  const currency = ExchangeRateService.requireCurrency(req.query.currency);
   
   const meatCut = MeatCut.findBySlug(slug);
   
@@ -89,6 +154,7 @@ router.get('/meat-cuts/:slug', asyncHandler(async (req, res) => {
 
   res.json({
     ...meatCut,
+    priceRange: ExchangeRateService.convertPriceRange(meatCut.priceRange, currency, ExchangeRate.getRateMap()),
     cookingMethods,
     recommendedDishes,
     imageUrl: meatCut.googleDriveImageId ? `/api/drive/image/${meatCut.googleDriveImageId}` : null,
@@ -96,20 +162,103 @@ router.get('/meat-cuts/:slug', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/meat-cuts/:slug/price-history
+ * Get the price history of a meat cut, oldest first, with its trend
+ * Query: currency (optional, default the cut's own currency), from / to (optional, YYYY-MM-DD)
+ */
+router.get('/meat-cuts/:slug/price-history', asyncHandler(async (req, res) => {
+  const currency = ExchangeRateService.requireCurrency(req.query.currency);
+  const meatCut = MeatCut.findBySlug(req.params.slug);
+
+  if (!meatCut) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Meat cut not found'
+      }
+    });
+  }
+
+  res.json(PriceHistoryService.getSeries(meatCut, {
+    currency,
+    from: req.query.from,
+    to: req.query.to
+  }));
+}));
+
+/**
+ * GET /api/meat-cuts/:slug/prices
+ * Compare what a meat cut costs at each store, cheapest first
+ * Query: currency, unit (optional, default the cut's own)
+ */
+router.get('/meat-cuts/:slug/prices', asyncHandler(async (req, res) => {
+  const currency = ExchangeRateService.requireCurrency(req.query.currency);
+  const meatCut = MeatCut.findBySlug(req.params.slug);
+
+  if (!meatCut) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Meat cut not found'
+      }
+    });
+  }
+
+  res.json(PriceObservationService.compare(meatCut, { currency, unit: req.query.unit }));
+}));
+
+/**
+ * GET /api/price-history/by-part
+ * Get the average price per part over time
+ * Query: interval (day, week or month; default month), part, currency (default USD),
+ * unit (default lb), from / to (YYYY-MM-DD) - all optional
+ */
+router.get('/price-history/by-part', asyncHandler(async (req, res) => {
+  const { interval, part, unit, from, to } = req.query;
+
+  res.json(PriceHistoryService.getAverageByPart({
+    interval,
+    part: part || undefined,
+    currency: ExchangeRateService.requireCurrency(req.query.currency),
+    unit,
+    from,
+    to
+  }));
+}));
+
 /**
  * GET /api/drive/image/:id
- * Proxy an image from Google Drive
+ * Proxy an image from the configured image storage, through the local disk cache
+ * Query: size (thumbnail, medium, full or original), format (jpeg or webp, default
+ * chosen from the Accept header). Without either, or when the image has no resized
+ * copies yet, the original is served as stored.
+ * Supports If-None-Match and Range requests.
  */
 router.get('/drive/image/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const size = ImageDerivativeService.requireSize(req.query.size);
+  const format = ImageDerivativeService.requireFormat(req.query.format);
+  const resized = size !== undefined ? size !== ORIGINAL_SIZE : format !== undefined;
+
+  let fileId = id;
+  if (resized) {
+    if (!format) {
+      res.vary('Accept');
+    }
+    const derivative = ImageDerivativeService.resolve(
+      id,
+      size || DEFAULT_SIZE,
+      format || ImageDerivativeService.negotiateFormat(req.get('Accept'))
+    );
+    // Images without resized copies (not backfilled yet, or not readable by sharp) are served as stored
+    if (derivative) {
+      fileId = derivative.fileId;
+    }
+  }
   
   try {
-    const googleDriveService = (await import('../services/googleDriveService.js')).default;
-    const buffer = await googleDriveService.downloadImage(id);
-    
-    res.setHeader('Content-Type', 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=86400');
-    res.send(buffer);
+    await ImageCacheService.send(req, res, fileId);
   } catch (error) {
     console.error(`Error proxying image ${id}:`, error.message);
     res.status(404).json({
@@ -156,10 +305,16 @@ router.get('/meat-cuts/:slug/image', asyncHandler(async (req, res) => {
 /**
  * GET /api/filters/options
  * Get all available filter options
+ * Query: currency and unit (optional, default lb) of the price range; the response lists the available currencies
+ * Responses are cached like search responses
  */
 router.get('/filters/options', asyncHandler(async (req, res) => {
-  const options = SearchService.getFilterOptions();
-  res.json(options);
+  const currency = ExchangeRateService.requireCurrency(req.query.currency);
+  const unit = SearchService.requireUnit(req.query.unit);
+
+  sendCachedJson(req, res, CacheService.rememberResponse('filterOptions', { currency, unit }, () => (
+    SearchService.getFilterOptions(currency, unit)
+  )));
 }));
 
 export default router;
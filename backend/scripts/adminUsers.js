@@ -0,0 +1,85 @@
+import dotenv from 'dotenv';
+import { initializeDatabase, closeDatabase } from '../config/database.js';
+import AdminUser from '../models/AdminUser.js';
+import AuthService from '../services/authService.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/adminUsers.js list                            List admin users
+  node scripts/adminUsers.js create USERNAME PASSWORD [ROLE] Create a user (role: viewer, editor or admin; default admin)
+  node scripts/adminUsers.js set-password USERNAME PASSWORD  Change a password (signs the user out everywhere)
+  node scripts/adminUsers.js set-role USERNAME ROLE          Change a user's role
+  node scripts/adminUsers.js delete USERNAME                 Delete an admin user`;
+
+/**
+ * Find a user by username or throw
+ */
+function requireUser(username) {
+  const user = AdminUser.findByUsernameWithPassword(String(username || '').trim());
+  if (!user) {
+    throw new Error(`Admin user "${username}" not found`);
+  }
+  return user;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!['list', 'create', 'set-password', 'set-role', 'delete'].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await initializeDatabase();
+
+  switch (command) {
+    case 'list': {
+      console.log('=== Admin Users ===\n');
+      const users = AdminUser.findAll();
+      if (users.length === 0) {
+        console.log('No admin users');
+      }
+      for (const user of users) {
+        console.log(`  ${user.username.padEnd(20)} ${user.role.padEnd(7)} last login: ${user.lastLoginAt || 'never'}`);
+      }
+      break;
+    }
+
+    case 'create': {
+      const user = AuthService.createUser(args[0], args[1], args[2] || 'admin');
+      console.log(`✓ Created ${user.role} user "${user.username}"`);
+      break;
+    }
+
+    case 'set-password': {
+      const user = requireUser(args[0]);
+      AuthService.setPassword(user.id, args[1]);
+      console.log(`✓ Updated password for "${user.username}" and revoked their sessions`);
+      break;
+    }
+
+    case 'set-role': {
+      const user = AuthService.setRole(requireUser(args[0]).id, args[1]);
+      console.log(`✓ "${user.username}" is now ${user.role}`);
+      break;
+    }
+
+    case 'delete': {
+      const user = requireUser(args[0]);
+      AuthService.deleteUser(user.id);
+      console.log(`✓ Deleted admin user "${user.username}"`);
+      break;
+    }
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDatabase();
+  });
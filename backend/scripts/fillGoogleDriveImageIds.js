@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import googleDriveService from '../services/googleDriveService.js';
+import ImageDerivativeService from '../services/imageDerivativeService.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import csv from 'csv-parser';
@@ -147,7 +148,8 @@ async function fillGoogleDriveImageIds() {
 
     // Step 4: Get all images from Google Drive Images folder
     console.log('--- Step 4: Getting images from Google Drive Images folder ---');
-    const imageFiles = await googleDriveService.listFiles();
+    // Resized copies would match the same names as their originals
+    const imageFiles = ImageDerivativeService.excludeDerivatives(await googleDriveService.listFiles());
     const images = imageFiles.filter(file => 
       file.mimeType && file.mimeType.startsWith('image/')
     );
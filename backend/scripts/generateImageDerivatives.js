@@ -0,0 +1,81 @@
+import dotenv from 'dotenv';
+import getDatabase, { initializeDatabase, closeDatabase } from '../config/database.js';
+import ImageDerivative from '../models/ImageDerivative.js';
+import ImageDerivativeService, { IMAGE_SIZES, IMAGE_FORMATS } from '../services/imageDerivativeService.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/generateImageDerivatives.js [--force]
+
+Creates the thumbnail, medium and full JPEG and WebP copies of every meat cut image,
+main and gallery images alike (including cuts in the trash), that does not have them yet.
+  --force  Regenerate copies that already exist`;
+
+// Derivatives a fully processed image has
+const DERIVATIVES_PER_IMAGE = Object.keys(IMAGE_SIZES).length * Object.keys(IMAGE_FORMATS).length;
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some(arg => arg !== '--force')) {
+    console.log(USAGE);
+    process.exitCode = args.includes('--help') ? 0 : 1;
+    return;
+  }
+  const force = args.includes('--force');
+
+  await initializeDatabase();
+
+  console.log('=== Generate Image Derivatives ===\n');
+
+  // Main images and gallery images; UNION drops the duplicates
+  const imageIds = getDatabase().prepare(`
+    SELECT google_drive_image_id AS image_id FROM meat_cuts
+    WHERE google_drive_image_id IS NOT NULL AND google_drive_image_id != ''
+    UNION
+    SELECT image_id FROM meat_cut_images
+    WHERE image_id != ''
+    ORDER BY image_id
+  `).pluck().all();
+  console.log(`Found ${imageIds.length} images\n`);
+
+  let generated = 0;
+  let skipped = 0;
+  let errors = 0;
+
+  for (const imageId of imageIds) {
+    if (!force && ImageDerivative.countByImageId(imageId) >= DERIVATIVES_PER_IMAGE) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const derivatives = await ImageDerivativeService.generateFromStorage(imageId);
+      const kilobytes = derivatives.reduce((total, derivative) => total + derivative.bytes, 0) / 1024;
+      console.log(`  ✓ ${imageId}: ${derivatives.length} copies (${kilobytes.toFixed(0)} KB)`);
+      generated++;
+    } catch (error) {
+      console.error(`  ❌ ${imageId}: ${error.message}`);
+      errors++;
+    }
+  }
+
+  console.log('\n==========================================');
+  console.log(`Generated: ${generated}`);
+  console.log(`Already done: ${skipped}`);
+  console.log(`Errors: ${errors}`);
+  console.log('==========================================');
+
+  if (errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDatabase();
+  });
@@ -0,0 +1,105 @@
+import dotenv from 'dotenv';
+import getDatabase, { closeDatabase } from '../config/database.js';
+import {
+  getMigrationStatus,
+  runPendingMigrations,
+  rollbackMigrations,
+  createMigration
+} from '../utils/migrationRunner.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/migrate.js status              Show applied and pending migrations
+  node scripts/migrate.js up [--to VERSION]   Apply pending migrations
+  node scripts/migrate.js down [--steps N]    Roll back the last N migrations (default 1)
+  node scripts/migrate.js down --to VERSION   Roll back every migration newer than VERSION
+  node scripts/migrate.js create NAME         Create empty up/down SQL files`;
+
+/**
+ * Read a numeric --flag value from the argument list
+ */
+function readNumberOption(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`${flag} requires a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Print migration status table
+ */
+function printStatus(db) {
+  const status = getMigrationStatus(db);
+
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const migration of status) {
+    const state = migration.missing
+      ? 'missing'
+      : (migration.applied ? 'applied' : 'pending');
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.appliedAt ? ` (${migration.appliedAt})` : '';
+    const reversible = migration.reversible ? '' : ' [irreversible]';
+    console.log(`  ${state.padEnd(8)} ${version}_${migration.name}${appliedAt}${reversible}`);
+  }
+
+  const pending = status.filter(m => !m.applied).length;
+  console.log(`\n${status.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const db = getDatabase();
+
+  switch (command) {
+    case 'status':
+      console.log('=== Migration Status ===\n');
+      printStatus(db);
+      break;
+
+    case 'up': {
+      console.log('=== Apply Migrations ===\n');
+      const applied = await runPendingMigrations(db, { to: readNumberOption(args, '--to') });
+      console.log(applied.length > 0 ? `\nApplied ${applied.length} migration(s)` : 'Nothing to apply');
+      break;
+    }
+
+    case 'down': {
+      console.log('=== Roll Back Migrations ===\n');
+      const to = readNumberOption(args, '--to');
+      const steps = readNumberOption(args, '--steps');
+      const rolledBack = await rollbackMigrations(db, { to, steps });
+      console.log(rolledBack.length > 0 ? `\nRolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+
+    case 'create': {
+      const { upFile, downFile } = createMigration(args[0]);
+      console.log(`✓ Created ${upFile}`);
+      console.log(`✓ Created ${downFile}`);
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDatabase();
+  });
@@ -6,8 +6,13 @@ import { writeFileSync } from 'fs';
 import { importMeatCutsFromCSV } from '../utils/csvImporter.js';
 import getDatabase from '../config/database.js';
 import MeatCut from '../models/MeatCut.js';
+import AuditService from '../services/auditService.js';
+import ImportProfileService from '../services/importProfileService.js';
+import { mapRow } from '../utils/meatCutColumns.js';
 import csv from 'csv-parser';
 import { Readable } from 'stream';
+import Metadata from '../models/Metadata.js';
+import MeatCutImage from '../models/MeatCutImage.js';
 
 dotenv.config();
 
@@ -74,7 +79,12 @@ async function syncDatabaseFromDriveCSV() {
     // Step 4: Parse CSV
     console.log('--- Step 4: Parsing CSV ---');
     const rows = await parseCSV(csvContent);
-    console.log(`✓ Parsed ${rows.length} rows\n`);
+    console.log(`✓ Parsed ${rows.length} rows`);
+
+    // Pick the column mapping profile that best matches the CSV header
+    const [bestMatch] = ImportProfileService.detect(Object.keys(rows[0] || {}));
+    const profile = ImportProfileService.resolve(bestMatch?.id);
+    console.log(`✓ Using import profile "${profile.name}"\n`);
 
     // Step 5: Update database with Google Drive image IDs
     console.log('--- Step 5: Updating database with Google Drive image IDs ---');
@@ -84,11 +94,11 @@ async function syncDatabaseFromDriveCSV() {
     let alreadyUpToDateCount = 0;
 
     for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const name = row['Name'] || row['name'] || '';
-      const imageReference = row['image reference'] || row['imageReference'] || row['image_reference'] || '';
-      const googleDriveImageId = row['Google Drive Image ID'] || row['google_drive_image_id'] || row['googleDriveImageId'] || '';
-      const googleDriveImageUrl = row['Google Drive Image URL'] || row['google_drive_image_url'] || row['googleDriveImageUrl'] || '';
+      const values = mapRow(rows[i], profile.columns);
+      const name = values.name?.text || '';
+      const imageReference = values.imageReference?.text || '';
+      const googleDriveImageId = values.googleDriveImageId?.text || '';
+      const googleDriveImageUrl = values.googleDriveImageUrl?.text || '';
 
       if (!googleDriveImageId) {
         continue; // Skip rows without Google Drive image ID
@@ -118,6 +128,7 @@ async function syncDatabaseFromDriveCSV() {
 
       // Update database
       const imageUrl = googleDriveImageUrl || googleDriveService.getImageUrl(googleDriveImageId);
+      const before = AuditService.snapshotMeatCut(meatCut.id);
       
       db.prepare(`
         UPDATE meat_cuts 
@@ -126,6 +137,17 @@ async function syncDatabaseFromDriveCSV() {
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `).run(googleDriveImageId, imageUrl, meatCut.id);
+      MeatCutImage.setPrimaryImage(meatCut.id, googleDriveImageId);
+
+      AuditService.record({
+        actor: AuditService.systemActor('sync-db-from-drive'),
+        action: 'meat_cut.update',
+        entityType: 'meat_cut',
+        entityId: meatCut.id,
+        before,
+        after: AuditService.snapshotMeatCut(meatCut.id),
+        metadata: { source: csvFile.name }
+      });
 
       updatedCount++;
       console.log(`  ✓ Updated: "${name}" (ID: ${meatCut.id}) -> Image ID: ${googleDriveImageId}`);
@@ -137,11 +159,7 @@ async function syncDatabaseFromDriveCSV() {
     console.log(`  - Not found: ${notFoundCount}\n`);
 
     // Step 6: Update metadata
-    db.prepare(`
-      UPDATE metadata 
-      SET value = datetime('now'), updated_at = datetime('now')
-      WHERE key = 'last_meat_cuts_update'
-    `).run();
+    Metadata.touchMeatCutsUpdate();
 
     // Summary
     console.log('==========================================');
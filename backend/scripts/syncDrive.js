@@ -0,0 +1,91 @@
+import dotenv from 'dotenv';
+import { initializeDatabase, closeDatabase } from '../config/database.js';
+import AuditService from '../services/auditService.js';
+import SyncService, { CONFLICT_SIDES } from '../services/syncService.js';
+import Metadata from '../models/Metadata.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node scripts/syncDrive.js [--apply] [--prefer=local|remote]
+
+Compares the local meat cut images (SYNC_IMAGES_DIR) and database with Drive and
+prints what a two-way sync would do. Nothing is changed without --apply.
+  --apply          Run the sync
+  --prefer=SIDE    Resolve every conflict in favour of SIDE (local or remote);
+                   without it conflicts are skipped`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const prefer = args.find(arg => arg.startsWith('--prefer='))?.slice('--prefer='.length);
+  const unknown = args.filter(arg => arg !== '--apply' && !arg.startsWith('--prefer='));
+  if (unknown.length > 0 || (prefer !== undefined && !CONFLICT_SIDES.includes(prefer))) {
+    console.log(USAGE);
+    process.exitCode = args.includes('--help') ? 0 : 1;
+    return;
+  }
+
+  await initializeDatabase();
+
+  console.log('=== Drive Sync ===\n');
+
+  const plan = await SyncService.plan();
+  for (const error of plan.errors) {
+    console.warn(`⚠ Could not list ${error.kind} files: ${error.message}`);
+  }
+  for (const item of plan.items) {
+    console.log(`  ${item.action.padEnd(13)} ${item.id} (${item.reason})`);
+  }
+  console.log(`\n${plan.items.length} item(s) to sync, ${plan.summary.none} in sync`);
+
+  if (!apply) {
+    console.log('\nRun with --apply to sync.');
+    return;
+  }
+
+  const resolutions = Object.fromEntries(plan.items
+    .filter(item => item.action === 'conflict' && prefer)
+    .map(item => [item.id, prefer]));
+  const actor = AuditService.systemActor('sync-drive');
+  const result = await SyncService.apply({ actor, resolutions, fingerprint: plan.fingerprint });
+
+  console.log('');
+  for (const item of result.results) {
+    const mark = { done: '✓', skipped: '⚠', failed: '❌' }[item.status];
+    console.log(`  ${mark} ${item.id}: ${item.action}${item.side ? ` (${item.side} wins)` : ''}${item.error ? ` - ${item.error}` : ''}`);
+  }
+
+  AuditService.record({
+    actor,
+    action: 'drive.sync',
+    entityType: 'drive_sync',
+    metadata: {
+      summary: result.summary,
+      results: result.results.map(({ id, action, status, side }) => ({ id, action, status, side })),
+      errors: result.errors
+    }
+  });
+  if (result.summary.done > 0) {
+    Metadata.touchMeatCutsUpdate();
+  }
+
+  console.log('\n==========================================');
+  console.log(`Synced: ${result.summary.done}`);
+  console.log(`Skipped: ${result.summary.skipped}`);
+  console.log(`Failed: ${result.summary.failed}`);
+  console.log('==========================================');
+
+  if (result.summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDatabase();
+  });
@@ -4,6 +4,9 @@ import { readFileSync, readdirSync, existsSync } from 'fs';
 import { join, dirname, extname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import getDatabase from '../config/database.js';
+import AuditService from '../services/auditService.js';
+import Metadata from '../models/Metadata.js';
+import MeatCutImage from '../models/MeatCutImage.js';
 
 dotenv.config();
 
@@ -32,6 +35,13 @@ async function syncToGoogleDrive() {
       const csvData = readFileSync(csvPath);
       const csvResult = await googleDriveService.uploadCSV(csvData, 'beefcut_init_database.csv');
       console.log(`✓ CSV uploaded. File ID: ${csvResult.fileId}\n`);
+      AuditService.record({
+        actor: AuditService.systemActor('sync-drive'),
+        action: 'drive.csv_sync',
+        entityType: 'drive_csv',
+        entityId: csvResult.fileId,
+        metadata: { fileName: 'beefcut_init_database.csv' }
+      });
     } else {
       console.warn('⚠ CSV file not found at', csvPath, '\n');
     }
@@ -97,6 +107,7 @@ async function syncToGoogleDrive() {
         ).get(imageReference);
 
         if (meatCut) {
+          const before = AuditService.snapshotMeatCut(meatCut.id);
           db.prepare(`
             UPDATE meat_cuts 
             SET google_drive_image_id = ?, 
@@ -108,6 +119,15 @@ async function syncToGoogleDrive() {
             uploadResult.imageUrl,
             meatCut.id
           );
+          MeatCutImage.setPrimaryImage(meatCut.id, uploadResult.fileId);
+          AuditService.record({
+            actor: AuditService.systemActor('sync-drive'),
+            action: 'meat_cut.update',
+            entityType: 'meat_cut',
+            entityId: meatCut.id,
+            before,
+            after: AuditService.snapshotMeatCut(meatCut.id)
+          });
           console.log(`  ✓ Database updated for meat cut: ${imageReference}`);
           updatedDbCount++;
         } else {
@@ -123,11 +143,7 @@ async function syncToGoogleDrive() {
     }
 
     // Update metadata
-    db.prepare(`
-      UPDATE metadata 
-      SET value = datetime('now'), updated_at = CURRENT_TIMESTAMP 
-      WHERE key = 'last_meat_cuts_update'
-    `).run();
+    Metadata.touchMeatCutsUpdate();
 
     // Summary
     console.log('\n==========================================');
@@ -5,6 +5,11 @@ import { join, dirname, extname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import getDatabase from '../config/database.js';
 import { MeatCut } from '../models/MeatCut.js';
+import AuditService from '../services/auditService.js';
+import Metadata from '../models/Metadata.js';
+import MeatCutImage from '../models/MeatCutImage.js';
+import ImageUploadService from '../services/imageUploadService.js';
+import ImageDerivativeService from '../services/imageDerivativeService.js';
 
 dotenv.config();
 
@@ -68,17 +73,19 @@ async function uploadExistingImages() {
           continue;
         }
 
-        // Read image file
-        const imageBuffer = readFileSync(imagePath);
+        // Read image file, checked and stripped of metadata like admin uploads
+        const image = await ImageUploadService.sanitize(readFileSync(imagePath), imageFile);
         
         // Upload to Google Drive
         const uploadResult = await googleDriveService.uploadImage(
-          imageBuffer,
-          imageFile,
-          'image/jpeg'
+          image.buffer,
+          `${imageReference}.${image.extension}`,
+          image.mimeType
         );
+        await ImageDerivativeService.generateQuietly(uploadResult.fileId, image.buffer, `${imageReference}.${image.extension}`);
 
         // Update database
+        const before = AuditService.snapshotMeatCut(meatCut.id);
         db.prepare(`
           UPDATE meat_cuts 
           SET google_drive_image_id = ?, 
@@ -90,6 +97,16 @@ async function uploadExistingImages() {
           uploadResult.imageUrl,
           meatCut.id
         );
+        MeatCutImage.setPrimaryImage(meatCut.id, uploadResult.fileId);
+
+        AuditService.record({
+          actor: AuditService.systemActor('upload-images'),
+          action: 'meat_cut.update',
+          entityType: 'meat_cut',
+          entityId: meatCut.id,
+          before,
+          after: AuditService.snapshotMeatCut(meatCut.id)
+        });
 
         console.log(`  ✓ Uploaded successfully`);
         console.log(`    File ID: ${uploadResult.fileId}`);
@@ -111,11 +128,7 @@ async function uploadExistingImages() {
     }
 
     // Update metadata
-    db.prepare(`
-      UPDATE metadata 
-      SET value = datetime('now'), updated_at = CURRENT_TIMESTAMP 
-      WHERE key = 'last_meat_cuts_update'
-    `).run();
+    Metadata.touchMeatCutsUpdate();
 
     // Summary
     console.log('==========================================');
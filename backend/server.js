@@ -2,6 +2,12 @@ import express from 'express';
 import dotenv from 'dotenv';
 import { initializeDatabase, getDatabase } from './config/database.js';
 import { importDefaultCSV } from './utils/csvImporter.js';
+import MeatCut from './models/MeatCut.js';
+import Metadata, { SEARCH_INDEX_REBUILD_KEY } from './models/Metadata.js';
+import AuthService from './services/authService.js';
+import AuthSession from './models/AuthSession.js';
+import TrashService from './services/trashService.js';
+import PriceObservationService from './services/priceObservationService.js';
 import publicRoutes from './routes/public.js';
 import adminRoutes from './routes/admin.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
@@ -20,7 +26,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-API-Key');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -31,9 +37,14 @@ app.use((req, res, next) => {
 async function initializeApp() {
   try {
     console.log('Initializing database...');
-    initializeDatabase();
+    await initializeDatabase();
     
-    // Check if database is empty (no meat cuts)
+    // Migrations that change the search index leave it to be filled here
+    if (Metadata.get(SEARCH_INDEX_REBUILD_KEY) !== null) {
+      console.log(`Rebuilt the search index of ${MeatCut.rebuildSearchIndex()} meat cuts`);
+    }
+    
+    // Check if database is empty (no meat cuts, not even in the trash)
     const db = getDatabase();
     const count = db.prepare('SELECT COUNT(*) as count FROM meat_cuts').get();
     
@@ -50,15 +61,35 @@ async function initializeApp() {
           });
         }
       } else {
-        console.error('Failed to import CSV data');
+        // The import is transactional, so nothing was imported
+        console.error('Failed to import CSV data:');
         result.errors.forEach(err => {
-          console.error(`  Row ${err.row}: ${err.error}`);
+          console.error(`  ${err.error}`);
         });
       }
     } else {
       console.log(`Database already contains ${count.count} meat cuts`);
     }
     
+    // Admin authentication
+    const bootstrapAdmin = AuthService.ensureBootstrapAdmin();
+    if (bootstrapAdmin) {
+      console.log(`Created admin user "${bootstrapAdmin.username}" from ADMIN_USERNAME / ADMIN_PASSWORD`);
+    }
+    const removedSessions = AuthSession.deleteInactive();
+    if (removedSessions > 0) {
+      console.log(`Removed ${removedSessions} expired or revoked admin session(s)`);
+    }
+    if (!AuthService.isConfigured()) {
+      console.warn('Warning: no admin user or ADMIN_API_KEY configured. Admin API requests will be rejected.');
+    }
+    
+    // Purge meat cuts past the trash retention period, now and daily
+    TrashService.startAutoPurge();
+    
+    // Keep prices derived from store observations current as observations age
+    PriceObservationService.startAutoRefresh();
+    
     console.log('Database initialization complete');
   } catch (error) {
     console.error('Error initializing database:', error);
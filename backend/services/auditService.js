@@ -0,0 +1,138 @@
+import AuditLog from '../models/AuditLog.js';
+import MeatCut from '../models/MeatCut.js';
+
+/**
+ * Audit Service
+ * Records who changed what, with a field-level before/after diff.
+ *
+ * Actors:
+ * - { type: 'user', id, name } for admins logged in with a session
+ * - { type: 'apiKey', name: 'api-key' } for requests made with ADMIN_API_KEY
+ * - { type: 'system', name } for CSV imports and sync scripts
+ */
+export class AuditService {
+  /**
+   * Build the actor of an authenticated admin request
+   * @param {object} req - Express request (after authenticateAdmin)
+   * @returns {object} - Actor
+   */
+  static getRequestActor(req) {
+    if (req.user) {
+      return { type: 'user', id: req.user.id, name: req.user.username };
+    }
+    if (req.auth?.type === 'apiKey') {
+      return { type: 'apiKey', id: null, name: 'api-key' };
+    }
+    return this.systemActor('unknown');
+  }
+
+  /**
+   * Build a system actor (imports, scripts)
+   * @param {string} name - Process name, e.g. "csv-import"
+   * @returns {object} - Actor
+   */
+  static systemActor(name) {
+    return { type: 'system', id: null, name };
+  }
+
+  /**
+   * Capture the audited fields of a meat cut, including tags and dishes
+   * @param {number} id - Meat cut ID
+   * @returns {object|null} - Snapshot or null if the meat cut does not exist
+   */
+  static snapshotMeatCut(id) {
+    const meatCut = MeatCut.findById(id, { includeDeleted: true });
+    if (!meatCut) return null;
+
+    return {
+      name: meatCut.name,
+      chineseName: meatCut.chineseName,
+      part: meatCut.part,
+      lean: meatCut.lean,
+      priceMin: meatCut.priceRange.min,
+      priceMax: meatCut.priceRange.max,
+      priceMean: meatCut.priceRange.mean,
+      priceCurrency: meatCut.priceRange.currency,
+      priceUnit: meatCut.priceRange.unit,
+      priceDisplay: meatCut.priceRange.display,
+      priceMode: meatCut.priceMode,
+      textureNotes: meatCut.textureNotes,
+      imageReference: meatCut.imageReference,
+      googleDriveImageId: meatCut.googleDriveImageId,
+      googleDriveImageUrl: meatCut.googleDriveImageUrl,
+      images: meatCut.images.map(({ imageId, role, caption }) => ({ imageId, role, caption })),
+      slug: meatCut.slug,
+      cookingMethods: MeatCut.getCookingMethods(id),
+      recommendedDishes: MeatCut.getRecommendedDishes(id)
+    };
+  }
+
+  /**
+   * Compute the fields that differ between two snapshots
+   * @param {object|null} before - Snapshot before the change (null for creation)
+   * @param {object|null} after - Snapshot after the change (null for deletion)
+   * @returns {object} - { field: { before, after } }
+   */
+  static diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      const beforeValue = before ? before[field] ?? null : null;
+      const afterValue = after ? after[field] ?? null : null;
+      if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+        changes[field] = { before: beforeValue, after: afterValue };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Write an audit entry
+   * Updates whose diff is empty are skipped unless metadata is given.
+   * @param {object} entry - { actor, action, entityType, entityId, before, after, metadata }
+   * @returns {object|null} - Created entry, or null if nothing changed
+   */
+  static record(entry) {
+    const { actor, action, entityType, entityId, before = null, after = null, metadata = null } = entry;
+    const changes = before || after ? this.diff(before, after) : null;
+
+    if (changes && Object.keys(changes).length === 0 && !metadata) {
+      return null;
+    }
+
+    return AuditLog.create({
+      actorType: actor.type,
+      actorId: actor.id,
+      actorName: actor.name,
+      action,
+      entityType,
+      entityId,
+      changes: changes && Object.keys(changes).length > 0 ? changes : null,
+      metadata
+    });
+  }
+
+  /**
+   * Get audit entries, newest first
+   * @param {object} options - { page, limit, entityType, entityId, action, actorId }
+   * @returns {{entries: Array, total: number, page: number, limit: number}}
+   */
+  static list(options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+    const { entries, total } = AuditLog.findAll({
+      limit,
+      offset: (page - 1) * limit,
+      entityType: options.entityType,
+      entityId: options.entityId,
+      action: options.action,
+      actorId: options.actorId
+    });
+
+    return { entries, total, page, limit };
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,436 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import AdminUser from '../models/AdminUser.js';
+import AuthSession from '../models/AuthSession.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+dotenv.config();
+
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+const DEFAULT_REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// scrypt parameters for password hashing
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_BYTES = 16;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Roles from least to most privileged; each role can do everything the previous ones can
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+
+let tokenSecret = null;
+let dummyPasswordHash = null;
+
+/**
+ * Read a positive integer number of seconds from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readSeconds(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+/**
+ * Format a Date as an SQLite datetime (UTC, comparable with datetime('now'))
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Get the secret used to sign access tokens
+ * Without AUTH_TOKEN_SECRET a random secret is used, so tokens do not survive a restart.
+ * @returns {Buffer}
+ */
+function getTokenSecret() {
+  if (!tokenSecret) {
+    if (process.env.AUTH_TOKEN_SECRET) {
+      tokenSecret = Buffer.from(process.env.AUTH_TOKEN_SECRET, 'utf-8');
+    } else {
+      console.warn('Warning: AUTH_TOKEN_SECRET not set. Using a random secret; sessions will not survive a restart.');
+      tokenSecret = crypto.randomBytes(32);
+    }
+  }
+  return tokenSecret;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string}
+ */
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} - "scrypt$<salt>$<hash>" (base64 parts)
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash from hashPassword()
+ * @returns {boolean}
+ */
+export function verifyPassword(password, storedHash) {
+  const [algorithm, saltBase64, hashBase64] = String(storedHash || '').split('$');
+  if (algorithm !== 'scrypt' || !saltBase64 || !hashBase64) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashBase64, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltBase64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {string} role - Role of the caller
+ * @param {string} requiredRole - Minimum role
+ * @returns {boolean}
+ */
+export function hasRole(role, requiredRole) {
+  const index = ROLES.indexOf(role);
+  return index !== -1 && index >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Sign a token payload: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+ * @param {object} payload - Token claims
+ * @returns {string}
+ */
+export function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', getTokenSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verify a token signature and expiry
+ * @param {string} token - Token from signToken()
+ * @returns {object|null} - Payload, or null if invalid or expired
+ */
+export function verifyToken(token) {
+  const [body, signature, extra] = String(token || '').split('.');
+  if (!body || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', getTokenSecret()).update(body).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Auth Service
+ * Admin users, password login and session tokens.
+ *
+ * - Access tokens are short-lived signed tokens sent as "Authorization: Bearer <token>".
+ *   They reference a session, so revoking the session invalidates them immediately.
+ * - Refresh tokens ("<sessionId>.<secret>") are stored hashed and rotated on every use.
+ *   Presenting an already rotated refresh token revokes the whole session.
+ */
+export class AuthService {
+  /**
+   * Whether any way of authenticating is configured
+   * With no admin users and no ADMIN_API_KEY every admin request is rejected.
+   * @returns {boolean}
+   */
+  static isConfigured() {
+    return Boolean(process.env.ADMIN_API_KEY) || AdminUser.count() > 0;
+  }
+
+  /**
+   * Check an API key against ADMIN_API_KEY
+   * @param {string} apiKey - Key from the request
+   * @returns {boolean}
+   */
+  static verifyApiKey(apiKey) {
+    const expectedKey = process.env.ADMIN_API_KEY;
+    return Boolean(expectedKey && apiKey) && safeEqual(apiKey, expectedKey);
+  }
+
+  /**
+   * Check that a role name is valid
+   * @param {string} role - 'viewer', 'editor' or 'admin'
+   */
+  static validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw clientError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check that a new password is long enough
+   * @param {string} password - Plain text password
+   */
+  static validatePassword(password) {
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+      throw clientError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Create an admin user
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @param {string} role - 'viewer', 'editor' or 'admin'
+   * @returns {object} - Created user
+   */
+  static createUser(username, password, role) {
+    const name = String(username || '').trim();
+    if (!name) {
+      throw clientError('Username is required');
+    }
+    this.validateRole(role);
+    this.validatePassword(password);
+    if (AdminUser.findByUsernameWithPassword(name)) {
+      throw clientError(`Admin user "${name}" already exists`, 409);
+    }
+    return AdminUser.create(name, hashPassword(password), role);
+  }
+
+  /**
+   * Set a new password and sign the user out everywhere
+   * @param {number} userId - User ID
+   * @param {string} password - Plain text password
+   */
+  static setPassword(userId, password) {
+    this.validatePassword(password);
+    AdminUser.updatePassword(userId, hashPassword(password));
+    AuthSession.revokeAllForUser(userId);
+  }
+
+  /**
+   * Change a user's role
+   * The last admin cannot be demoted, so the system always keeps someone who can manage users.
+   * @param {number} userId - User ID
+   * @param {string} role - 'viewer', 'editor' or 'admin'
+   * @returns {object} - Updated user
+   */
+  static setRole(userId, role) {
+    this.validateRole(role);
+
+    const user = AdminUser.findById(userId);
+    if (!user) {
+      throw clientError('Admin user not found', 404);
+    }
+    if (user.role === 'admin' && role !== 'admin' && AdminUser.countByRole('admin') <= 1) {
+      throw clientError('Cannot demote the last admin');
+    }
+
+    AdminUser.updateRole(userId, role);
+    return AdminUser.findById(userId);
+  }
+
+  /**
+   * Delete a user
+   * @param {number} userId - User ID
+   * @param {object} options - { actingUserId: ID of the user performing the deletion }
+   */
+  static deleteUser(userId, options = {}) {
+    const user = AdminUser.findById(userId);
+    if (!user) {
+      throw clientError('Admin user not found', 404);
+    }
+    if (options.actingUserId === userId) {
+      throw clientError('You cannot delete your own account');
+    }
+    if (user.role === 'admin' && AdminUser.countByRole('admin') <= 1) {
+      throw clientError('Cannot delete the last admin');
+    }
+
+    AdminUser.delete(userId);
+  }
+
+  /**
+   * Create the first admin user from ADMIN_USERNAME / ADMIN_PASSWORD
+   * Only runs while the admin_users table is empty.
+   * @returns {object|null} - Created user, or null if nothing was created
+   */
+  static ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (AdminUser.count() > 0 || !username || !password) {
+      return null;
+    }
+
+    return this.createUser(username, password, 'admin');
+  }
+
+  /**
+   * Log in with username and password
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @param {object} options - { userAgent }
+   * @returns {object|null} - Tokens and user, or null on invalid credentials
+   */
+  static login(username, password, options = {}) {
+    const user = AdminUser.findByUsernameWithPassword(String(username || '').trim());
+
+    if (!user) {
+      // Hash anyway so unknown usernames take as long as wrong passwords
+      dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+      verifyPassword(String(password || ''), dummyPasswordHash);
+      return null;
+    }
+
+    if (!verifyPassword(String(password || ''), user.passwordHash)) {
+      return null;
+    }
+
+    AdminUser.touchLastLogin(user.id);
+
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + readSeconds('AUTH_REFRESH_TOKEN_TTL', DEFAULT_REFRESH_TOKEN_TTL) * 1000);
+    const session = AuthSession.create({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      refreshTokenHash: hashRefreshSecret(refreshSecret),
+      expiresAt: toSqliteDate(refreshExpiresAt),
+      userAgent: options.userAgent
+    });
+
+    return this.issueTokens(AdminUser.findById(user.id), session.id, refreshSecret, refreshExpiresAt);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token from login() or a previous refresh()
+   * @returns {object|null} - Tokens and user, or null if the refresh token is not valid
+   */
+  static refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      return null;
+    }
+
+    const session = AuthSession.findActiveById(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (!safeEqual(hashRefreshSecret(secret), session.refreshTokenHash)) {
+      // A rotated refresh token was reused: assume it leaked and end the session
+      AuthSession.revoke(session.id);
+      return null;
+    }
+
+    const user = AdminUser.findById(session.userId);
+    if (!user) {
+      return null;
+    }
+
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + readSeconds('AUTH_REFRESH_TOKEN_TTL', DEFAULT_REFRESH_TOKEN_TTL) * 1000);
+    AuthSession.rotateRefreshToken(session.id, hashRefreshSecret(refreshSecret), toSqliteDate(refreshExpiresAt));
+
+    return this.issueTokens(user, session.id, refreshSecret, refreshExpiresAt);
+  }
+
+  /**
+   * Build the token response for a session
+   * @param {object} user - Admin user
+   * @param {string} sessionId - Session ID
+   * @param {string} refreshSecret - Plain refresh token secret
+   * @param {Date} refreshExpiresAt - Refresh token expiry
+   * @returns {object}
+   */
+  static issueTokens(user, sessionId, refreshSecret, refreshExpiresAt) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = readSeconds('AUTH_ACCESS_TOKEN_TTL', DEFAULT_ACCESS_TOKEN_TTL);
+    const accessToken = signToken({ sub: user.id, sid: sessionId, iat: now, exp: now + expiresIn });
+
+    return {
+      accessToken,
+      expiresIn,
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      refreshExpiresAt: refreshExpiresAt.toISOString(),
+      user
+    };
+  }
+
+  /**
+   * Resolve an access token to its user and session
+   * @param {string} token - Access token
+   * @returns {{user: object, session: object}|null}
+   */
+  static verifyAccessToken(token) {
+    const payload = verifyToken(token);
+    if (!payload || !payload.sid) {
+      return null;
+    }
+
+    const session = AuthSession.findActiveById(payload.sid);
+    if (!session || session.userId !== payload.sub) {
+      return null;
+    }
+
+    const user = AdminUser.findById(session.userId);
+    if (!user) {
+      return null;
+    }
+
+    return { user, session };
+  }
+
+  /**
+   * Revoke a session (logout)
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  static logout(sessionId) {
+    return AuthSession.revoke(sessionId);
+  }
+
+  /**
+   * Revoke every session of a user (logout everywhere)
+   * @param {number} userId - User ID
+   * @returns {number} - Number of sessions revoked
+   */
+  static logoutAll(userId) {
+    return AuthSession.revokeAllForUser(userId);
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import Metadata, { MEAT_CUTS_UPDATE_KEY } from '../models/Metadata.js';
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+// Cached values by key; a Map keeps insertion order, so the first key is the least recently used
+const entries = new Map();
+// last_meat_cuts_update value the cached entries were computed at
+let cachedVersion = null;
+
+/**
+ * Cache Service
+ * In-memory cache for values computed from meat cuts (search results, filter options),
+ * emptied whenever last_meat_cuts_update changes
+ */
+export class CacheService {
+  /**
+   * Most entries kept (RESPONSE_CACHE_MAX_ENTRIES, 0 disables the cache)
+   * @returns {number}
+   */
+  static getMaxEntries() {
+    const max = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES);
+    return isNaN(max) || max < 0 ? DEFAULT_MAX_ENTRIES : max;
+  }
+
+  /**
+   * Current data version: the last_meat_cuts_update timestamp
+   * @returns {string}
+   */
+  static getVersion() {
+    return Metadata.get(MEAT_CUTS_UPDATE_KEY) || '';
+  }
+
+  /**
+   * Get a cached value, computing and storing it on a miss
+   * @param {string} namespace - Kind of value (e.g. 'search')
+   * @param {object} params - What the value depends on; normalized into the key
+   * @param {Function} compute - Computes the value
+   * @returns {*} - Cached or computed value
+   */
+  static remember(namespace, params, compute) {
+    const version = this.getVersion();
+    if (version !== cachedVersion) {
+      entries.clear();
+      cachedVersion = version;
+    }
+
+    const key = `${namespace}:${this.normalizeKey(params)}`;
+    if (entries.has(key)) {
+      const value = entries.get(key);
+      // Move to the end as the most recently used
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    }
+
+    const value = compute();
+    const maxEntries = this.getMaxEntries();
+    if (maxEntries > 0) {
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Get a cached JSON response with its validators
+   * @param {string} namespace - Kind of response
+   * @param {object} params - What the response depends on
+   * @param {Function} compute - Computes the response body
+   * @returns {{json: string, etag: string, lastModified: string|null}}
+   */
+  static rememberResponse(namespace, params, compute) {
+    return this.remember(`response:${namespace}`, params, () => {
+      const json = JSON.stringify(compute());
+      const hash = crypto.createHash('sha1').update(json).digest('base64url');
+
+      return {
+        json,
+        etag: `"${hash}"`,
+        lastModified: this.toHttpDate(cachedVersion)
+      };
+    });
+  }
+
+  /**
+   * Build a stable key: object keys sorted, empty values left out
+   * @param {object} params - Key parameters
+   * @returns {string}
+   */
+  static normalizeKey(params = {}) {
+    const normalized = Object.keys(params)
+      .sort()
+      .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+      .map(name => [name, params[name]]);
+
+    return JSON.stringify(normalized);
+  }
+
+  /**
+   * Format a database timestamp (UTC) as an HTTP date
+   * @param {string} timestamp - 'YYYY-MM-DD HH:MM:SS[.SSS]'
+   * @returns {string|null} - HTTP date or null if it does not parse
+   */
+  static toHttpDate(timestamp) {
+    const date = new Date(`${(timestamp || '').replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? null : date.toUTCString();
+  }
+}
+
+export default CacheService;
@@ -0,0 +1,190 @@
+import getDatabase from '../config/database.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Metadata from '../models/Metadata.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { CURRENCIES, DEFAULT_CURRENCY, normalizeCurrency, roundAmount, formatPrice } from '../utils/priceParser.js';
+
+/**
+ * Exchange Rate Service
+ * Edits and imports the offline exchange-rate table and converts prices between currencies
+ */
+
+// Rates are stored as units per 1 BASE_CURRENCY
+export const BASE_CURRENCY = DEFAULT_CURRENCY;
+
+// Header names accepted by the rate import
+const CURRENCY_COLUMNS = ['Currency', 'currency'];
+const RATE_COLUMNS = ['Rate', 'rate'];
+
+export class ExchangeRateService {
+  /**
+   * Get all rates with their display symbol
+   * @returns {Array<{currency, symbol, rate, updatedBy, updatedAt}>}
+   */
+  static list() {
+    return ExchangeRate.findAll().map(rate => ({
+      currency: rate.currency,
+      symbol: CURRENCIES[rate.currency]?.symbol ?? rate.currency,
+      rate: rate.rate,
+      updatedBy: rate.updatedBy,
+      updatedAt: rate.updatedAt
+    }));
+  }
+
+  /**
+   * Get the currencies prices can be shown in
+   * @returns {Array<{code: string, symbol: string}>}
+   */
+  static getCurrencies() {
+    return this.list().map(rate => ({ code: rate.currency, symbol: rate.symbol }));
+  }
+
+  /**
+   * Validate a requested display currency (the `currency` query parameter)
+   * @param {string|undefined} value - Currency code or symbol
+   * @returns {string|null} - ISO code, or null when none was requested
+   */
+  static requireCurrency(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+
+    const currency = normalizeCurrency(String(value));
+    if (!currency || !ExchangeRate.findByCurrency(currency)) {
+      const supported = ExchangeRate.findAll().map(rate => rate.currency);
+      throw clientError(`Unsupported currency "${value}". Expected one of: ${supported.join(', ')}`);
+    }
+
+    return currency;
+  }
+
+  /**
+   * Set the rate of one currency
+   * @param {string} value - Currency code or symbol
+   * @param {*} rate - Units per 1 USD
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {{before: object|null, after: object}} - Rate before and after the update
+   */
+  static update(value, rate, actor) {
+    const currency = this.validateCurrency(value);
+    const before = ExchangeRate.findByCurrency(currency);
+    const after = ExchangeRate.upsert(currency, this.validateRate(rate, currency), actor.name);
+    // Converted meat cut prices change with the rate
+    Metadata.touchMeatCutsUpdate();
+
+    return { before, after };
+  }
+
+  /**
+   * Set several rates from imported rows (Currency, Rate columns), all or nothing
+   * @param {Array<object>} rows - Rows from readRows()
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {{changes: Array<{currency, before, after}>, unchanged: number}}
+   */
+  static importRows(rows, actor) {
+    if (rows.length === 0) {
+      throw clientError('The file has no exchange rates');
+    }
+
+    const errors = [];
+    const rates = new Map();
+    rows.forEach((row, index) => {
+      const label = `Row ${index + 2}`;
+      const currencyText = CURRENCY_COLUMNS.map(column => row[column]).find(value => value !== undefined);
+      const rateText = RATE_COLUMNS.map(column => row[column]).find(value => value !== undefined);
+
+      try {
+        const currency = this.validateCurrency(currencyText);
+        if (rates.has(currency)) {
+          throw clientError(`${currency} appears more than once`);
+        }
+        rates.set(currency, this.validateRate(rateText, currency));
+      } catch (error) {
+        if (!error.status) throw error;
+        errors.push(`${label}: ${error.message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw clientError(`No rates were imported. ${errors.join('; ')}`);
+    }
+
+    const db = getDatabase();
+    return db.transaction(() => {
+      const changes = [];
+      for (const [currency, rate] of rates) {
+        const before = ExchangeRate.findByCurrency(currency);
+        if (before?.rate === rate) continue;
+        changes.push({ currency, before, after: ExchangeRate.upsert(currency, rate, actor.name) });
+      }
+      if (changes.length > 0) {
+        Metadata.touchMeatCutsUpdate();
+      }
+      return { changes, unchanged: rates.size - changes.length };
+    })();
+  }
+
+  /**
+   * Convert a meat cut's priceRange to another currency
+   * The unit is kept; display is regenerated in the target currency.
+   * @param {object} priceRange - priceRange from MeatCut.formatMeatCut()
+   * @param {string|null} currency - Target ISO code (null: no conversion)
+   * @param {object} rates - ExchangeRate.getRateMap()
+   * @returns {object} - Converted priceRange
+   */
+  static convertPriceRange(priceRange, currency, rates) {
+    // Prices in a currency without a rate are left as they are
+    if (!currency || priceRange.currency === currency || !rates[priceRange.currency]) {
+      return priceRange;
+    }
+
+    const factor = rates[currency] / rates[priceRange.currency];
+    const min = roundAmount(priceRange.min * factor, currency);
+    const max = roundAmount(priceRange.max * factor, currency);
+
+    return {
+      min,
+      max,
+      mean: roundAmount(priceRange.mean * factor, currency),
+      currency,
+      unit: priceRange.unit,
+      display: formatPrice({ min, max, currency, unit: priceRange.unit })
+    };
+  }
+
+  /**
+   * Validate a currency whose rate is being set
+   * @param {*} value - Currency code or symbol
+   * @returns {string} - ISO code
+   */
+  static validateCurrency(value) {
+    const currency = normalizeCurrency(String(value ?? ''));
+
+    if (!currency) {
+      throw clientError(`Unknown currency "${value ?? ''}". Expected one of: ${Object.keys(CURRENCIES).join(', ')}`);
+    }
+    if (currency === BASE_CURRENCY) {
+      throw clientError(`${BASE_CURRENCY} is the base currency; its rate is always 1`);
+    }
+
+    return currency;
+  }
+
+  /**
+   * Validate a rate
+   * @param {*} value - Units per 1 USD
+   * @param {string} currency - ISO code, for error messages
+   * @returns {number} - Rate
+   */
+  static validateRate(value, currency) {
+    const rate = typeof value === 'number' ? value : Number(String(value ?? '').trim() || NaN);
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw clientError(`Rate for ${currency} must be a positive number (units per 1 ${BASE_CURRENCY})`);
+    }
+
+    return rate;
+  }
+}
+
+export default ExchangeRateService;
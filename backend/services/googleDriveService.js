@@ -7,6 +7,7 @@ import { Readable } from 'stream';
  */
 class GoogleDriveService {
   constructor() {
+    this.name = 'google-drive';
     this.drive = null;
     this.folderId = null;
     this.csvFolderId = null;
@@ -227,22 +228,69 @@ class GoogleDriveService {
   }
 
   /**
-   * List all files in the image folder
-   * @returns {Promise<Array>}
+   * Get the metadata of a file in Google Drive
+   * @param {string} fileId - Google Drive file ID
+   * @returns {Promise<{id: string, name: string, mimeType: string, createdTime: string, modifiedTime: string, md5Checksum: string}>}
    */
-  async listFiles() {
+  async getFileMetadata(fileId) {
     await this.ensureInitialized();
 
     try {
+      const response = await this.drive.files.get({
+        fileId: fileId,
+        fields: 'id, name, mimeType, createdTime, modifiedTime, md5Checksum',
+        supportsAllDrives: true,
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error getting file metadata from Google Drive:', error.message);
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every file matching a query, page by page
+   * A listing Drive reports as incomplete is refused: callers treat missing files as deleted.
+   * @param {object} params - files.list parameters; fields are those of each file
+   * @returns {Promise<Array>}
+   */
+  async listAll({ fields, ...params }) {
+    const files = [];
+    let pageToken;
+
+    do {
       const response = await this.drive.files.list({
-        q: `'${this.folderId}' in parents and trashed=false`,
-        fields: 'files(id, name, mimeType, createdTime, modifiedTime)',
+        ...params,
+        fields: `nextPageToken, incompleteSearch, files(${fields})`,
         pageSize: 1000,
+        pageToken,
         supportsAllDrives: true,
         includeItemsFromAllDrives: true,
       });
 
-      return response.data.files || [];
+      if (response.data.incompleteSearch) {
+        throw new Error('Drive returned an incomplete listing');
+      }
+      files.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return files;
+  }
+
+  /**
+   * List all files in the image folder
+   * @returns {Promise<Array>}
+   */
+  async listFiles() {
+    await this.ensureInitialized();
+
+    try {
+      return await this.listAll({
+        q: `'${this.folderId}' in parents and trashed=false`,
+        fields: 'id, name, mimeType, createdTime, modifiedTime, md5Checksum'
+      });
     } catch (error) {
       console.error('Error listing files from Google Drive:', error);
       throw new Error(`Failed to list files: ${error.message}`);
@@ -356,16 +404,11 @@ class GoogleDriveService {
     await this.ensureInitialized();
 
     try {
-      const response = await this.drive.files.list({
+      return await this.listAll({
         q: `'${this.csvFolderId}' in parents and mimeType='text/csv' and trashed=false`,
-        fields: 'files(id, name, mimeType, createdTime, modifiedTime, webViewLink)',
-        pageSize: 1000,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true,
+        fields: 'id, name, mimeType, createdTime, modifiedTime, md5Checksum, webViewLink',
         orderBy: 'modifiedTime desc'
       });
-
-      return response.data.files || [];
     } catch (error) {
       console.error('Error listing CSV files from Google Drive:', error);
       throw new Error(`Failed to list CSV files: ${error.message}`);
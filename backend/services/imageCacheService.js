@@ -0,0 +1,314 @@
+import crypto from 'crypto';
+import { mkdir, readdir, readFile, writeFile, rename, stat, unlink, utimes } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import dotenv from 'dotenv';
+import imageStorage from './imageStorageService.js';
+import { detectImageType } from '../utils/imageTypes.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_MAX_MB = 256;
+const FALLBACK_MIME_TYPE = 'application/octet-stream';
+
+// Cached files by storage file ID; a Map keeps insertion order, so the first key is the least recently used
+const entries = new Map();
+let totalBytes = 0;
+let directory = null;
+let initializing = null;
+// Downloads in progress by storage file ID, so concurrent requests share one
+const pending = new Map();
+const counters = { hits: 0, misses: 0 };
+
+/**
+ * Remove a file, ignoring one that is already gone
+ * @param {string} path - File path
+ */
+async function removeFile(path) {
+  try {
+    await unlink(path);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Image Cache Service
+ * Keeps images downloaded from the image storage provider on local disk, evicting
+ * the least recently used ones beyond a size budget, and serves them with their
+ * detected content type, a content ETag and HTTP range support
+ */
+export class ImageCacheService {
+  /**
+   * Size budget in bytes (IMAGE_CACHE_MAX_MB, default 256).
+   * The most recently used image is kept even if it is larger.
+   * @returns {number}
+   */
+  static getMaxBytes() {
+    const megabytes = parseFloat(process.env.IMAGE_CACHE_MAX_MB);
+    return Math.floor((isNaN(megabytes) || megabytes < 0 ? DEFAULT_MAX_MB : megabytes) * 1024 * 1024);
+  }
+
+  /**
+   * Load the index of cached files from disk
+   */
+  static async initialize() {
+    directory = resolve(process.env.IMAGE_CACHE_DIR || join(__dirname, '../data/image-cache'));
+    await mkdir(directory, { recursive: true });
+
+    const names = await readdir(directory);
+    const found = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const entry = await this.readEntry(name.slice(0, -'.json'.length));
+      if (entry) found.push(entry);
+    }
+
+    // Oldest access first; the data file's mtime is refreshed on every hit
+    found.sort((a, b) => a.lastAccessedAt.localeCompare(b.lastAccessedAt));
+    for (const entry of found) {
+      entries.set(entry.fileId, entry);
+      totalBytes += entry.bytes;
+    }
+
+    // Leftovers of interrupted writes
+    const keys = new Set(found.map(entry => entry.key));
+    for (const name of names) {
+      if (!keys.has(name.replace(/\.json$/, ''))) {
+        await removeFile(join(directory, name));
+      }
+    }
+
+    await this.evict();
+  }
+
+  /**
+   * Ensure the index is loaded
+   */
+  static async ensureInitialized() {
+    if (!initializing) {
+      initializing = this.initialize().catch(error => {
+        initializing = null;
+        throw error;
+      });
+    }
+    await initializing;
+  }
+
+  /**
+   * Read a cached file's entry from its metadata file
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} - Entry, or null if incomplete
+   */
+  static async readEntry(key) {
+    try {
+      const metadata = JSON.parse(await readFile(join(directory, `${key}.json`), 'utf-8'));
+      const stats = await stat(join(directory, key));
+      return {
+        ...metadata,
+        key,
+        path: join(directory, key),
+        bytes: stats.size,
+        lastAccessedAt: stats.mtime.toISOString()
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * File name used for a storage file ID (IDs are not guaranteed to be safe file names)
+   * @param {string} fileId - Storage file ID
+   * @returns {string}
+   */
+  static keyFor(fileId) {
+    return crypto.createHash('sha1').update(String(fileId)).digest('hex');
+  }
+
+  /**
+   * Get a cached image, downloading it on a miss
+   * @param {string} fileId - Storage file ID
+   * @returns {Promise<{fileId: string, path: string, mimeType: string, etag: string, bytes: number}>}
+   */
+  static async get(fileId) {
+    await this.ensureInitialized();
+
+    const entry = entries.get(fileId);
+    if (entry) {
+      counters.hits++;
+      this.touch(entry);
+      return entry;
+    }
+
+    if (!pending.has(fileId)) {
+      counters.misses++;
+      pending.set(fileId, this.fill(fileId).finally(() => pending.delete(fileId)));
+    }
+    return pending.get(fileId);
+  }
+
+  /**
+   * Download an image into the cache
+   * @param {string} fileId - Storage file ID
+   * @returns {Promise<object>} - Cache entry
+   */
+  static async fill(fileId) {
+    const buffer = await imageStorage.downloadImage(fileId);
+
+    let mimeType = detectImageType(buffer);
+    if (!mimeType) {
+      try {
+        mimeType = (await imageStorage.getFileMetadata(fileId)).mimeType;
+      } catch (error) {
+        console.warn(`Could not get the type of image ${fileId}:`, error.message);
+      }
+    }
+
+    const key = this.keyFor(fileId);
+    const path = join(directory, key);
+    const now = new Date().toISOString();
+    const metadata = {
+      fileId,
+      mimeType: mimeType || FALLBACK_MIME_TYPE,
+      etag: `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`,
+      cachedAt: now
+    };
+
+    // Written under a temporary name so a crash never leaves a partial file in the index
+    await writeFile(`${path}.tmp`, buffer);
+    await rename(`${path}.tmp`, path);
+    await writeFile(`${path}.json`, JSON.stringify(metadata, null, 2));
+
+    // Replaced while downloading
+    if (entries.has(fileId)) {
+      totalBytes -= entries.get(fileId).bytes;
+      entries.delete(fileId);
+    }
+    const entry = { ...metadata, key, path, bytes: buffer.length, lastAccessedAt: now };
+    entries.set(fileId, entry);
+    totalBytes += entry.bytes;
+
+    await this.evict();
+    return entry;
+  }
+
+  /**
+   * Mark an entry as the most recently used
+   * @param {object} entry - Cache entry
+   */
+  static touch(entry) {
+    entries.delete(entry.fileId);
+    entries.set(entry.fileId, entry);
+
+    const now = new Date();
+    entry.lastAccessedAt = now.toISOString();
+    // Keeps the order across restarts
+    utimes(entry.path, now, now).catch(() => {});
+  }
+
+  /**
+   * Remove least recently used images until the cache fits its budget
+   */
+  static async evict() {
+    const maxBytes = this.getMaxBytes();
+    while (totalBytes > maxBytes && entries.size > 1) {
+      await this.remove(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an image from the cache, e.g. after it was replaced in storage
+   * @param {string} fileId - Storage file ID
+   * @returns {Promise<boolean>} - True if it was cached
+   */
+  static async remove(fileId) {
+    await this.ensureInitialized();
+
+    const entry = entries.get(fileId);
+    if (!entry) return false;
+
+    entries.delete(fileId);
+    totalBytes -= entry.bytes;
+    await removeFile(`${entry.path}.json`);
+    await removeFile(entry.path);
+    return true;
+  }
+
+  /**
+   * Remove every image from the cache
+   * @returns {Promise<{removed: number, bytes: number}>}
+   */
+  static async purge() {
+    await this.ensureInitialized();
+
+    const result = { removed: entries.size, bytes: totalBytes };
+    for (const fileId of [...entries.keys()]) {
+      await this.remove(fileId);
+    }
+    return result;
+  }
+
+  /**
+   * Describe the cache and its contents, most recently used first
+   * @returns {Promise<object>}
+   */
+  static async getStats() {
+    await this.ensureInitialized();
+
+    return {
+      directory,
+      maxBytes: this.getMaxBytes(),
+      totalBytes,
+      entryCount: entries.size,
+      hits: counters.hits,
+      misses: counters.misses,
+      entries: [...entries.values()].reverse().map(entry => ({
+        fileId: entry.fileId,
+        mimeType: entry.mimeType,
+        bytes: entry.bytes,
+        etag: entry.etag,
+        cachedAt: entry.cachedAt,
+        lastAccessedAt: entry.lastAccessedAt
+      }))
+    };
+  }
+
+  /**
+   * Stream a cached image as the response. Handles HEAD, If-None-Match (304),
+   * Range and If-Range requests.
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {string} fileId - Storage file ID
+   * @param {object} options - { cacheControl: Cache-Control header (default one day, public) }
+   * @returns {Promise<void>} - Resolves once the response is sent
+   */
+  static async send(req, res, fileId, { cacheControl = 'public, max-age=86400' } = {}) {
+    const entry = await this.get(fileId);
+
+    res.set({
+      'Content-Type': entry.mimeType,
+      ETag: entry.etag,
+      'Cache-Control': cacheControl
+    });
+
+    // res.sendFile keeps the headers set above and checks freshness and If-Range against this ETag
+    await new Promise((resolvePromise, reject) => {
+      res.sendFile(entry.path, { etag: false, lastModified: false, cacheControl: false }, error => {
+        if (error && !res.headersSent && (error.status === 416 || error.status === 412)) {
+          // Unsatisfiable range or failed precondition; the headers are already set
+          res.status(error.status).end();
+          resolvePromise();
+        } else if (error && !res.headersSent) {
+          reject(error);
+        } else {
+          resolvePromise();
+        }
+      });
+    });
+  }
+}
+
+export default ImageCacheService;
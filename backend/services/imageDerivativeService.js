@@ -0,0 +1,215 @@
+import sharp from 'sharp';
+import ImageDerivative from '../models/ImageDerivative.js';
+import imageStorage from './imageStorageService.js';
+import ImageCacheService from './imageCacheService.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+// Longest side in pixels; smaller images are not enlarged
+export const IMAGE_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  full: 1600
+};
+
+// The image exactly as uploaded
+export const ORIGINAL_SIZE = 'original';
+
+export const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+  webp: { mimeType: 'image/webp', extension: 'webp', options: { quality: 80 } }
+};
+
+// Served when only a format is asked for
+export const DEFAULT_SIZE = 'full';
+
+// Images being resized from storage, by original ID, so concurrent calls share the work
+const pending = new Map();
+
+/**
+ * Image Derivative Service
+ * Resizes stored images into thumbnail, medium and full sizes in JPEG and WebP,
+ * stores the results with the image storage provider and looks them up for the image proxy
+ */
+export class ImageDerivativeService {
+  /**
+   * Validate a size parameter
+   * @param {string|undefined} size - Size name or 'original'
+   * @returns {string|undefined} - Size or undefined when not given
+   */
+  static requireSize(size) {
+    if (size === undefined || size === '') return undefined;
+    if (size !== ORIGINAL_SIZE && !Object.hasOwn(IMAGE_SIZES, size)) {
+      throw clientError(`Invalid size. Expected one of: ${[...Object.keys(IMAGE_SIZES), ORIGINAL_SIZE].join(', ')}`, 400);
+    }
+    return size;
+  }
+
+  /**
+   * Validate a format parameter
+   * @param {string|undefined} format - Format name ('jpg' is accepted for 'jpeg')
+   * @returns {string|undefined} - Format or undefined when not given
+   */
+  static requireFormat(format) {
+    if (format === undefined || format === '') return undefined;
+    const name = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+    if (!Object.hasOwn(IMAGE_FORMATS, name)) {
+      throw clientError(`Invalid format. Expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`, 400);
+    }
+    return name;
+  }
+
+  /**
+   * Pick the format from an Accept header: WebP when the client lists it,
+   * otherwise JPEG (a bare wildcard does not count, since every client can show JPEG)
+   * @param {string|undefined} accept - Accept header
+   * @returns {string} - Format name
+   */
+  static negotiateFormat(accept) {
+    const acceptsWebp = (accept || '').split(',').some(range => {
+      const [type, ...params] = range.split(';').map(part => part.trim().toLowerCase());
+      const quality = params.find(param => param.startsWith('q='));
+      return type === 'image/webp' && (!quality || parseFloat(quality.slice(2)) > 0);
+    });
+    return acceptsWebp ? 'webp' : 'jpeg';
+  }
+
+  /**
+   * Resize an image into every size and format and store the results,
+   * replacing the image's earlier derivatives
+   * @param {string} imageId - Storage file ID of the original
+   * @param {Buffer} buffer - Original image data
+   * @param {string} fileName - Original file name, used to name the derivatives
+   * @returns {Promise<Array>} - Saved derivatives
+   */
+  static async generate(imageId, buffer, fileName = `image-${imageId}`) {
+    // Apply the EXIF orientation before resizing; the output carries no metadata
+    const source = sharp(buffer).rotate();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const derivatives = [];
+
+    for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+      for (const [format, { mimeType, extension, options }] of Object.entries(IMAGE_FORMATS)) {
+        let pipeline = source.clone().resize({
+          width: maxSide,
+          height: maxSide,
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+        if (format === 'jpeg') {
+          // JPEG has no transparency
+          pipeline = pipeline.flatten({ background: '#ffffff' });
+        }
+        const { data, info } = await pipeline[format](options).toBuffer({ resolveWithObject: true });
+
+        const existing = ImageDerivative.find(imageId, size, format);
+        let fileId;
+        if (existing) {
+          try {
+            fileId = (await imageStorage.updateImage(existing.fileId, data, mimeType)).fileId;
+            await ImageCacheService.remove(fileId);
+          } catch (error) {
+            // The stored copy is gone; upload a new one
+            console.warn(`Replacing missing derivative ${existing.fileId}:`, error.message);
+          }
+        }
+        if (!fileId) {
+          fileId = (await imageStorage.uploadImage(data, `${baseName}-${size}.${extension}`, mimeType)).fileId;
+        }
+
+        derivatives.push(ImageDerivative.upsert({
+          imageId,
+          size,
+          format,
+          fileId,
+          width: info.width,
+          height: info.height,
+          bytes: data.length
+        }));
+      }
+    }
+
+    return derivatives;
+  }
+
+  /**
+   * Generate derivatives after an upload without failing it; images left without
+   * them are served as stored until the backfill script creates them
+   * @param {string} imageId - Storage file ID of the original
+   * @param {Buffer} buffer - Original image data
+   * @param {string} fileName - Original file name
+   * @returns {Promise<boolean>} - True if generated
+   */
+  static async generateQuietly(imageId, buffer, fileName) {
+    try {
+      await this.generate(imageId, buffer, fileName);
+      return true;
+    } catch (error) {
+      console.error(`Failed to generate derivatives for image ${imageId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Generate derivatives for an image already in storage
+   * @param {string} imageId - Storage file ID of the original
+   * @returns {Promise<Array>} - Saved derivatives
+   */
+  static async generateFromStorage(imageId) {
+    if (!pending.has(imageId)) {
+      const job = imageStorage.downloadImage(imageId)
+        .then(buffer => this.generate(imageId, buffer))
+        .finally(() => pending.delete(imageId));
+      pending.set(imageId, job);
+    }
+    return pending.get(imageId);
+  }
+
+  /**
+   * Find the derivative of an image in one size and format
+   * Derivatives are only created on upload or by the backfill script
+   * (scripts/generateImageDerivatives.js), never for a public request.
+   * @param {string} imageId - Storage file ID of the original
+   * @param {string} size - Size name
+   * @param {string} format - Format name
+   * @returns {object|null} - Derivative, or null if the image has none yet
+   */
+  static resolve(imageId, size, format) {
+    if (ImageDerivative.findByFileId(imageId)) {
+      throw clientError('Image is already a resized copy', 400);
+    }
+
+    return ImageDerivative.find(imageId, size, format);
+  }
+
+  /**
+   * Delete the derivatives of an image from storage and the database
+   * @param {string} imageId - Storage file ID of the original
+   * @returns {Promise<number>} - Number of derivatives deleted
+   */
+  static async deleteFor(imageId) {
+    const derivatives = ImageDerivative.findByImageId(imageId);
+    for (const derivative of derivatives) {
+      try {
+        await imageStorage.deleteImage(derivative.fileId);
+        await ImageCacheService.remove(derivative.fileId);
+      } catch (error) {
+        console.error(`Failed to delete derivative ${derivative.fileId}:`, error.message);
+      }
+    }
+    ImageDerivative.deleteByImageId(imageId);
+
+    return derivatives.length;
+  }
+
+  /**
+   * Leave derivatives out of a storage file listing, so only originals are shown
+   * @param {Array} files - Files from imageStorage.listFiles()
+   * @returns {Array} - Files that are not derivatives
+   */
+  static excludeDerivatives(files) {
+    const derivativeIds = ImageDerivative.findAllFileIds();
+    return files.filter(file => !derivativeIds.has(file.id));
+  }
+}
+
+export default ImageDerivativeService;
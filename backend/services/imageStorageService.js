@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+import googleDriveService from './googleDriveService.js';
+import localImageService from './localImageService.js';
+
+dotenv.config();
+
+/**
+ * Image Storage Service
+ * Selects the storage provider used for meat cut images.
+ *
+ * Every provider implements the same interface:
+ * - uploadImage(imageData, fileName, mimeType) -> {fileId, imageUrl, webViewLink, webContentLink}
+ * - updateImage(fileId, imageData, mimeType) -> {fileId, imageUrl}
+ * - deleteImage(fileId) -> boolean
+ * - downloadImage(fileId) -> Buffer
+ * - getFileMetadata(fileId) -> {id, name, mimeType, createdTime, modifiedTime, md5Checksum}
+ * - listFiles() -> [{id, name, mimeType, createdTime, modifiedTime, md5Checksum}]
+ * - getImageUrl(fileId) -> string
+ * - getFolderId() -> string
+ *
+ * The provider is chosen with IMAGE_STORAGE_PROVIDER ('google-drive' or 'local').
+ */
+const providers = {
+  'google-drive': googleDriveService,
+  local: localImageService
+};
+
+const DEFAULT_PROVIDER = 'google-drive';
+
+/**
+ * Get the configured image storage provider
+ * @returns {object} - Image storage provider
+ */
+export function getImageStorage() {
+  const providerName = (process.env.IMAGE_STORAGE_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown IMAGE_STORAGE_PROVIDER "${providerName}". Expected one of: ${Object.keys(providers).join(', ')}`
+    );
+  }
+
+  return provider;
+}
+
+const imageStorage = getImageStorage();
+export default imageStorage;
@@ -0,0 +1,157 @@
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { detectImageType } from '../utils/imageTypes.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+dotenv.config();
+
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_MAX_DIMENSION = 8000;
+
+// Image types accepted for upload, with how they are re-encoded
+export const UPLOAD_FORMATS = {
+  'image/jpeg': { format: 'jpeg', extension: 'jpg', options: { quality: 90 } },
+  'image/png': { format: 'png', extension: 'png', options: {} },
+  'image/webp': { format: 'webp', extension: 'webp', options: { quality: 90 } },
+  'image/gif': { format: 'gif', extension: 'gif', options: {} }
+};
+
+const ACCEPTED_TYPES = 'JPEG, PNG, WebP or GIF';
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number}
+ */
+function readPositive(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+/**
+ * Image Upload Service
+ * Checks uploaded images and rewrites them before they are stored: the type is
+ * taken from the file's bytes, size and dimensions are limited, the EXIF
+ * orientation is applied and all metadata (EXIF, GPS, XMP, comments) is dropped
+ */
+export class ImageUploadService {
+  /**
+   * Largest accepted upload in bytes (IMAGE_UPLOAD_MAX_MB, default 10)
+   * @returns {number}
+   */
+  static getMaxBytes() {
+    return Math.floor(this.getMaxMegabytes() * 1024 * 1024);
+  }
+
+  /**
+   * Largest accepted upload in megabytes, for messages
+   * @returns {number}
+   */
+  static getMaxMegabytes() {
+    return readPositive('IMAGE_UPLOAD_MAX_MB', DEFAULT_MAX_MB);
+  }
+
+  /**
+   * Largest accepted width or height in pixels (IMAGE_UPLOAD_MAX_DIMENSION, default 8000)
+   * @returns {number}
+   */
+  static getMaxDimension() {
+    return Math.floor(readPositive('IMAGE_UPLOAD_MAX_DIMENSION', DEFAULT_MAX_DIMENSION));
+  }
+
+  /**
+   * File extension for an accepted image type
+   * @param {string} mimeType - MIME type
+   * @returns {string}
+   */
+  static extensionFor(mimeType) {
+    return UPLOAD_FORMATS[mimeType]?.extension || 'jpg';
+  }
+
+  /**
+   * Validate an uploaded image and re-encode it without metadata
+   * @param {Buffer} buffer - Uploaded data
+   * @param {string} label - Names the file in error messages
+   * @returns {Promise<{buffer: Buffer, mimeType: string, extension: string, width: number, height: number}>}
+   */
+  static async sanitize(buffer, label = 'Image') {
+    if (!buffer || buffer.length === 0) {
+      throw clientError(`${label} is empty`);
+    }
+    if (buffer.length > this.getMaxBytes()) {
+      throw clientError(`${label} is larger than ${this.getMaxMegabytes()} MB`, 413);
+    }
+
+    const mimeType = detectImageType(buffer);
+    if (!mimeType) {
+      throw clientError(`${label} is not an image. Expected ${ACCEPTED_TYPES}`, 415);
+    }
+    const output = UPLOAD_FORMATS[mimeType];
+    if (!output) {
+      throw clientError(`${label} is ${mimeType}, which is not supported. Expected ${ACCEPTED_TYPES}`, 415);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch {
+      throw clientError(`${label} could not be read as ${mimeType}; the file may be damaged`, 422);
+    }
+
+    const maxDimension = this.getMaxDimension();
+    const height = metadata.pageHeight || metadata.height;
+    if (!metadata.width || !height) {
+      throw clientError(`${label} has no dimensions; the file may be damaged`, 422);
+    }
+    if (metadata.width > maxDimension || height > maxDimension) {
+      throw clientError(
+        `${label} is ${metadata.width}×${height} pixels; the largest side can be at most ${maxDimension} pixels`,
+        422
+      );
+    }
+
+    // Animated GIF and WebP keep their frames; other images are turned upright from their EXIF orientation
+    const animated = (metadata.pages || 1) > 1;
+    let pipeline = sharp(buffer, { animated, limitInputPixels: maxDimension * maxDimension * (metadata.pages || 1) });
+    if (!animated) {
+      pipeline = pipeline.rotate();
+    }
+
+    try {
+      // Without withMetadata() the output carries no EXIF, GPS or other metadata
+      const { data, info } = await pipeline[output.format](output.options).toBuffer({ resolveWithObject: true });
+      return {
+        buffer: data,
+        mimeType,
+        extension: output.extension,
+        width: info.width,
+        height: info.pageHeight || info.height
+      };
+    } catch {
+      throw clientError(`${label} could not be read as ${mimeType}; the file may be damaged`, 422);
+    }
+  }
+
+  /**
+   * Sanitize a Multer file, replacing its data, type and file extension
+   * @param {object} file - Multer file (memory storage)
+   * @returns {Promise<object>} - File with the sanitized image
+   */
+  static async sanitizeFile(file) {
+    const image = await this.sanitize(file.buffer, `"${file.originalname || file.fieldname}"`);
+    const baseName = (file.originalname || 'image').replace(/\.[^.]*$/, '');
+
+    return {
+      ...file,
+      buffer: image.buffer,
+      size: image.buffer.length,
+      mimetype: image.mimeType,
+      originalname: `${baseName}.${image.extension}`,
+      width: image.width,
+      height: image.height
+    };
+  }
+}
+
+export default ImageUploadService;
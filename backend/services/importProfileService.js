@@ -0,0 +1,184 @@
+import ImportProfile from '../models/ImportProfile.js';
+import { FIELD_TRANSFORMS } from '../utils/meatCutColumns.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+/**
+ * Import Profile Service
+ * Validates, stores and detects column mapping profiles for imports
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+export class ImportProfileService {
+  /**
+   * Get a profile by ID or name
+   * @param {number|string} ref - Profile ID or name (default: the default profile)
+   * @returns {object} - Profile
+   */
+  static resolve(ref) {
+    const value = String(ref || DEFAULT_PROFILE).trim();
+    const profile = /^\d+$/.test(value)
+      ? ImportProfile.findById(parseInt(value))
+      : ImportProfile.findByName(value);
+
+    if (!profile) {
+      throw clientError(`Import profile "${ref}" not found`, 404);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Create a profile
+   * @param {object} data - { name, description, columns }
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {object} - Created profile
+   */
+  static create(data, actor) {
+    const profile = this.validate(data);
+    this.requireUniqueName(profile.name);
+
+    return ImportProfile.create({ ...profile, createdBy: actor.name });
+  }
+
+  /**
+   * Update a profile
+   * @param {number} id - Profile ID
+   * @param {object} data - { name, description, columns }
+   * @returns {{before: object, after: object}} - Profile before and after the update
+   */
+  static update(id, data) {
+    const before = this.requireEditable(id);
+    const profile = this.validate({ ...before, ...data });
+    this.requireUniqueName(profile.name, id);
+
+    return { before, after: ImportProfile.update(id, profile) };
+  }
+
+  /**
+   * Delete a profile
+   * @param {number} id - Profile ID
+   * @returns {object} - Deleted profile
+   */
+  static delete(id) {
+    const profile = this.requireEditable(id);
+    ImportProfile.delete(id);
+    return profile;
+  }
+
+  /**
+   * Rank profiles by how well they match a file's columns, best first
+   * score is the share of the file's columns the profile maps.
+   * Ties go to the profile that uses the largest share of its own source columns.
+   * @param {Array<string>} headers - Column names of the file
+   * @returns {Array<{id, name, builtin, score, matchedColumns, unmatchedColumns, fields}>}
+   */
+  static detect(headers) {
+    return ImportProfile.findAll()
+      .map(profile => {
+        const sources = new Set(profile.columns.map(column => column.source));
+        const matchedColumns = headers.filter(header => sources.has(header));
+        const fields = [...new Set(profile.columns
+          .filter(column => headers.includes(column.source))
+          .map(column => column.field))];
+
+        return {
+          id: profile.id,
+          name: profile.name,
+          builtin: profile.builtin,
+          score: headers.length > 0 ? matchedColumns.length / headers.length : 0,
+          coverage: sources.size > 0 ? matchedColumns.length / sources.size : 0,
+          matchedColumns,
+          unmatchedColumns: headers.filter(header => !sources.has(header)),
+          fields
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.coverage - a.coverage)
+      .map(({ coverage, ...match }) => match);
+  }
+
+  /**
+   * Validate and normalize profile data
+   * @param {object} data - { name, description, columns }
+   * @returns {{name: string, description: string|null, columns: Array}}
+   */
+  static validate(data) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+      throw clientError('Profile name is required');
+    }
+    if (/^\d+$/.test(name)) {
+      throw clientError('Profile name cannot be a number');
+    }
+    if (!Array.isArray(data.columns) || data.columns.length === 0) {
+      throw clientError('A profile needs at least one column');
+    }
+
+    const columns = data.columns.map((column, index) => {
+      const label = `Column ${index + 1}`;
+      const source = typeof column?.source === 'string' ? column.source.trim() : '';
+
+      if (!source) {
+        throw clientError(`${label}: source column is required`);
+      }
+      if (!FIELD_TRANSFORMS[column.field]) {
+        throw clientError(`${label}: field must be one of: ${Object.keys(FIELD_TRANSFORMS).join(', ')}`);
+      }
+
+      const transforms = FIELD_TRANSFORMS[column.field];
+      const transform = column.transform || transforms[0];
+      if (!transforms.includes(transform)) {
+        throw clientError(`${label}: transform for ${column.field} must be one of: ${transforms.join(', ')}`);
+      }
+      if (column.separator !== undefined && (transform !== 'list' || typeof column.separator !== 'string' || !column.separator)) {
+        throw clientError(`${label}: separator only applies to list columns and cannot be empty`);
+      }
+
+      return {
+        source,
+        field: column.field,
+        ...(transform !== transforms[0] && { transform }),
+        ...(column.separator !== undefined && { separator: column.separator })
+      };
+    });
+
+    return {
+      name,
+      description: typeof data.description === 'string' && data.description.trim() ? data.description.trim() : null,
+      columns
+    };
+  }
+
+  /**
+   * Get a profile that may be changed (not built in)
+   * @param {number} id - Profile ID
+   * @returns {object} - Profile
+   */
+  static requireEditable(id) {
+    const profile = ImportProfile.findById(id);
+
+    if (!profile) {
+      throw clientError('Import profile not found', 404);
+    }
+    if (profile.builtin) {
+      throw clientError('Built-in import profiles cannot be changed');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Make sure no other profile uses a name
+   * @param {string} name - Profile name
+   * @param {number} exceptId - Profile being renamed
+   */
+  static requireUniqueName(name, exceptId = null) {
+    const existing = ImportProfile.findByName(name);
+
+    if (existing && existing.id !== exceptId) {
+      throw clientError(`Import profile "${existing.name}" already exists`, 409);
+    }
+  }
+}
+
+export default ImportProfileService;
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import getDatabase from '../config/database.js';
+import MeatCut from '../models/MeatCut.js';
+import Metadata from '../models/Metadata.js';
+import AuditService from './auditService.js';
+import ImportProfileService from './importProfileService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { parseMeatCutRow } from '../utils/csvParser.js';
+import { readRows } from '../utils/fileFormats.js';
+
+/**
+ * Import modes
+ * - insert: only create meat cuts that do not exist yet; existing ones are left alone
+ * - upsert: create new meat cuts and update existing ones (matched by ID, slug or image reference)
+ * - replace: upsert, then move meat cuts that are not in the file to the trash
+ */
+export const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+
+/**
+ * Import Service
+ * Previews and applies CSV, Excel and JSON imports that create, update or remove meat cuts
+ */
+export class ImportService {
+  /**
+   * Work out what an import would do, without changing anything
+   * @param {string|Buffer} input - File path or contents
+   * @param {object} options - { mode: one of IMPORT_MODES (default 'upsert'), format: one of FILE_FORMATS (default 'csv'),
+   *   profile: column mapping profile ID or name (default 'default') }
+   * @returns {Promise<{mode: string, profile: object, rows: Array, summary: object, fingerprint: string}>}
+   *   rows: { row, action: 'create'|'update'|'unchanged'|'remove'|'skip', meatCutId, name, changes, errors }
+   */
+  static async preview(input, options = {}) {
+    const { entries, ...result } = await this.plan(input, options);
+    return { ...result, rows: entries.map(({ fields, ...entry }) => entry) };
+  }
+
+  /**
+   * Build the import plan for a file
+   * @param {string|Buffer} input - File path or contents
+   * @param {object} options - { mode, format, profile }
+   * @returns {Promise<{mode: string, profile: object, entries: Array, summary: object, fingerprint: string}>} - entries include the parsed fields
+   */
+  static async plan(input, options = {}) {
+    const mode = options.mode || 'upsert';
+    if (!IMPORT_MODES.includes(mode)) {
+      throw clientError(`Import mode must be one of: ${IMPORT_MODES.join(', ')}`);
+    }
+
+    const profile = ImportProfileService.resolve(options.profile);
+    const fileRows = await readRows(input, options.format);
+    const seen = new Map(); // meat cut ID -> row number that already targets it
+    const claimedSlugs = new Set(); // slugs taken by earlier rows of this file
+    const entries = [];
+
+    fileRows.forEach((fileRow, index) => {
+      // +2 because header is row 1, and we're 0-indexed
+      const rowNumber = index + 2;
+      const match = this.findMatch(fileRow, profile);
+      const parsed = parseMeatCutRow(fileRow, profile, { requireAll: !match });
+      const entry = {
+        row: rowNumber,
+        action: 'skip',
+        meatCutId: match ? match.id : null,
+        name: parsed.fields.name || match?.name || null,
+        changes: {},
+        errors: [...parsed.errors]
+      };
+
+      if (match && seen.has(match.id)) {
+        entry.errors.push(`Same meat cut as row ${seen.get(match.id)}`);
+      } else if (match) {
+        // Even an invalid row keeps its meat cut out of a full replace's removals
+        seen.set(match.id, rowNumber);
+      }
+
+      if (match && mode === 'insert') {
+        entry.action = 'unchanged';
+        entry.errors = [];
+        entries.push(entry);
+        return;
+      }
+
+      if (parsed.slug && (!match || parsed.slug !== match.slug)) {
+        const owner = getDatabase().prepare('SELECT id FROM meat_cuts WHERE slug = ?').get(parsed.slug);
+        const taken = owner || claimedSlugs.has(parsed.slug);
+        if (taken && match) {
+          entry.errors.push(`Slug "${parsed.slug}" is already used by another meat cut`);
+        }
+        // New meat cuts only take the slug if it is free; otherwise one is generated
+        if (!taken) {
+          parsed.fields.slug = parsed.slug;
+          claimedSlugs.add(parsed.slug);
+        }
+      }
+
+      if (entry.errors.length === 0) {
+        const before = match ? AuditService.snapshotMeatCut(match.id) : null;
+        const after = { ...(before || {}), ...parsed.fields };
+        entry.changes = AuditService.diff(before, after);
+        entry.fields = parsed.fields;
+
+        if (!match) {
+          entry.action = 'create';
+        } else {
+          entry.action = Object.keys(entry.changes).length > 0 ? 'update' : 'unchanged';
+        }
+      }
+
+      entries.push(entry);
+    });
+
+    if (mode === 'replace') {
+      for (const meatCut of MeatCut.findAll({ orderBy: 'id' })) {
+        if (!seen.has(meatCut.id)) {
+          entries.push({
+            row: null,
+            action: 'remove',
+            meatCutId: meatCut.id,
+            name: meatCut.name,
+            changes: {},
+            errors: []
+          });
+        }
+      }
+    }
+
+    const summary = { total: entries.length, created: 0, updated: 0, unchanged: 0, removed: 0, skipped: 0 };
+    const summaryKeys = { create: 'created', update: 'updated', unchanged: 'unchanged', remove: 'removed', skip: 'skipped' };
+    for (const entry of entries) {
+      summary[summaryKeys[entry.action]]++;
+    }
+
+    // Identifies the planned changes, so a confirm can detect that the data moved on
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify([mode, profile.id, entries.map(({ row, action, meatCutId, changes }) => [row, action, meatCutId, changes])]))
+      .digest('hex');
+
+    return { mode, profile: { id: profile.id, name: profile.name }, entries, summary, fingerprint };
+  }
+
+  /**
+   * Apply an import in a single transaction; any error rolls back the whole import
+   * Rows with errors are skipped, except in replace mode where they abort the import
+   * (a mistyped ID must not get its meat cut removed).
+   * @param {string|Buffer} input - File path or contents
+   * @param {object} options - { actor, mode, format, profile, source: file name, fingerprint: from preview() }
+   * @returns {Promise<{mode: string, profile: object, rows: Array, summary: object, fingerprint: string}>}
+   */
+  static async apply(input, options = {}) {
+    const { actor, source = null, fingerprint } = options;
+    const { entries, ...result } = await this.plan(input, {
+      mode: options.mode,
+      format: options.format,
+      profile: options.profile
+    });
+
+    if (fingerprint && fingerprint !== result.fingerprint) {
+      throw clientError('The data changed since the preview. Preview the import again before confirming.', 409);
+    }
+    if (result.mode === 'replace' && result.summary.skipped > 0) {
+      throw clientError(`A full replace cannot skip rows. Fix the ${result.summary.skipped} row(s) with errors first.`);
+    }
+
+    const db = getDatabase();
+    db.transaction(() => {
+      for (const entry of entries) {
+        const metadata = { source, row: entry.row, mode: result.mode, profile: result.profile.name };
+
+        if (entry.action === 'create') {
+          const { cookingMethods, recommendedDishes, ...fields } = entry.fields;
+          entry.meatCutId = MeatCut.create(fields, { source: 'import', createdBy: actor.name }).id;
+          MeatCut.setCookingMethods(entry.meatCutId, cookingMethods || []);
+          MeatCut.setRecommendedDishes(entry.meatCutId, recommendedDishes || []);
+
+          AuditService.record({
+            actor,
+            action: 'meat_cut.import',
+            entityType: 'meat_cut',
+            entityId: entry.meatCutId,
+            after: AuditService.snapshotMeatCut(entry.meatCutId),
+            metadata
+          });
+        } else if (entry.action === 'update') {
+          const before = AuditService.snapshotMeatCut(entry.meatCutId);
+          MeatCut.update(entry.meatCutId, entry.fields, { source: 'import', createdBy: actor.name });
+
+          AuditService.record({
+            actor,
+            action: 'meat_cut.import',
+            entityType: 'meat_cut',
+            entityId: entry.meatCutId,
+            before,
+            after: AuditService.snapshotMeatCut(entry.meatCutId),
+            metadata
+          });
+        } else if (entry.action === 'remove') {
+          const before = AuditService.snapshotMeatCut(entry.meatCutId);
+          MeatCut.delete(entry.meatCutId, { deletedBy: actor.name });
+
+          AuditService.record({
+            actor,
+            action: 'meat_cut.delete',
+            entityType: 'meat_cut',
+            entityId: entry.meatCutId,
+            before,
+            metadata
+          });
+        }
+      }
+
+      Metadata.touchMeatCutsUpdate();
+    })();
+
+    return { ...result, rows: entries.map(({ fields, ...entry }) => entry) };
+  }
+
+  /**
+   * Find the existing meat cut an imported row refers to (by ID, then slug, then image reference)
+   * @param {object} fileRow - Imported row
+   * @param {object} profile - Column mapping profile
+   * @returns {object|null} - Meat cut or null
+   */
+  static findMatch(fileRow, profile) {
+    const { id, slug, fields } = parseMeatCutRow(fileRow, profile);
+    return (id && MeatCut.findById(id)) ||
+      (slug && MeatCut.findBySlug(slug)) ||
+      (fields.imageReference && MeatCut.findByImageReference(fields.imageReference)) ||
+      null;
+  }
+}
+
+export default ImportService;
@@ -0,0 +1,316 @@
+import { randomUUID, createHash } from 'crypto';
+import { existsSync, mkdirSync } from 'fs';
+import { readFile, writeFile, unlink, readdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Local file IDs are 32 hex characters, which also keeps them safe to use as file names
+const FILE_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Local Image Service
+ * Stores meat cut images on the local filesystem. Exposes the same image
+ * methods as GoogleDriveService so it can be used as a drop-in storage provider
+ * for offline development and test machines.
+ */
+class LocalImageService {
+  constructor() {
+    this.name = 'local';
+    this.directory = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.directory = resolve(process.env.LOCAL_IMAGE_DIR || join(__dirname, '../data/images'));
+    if (!existsSync(this.directory)) {
+      mkdirSync(this.directory, { recursive: true });
+    }
+    this.initialized = true;
+    console.log(`Local image storage initialized at: ${this.directory}`);
+  }
+
+  /**
+   * Ensure service is initialized
+   */
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+  }
+
+  /**
+   * Resolve the data and metadata paths for a file ID
+   * @param {string} fileId - Local file ID
+   * @returns {{dataPath: string, metaPath: string}}
+   */
+  getPaths(fileId) {
+    if (!FILE_ID_PATTERN.test(fileId || '')) {
+      throw new Error(`Invalid local file ID: ${fileId}`);
+    }
+    return {
+      dataPath: join(this.directory, fileId),
+      metaPath: join(this.directory, `${fileId}.json`)
+    };
+  }
+
+  /**
+   * Convert base64 string or Buffer to Buffer
+   * @param {Buffer|string} imageData - Image data (Buffer or base64 string)
+   * @returns {Buffer}
+   */
+  toBuffer(imageData) {
+    if (typeof imageData === 'string') {
+      // Remove data URL prefix if present
+      const base64Data = imageData.includes(',')
+        ? imageData.split(',')[1]
+        : imageData;
+      return Buffer.from(base64Data, 'base64');
+    }
+    return imageData;
+  }
+
+  /**
+   * MD5 checksum of file content, as Google Drive reports it in md5Checksum
+   * @param {Buffer} buffer - File content
+   * @returns {string} - Hex digest
+   */
+  checksum(buffer) {
+    return createHash('md5').update(buffer).digest('hex');
+  }
+
+  /**
+   * Read the metadata stored next to an image
+   * @param {string} fileId - Local file ID
+   * @returns {Promise<object|null>}
+   */
+  async readMetadata(fileId) {
+    const { dataPath, metaPath } = this.getPaths(fileId);
+    try {
+      const metadata = JSON.parse(await readFile(metaPath, 'utf-8'));
+      // Images saved before checksums were recorded get theirs from the content
+      if (!metadata.md5Checksum) {
+        metadata.md5Checksum = this.checksum(await readFile(dataPath));
+      }
+      return metadata;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save an image to local storage
+   * @param {Buffer|string} imageData - Image data (Buffer or base64 string)
+   * @param {string} fileName - Name for the file
+   * @param {string} mimeType - MIME type (default: 'image/jpeg')
+   * @returns {Promise<{fileId: string, webViewLink: string, webContentLink: string, imageUrl: string}>}
+   */
+  async uploadImage(imageData, fileName, mimeType = 'image/jpeg') {
+    await this.ensureInitialized();
+
+    try {
+      const fileId = randomUUID().replace(/-/g, '');
+      const { dataPath, metaPath } = this.getPaths(fileId);
+      const now = new Date().toISOString();
+      const buffer = this.toBuffer(imageData);
+
+      await writeFile(dataPath, buffer);
+      await writeFile(metaPath, JSON.stringify({
+        id: fileId,
+        name: fileName,
+        mimeType,
+        createdTime: now,
+        modifiedTime: now,
+        md5Checksum: this.checksum(buffer)
+      }, null, 2));
+
+      const imageUrl = this.getImageUrl(fileId);
+
+      return {
+        fileId,
+        webViewLink: imageUrl,
+        webContentLink: imageUrl,
+        imageUrl
+      };
+    } catch (error) {
+      console.error('Error saving image to local storage:', error);
+      throw new Error(`Failed to upload image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the content of an existing image
+   * @param {string} fileId - Local file ID
+   * @param {Buffer|string} imageData - New image data
+   * @param {string} mimeType - MIME type (default: 'image/jpeg')
+   * @returns {Promise<{fileId: string, imageUrl: string}>}
+   */
+  async updateImage(fileId, imageData, mimeType = 'image/jpeg') {
+    await this.ensureInitialized();
+
+    try {
+      const { dataPath, metaPath } = this.getPaths(fileId);
+      const metadata = await this.readMetadata(fileId);
+
+      if (!metadata) {
+        throw new Error(`File ${fileId} not found`);
+      }
+
+      const buffer = this.toBuffer(imageData);
+      await writeFile(dataPath, buffer);
+      await writeFile(metaPath, JSON.stringify({
+        ...metadata,
+        mimeType,
+        modifiedTime: new Date().toISOString(),
+        md5Checksum: this.checksum(buffer)
+      }, null, 2));
+
+      return {
+        fileId,
+        imageUrl: this.getImageUrl(fileId)
+      };
+    } catch (error) {
+      console.error('Error updating image in local storage:', error);
+      throw new Error(`Failed to update image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an image from local storage
+   * @param {string} fileId - Local file ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteImage(fileId) {
+    await this.ensureInitialized();
+
+    if (!fileId) {
+      console.warn('No file ID provided for deletion');
+      return false;
+    }
+
+    try {
+      const { dataPath, metaPath } = this.getPaths(fileId);
+      for (const path of [dataPath, metaPath]) {
+        try {
+          await unlink(path);
+        } catch (error) {
+          // If file not found, consider it already deleted
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Error deleting image from local storage:', error);
+      throw new Error(`Failed to delete image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get image URL from file ID
+   * @param {string} fileId - Local file ID
+   * @returns {string} - URL served by the image proxy route
+   */
+  getImageUrl(fileId) {
+    if (!fileId) {
+      return null;
+    }
+    return `/api/drive/image/${fileId}`;
+  }
+
+  /**
+   * Read an image from local storage
+   * @param {string} fileId - Local file ID
+   * @returns {Promise<Buffer>}
+   */
+  async downloadImage(fileId) {
+    await this.ensureInitialized();
+
+    try {
+      const { dataPath } = this.getPaths(fileId);
+      return await readFile(dataPath);
+    } catch (error) {
+      console.error('Error reading image from local storage:', error.message);
+      throw new Error(`Failed to download image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the metadata stored next to an image
+   * @param {string} fileId - Local file ID
+   * @returns {Promise<{id: string, name: string, mimeType: string, createdTime: string, modifiedTime: string, md5Checksum: string}>}
+   */
+  async getFileMetadata(fileId) {
+    await this.ensureInitialized();
+
+    const metadata = await this.readMetadata(fileId);
+    if (!metadata) {
+      throw new Error(`Failed to get file metadata: File ${fileId} not found`);
+    }
+    return metadata;
+  }
+
+  /**
+   * List all images in the storage directory
+   * @returns {Promise<Array>}
+   */
+  async listFiles() {
+    await this.ensureInitialized();
+
+    try {
+      const entries = await readdir(this.directory);
+      const files = [];
+
+      for (const entry of entries) {
+        const fileId = entry.replace(/\.json$/, '');
+        if (entry === fileId || !FILE_ID_PATTERN.test(fileId)) {
+          continue;
+        }
+        const metadata = await this.readMetadata(fileId);
+        if (metadata) {
+          files.push({
+            id: fileId,
+            name: metadata.name,
+            mimeType: metadata.mimeType,
+            createdTime: metadata.createdTime,
+            modifiedTime: metadata.modifiedTime,
+            md5Checksum: metadata.md5Checksum
+          });
+        }
+      }
+
+      return files;
+    } catch (error) {
+      console.error('Error listing files from local storage:', error);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get storage location (the local equivalent of a Drive folder ID)
+   * @returns {string}
+   */
+  getFolderId() {
+    return this.directory;
+  }
+}
+
+// Export singleton instance
+const localImageService = new LocalImageService();
+export default localImageService;
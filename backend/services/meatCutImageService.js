@@ -0,0 +1,188 @@
+import { IMAGE_ROLES } from '../models/MeatCutImage.js';
+import imageStorage from './imageStorageService.js';
+import ImageDerivativeService from './imageDerivativeService.js';
+import ImageUploadService from './imageUploadService.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+// Most images a meat cut's gallery can hold
+export const MAX_GALLERY_IMAGES = 20;
+const MAX_CAPTION_LENGTH = 200;
+// Role of added images that do not name one
+const DEFAULT_ROLE = 'raw';
+
+/**
+ * Read a list form field given as a JSON array, repeated fields or a single value
+ * @param {*} value - Field value
+ * @returns {Array}
+ */
+function readList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw clientError('Invalid JSON list');
+    }
+  }
+  return [value];
+}
+
+/**
+ * Meat Cut Image Service
+ * Validates, uploads and orders the images of a meat cut's gallery
+ */
+export class MeatCutImageService {
+  /**
+   * Validate an image role
+   * @param {string|undefined} role - Role (default 'raw')
+   * @returns {string} - Role
+   */
+  static requireImageRole(role) {
+    if (role === undefined || role === null || role === '') return DEFAULT_ROLE;
+    const name = String(role).trim().toLowerCase();
+    if (!IMAGE_ROLES.includes(name)) {
+      throw clientError(`Invalid image role "${role}". Expected one of: ${IMAGE_ROLES.join(', ')}`);
+    }
+    return name;
+  }
+
+  /**
+   * Validate an image caption
+   * @param {*} caption - Caption
+   * @returns {string|null} - Trimmed caption or null
+   */
+  static requireCaption(caption) {
+    if (caption === undefined || caption === null) return null;
+    const text = String(caption).trim();
+    if (text.length > MAX_CAPTION_LENGTH) {
+      throw clientError(`Image captions can be at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+    return text || null;
+  }
+
+  /**
+   * Read the `gallery` field: the gallery's images in display order
+   * @param {string|Array|undefined} value - JSON array of { imageId, role, caption }; { upload, role, caption }
+   *   places the upload-th file of the request (counting from 0)
+   * @returns {Array<{imageId?: string, upload?: number, role: string, caption: string|null}>|undefined} - Undefined when not given
+   */
+  static parseGallery(value) {
+    if (value === undefined) return undefined;
+
+    return readList(value).map((entry, index) => {
+      const image = {
+        role: this.requireImageRole(entry?.role),
+        caption: this.requireCaption(entry?.caption)
+      };
+      if (Number.isInteger(entry?.upload) && entry.upload >= 0) {
+        return { upload: entry.upload, ...image };
+      }
+
+      const imageId = typeof entry === 'string' ? entry : entry?.imageId;
+      if (typeof imageId !== 'string' || !imageId.trim()) {
+        throw clientError(`Gallery image ${index + 1} needs an imageId or upload`);
+      }
+      return { imageId: imageId.trim(), ...image };
+    });
+  }
+
+  /**
+   * Read the gallery images uploaded with a request (stored later by storeUploads())
+   * @param {Array<object>} files - Multer files
+   * @param {object} body - Form fields: imageRoles and imageCaptions, one per file in the same order
+   * @returns {Array<{imageId: null, role: string, caption: string|null, file: object}>}
+   */
+  static readUploads(files = [], body = {}) {
+    const roles = readList(body.imageRoles).map(role => this.requireImageRole(role));
+    const captions = readList(body.imageCaptions).map(caption => this.requireCaption(caption));
+
+    return files.map((file, index) => ({
+      imageId: null,
+      role: roles[index] || DEFAULT_ROLE,
+      caption: captions[index] ?? null,
+      file
+    }));
+  }
+
+  /**
+   * Work out a meat cut's new gallery
+   * - the listed gallery (or the current one) comes first, then uploads it does not place
+   * - a new main image (imageFile / googleDriveImageId) replaces the primary image
+   * - when no image has role 'primary', the first one gets it
+   * @param {object} options - { current, gallery, uploads, primaryImageId }
+   * @returns {Array<{imageId: string|null, role: string, caption: string|null, file?: object}>}
+   */
+  static buildGallery({ current = [], gallery, uploads = [], primaryImageId }) {
+    const placed = new Set();
+    const listed = (gallery ?? current).map(({ imageId, upload, role, caption }) => {
+      if (upload === undefined) return { imageId, role, caption };
+      if (!uploads[upload] || placed.has(upload)) {
+        throw clientError(`Gallery upload ${upload} is not one of the uploaded images`);
+      }
+      placed.add(upload);
+      return { ...uploads[upload], role, caption };
+    });
+    let images = [...listed, ...uploads.filter((_, index) => !placed.has(index))];
+
+    const primary = images.find(image => image.role === 'primary');
+    if (primaryImageId && primary?.imageId !== primaryImageId) {
+      const existing = images.find(image => image.imageId === primaryImageId);
+      images = [
+        { imageId: primaryImageId, role: 'primary', caption: existing?.caption ?? null },
+        ...images.filter(image => image.imageId !== primaryImageId && image.role !== 'primary')
+      ];
+    }
+
+    const seen = new Set();
+    for (const image of images) {
+      if (image.imageId && seen.has(image.imageId)) {
+        throw clientError(`Image ${image.imageId} is in the gallery twice`);
+      }
+      seen.add(image.imageId);
+    }
+    if (images.length > MAX_GALLERY_IMAGES) {
+      throw clientError(`A meat cut can have at most ${MAX_GALLERY_IMAGES} images`);
+    }
+    if (images.filter(image => image.role === 'primary').length > 1) {
+      throw clientError('Only one image can have the primary role');
+    }
+    if (images.length > 0 && !images.some(image => image.role === 'primary')) {
+      images[0] = { ...images[0], role: 'primary' };
+    }
+
+    return images;
+  }
+
+  /**
+   * Upload the new images of a gallery, with their resized copies
+   * @param {Array<object>} images - Gallery from buildGallery()
+   * @param {string} baseName - Name the stored files start with
+   * @returns {Promise<Array<{imageId: string, role: string, caption: string|null}>>} - Gallery with stored image IDs
+   */
+  static async storeUploads(images, baseName = 'image') {
+    const stored = [];
+    for (const [index, { file, ...image }] of images.entries()) {
+      if (file) {
+        const mimeType = file.mimetype || 'image/jpeg';
+        const fileName = `${baseName}-${Date.now()}-${index + 1}.${ImageUploadService.extensionFor(mimeType)}`;
+        const result = await imageStorage.uploadImage(file.buffer, fileName, mimeType);
+        await ImageDerivativeService.generateQuietly(result.fileId, file.buffer, fileName);
+        image.imageId = result.fileId;
+      }
+      stored.push(image);
+    }
+    return stored;
+  }
+
+  /**
+   * Get the primary image of a gallery
+   * @param {Array<{imageId: string, role: string}>} images - Gallery from buildGallery()
+   * @returns {string|null} - Stored image ID
+   */
+  static getPrimaryImageId(images) {
+    return images.find(image => image.role === 'primary')?.imageId ?? null;
+  }
+}
+
+export default MeatCutImageService;
@@ -0,0 +1,243 @@
+import PriceHistory from '../models/PriceHistory.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import ExchangeRateService, { BASE_CURRENCY } from './exchangeRateService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { DEFAULT_UNIT, UNITS, convertUnitPrice, formatPrice, normalizeUnit, roundAmount } from '../utils/priceParser.js';
+
+/**
+ * Price History Service
+ * Builds price series and trends from the price history of meat cuts
+ * Amounts in other currencies are converted with today's exchange rates, so a
+ * trend reflects price changes rather than currency movements.
+ */
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+// Upper bound on the periods of one aggregate, to keep `interval=day` over years in check
+const MAX_PERIODS = 400;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Express a price range per another unit
+ * @param {object} priceRange - { min, max, mean, currency, unit, display }
+ * @param {string} unit - Target unit key
+ * @returns {object|null} - Price range per unit, or null when the units do not convert (per piece vs weight)
+ */
+function convertRangeUnit(priceRange, unit) {
+  if (priceRange.unit === unit) return priceRange;
+
+  const [min, max, mean] = [priceRange.min, priceRange.max, priceRange.mean]
+    .map(amount => convertUnitPrice(amount, priceRange.unit, unit));
+  if (min === null) return null;
+
+  const { currency } = priceRange;
+  const converted = {
+    min: roundAmount(min, currency),
+    max: roundAmount(max, currency),
+    mean: roundAmount(mean, currency),
+    currency,
+    unit
+  };
+  return { ...converted, display: formatPrice(converted) };
+}
+
+export class PriceHistoryService {
+  /**
+   * Get the price series of a meat cut with its trend
+   * @param {object} meatCut - From MeatCut.findBySlug()
+   * Every entry is converted to the display currency and the cut's own unit; entries
+   * whose unit does not convert (per piece vs by weight) keep their unit.
+   * @param {object} options - { currency: display currency (default: the cut's own), from, to: 'YYYY-MM-DD' }
+   * @returns {object} - { meatCutId, slug, currency, unit, entries, trend }
+   */
+  static getSeries(meatCut, options = {}) {
+    const currency = options.currency || meatCut.priceRange.currency;
+    const { unit } = meatCut.priceRange;
+    const rates = ExchangeRate.getRateMap();
+    const from = this.parseDate(options.from, 'from');
+    const to = this.parseDate(options.to, 'to');
+
+    const entries = PriceHistory.findByMeatCut(meatCut.id, {
+      from,
+      // Include the whole last day
+      to: to && `${to} 23:59:59`
+    }).map(entry => ({
+      ...entry,
+      priceRange: ExchangeRateService.convertPriceRange(
+        convertRangeUnit(entry.priceRange, unit) || entry.priceRange,
+        currency,
+        rates
+      )
+    }));
+
+    return {
+      meatCutId: meatCut.id,
+      slug: meatCut.slug,
+      currency,
+      unit,
+      entries,
+      trend: this.getTrend(entries)
+    };
+  }
+
+  /**
+   * Summarize how a series moved, comparing mean prices
+   * Only entries in the same currency and unit as the latest one are compared.
+   * @param {Array} entries - Entries from getSeries(), oldest first
+   * @returns {object|null} - { first, last, change, changePercent, direction: 'up' | 'down' | 'flat' }
+   */
+  static getTrend(entries) {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const last = entries[entries.length - 1].priceRange;
+    const comparable = entries.filter(entry =>
+      entry.priceRange.currency === last.currency && entry.priceRange.unit === last.unit
+    );
+    const first = comparable[0].priceRange;
+    const change = roundAmount(last.mean - first.mean, last.currency);
+
+    return {
+      first: first.mean,
+      last: last.mean,
+      change,
+      changePercent: first.mean > 0 ? Math.round((change / first.mean) * 1000) / 10 : null,
+      direction: change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+    };
+  }
+
+  /**
+   * Average price per part over time
+   * For each period, every cut contributes the price in effect at the end of the
+   * period (its latest entry by then), converted to the requested unit when it can be.
+   * @param {object} options - { interval: 'day' | 'week' | 'month', part, currency, unit, from, to: 'YYYY-MM-DD' }
+   * @returns {object} - { interval, currency, unit, parts: [{ part, points: [{ period, averagePrice, cutCount }] }] }
+   */
+  static getAverageByPart(options = {}) {
+    const interval = options.interval || 'month';
+    if (!INTERVALS.includes(interval)) {
+      throw clientError(`Invalid interval. Expected one of: ${INTERVALS.join(', ')}`);
+    }
+
+    const unit = options.unit ? normalizeUnit(String(options.unit)) : DEFAULT_UNIT;
+    if (!unit) {
+      throw clientError(`Unknown unit "${options.unit}". Expected one of: ${Object.keys(UNITS).join(', ')}`);
+    }
+
+    const currency = options.currency || BASE_CURRENCY;
+    const from = this.parseDate(options.from, 'from');
+    const to = this.parseDate(options.to, 'to');
+    const rates = ExchangeRate.getRateMap();
+
+    const entries = PriceHistory.findAllWithPart({ part: options.part });
+    const result = { interval, currency, unit, parts: [] };
+    if (entries.length === 0) {
+      return result;
+    }
+
+    const periods = this.getPeriods(interval, from || entries[0].recordedAt.slice(0, 10), to);
+
+    // Each cut's entries, oldest first, grouped by part
+    const timelines = new Map();
+    for (const entry of entries) {
+      if (!timelines.has(entry.part)) timelines.set(entry.part, new Map());
+      const cuts = timelines.get(entry.part);
+      if (!cuts.has(entry.meatCutId)) cuts.set(entry.meatCutId, []);
+      cuts.get(entry.meatCutId).push(entry);
+    }
+
+    for (const [part, cuts] of [...timelines].sort(([a], [b]) => a.localeCompare(b))) {
+      const points = [];
+
+      for (const period of periods) {
+        const prices = [];
+
+        for (const timeline of cuts.values()) {
+          const inEffect = timeline.findLast(entry => entry.recordedAt < period.end);
+          const perUnit = inEffect && convertRangeUnit(inEffect.priceRange, unit);
+          if (!perUnit) continue;
+
+          const { mean } = ExchangeRateService.convertPriceRange(perUnit, currency, rates);
+          prices.push(mean);
+        }
+
+        if (prices.length > 0) {
+          points.push({
+            period: period.key,
+            averagePrice: roundAmount(prices.reduce((sum, price) => sum + price, 0) / prices.length, currency),
+            cutCount: prices.length
+          });
+        }
+      }
+
+      if (points.length > 0) {
+        result.parts.push({ part, points });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * List the periods between two dates
+   * Weeks start on Monday. Keys are 'YYYY-MM-DD' (day, week start) or 'YYYY-MM' (month);
+   * end is the start of the next period as 'YYYY-MM-DD 00:00:00', comparable with recorded_at.
+   * @param {string} interval - 'day' | 'week' | 'month'
+   * @param {string} from - 'YYYY-MM-DD'
+   * @param {string|null} to - 'YYYY-MM-DD' (default: today)
+   * @returns {Array<{key: string, end: string}>}
+   */
+  static getPeriods(interval, from, to = null) {
+    const last = new Date(`${to || new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+    const start = new Date(`${from}T00:00:00Z`);
+
+    if (interval === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+      start.setUTCDate(1);
+    }
+
+    const next = (date) => {
+      const result = new Date(date);
+      if (interval === 'day') result.setUTCDate(result.getUTCDate() + 1);
+      if (interval === 'week') result.setUTCDate(result.getUTCDate() + 7);
+      if (interval === 'month') result.setUTCMonth(result.getUTCMonth() + 1);
+      return result;
+    };
+    const day = (date) => date.toISOString().slice(0, 10);
+
+    const periods = [];
+    for (let date = start; date <= last; date = next(date)) {
+      if (periods.length === MAX_PERIODS) {
+        throw clientError(`Too many periods (over ${MAX_PERIODS}). Use a longer interval or a shorter date range.`);
+      }
+      periods.push({
+        key: interval === 'month' ? day(date).slice(0, 7) : day(date),
+        end: `${day(next(date))} 00:00:00`
+      });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Validate an optional date parameter
+   * @param {*} value - 'YYYY-MM-DD'
+   * @param {string} name - Parameter name, for error messages
+   * @returns {string|null} - Date, or null when not given
+   */
+  static parseDate(value, name) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(value))) {
+      throw clientError(`${name} must be a date (YYYY-MM-DD)`);
+    }
+
+    return String(value);
+  }
+}
+
+export default PriceHistoryService;
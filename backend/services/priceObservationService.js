@@ -0,0 +1,433 @@
+import dotenv from 'dotenv';
+import MeatCut from '../models/MeatCut.js';
+import PriceObservation from '../models/PriceObservation.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Metadata from '../models/Metadata.js';
+import AuditService from './auditService.js';
+import StoreService from './storeService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import {
+  CURRENCIES,
+  UNITS,
+  DEFAULT_CURRENCY,
+  DEFAULT_UNIT,
+  PriceFormatError,
+  parsePrice,
+  normalizeCurrency,
+  normalizeUnit,
+  convertUnitPrice,
+  roundAmount,
+  formatPrice
+} from '../utils/priceParser.js';
+
+dotenv.config();
+
+// Where a meat cut's price range comes from
+export const PRICE_MODES = ['manual', 'observations'];
+
+const DEFAULT_RECENT_DAYS = 90;
+const AUTO_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Price Observation Service
+ * Records prices seen at stores, compares stores per cut and derives a cut's
+ * price range from its recent observations when its price mode is 'observations'.
+ */
+export class PriceObservationService {
+  /**
+   * Days an observation counts as recent (PRICE_OBSERVATION_DAYS)
+   * Only each store's latest recent observation is used for derived price ranges.
+   * @returns {number}
+   */
+  static getRecentDays() {
+    const days = parseInt(process.env.PRICE_OBSERVATION_DAYS);
+    return isNaN(days) || days < 1 ? DEFAULT_RECENT_DAYS : days;
+  }
+
+  /**
+   * First day that counts as recent
+   * @returns {string} - 'YYYY-MM-DD'
+   */
+  static getRecentSince() {
+    const since = new Date(Date.now() - (this.getRecentDays() - 1) * 24 * 60 * 60 * 1000);
+    return since.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get observations, newest first
+   * @param {object} options - { meatCutId, storeId, page, limit }
+   * @returns {{observations: Array, pagination: object}}
+   */
+  static list(options = {}) {
+    const page = Math.max(1, options.page || 1);
+    const limit = Math.min(200, Math.max(1, options.limit || 50));
+    const filters = { meatCutId: options.meatCutId, storeId: options.storeId };
+    const total = PriceObservation.count(filters);
+
+    return {
+      observations: PriceObservation.findAll({ ...filters, limit, offset: (page - 1) * limit }),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Record an observation
+   * @param {object} data - { storeId, meatCutId, price, currency, unit, observedOn, note }
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {object} - Created observation
+   */
+  static create(data, actor) {
+    const observation = PriceObservation.create({ ...this.validate(data), createdBy: actor.name });
+    this.refreshMeatCutPrice(observation.meatCutId, actor);
+
+    return observation;
+  }
+
+  /**
+   * Update an observation
+   * @param {number} id - Observation ID
+   * @param {object} data - Fields to change
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {{before: object, after: object}} - Observation before and after the update
+   */
+  static update(id, data, actor) {
+    const before = this.require(id);
+    const after = PriceObservation.update(id, this.validate({ ...before, ...data }));
+
+    this.refreshMeatCutPrice(after.meatCutId, actor);
+    if (before.meatCutId !== after.meatCutId) {
+      this.refreshMeatCutPrice(before.meatCutId, actor);
+    }
+
+    return { before, after };
+  }
+
+  /**
+   * Delete an observation
+   * @param {number} id - Observation ID
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {object} - Deleted observation
+   */
+  static delete(id, actor) {
+    const observation = this.require(id);
+    PriceObservation.delete(id);
+    this.refreshMeatCutPrice(observation.meatCutId, actor);
+
+    return observation;
+  }
+
+  /**
+   * Compare what a meat cut costs at each store, cheapest first
+   * Each store's latest observation is converted to one currency and unit; stores whose
+   * latest observation is older than the recent window come after the recent ones.
+   * @param {object} meatCut - From MeatCut.findBySlug()
+   * @param {object} options - { currency, unit } (default: the cut's own)
+   * @returns {object} - { meatCutId, slug, currency, unit, recentDays, priceMode, priceRange, stores }
+   */
+  static compare(meatCut, options = {}) {
+    const currency = options.currency || meatCut.priceRange.currency;
+    const unit = this.requireUnit(options.unit) || meatCut.priceRange.unit;
+    const rates = ExchangeRate.getRateMap();
+    const since = this.getRecentSince();
+
+    const stores = PriceObservation.findLatestByStore(meatCut.id)
+      .map(observation => ({
+        storeId: observation.storeId,
+        store: observation.storeName,
+        location: observation.storeLocation,
+        url: observation.storeUrl,
+        price: this.convert(observation, currency, unit, rates),
+        observed: {
+          price: observation.price,
+          currency: observation.currency,
+          unit: observation.unit,
+          display: formatPrice({ min: observation.price, max: observation.price, currency: observation.currency, unit: observation.unit })
+        },
+        observedOn: observation.observedOn,
+        note: observation.note,
+        recent: observation.observedOn >= since,
+        observationCount: observation.observationCount
+      }))
+      // Recent prices first, then by price; prices that do not convert go last
+      .sort((a, b) => (b.recent - a.recent)
+        || ((a.price ?? Infinity) - (b.price ?? Infinity))
+        || a.store.localeCompare(b.store));
+
+    const cheapest = stores.find(store => store.recent && store.price !== null);
+
+    return {
+      meatCutId: meatCut.id,
+      slug: meatCut.slug,
+      currency,
+      unit,
+      recentDays: this.getRecentDays(),
+      priceMode: meatCut.priceMode,
+      priceRange: this.summarize(stores.filter(store => store.recent).map(store => store.price), currency, unit),
+      cheapestStoreId: cheapest ? cheapest.storeId : null,
+      stores: stores.map(store => ({ ...store, cheapest: store === cheapest }))
+    };
+  }
+
+  /**
+   * Derive a price range from the latest recent observation at each store
+   * @param {number} meatCutId - Meat cut ID
+   * @param {string} currency - ISO code of the range
+   * @param {string} unit - Unit of the range
+   * @returns {object|null} - { min, max, mean, currency, unit }, or null without recent observations
+   */
+  static derivePriceRange(meatCutId, currency, unit) {
+    const rates = ExchangeRate.getRateMap();
+    const since = this.getRecentSince();
+    const prices = PriceObservation.findLatestByStore(meatCutId)
+      .filter(observation => observation.observedOn >= since)
+      .map(observation => this.convert(observation, currency, unit, rates));
+
+    return this.summarize(prices, currency, unit);
+  }
+
+  /**
+   * Update a meat cut's price from its observations, when its price mode is 'observations'
+   * The hand-entered price stays until the cut has recent observations.
+   * @param {number} meatCutId - Meat cut ID
+   * @param {object} actor - Audit actor
+   * @returns {object|null} - New priceRange, or null when nothing changed
+   */
+  static refreshMeatCutPrice(meatCutId, actor) {
+    const meatCut = MeatCut.findById(meatCutId);
+    if (!meatCut || meatCut.priceMode !== 'observations') return null;
+
+    const { currency, unit } = meatCut.priceRange;
+    const price = this.derivePriceRange(meatCutId, currency, unit);
+    if (!price || ['min', 'max', 'mean'].every(key => price[key] === meatCut.priceRange[key])) return null;
+
+    const before = AuditService.snapshotMeatCut(meatCutId);
+    const updated = MeatCut.update(meatCutId, {
+      priceMin: price.min,
+      priceMax: price.max,
+      priceMean: price.mean,
+      priceDisplay: price.display
+    }, { source: 'observations', createdBy: actor.name });
+
+    AuditService.record({
+      actor,
+      action: 'meat_cut.update',
+      entityType: 'meat_cut',
+      entityId: meatCutId,
+      before,
+      after: AuditService.snapshotMeatCut(meatCutId),
+      metadata: { source: 'price_observations' }
+    });
+    Metadata.touchMeatCutsUpdate();
+
+    return updated.priceRange;
+  }
+
+  /**
+   * Refresh every meat cut priced from observations (observations age out of the window)
+   * @param {object} actor - Audit actor
+   * @returns {number} - Number of meat cuts whose price changed
+   */
+  static refreshAll(actor) {
+    return MeatCut.findIdsByPriceMode('observations')
+      .filter(id => this.refreshMeatCutPrice(id, actor) !== null)
+      .length;
+  }
+
+  /**
+   * Refresh derived prices now and then once a day
+   * @returns {NodeJS.Timeout} - Interval timer
+   */
+  static startAutoRefresh() {
+    const run = () => {
+      try {
+        const updated = this.refreshAll(AuditService.systemActor('price-observations'));
+        if (updated > 0) {
+          console.log(`Updated the price of ${updated} meat cut(s) from store observations`);
+        }
+      } catch (error) {
+        console.error('Failed to refresh prices from store observations:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, AUTO_REFRESH_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Validate a requested price mode
+   * @param {*} value - 'manual' | 'observations'
+   * @returns {string|undefined} - Price mode, or undefined when not given
+   */
+  static requirePriceMode(value) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+    if (!PRICE_MODES.includes(value)) {
+      throw clientError(`Invalid price mode. Expected one of: ${PRICE_MODES.join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate an optional unit parameter
+   * @param {*} value - Unit key or spelling
+   * @returns {string|null} - Unit key, or null when not given
+   */
+  static requireUnit(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+
+    const unit = normalizeUnit(String(value));
+    if (!unit) {
+      throw clientError(`Unknown unit "${value}". Expected one of: ${Object.keys(UNITS).join(', ')}`);
+    }
+
+    return unit;
+  }
+
+  /**
+   * Validate and normalize observation data
+   * price is a number, or a price text such as "NT$450/斤" that may state the currency and unit.
+   * @param {object} data - { storeId, meatCutId, price, currency, unit, observedOn, note }
+   * @returns {object} - { storeId, meatCutId, price, currency, unit, observedOn, note }
+   */
+  static validate(data) {
+    const storeId = parseInt(data.storeId);
+    StoreService.require(isNaN(storeId) ? null : storeId);
+
+    const meatCutId = parseInt(data.meatCutId);
+    if (isNaN(meatCutId) || !MeatCut.findById(meatCutId)) {
+      throw clientError('Meat cut not found', 404);
+    }
+
+    let parsed;
+    if (typeof data.price === 'number') {
+      parsed = { min: data.price, max: data.price, currency: null, unit: null };
+    } else {
+      try {
+        parsed = parsePrice(String(data.price ?? ''), { currency: null, unit: null });
+      } catch (error) {
+        if (!(error instanceof PriceFormatError)) throw error;
+        throw clientError(`Invalid price: ${error.message}`);
+      }
+    }
+    if (parsed.min !== parsed.max) {
+      throw clientError('An observation is a single price, not a range');
+    }
+    if (!Number.isFinite(parsed.min) || parsed.min <= 0) {
+      throw clientError('Price must be a positive number');
+    }
+
+    const currency = this.readOption(data.currency, parsed.currency, normalizeCurrency, 'currency', Object.keys(CURRENCIES))
+      ?? DEFAULT_CURRENCY;
+    const unit = this.readOption(data.unit, parsed.unit, normalizeUnit, 'unit', Object.keys(UNITS))
+      ?? DEFAULT_UNIT;
+
+    const observedOn = data.observedOn ? String(data.observedOn) : new Date().toISOString().slice(0, 10);
+    if (!DATE_PATTERN.test(observedOn) || Number.isNaN(Date.parse(observedOn))) {
+      throw clientError('observedOn must be a date (YYYY-MM-DD)');
+    }
+    if (observedOn > new Date().toISOString().slice(0, 10)) {
+      throw clientError('observedOn cannot be in the future');
+    }
+
+    return {
+      storeId,
+      meatCutId,
+      price: parsed.min,
+      currency,
+      unit,
+      observedOn,
+      note: (typeof data.note === 'string' && data.note.trim()) || null
+    };
+  }
+
+  /**
+   * Read the currency or unit of an observation from its field or its price text
+   * @param {*} value - Field value (code or spelling)
+   * @param {string|null} stated - What the price text stated
+   * @param {Function} normalize - normalizeCurrency / normalizeUnit
+   * @param {string} name - Field name, for error messages
+   * @param {Array<string>} supported - Supported keys, for error messages
+   * @returns {string|null}
+   */
+  static readOption(value, stated, normalize, name, supported) {
+    if (value === undefined || value === null || value === '') {
+      return stated;
+    }
+
+    const normalized = normalize(String(value));
+    if (!normalized) {
+      throw clientError(`Unknown ${name} "${value}". Expected one of: ${supported.join(', ')}`);
+    }
+    if (stated && stated !== normalized) {
+      throw clientError(`The price is in ${stated} but ${name} is ${normalized}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get an observation or fail with 404
+   * @param {number} id - Observation ID
+   * @returns {object} - Observation
+   */
+  static require(id) {
+    const observation = id ? PriceObservation.findById(id) : null;
+
+    if (!observation) {
+      throw clientError('Price observation not found', 404);
+    }
+
+    return observation;
+  }
+
+  /**
+   * Convert an observed price to another currency and unit
+   * @param {object} observation - { price, currency, unit }
+   * @param {string} currency - Target ISO code
+   * @param {string} unit - Target unit
+   * @param {object} rates - ExchangeRate.getRateMap()
+   * @returns {number|null} - Rounded price, or null when there is no rate or the units do not convert
+   */
+  static convert(observation, currency, unit, rates) {
+    const perUnit = convertUnitPrice(observation.price, observation.unit, unit);
+    if (perUnit === null) return null;
+    if (observation.currency === currency) return roundAmount(perUnit, currency);
+    if (!rates[observation.currency] || !rates[currency]) return null;
+
+    return roundAmount(perUnit * (rates[currency] / rates[observation.currency]), currency);
+  }
+
+  /**
+   * Build a price range from converted prices
+   * @param {Array<number|null>} prices - Prices (nulls are skipped)
+   * @param {string} currency - ISO code
+   * @param {string} unit - Unit
+   * @returns {object|null} - { min, max, mean, currency, unit, display }, or null without prices
+   */
+  static summarize(prices, currency, unit) {
+    const values = prices.filter(price => price !== null);
+    if (values.length === 0) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    return {
+      min,
+      max,
+      mean: roundAmount(values.reduce((sum, price) => sum + price, 0) / values.length, currency),
+      currency,
+      unit,
+      display: formatPrice({ min, max, currency, unit })
+    };
+  }
+}
+
+export default PriceObservationService;
@@ -0,0 +1,167 @@
+import MeatCut from '../models/MeatCut.js';
+import MeatCutRevision from '../models/MeatCutRevision.js';
+import Metadata from '../models/Metadata.js';
+import AuditService from './auditService.js';
+import PriceObservationService from './priceObservationService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { DEFAULT_CURRENCY, DEFAULT_UNIT } from '../utils/priceParser.js';
+
+/**
+ * Revision Service
+ * Lists, compares and restores previous states of meat cuts
+ */
+
+/**
+ * Flatten a stored snapshot into the same shape as AuditService.snapshotMeatCut
+ * @param {object} snapshot - { row, cookingMethods, recommendedDishes, images }
+ * @returns {object}
+ */
+function toComparable(snapshot) {
+  const { row } = snapshot;
+  return {
+    name: row.name,
+    chineseName: row.chinese_name,
+    part: row.part,
+    lean: row.lean === 1,
+    priceMin: row.price_min,
+    priceMax: row.price_max,
+    priceMean: row.price_mean,
+    priceCurrency: row.price_currency ?? DEFAULT_CURRENCY,
+    priceUnit: row.price_unit ?? DEFAULT_UNIT,
+    priceDisplay: row.price_display,
+    // Revisions saved before migration 013 have no price mode
+    priceMode: row.price_mode ?? 'manual',
+    textureNotes: row.texture_notes,
+    imageReference: row.image_reference,
+    googleDriveImageId: row.google_drive_image_id,
+    googleDriveImageUrl: row.google_drive_image_url,
+    slug: row.slug,
+    cookingMethods: snapshot.cookingMethods,
+    recommendedDishes: snapshot.recommendedDishes,
+    // Revisions saved before migration 015 have no gallery
+    images: snapshot.images ?? []
+  };
+}
+
+export class RevisionService {
+  /**
+   * Get the revisions of a meat cut, newest first
+   * @param {number} meatCutId - Meat cut ID
+   * @returns {Array}
+   */
+  static list(meatCutId) {
+    this.requireMeatCut(meatCutId);
+    return MeatCutRevision.findByMeatCut(meatCutId);
+  }
+
+  /**
+   * Get one revision of a meat cut
+   * @param {number} meatCutId - Meat cut ID
+   * @param {number} revisionId - Revision ID
+   * @returns {object}
+   */
+  static get(meatCutId, revisionId) {
+    this.requireMeatCut(meatCutId);
+    const revision = MeatCutRevision.findById(revisionId);
+
+    if (!revision || revision.meatCutId !== meatCutId) {
+      throw clientError('Revision not found', 404);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Compare two revisions, or a revision with the current state
+   * @param {number} meatCutId - Meat cut ID
+   * @param {number} fromId - Revision ID
+   * @param {number|string} toId - Revision ID or 'current'
+   * @returns {{from: object, to: object, changes: object}}
+   */
+  static diff(meatCutId, fromId, toId = 'current') {
+    const from = this.get(meatCutId, fromId);
+    let to;
+
+    if (toId === 'current') {
+      to = { id: 'current', snapshot: MeatCut.getRevisionSnapshot(meatCutId) };
+    } else {
+      to = this.get(meatCutId, toId);
+    }
+
+    return {
+      from: { id: from.id, revisionNumber: from.revisionNumber, createdAt: from.createdAt },
+      to: to.id === 'current'
+        ? { id: 'current' }
+        : { id: to.id, revisionNumber: to.revisionNumber, createdAt: to.createdAt },
+      changes: AuditService.diff(toComparable(from.snapshot), toComparable(to.snapshot))
+    };
+  }
+
+  /**
+   * Restore a meat cut to a revision through the normal update path,
+   * so the state being replaced becomes a new revision itself.
+   * A cut restored to the 'observations' price mode is then repriced from its observations.
+   * @param {number} meatCutId - Meat cut ID
+   * @param {number} revisionId - Revision ID
+   * @param {object} actor - Audit actor
+   * @returns {object} - Updated meat cut
+   */
+  static restore(meatCutId, revisionId, actor) {
+    const revision = this.get(meatCutId, revisionId);
+    const { row, cookingMethods, recommendedDishes, images } = revision.snapshot;
+    const before = AuditService.snapshotMeatCut(meatCutId);
+
+    const updated = MeatCut.update(meatCutId, {
+      name: row.name,
+      chineseName: row.chinese_name,
+      part: row.part,
+      lean: row.lean === 1,
+      priceMin: row.price_min,
+      priceMax: row.price_max,
+      priceMean: row.price_mean,
+      // Revisions saved before migration 010 have no currency or unit
+      priceCurrency: row.price_currency ?? DEFAULT_CURRENCY,
+      priceUnit: row.price_unit ?? DEFAULT_UNIT,
+      priceDisplay: row.price_display,
+      priceMode: row.price_mode ?? 'manual',
+      textureNotes: row.texture_notes,
+      imageReference: row.image_reference,
+      googleDriveImageId: row.google_drive_image_id,
+      googleDriveImageUrl: row.google_drive_image_url,
+      cookingMethods,
+      recommendedDishes,
+      images
+    }, { reason: 'restore', createdBy: actor.name });
+
+    AuditService.record({
+      actor,
+      action: 'meat_cut.restore',
+      entityType: 'meat_cut',
+      entityId: meatCutId,
+      before,
+      after: AuditService.snapshotMeatCut(meatCutId),
+      metadata: { revisionId: revision.id, revisionNumber: revision.revisionNumber }
+    });
+
+    Metadata.touchMeatCutsUpdate();
+
+    // A restored 'observations' mode prices the cut from its observations, not the snapshot
+    if (updated.priceMode === 'observations' && PriceObservationService.refreshMeatCutPrice(meatCutId, actor)) {
+      return MeatCut.findById(meatCutId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Throw a 404 if the meat cut does not exist
+   * @param {number} meatCutId - Meat cut ID
+   */
+  static requireMeatCut(meatCutId) {
+    if (!MeatCut.findById(meatCutId)) {
+      throw clientError('Meat cut not found', 404);
+    }
+  }
+}
+
+export default RevisionService;
@@ -1,5 +1,78 @@
 import getDatabase from '../config/database.js';
 import MeatCut from '../models/MeatCut.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import ExchangeRateService, { BASE_CURRENCY } from './exchangeRateService.js';
+import CacheService from './cacheService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { roundAmount, convertUnitPrice, normalizeUnit, UNITS, DEFAULT_UNIT } from '../utils/priceParser.js';
+import {
+  buildSearchQueries,
+  buildTermQuery,
+  restoreSegmentedText,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END
+} from '../utils/searchText.js';
+import { parseSearchQuery, parseListParam } from '../utils/searchQuery.js';
+
+// BM25 column weights: name, chinese_name, part, texture_notes, cooking_methods, recommended_dishes,
+// chinese_name_simplified, chinese_name_pinyin
+const BM25_WEIGHTS = [10.0, 10.0, 5.0, 1.0, 3.0, 2.0, 8.0, 6.0];
+
+export const SORT_OPTIONS = ['name', 'part', 'cookingMethod', 'price', 'relevance'];
+
+// How several cooking methods or dishes combine: a cut has any of them, or all of them
+export const MATCH_MODES = ['any', 'all'];
+
+// Results per page when no limit is given, and the largest page allowed
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// How a result matched the query, strongest first
+export const MATCH_TYPES = ['exact', 'fulltext', 'simplified-traditional', 'pinyin'];
+
+// Units of a meat cut's own currency per 1 USD; multiply a price by (target rate / this) to convert.
+// Prices in a currency without a rate are compared as they are.
+const PRICE_RATE_SQL = 'COALESCE((SELECT rate FROM exchange_rates WHERE currency = mc.price_currency), ?)';
+
+/**
+ * SQL for a price column of a meat cut per one unit and in the target currency, so prices
+ * in different units and currencies compare. Takes the target rate twice as parameters.
+ * Weights convert by their grams; per-piece and weight prices do not convert into each
+ * other, so for them it is NULL: they match no price filter and sort after the others.
+ * @param {string} column - Price column, e.g. 'mc.price_min'
+ * @param {string} unit - Unit key (from UNITS)
+ * @returns {string}
+ */
+function normalizedPriceSql(column, unit) {
+  const factors = Object.keys(UNITS)
+    .map(from => [from, convertUnitPrice(1, from, unit)])
+    .filter(([, factor]) => factor !== null)
+    .map(([from, factor]) => `WHEN '${from}' THEN ${factor}`);
+
+  return `(${column} * (CASE mc.price_unit ${factors.join(' ')} END) * ? / ${PRICE_RATE_SQL})`;
+}
+
+// Many-to-many relations a meat cut can be filtered on
+const RELATIONS = {
+  cookingMethod: {
+    link: 'meat_cut_cooking_methods',
+    table: 'cooking_methods',
+    key: 'cooking_method_id'
+  },
+  dish: {
+    link: 'meat_cut_recommended_dishes',
+    table: 'recommended_dishes',
+    key: 'recommended_dish_id'
+  }
+};
+
+// First cooking method of a meat cut, alphabetically (the one listed first)
+const FIRST_COOKING_METHOD_SQL = `(
+  SELECT MIN(cm.name)
+  FROM meat_cut_cooking_methods mccm
+  JOIN cooking_methods cm ON mccm.cooking_method_id = cm.id
+  WHERE mccm.meat_cut_id = mc.id
+)`;
 
 /**
  * Search Service
@@ -7,102 +80,186 @@ import MeatCut from '../models/MeatCut.js';
  */
 export class SearchService {
   /**
-   * Search meat cuts with filters
-   * @param {object} filters - Search filters
-   * @returns {object} - Search results with total count
+   * Search meat cuts with filters, one page at a time
+   * priceMin / priceMax, price sorting and the returned priceRange are in `currency`
+   * (default USD) per `unit` (default lb); results are converted to `currency` only
+   * when it is given and keep their own unit.
+   * Facet counts for part, cooking method and lean apply every other filter,
+   * so the counts show what choosing another value would return.
+   * part, cookingMethod and dish (and their exclude* counterparts) take a list or a
+   * comma-separated string; `match` decides whether a cut needs any or all of the
+   * cooking methods and dishes. `q` may use the syntax of parseSearchQuery().
+   * @param {object} filters - Search filters, sort, page and limit
+   * @returns {object} - Search results with total count, pagination and facets
    */
   static search(filters = {}) {
     const db = getDatabase();
+    filters = this.normalizeFilters(filters);
     const {
-      q = '',
+      q,
       priceMin,
       priceMax,
-      part,
-      lean,
-      cookingMethod
+      currency = null,
+      unit = DEFAULT_UNIT,
+      match = 'any',
+      sort = 'name',
+      page,
+      limit
     } = filters;
+    const rates = ExchangeRate.getRateMap();
+    const priceCurrency = currency || BASE_CURRENCY;
+    const targetRate = rates[priceCurrency] ?? 1;
+
+    // Filter conditions (meat cuts in the trash are never returned); facet filters
+    // are tagged so their own facet counts can leave them out
+    const conditions = [{ sql: 'mc.deleted_at IS NULL', params: [] }];
 
-    // Build WHERE clause
-    const conditions = [];
-    const params = [];
+    // Field filters typed in the query add to the ones given as parameters
+    const parsed = parseSearchQuery(q);
+    const parts = [...parseListParam(filters.part), ...parsed.parts];
+    const cookingMethods = [...parseListParam(filters.cookingMethod), ...parsed.cookingMethods];
+    const dishes = [...parseListParam(filters.dish), ...parsed.dishes];
+    const lean = filters.lean ?? parsed.lean;
+    // Words and phrases rank the results; phrases must also match as a whole
+    const text = [...parsed.terms, ...parsed.phrases].join(' ');
 
-    // Text search (name, chinese_name, part)
-    if (q && q.trim()) {
-      const searchTerm = `%${q.trim()}%`;
-      conditions.push(`(
-        mc.name LIKE ? OR 
-        mc.chinese_name LIKE ? OR 
-        mc.part LIKE ?
-      )`);
-      params.push(searchTerm, searchTerm, searchTerm);
+    // Full-text search (BM25 ranked) over name, chinese_name, part, texture notes,
+    // cooking methods and recommended dishes, plus Simplified Chinese and Pinyin
+    // forms of chinese_name
+    const searchQueries = buildSearchQueries(text);
+    const ftsQuery = searchQueries.combined;
+    const ftsParams = [];
+    let ftsCte = '';
+    let ftsJoin = '';
+    let ftsColumns = '';
+    if (ftsQuery) {
+      ftsCte = `
+        WITH fts AS MATERIALIZED (
+          SELECT
+            rowid AS meat_cut_id,
+            bm25(meat_cuts_fts, ${BM25_WEIGHTS.join(', ')}) AS rank,
+            highlight(meat_cuts_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS name_highlight,
+            highlight(meat_cuts_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS chinese_name_highlight,
+            snippet(meat_cuts_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS snippet
+          FROM meat_cuts_fts
+          WHERE meat_cuts_fts MATCH ?
+        )
+      `;
+      ftsParams.push(ftsQuery);
+      ftsJoin = 'LEFT JOIN fts ON fts.meat_cut_id = mc.id';
+      ftsColumns = ', fts.rank, fts.name_highlight, fts.chinese_name_highlight, fts.snippet';
+    }
+
+    // Text search: full-text match, or plain substring match on name, chinese_name, part
+    if (text.trim()) {
+      const searchTerm = `%${text.trim()}%`;
+      conditions.push({
+        sql: `(
+          ${ftsQuery ? 'fts.meat_cut_id IS NOT NULL OR' : ''}
+          mc.name LIKE ? OR 
+          mc.chinese_name LIKE ? OR 
+          mc.part LIKE ?
+        )`,
+        params: [searchTerm, searchTerm, searchTerm]
+      });
     }
 
     // Price range filter
     if (priceMin !== undefined && priceMin !== null) {
-      conditions.push('mc.price_max >= ?');
-      params.push(priceMin);
+      conditions.push({
+        sql: `${normalizedPriceSql('mc.price_max', unit)} >= ?`,
+        params: [targetRate, targetRate, priceMin]
+      });
     }
     if (priceMax !== undefined && priceMax !== null) {
-      conditions.push('mc.price_min <= ?');
-      params.push(priceMax);
+      conditions.push({
+        sql: `${normalizedPriceSql('mc.price_min', unit)} <= ?`,
+        params: [targetRate, targetRate, priceMax]
+      });
+    }
+
+    // Phrases must match as a whole; excluded words and phrases must not match
+    for (const phrase of parsed.phrases) {
+      this.pushTermCondition(conditions, buildTermQuery(phrase, { phrase: true }), false);
+    }
+    for (const term of parsed.excludeTerms) {
+      this.pushTermCondition(conditions, buildTermQuery(term), true);
+    }
+    for (const phrase of parsed.excludePhrases) {
+      this.pushTermCondition(conditions, buildTermQuery(phrase, { phrase: true }), true);
     }
 
-    // Part filter
-    if (part && part.trim()) {
-      conditions.push('mc.part = ?');
-      params.push(part.trim());
+    // Part filter (a cut has one part, so several parts always mean any of them)
+    if (parts.length > 0) {
+      conditions.push({
+        facet: 'part',
+        sql: `mc.part COLLATE NOCASE IN (${parts.map(() => '?').join(', ')})`,
+        params: parts
+      });
+    }
+    const excludeParts = [...parseListParam(filters.excludePart), ...parsed.excludeParts];
+    if (excludeParts.length > 0) {
+      conditions.push({
+        sql: `(mc.part IS NULL OR mc.part COLLATE NOCASE NOT IN (${excludeParts.map(() => '?').join(', ')}))`,
+        params: excludeParts
+      });
     }
 
     // Lean filter
     if (lean !== undefined && lean !== null) {
-      conditions.push('mc.lean = ?');
-      params.push(lean ? 1 : 0);
+      conditions.push({ facet: 'lean', sql: 'mc.lean = ?', params: [lean ? 1 : 0] });
     }
 
-    // Cooking method filter
-    let joinClause = '';
-    if (cookingMethod && cookingMethod.trim()) {
-      joinClause = `
-        JOIN meat_cut_cooking_methods mccm ON mc.id = mccm.meat_cut_id
-        JOIN cooking_methods cm ON mccm.cooking_method_id = cm.id
-      `;
-      conditions.push('cm.name = ?');
-      params.push(cookingMethod.trim());
+    // Cooking method and dish filters; with `all` the cooking method facet counts
+    // keep the filter, since choosing another method narrows the results further
+    this.pushRelationConditions(conditions, 'cookingMethod', cookingMethods, match);
+    this.pushRelationConditions(conditions, 'dish', dishes, match);
+    for (const [relation, names] of [
+      ['cookingMethod', [...parseListParam(filters.excludeCookingMethod), ...parsed.excludeCookingMethods]],
+      ['dish', [...parseListParam(filters.excludeDish), ...parsed.excludeDishes]]
+    ]) {
+      if (names.length > 0) {
+        conditions.push({ sql: `NOT ${this.relationSql(relation, names.length)}`, params: names });
+      }
     }
 
-    // Build query
-    const whereClause = conditions.length > 0 
-      ? `WHERE ${conditions.join(' AND ')}`
-      : '';
+    const where = this.buildWhere(conditions);
+    const order = this.buildOrder(sort, { ftsQuery, targetRate, unit });
 
     // Get total count
     const countQuery = `
-      SELECT COUNT(DISTINCT mc.id) as total
+      ${ftsCte}
+      SELECT COUNT(*) as total
       FROM meat_cuts mc
-      ${joinClause}
-      ${whereClause}
+      ${ftsJoin}
+      ${where.clause}
     `;
-    const totalResult = db.prepare(countQuery).get(...params);
+    const totalResult = db.prepare(countQuery).get(...ftsParams, ...where.params);
     const total = totalResult.total;
 
-    // Get results
+    // Get one page of results
     const query = `
-      SELECT DISTINCT mc.*
+      ${ftsCte}
+      SELECT mc.*${ftsColumns}
       FROM meat_cuts mc
-      ${joinClause}
-      ${whereClause}
-      ORDER BY mc.name
+      ${ftsJoin}
+      ${where.clause}
+      ${order.clause}
+      LIMIT ? OFFSET ?
     `;
-    const meatCuts = db.prepare(query).all(...params);
+    const meatCuts = db.prepare(query)
+      .all(...ftsParams, ...where.params, ...order.params, limit, (page - 1) * limit);
+    const matchSets = this.getMatchSets(searchQueries);
 
-    // Format results
+    // Format results, with the relations of the whole page loaded at once
+    const relations = MeatCut.getRelations(meatCuts.map(mc => mc.id));
     const results = meatCuts.map(mc => {
-      const formatted = MeatCut.formatMeatCut(mc);
-      const cookingMethods = MeatCut.getCookingMethods(mc.id);
-      const recommendedDishes = MeatCut.getRecommendedDishes(mc.id);
+      const { cookingMethods, recommendedDishes, images } = relations.get(mc.id);
+      const formatted = MeatCut.formatMeatCut(mc, images);
       
-      return {
+      const result = {
         ...formatted,
+        priceRange: ExchangeRateService.convertPriceRange(formatted.priceRange, currency, rates),
         cookingMethods,
         recommendedDishes,
         imageUrl: formatted.googleDriveImageId ? `/api/drive/image/${formatted.googleDriveImageId}` : null,
@@ -110,34 +267,319 @@ export class SearchService {
         googleDriveImageId: formatted.googleDriveImageId,
         googleDriveImageUrl: formatted.googleDriveImageUrl
       };
-    });
 
-    // Get price range for all meat cuts
-    const priceRangeQuery = 'SELECT MIN(price_min) as min, MAX(price_max) as max FROM meat_cuts';
-    const priceRange = db.prepare(priceRangeQuery).get();
+      if (text.trim()) {
+        result.matchType = this.getMatchType(mc, text.trim(), matchSets);
+      }
+
+      if (ftsQuery) {
+        const matched = mc.rank !== null && mc.rank !== undefined;
+        // bm25() returns lower-is-better negative scores; expose higher-is-better
+        result.relevance = matched ? Math.round(-mc.rank * 1000) / 1000 : 0;
+        result.highlights = matched
+          ? {
+              name: mc.name_highlight,
+              chineseName: restoreSegmentedText(mc.chinese_name_highlight),
+              snippet: restoreSegmentedText(mc.snippet)
+            }
+          : null;
+      }
+
+      return result;
+    });
 
     return {
       results,
       total,
-      priceRange: {
-        min: priceRange.min || 0,
-        max: priceRange.max || 0
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+      currency: priceCurrency,
+      unit,
+      priceRange: this.getPriceRange(priceCurrency, targetRate, unit),
+      facets: this.getFacets(conditions, { ftsCte, ftsJoin, ftsParams })
+    };
+  }
+
+  /**
+   * Validate the unit prices are compared in (the `unit` query parameter)
+   * @param {string|undefined} value - Unit key or spelling ("kg", "斤")
+   * @returns {string} - Unit key; DEFAULT_UNIT when none was given
+   */
+  static requireUnit(value) {
+    if (value === undefined || value === '') {
+      return DEFAULT_UNIT;
+    }
+
+    const unit = normalizeUnit(String(value));
+    if (!unit) {
+      throw clientError(`Unknown unit "${value}". Expected one of: ${Object.keys(UNITS).join(', ')}`);
+    }
+    return unit;
+  }
+
+  /**
+   * Normalize search filters, so equivalent searches look the same (and share a cache entry)
+   * Lists are parsed, lowercased (names match case-insensitively), deduplicated and sorted;
+   * page and limit are clamped.
+   * @param {object} filters - Filters as given to search()
+   * @returns {object} - Normalized filters
+   */
+  static normalizeFilters(filters) {
+    const list = value => [...new Set(parseListParam(value).map(item => item.toLowerCase()))].sort();
+
+    return {
+      ...filters,
+      q: typeof filters.q === 'string' ? filters.q.trim().replace(/\s+/g, ' ') : '',
+      part: list(filters.part),
+      cookingMethod: list(filters.cookingMethod),
+      dish: list(filters.dish),
+      excludePart: list(filters.excludePart),
+      excludeCookingMethod: list(filters.excludeCookingMethod),
+      excludeDish: list(filters.excludeDish),
+      page: Math.max(1, filters.page || 1),
+      limit: Math.min(MAX_PAGE_SIZE, Math.max(1, filters.limit || DEFAULT_PAGE_SIZE))
+    };
+  }
+
+  /**
+   * Add a condition that a meat cut does (or does not) match a full-text expression
+   * @param {Array<object>} conditions - Filter conditions to add to
+   * @param {string|null} expression - From buildTermQuery(); nothing is added when null
+   * @param {boolean} exclude - Keep only cuts that do not match
+   */
+  static pushTermCondition(conditions, expression, exclude) {
+    if (!expression) return;
+
+    conditions.push({
+      sql: `mc.id ${exclude ? 'NOT IN' : 'IN'} (SELECT rowid FROM meat_cuts_fts WHERE meat_cuts_fts MATCH ?)`,
+      params: [expression]
+    });
+  }
+
+  /**
+   * Add the conditions that a meat cut has any or all of some cooking methods or dishes
+   * @param {Array<object>} conditions - Filter conditions to add to
+   * @param {string} relation - Key of RELATIONS
+   * @param {Array<string>} names - Cooking method or dish names (case-insensitive)
+   * @param {string} match - One of MATCH_MODES
+   */
+  static pushRelationConditions(conditions, relation, names, match) {
+    if (names.length === 0) return;
+
+    if (match === 'all') {
+      for (const name of names) {
+        conditions.push({ sql: this.relationSql(relation, 1), params: [name] });
       }
+    } else {
+      conditions.push({ facet: relation, sql: this.relationSql(relation, names.length), params: names });
+    }
+  }
+
+  /**
+   * SQL testing that a meat cut has one of some cooking methods or dishes
+   * @param {string} relation - Key of RELATIONS
+   * @param {number} count - Number of name parameters
+   * @returns {string}
+   */
+  static relationSql(relation, count) {
+    const { link, table, key } = RELATIONS[relation];
+
+    return `EXISTS (
+      SELECT 1
+      FROM ${link} l
+      JOIN ${table} t ON l.${key} = t.id
+      WHERE l.meat_cut_id = mc.id AND t.name COLLATE NOCASE IN (${Array(count).fill('?').join(', ')})
+    )`;
+  }
+
+  /**
+   * Build a WHERE clause from filter conditions
+   * @param {Array<object>} conditions - { sql, params, facet }
+   * @param {string|null} exceptFacet - Leave out the filter of this facet
+   * @returns {{clause: string, params: Array}}
+   */
+  static buildWhere(conditions, exceptFacet = null) {
+    const included = conditions.filter(condition => !exceptFacet || condition.facet !== exceptFacet);
+
+    return {
+      clause: `WHERE ${included.map(condition => condition.sql).join(' AND ')}`,
+      params: included.flatMap(condition => condition.params)
+    };
+  }
+
+  /**
+   * Build the ORDER BY clause of a sort option; every order ends with name and ID
+   * so pages are stable, and cuts without a part, cooking method or price come last
+   * @param {string} sort - One of SORT_OPTIONS
+   * @param {object} context - { ftsQuery, targetRate, unit }
+   * @returns {{clause: string, params: Array}}
+   */
+  static buildOrder(sort, { ftsQuery, targetRate, unit }) {
+    switch (sort) {
+      case 'part':
+        return { clause: "ORDER BY COALESCE(mc.part, '') = '', mc.part, mc.name, mc.id", params: [] };
+      case 'cookingMethod':
+        return {
+          clause: `ORDER BY ${FIRST_COOKING_METHOD_SQL} IS NULL, ${FIRST_COOKING_METHOD_SQL}, mc.name, mc.id`,
+          params: []
+        };
+      case 'price': {
+        // Mean price, compared across currencies and units
+        const price = normalizedPriceSql('mc.price_mean', unit);
+        return {
+          clause: `ORDER BY ${price} IS NULL, ${price}, mc.name, mc.id`,
+          params: [targetRate, targetRate, targetRate, targetRate]
+        };
+      }
+      case 'relevance':
+        // Only when there is something to rank; substring-only matches
+        // (no full-text hit) come after ranked matches
+        if (ftsQuery) {
+          return { clause: 'ORDER BY fts.rank IS NULL, fts.rank, mc.name, mc.id', params: [] };
+        }
+        // Otherwise sort by name
+      default:
+        return { clause: 'ORDER BY mc.name, mc.id', params: [] };
+    }
+  }
+
+  /**
+   * Count matching meat cuts per part, per cooking method and per lean status
+   * @param {Array<object>} conditions - Filter conditions of the search
+   * @param {object} fts - { ftsCte, ftsJoin, ftsParams } of the search
+   * @returns {{parts: Array, cookingMethods: Array, lean: Array}} - { value, count } lists
+   */
+  static getFacets(conditions, { ftsCte, ftsJoin, ftsParams }) {
+    const db = getDatabase();
+
+    const partWhere = this.buildWhere(conditions, 'part');
+    const parts = db.prepare(`
+      ${ftsCte}
+      SELECT mc.part AS value, COUNT(*) AS count
+      FROM meat_cuts mc
+      ${ftsJoin}
+      ${partWhere.clause} AND mc.part IS NOT NULL AND mc.part != ''
+      GROUP BY mc.part
+      ORDER BY mc.part
+    `).all(...ftsParams, ...partWhere.params);
+
+    const methodWhere = this.buildWhere(conditions, 'cookingMethod');
+    const cookingMethods = db.prepare(`
+      ${ftsCte}
+      SELECT cm.name AS value, COUNT(*) AS count
+      FROM meat_cuts mc
+      ${ftsJoin}
+      JOIN meat_cut_cooking_methods mccm ON mc.id = mccm.meat_cut_id
+      JOIN cooking_methods cm ON mccm.cooking_method_id = cm.id
+      ${methodWhere.clause}
+      GROUP BY cm.name
+      ORDER BY cm.name
+    `).all(...ftsParams, ...methodWhere.params);
+
+    const leanWhere = this.buildWhere(conditions, 'lean');
+    const leanCounts = db.prepare(`
+      ${ftsCte}
+      SELECT
+        COALESCE(SUM(mc.lean = 1), 0) AS lean,
+        COALESCE(SUM(mc.lean = 0), 0) AS notLean
+      FROM meat_cuts mc
+      ${ftsJoin}
+      ${leanWhere.clause}
+    `).get(...ftsParams, ...leanWhere.params);
+
+    return {
+      parts,
+      cookingMethods,
+      lean: [
+        { value: true, count: leanCounts.lean },
+        { value: false, count: leanCounts.notLean }
+      ]
     };
   }
 
+  /**
+   * Find which meat cuts each kind of full-text expression matches
+   * @param {object} searchQueries - Expressions from buildSearchQueries()
+   * @returns {object} - Match type -> Set of meat cut IDs
+   */
+  static getMatchSets(searchQueries) {
+    const db = getDatabase();
+    const expressions = {
+      fulltext: searchQueries.fulltext,
+      'simplified-traditional': searchQueries.simplifiedTraditional,
+      pinyin: searchQueries.pinyin
+    };
+
+    const matchSets = {};
+    for (const [matchType, expression] of Object.entries(expressions)) {
+      matchSets[matchType] = expression
+        ? new Set(db.prepare('SELECT rowid FROM meat_cuts_fts WHERE meat_cuts_fts MATCH ?')
+          .all(expression)
+          .map(row => row.rowid))
+        : new Set();
+    }
+    return matchSets;
+  }
+
+  /**
+   * Determine the strongest way a meat cut matched the query
+   * @param {object} meatCut - Meat cut row
+   * @param {string} q - Trimmed search query
+   * @param {object} matchSets - Result of getMatchSets()
+   * @returns {string} - One of MATCH_TYPES
+   */
+  static getMatchType(meatCut, q, matchSets) {
+    const needle = q.toLowerCase();
+    const isSubstring = [meatCut.name, meatCut.chinese_name, meatCut.part]
+      .some(value => value && value.toLowerCase().includes(needle));
+    if (isSubstring) return 'exact';
+
+    for (const matchType of MATCH_TYPES.slice(1)) {
+      if (matchSets[matchType].has(meatCut.id)) return matchType;
+    }
+    // Otherwise the row was found by the SQL substring (LIKE) match
+    return 'exact';
+  }
+
+  /**
+   * Get the lowest and highest price of all meat cuts in one currency, per one unit
+   * @param {string} currency - ISO code
+   * @param {number} targetRate - Rate of the currency (units per 1 USD)
+   * @param {string} unit - Unit key
+   * @returns {{min: number, max: number}}
+   */
+  static getPriceRange(currency, targetRate, unit) {
+    // Only changes with the data, so it is shared by every search
+    return CacheService.remember('priceRange', { currency, targetRate, unit }, () => {
+      const db = getDatabase();
+      const priceRange = db.prepare(`
+        SELECT
+          MIN(${normalizedPriceSql('mc.price_min', unit)}) as min,
+          MAX(${normalizedPriceSql('mc.price_max', unit)}) as max
+        FROM meat_cuts mc
+        WHERE mc.deleted_at IS NULL
+      `).get(targetRate, targetRate, targetRate, targetRate);
+
+      return {
+        min: roundAmount(priceRange.min || 0, currency),
+        max: roundAmount(priceRange.max || 0, currency)
+      };
+    });
+  }
+
   /**
    * Get all available filter options
+   * @param {string|null} currency - Currency of the price range (default USD)
+   * @param {string} unit - Unit of the price range
    * @returns {object} - Filter options
    */
-  static getFilterOptions() {
+  static getFilterOptions(currency = null, unit = DEFAULT_UNIT) {
     const db = getDatabase();
 
     // Get all unique parts
     const parts = db.prepare(`
       SELECT DISTINCT part 
       FROM meat_cuts 
-      WHERE part IS NOT NULL AND part != ''
+      WHERE part IS NOT NULL AND part != '' AND deleted_at IS NULL
       ORDER BY part
     `).all().map(r => r.part);
 
@@ -148,19 +590,17 @@ export class SearchService {
       ORDER BY name
     `).all().map(r => r.name);
 
-    // Get price range
-    const priceRange = db.prepare(`
-      SELECT MIN(price_min) as min, MAX(price_max) as max 
-      FROM meat_cuts
-    `).get();
+    // Get price range in the requested currency
+    const priceCurrency = currency || BASE_CURRENCY;
+    const targetRate = ExchangeRate.getRateMap()[priceCurrency] ?? 1;
 
     return {
       parts,
       cookingMethods,
-      priceRange: {
-        min: priceRange.min || 0,
-        max: priceRange.max || 0
-      }
+      currencies: ExchangeRateService.getCurrencies(),
+      currency: priceCurrency,
+      unit,
+      priceRange: this.getPriceRange(priceCurrency, targetRate, unit)
     };
   }
 }
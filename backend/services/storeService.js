@@ -0,0 +1,107 @@
+import Store from '../models/Store.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+/**
+ * Store Service
+ * Validates and stores the stores where prices are observed
+ */
+export class StoreService {
+  /**
+   * Create a store
+   * @param {object} data - { name, location, url, notes }
+   * @param {object} actor - From AuditService.getRequestActor()
+   * @returns {object} - Created store
+   */
+  static create(data, actor) {
+    const store = this.validate(data);
+    this.requireUniqueName(store.name);
+
+    return Store.create({ ...store, createdBy: actor.name });
+  }
+
+  /**
+   * Update a store
+   * @param {number} id - Store ID
+   * @param {object} data - { name, location, url, notes }
+   * @returns {{before: object, after: object}} - Store before and after the update
+   */
+  static update(id, data) {
+    const before = this.require(id);
+    const store = this.validate({ ...before, ...data });
+    this.requireUniqueName(store.name, id);
+
+    return { before, after: Store.update(id, store) };
+  }
+
+  /**
+   * Delete a store that has no price observations
+   * @param {number} id - Store ID
+   * @returns {object} - Deleted store
+   */
+  static delete(id) {
+    const store = this.require(id);
+
+    const observations = Store.countObservations(id);
+    if (observations > 0) {
+      throw clientError(`${store.name} has ${observations} price observation(s). Delete them first.`, 409);
+    }
+
+    Store.delete(id);
+    return store;
+  }
+
+  /**
+   * Get a store or fail with 404
+   * @param {number} id - Store ID
+   * @returns {object} - Store
+   */
+  static require(id) {
+    const store = id ? Store.findById(id) : null;
+
+    if (!store) {
+      throw clientError('Store not found', 404);
+    }
+
+    return store;
+  }
+
+  /**
+   * Validate and normalize store data
+   * @param {object} data - { name, location, url, notes }
+   * @returns {{name: string, location: string|null, url: string|null, notes: string|null}}
+   */
+  static validate(data) {
+    const text = (value) => (typeof value === 'string' && value.trim()) || null;
+    const name = text(data.name);
+    const url = text(data.url);
+
+    if (!name) {
+      throw clientError('Store name is required');
+    }
+    if (url && !/^https?:\/\/\S+$/i.test(url)) {
+      throw clientError('Store URL must start with http:// or https://');
+    }
+
+    return {
+      name,
+      location: text(data.location),
+      url,
+      notes: text(data.notes)
+    };
+  }
+
+  /**
+   * Make sure no other store uses a name
+   * @param {string} name - Store name
+   * @param {number} exceptId - Store being renamed
+   */
+  static requireUniqueName(name, exceptId = null) {
+    const existing = Store.findByName(name);
+
+    if (existing && existing.id !== exceptId) {
+      throw clientError(`Store "${existing.name}" already exists`, 409);
+    }
+  }
+}
+
+export default StoreService;
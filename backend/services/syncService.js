@@ -0,0 +1,588 @@
+import crypto from 'crypto';
+import { existsSync, mkdirSync } from 'fs';
+import { readFile, writeFile, unlink, readdir } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, extname } from 'path';
+import dotenv from 'dotenv';
+import getDatabase from '../config/database.js';
+import MeatCut from '../models/MeatCut.js';
+import MeatCutImage from '../models/MeatCutImage.js';
+import SyncState from '../models/SyncState.js';
+import googleDriveService from './googleDriveService.js';
+import imageStorage from './imageStorageService.js';
+import AuditService from './auditService.js';
+import ImportService from './importService.js';
+import ImportProfileService from './importProfileService.js';
+import ImageUploadService from './imageUploadService.js';
+import ImageDerivativeService from './imageDerivativeService.js';
+import ImageCacheService from './imageCacheService.js';
+import { clientError } from '../middleware/errorHandler.js';
+import { exportMeatCutsToCSV, exportMeatCutsToCSVWithFilename } from '../utils/csvExporter.js';
+import { readRows } from '../utils/fileFormats.js';
+import { detectImageType } from '../utils/imageTypes.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Sync actions
+ * - upload / download: copy the item to Drive / to the local side
+ * - delete-local / delete-remote: the item was deleted on the other side since the last sync
+ * - conflict: both sides changed; applied as 'local' (upload or delete-remote) or 'remote' (download or delete-local)
+ * - forget: gone on both sides, only the sync state is left
+ * - none: in sync
+ */
+export const SYNC_ACTIONS = ['upload', 'download', 'delete-local', 'delete-remote', 'conflict', 'forget', 'none'];
+export const CONFLICT_SIDES = ['local', 'remote'];
+
+// Item key of the meat cuts CSV
+const CSV_KEY = 'meat-cuts';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+// Only one sync runs at a time
+let running = false;
+
+/**
+ * MD5 of some content, in the hex form Drive reports as md5Checksum
+ * @param {Buffer|string} content - Content
+ * @returns {string}
+ */
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Describe the remote file of an item
+ * @param {object|null} file - File from a Drive listing
+ * @returns {object|null}
+ */
+function describeRemote(file) {
+  if (!file) return null;
+  return { id: file.id, name: file.name, modifiedTime: file.modifiedTime, hash: file.md5Checksum || null };
+}
+
+/**
+ * Meat cuts whose gallery would still show an image after the meat cuts of its sync item drop it
+ * (the primary gallery image goes with the meat cut's image; other entries stay)
+ * @param {string|null} imageId - Stored image ID
+ * @param {Array<number>} meatCutIds - Meat cuts of the item
+ * @returns {Array<number>}
+ */
+function galleryMeatCutIds(imageId, meatCutIds) {
+  if (!imageId) return [];
+  const entries = MeatCutImage.findByImageId(imageId)
+    .filter(entry => !(entry.role === 'primary' && meatCutIds.includes(entry.meatCutId)));
+  return [...new Set(entries.map(entry => entry.meatCutId))];
+}
+
+/**
+ * Sync Service
+ * Two-way sync of meat cut images and the meat cuts CSV between this server and Drive.
+ * The state saved after each sync tells which side changed since: changes on one
+ * side are copied to the other, changes on both are conflicts an admin resolves.
+ */
+export class SyncService {
+  /**
+   * Directory of the local meat cut images, named <imageReference>.<ext>
+   * (SYNC_IMAGES_DIR, default data/beef_cuts_images)
+   * @returns {string}
+   */
+  static getImagesDir() {
+    return resolve(process.env.SYNC_IMAGES_DIR || join(__dirname, '../../data/beef_cuts_images'));
+  }
+
+  /**
+   * Work out what a sync would do
+   * @returns {Promise<{generatedAt: string, items: Array, summary: object, errors: Array, fingerprint: string}>}
+   *   items leave out those in sync; errors name the kinds ('image', 'csv') that could not be listed
+   */
+  static async plan() {
+    const { items, errors } = await this.collect();
+    return this.toPlan(items, errors);
+  }
+
+  /**
+   * Apply a sync
+   * Only a reviewed plan is applied: the fingerprint of plan() is required and must still match.
+   * Images are synced first; the CSV is planned again afterwards so it includes their new image IDs.
+   * @param {object} options - { actor, resolutions: { itemId: 'local'|'remote' } for conflicts,
+   *   items: item IDs to sync (default all), fingerprint: from plan() }
+   * @returns {Promise<{results: Array, summary: object, errors: Array}>}
+   *   results: { id, kind, key, action, status: 'done'|'skipped'|'failed', side, error }
+   */
+  static async apply(options = {}) {
+    const { actor, resolutions = {}, items: selected, fingerprint } = options;
+    if (typeof fingerprint !== 'string' || !fingerprint) {
+      throw clientError('fingerprint is required: plan the sync and apply that plan');
+    }
+    for (const [id, side] of Object.entries(resolutions)) {
+      if (!CONFLICT_SIDES.includes(side)) {
+        throw clientError(`Resolution of "${id}" must be one of: ${CONFLICT_SIDES.join(', ')}`);
+      }
+    }
+    if (running) {
+      throw clientError('A sync is already running', 409);
+    }
+
+    running = true;
+    try {
+      const { items, errors } = await this.collect();
+      if (fingerprint !== this.toPlan(items, errors).fingerprint) {
+        throw clientError('Files changed since the plan. Plan the sync again before applying it.', 409);
+      }
+
+      const wanted = item => !selected || selected.includes(item.id);
+      const results = [];
+      for (const item of items.filter(item => item.kind === 'image' && wanted(item))) {
+        results.push(await this.applyItem(item, resolutions[item.id], actor));
+      }
+
+      if (!errors.some(error => error.kind === 'csv')) {
+        try {
+          const csv = await this.collectCSV(SyncState.findAll());
+          if (wanted(csv)) {
+            results.push(await this.applyItem(csv, resolutions[csv.id], actor));
+          }
+        } catch (error) {
+          errors.push({ kind: 'csv', message: error.message });
+        }
+      }
+
+      const changes = results.filter(result => result.action !== 'none');
+      const summary = { done: 0, skipped: 0, failed: 0 };
+      for (const result of changes) {
+        summary[result.status]++;
+      }
+      return { results: changes, summary, errors };
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Build the plan response from the items
+   * @param {Array} items - Items from collect()
+   * @param {Array} errors - Listing errors
+   * @returns {object}
+   */
+  static toPlan(items, errors) {
+    const summary = Object.fromEntries(SYNC_ACTIONS.map(action => [action, 0]));
+    for (const item of items) {
+      summary[item.action]++;
+    }
+
+    // Identifies the planned changes, so an apply can detect that the files moved on
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify(items.map(({ id, action, local, remote }) => [id, action, local?.hash, remote?.id, remote?.hash, remote?.modifiedTime])))
+      .digest('hex');
+
+    return {
+      generatedAt: new Date().toISOString(),
+      items: items.filter(item => item.action !== 'none'),
+      summary,
+      errors,
+      fingerprint
+    };
+  }
+
+  /**
+   * Compare both sides of every item with its sync state
+   * @returns {Promise<{items: Array, errors: Array<{kind: string, message: string}>}>}
+   */
+  static async collect() {
+    const states = SyncState.findAll();
+    const items = [];
+    const errors = [];
+
+    try {
+      items.push(...await this.collectImages(states));
+    } catch (error) {
+      errors.push({ kind: 'image', message: error.message });
+    }
+    try {
+      items.push(await this.collectCSV(states));
+    } catch (error) {
+      errors.push({ kind: 'csv', message: error.message });
+    }
+
+    return { items, errors };
+  }
+
+  /**
+   * Compare the local images with those in storage
+   * One item per image reference: the local file <reference>.<ext> against the stored image of its meat cuts
+   * @param {Map} states - Sync states from SyncState.findAll()
+   * @returns {Promise<Array>}
+   */
+  static async collectImages(states) {
+    const directory = this.getImagesDir();
+    const localFiles = new Map();
+    if (existsSync(directory)) {
+      for (const fileName of (await readdir(directory)).sort()) {
+        const extension = extname(fileName);
+        const reference = fileName.slice(0, -extension.length);
+        if (IMAGE_EXTENSIONS.includes(extension.toLowerCase()) && reference && !localFiles.has(reference)) {
+          localFiles.set(reference, fileName);
+        }
+      }
+    }
+    // Derivatives share the folder but are not synced; they follow their originals
+    const remoteFiles = new Map(
+      ImageDerivativeService.excludeDerivatives(await imageStorage.listFiles()).map(file => [file.id, file])
+    );
+
+    const cutsByReference = new Map();
+    for (const cut of MeatCut.findAll({ orderBy: 'id' })) {
+      if (!cut.imageReference) continue;
+      if (!cutsByReference.has(cut.imageReference)) {
+        cutsByReference.set(cut.imageReference, []);
+      }
+      cutsByReference.get(cut.imageReference).push(cut);
+    }
+
+    const items = [];
+    for (const [reference, cuts] of cutsByReference) {
+      const fileName = localFiles.get(reference);
+      const imageId = cuts.find(cut => cut.googleDriveImageId)?.googleDriveImageId;
+      const local = fileName
+        ? { fileName, hash: md5(await readFile(join(directory, fileName))) }
+        : null;
+      const state = states.get(SyncState.key('image', reference)) || null;
+
+      // A synced image missing from the listing is only taken as deleted once storage confirms it
+      let remote = remoteFiles.get(imageId);
+      if (!remote && imageId && state) {
+        remote = await this.findFile(imageId);
+      }
+
+      const meatCutIds = cuts.map(cut => cut.id);
+      const item = this.decide({
+        kind: 'image',
+        key: reference,
+        name: cuts[0].name,
+        meatCutIds,
+        imageId: imageId || null,
+        galleryMeatCutIds: galleryMeatCutIds(imageId, meatCutIds),
+        local,
+        remote: describeRemote(remote),
+        state
+      });
+      if (item.galleryMeatCutIds.length > 0 && (!item.local || !item.remote) && item.action !== 'none') {
+        item.reason += `; deleting it is refused while the gallery of meat cut ${item.galleryMeatCutIds.join(', ')} shows it`;
+      }
+      items.push(item);
+    }
+
+    // Images whose meat cuts are gone only have their sync state left
+    for (const state of states.values()) {
+      if (state.kind === 'image' && !cutsByReference.has(state.itemKey)) {
+        items.push(this.decide({
+          kind: 'image', key: state.itemKey, name: state.itemKey, meatCutIds: [], imageId: null, galleryMeatCutIds: [], local: null, remote: null, state
+        }));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Look up a stored image by ID
+   * @param {string} imageId - Stored image ID
+   * @returns {Promise<object|null>} - File metadata, or null when storage reports it not found
+   * @throws Any other lookup error, so nothing is planned from an uncertain answer
+   */
+  static async findFile(imageId) {
+    try {
+      return await imageStorage.getFileMetadata(imageId);
+    } catch (error) {
+      if (/not found/i.test(error.message)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the meat cuts in the database, as a CSV export, with the newest CSV on Drive
+   * The CSV lives only on Drive, so it is skipped unless images are stored there too.
+   * @param {Map} states - Sync states from SyncState.findAll()
+   * @returns {Promise<object>}
+   */
+  static async collectCSV(states) {
+    if (imageStorage.name !== googleDriveService.name) {
+      throw new Error(`The CSV is synced with Google Drive, which is not used with IMAGE_STORAGE_PROVIDER=${imageStorage.name}; the CSV step is skipped`);
+    }
+    const [newest] = await googleDriveService.listCSVFiles();
+
+    return this.decide({
+      kind: 'csv',
+      key: CSV_KEY,
+      name: 'Meat cuts CSV',
+      local: { hash: md5(await exportMeatCutsToCSV()) },
+      remote: describeRemote(newest),
+      state: states.get(SyncState.key('csv', CSV_KEY)) || null
+    });
+  }
+
+  /**
+   * Decide the action of an item from both sides and its sync state
+   * @param {object} item - { kind, key, name, local: {hash}|null, remote: {id, modifiedTime, hash}|null, state: from SyncState }
+   * @returns {object} - Item with id, action and reason
+   */
+  static decide({ state, ...item }) {
+    const { local, remote } = item;
+    const localChanged = Boolean(local) && (!state || state.localHash !== local.hash);
+    // Drive changes modifiedTime for metadata edits too, so a known checksum decides
+    const remoteChanged = Boolean(remote) && (
+      !state ||
+      state.remoteId !== remote.id ||
+      (state.remoteModifiedTime !== remote.modifiedTime && (!remote.hash || remote.hash !== state.remoteHash))
+    );
+    const same = Boolean(local && remote?.hash) && local.hash === remote.hash;
+
+    let action;
+    let reason;
+    if (local && remote) {
+      if (!state) {
+        [action, reason] = same ? ['none', 'Same on both sides'] : ['conflict', 'Differs on both sides and was never synced'];
+      } else if (localChanged && remoteChanged) {
+        [action, reason] = same ? ['none', 'Changed the same way on both sides'] : ['conflict', 'Changed on both sides'];
+      } else if (localChanged) {
+        [action, reason] = ['upload', 'Changed locally'];
+      } else if (remoteChanged) {
+        [action, reason] = ['download', 'Changed on Drive'];
+      } else {
+        [action, reason] = ['none', 'Unchanged'];
+      }
+    } else if (local) {
+      if (!state || item.kind === 'csv') {
+        [action, reason] = ['upload', 'Not on Drive'];
+      } else {
+        [action, reason] = localChanged ? ['conflict', 'Deleted on Drive, changed locally'] : ['delete-local', 'Deleted on Drive'];
+      }
+    } else if (remote) {
+      if (!state) {
+        [action, reason] = ['download', 'Only on Drive'];
+      } else {
+        [action, reason] = remoteChanged ? ['conflict', 'Deleted locally, changed on Drive'] : ['delete-remote', 'Deleted locally'];
+      }
+    } else {
+      [action, reason] = state ? ['forget', 'Gone on both sides'] : ['none', 'Not on either side'];
+    }
+
+    return { id: SyncState.key(item.kind, item.key), ...item, action, reason };
+  }
+
+  /**
+   * Apply the action of one item; failures are reported, not thrown
+   * @param {object} item - Item from decide()
+   * @param {string|undefined} side - Winning side of a conflict
+   * @param {object} actor - Audit actor
+   * @returns {Promise<object>} - Result
+   */
+  static async applyItem(item, side, actor) {
+    const result = { id: item.id, kind: item.kind, key: item.key, action: item.action, status: 'done' };
+
+    let action = item.action;
+    if (action === 'conflict') {
+      if (!side) {
+        return { ...result, status: 'skipped', error: 'Conflict not resolved' };
+      }
+      result.side = side;
+      if (side === 'local') {
+        action = item.local ? 'upload' : 'delete-remote';
+      } else {
+        action = item.remote ? 'download' : 'delete-local';
+      }
+    }
+
+    // A gallery left showing a deleted image would point at a missing file
+    if (item.kind === 'image' && (action === 'delete-local' || action === 'delete-remote')) {
+      const inGallery = galleryMeatCutIds(item.remote?.id || item.imageId, item.meatCutIds);
+      if (inGallery.length > 0) {
+        return { ...result, status: 'skipped', error: `Still in the gallery of meat cut ${inGallery.join(', ')}; remove it there first` };
+      }
+    }
+
+    try {
+      if (item.kind === 'csv') {
+        await this.applyCSV(item, action, actor);
+      } else {
+        await this.applyImage(item, action, actor);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Sync of ${item.id} failed:`, error.message);
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Apply an action to an image item and save its sync state
+   * @param {object} item - Image item
+   * @param {string} action - Action (conflicts already resolved)
+   * @param {object} actor - Audit actor
+   */
+  static async applyImage(item, action, actor) {
+    const directory = this.getImagesDir();
+
+    if (action === 'upload') {
+      const buffer = await readFile(join(directory, item.local.fileName));
+      const image = await ImageUploadService.sanitize(buffer, `"${item.local.fileName}"`);
+      const fileName = `${item.key}.${image.extension}`;
+
+      let fileId;
+      if (item.remote) {
+        fileId = (await imageStorage.updateImage(item.remote.id, image.buffer, image.mimeType)).fileId;
+        await ImageCacheService.remove(fileId);
+      } else {
+        fileId = (await imageStorage.uploadImage(image.buffer, fileName, image.mimeType)).fileId;
+        this.setMeatCutImage(item, fileId, actor);
+      }
+      await ImageDerivativeService.generateQuietly(fileId, image.buffer, fileName);
+
+      const metadata = await imageStorage.getFileMetadata(fileId);
+      return this.saveState(item, metadata, item.local.hash, image.buffer);
+    }
+
+    if (action === 'download') {
+      const buffer = await imageStorage.downloadImage(item.remote.id);
+      const fileName = `${item.key}.${ImageUploadService.extensionFor(detectImageType(buffer))}`;
+      if (!existsSync(directory)) {
+        mkdirSync(directory, { recursive: true });
+      }
+      await writeFile(join(directory, fileName), buffer);
+      if (item.local && item.local.fileName !== fileName) {
+        await unlink(join(directory, item.local.fileName));
+      }
+      // The meat cuts without the image yet get the one they were synced from
+      this.setMeatCutImage(item, item.remote.id, actor);
+
+      return this.saveState(item, item.remote, md5(buffer), buffer);
+    }
+
+    if (action === 'delete-local' || action === 'delete-remote') {
+      if (action === 'delete-local') {
+        await unlink(join(directory, item.local.fileName));
+      }
+      this.setMeatCutImage(item, null, actor);
+
+      // Another meat cut or gallery can still show the image
+      const imageId = item.remote?.id || item.imageId;
+      if (imageId && MeatCut.countByImageId(imageId) === 0 && MeatCutImage.countByImageId(imageId) === 0) {
+        await ImageDerivativeService.deleteFor(imageId);
+        if (action === 'delete-remote') {
+          await imageStorage.deleteImage(imageId);
+        }
+        await ImageCacheService.remove(imageId);
+      }
+    } else if (action === 'none') {
+      if (item.local || item.remote) {
+        this.saveState(item, item.remote, item.local?.hash);
+      }
+      return;
+    }
+
+    SyncState.remove(item.kind, item.key);
+  }
+
+  /**
+   * Apply an action to the CSV item and save its sync state
+   * The CSV is never deleted: a CSV missing on Drive is uploaded again.
+   * @param {object} item - CSV item
+   * @param {string} action - Action (conflicts already resolved)
+   * @param {object} actor - Audit actor
+   */
+  static async applyCSV(item, action, actor) {
+    if (action === 'upload') {
+      const { content, filename } = await exportMeatCutsToCSVWithFilename();
+      const upload = await googleDriveService.uploadCSV(content, filename);
+
+      AuditService.record({
+        actor,
+        action: 'drive.csv_sync',
+        entityType: 'drive_csv',
+        entityId: upload.fileId,
+        metadata: { fileName: filename, source: 'sync' }
+      });
+      getDatabase().prepare(`
+        INSERT OR REPLACE INTO metadata (key, value, updated_at)
+        VALUES ('last_csv_sync', datetime('now'), datetime('now'))
+      `).run();
+
+      const metadata = await googleDriveService.getFileMetadata(upload.fileId);
+      return this.saveState(item, metadata, md5(content), content);
+    }
+
+    if (action === 'download') {
+      const content = await googleDriveService.downloadCSV(item.remote.id);
+      const buffer = Buffer.from(content, 'utf-8');
+      const rows = await readRows(buffer, 'csv');
+      const [bestMatch] = ImportProfileService.detect([...new Set(rows.flatMap(row => Object.keys(row)))]);
+
+      await ImportService.apply(buffer, {
+        actor,
+        mode: 'upsert',
+        profile: bestMatch?.id,
+        source: item.remote.name
+      });
+
+      return this.saveState(item, item.remote, md5(await exportMeatCutsToCSV()), buffer);
+    }
+
+    if (action === 'none') {
+      return this.saveState(item, item.remote, item.local.hash);
+    }
+  }
+
+  /**
+   * Point the meat cuts of an image item at a stored image (null removes their image)
+   * Only meat cuts showing the image the plan found (or none) are changed.
+   * @param {object} item - Image item
+   * @param {string|null} imageId - Stored image ID
+   * @param {object} actor - Audit actor
+   */
+  static setMeatCutImage(item, imageId, actor) {
+    for (const meatCutId of item.meatCutIds) {
+      const before = AuditService.snapshotMeatCut(meatCutId);
+      const current = before?.googleDriveImageId || null;
+      if (!before || current === imageId || (current && current !== item.imageId)) continue;
+
+      MeatCut.update(meatCutId, {
+        googleDriveImageId: imageId,
+        googleDriveImageUrl: imageId ? imageStorage.getImageUrl(imageId) : null
+      }, { createdBy: actor.name });
+
+      AuditService.record({
+        actor,
+        action: 'meat_cut.update',
+        entityType: 'meat_cut',
+        entityId: meatCutId,
+        before,
+        after: AuditService.snapshotMeatCut(meatCutId),
+        metadata: { source: 'sync', item: item.id }
+      });
+    }
+  }
+
+  /**
+   * Save the state of an item after it was synced
+   * @param {object} item - Item
+   * @param {object|null} remote - Remote file now: { id, modifiedTime, hash } or Drive metadata
+   * @param {string|null} localHash - Hash of the local side now
+   * @param {Buffer|string} remoteContent - Remote content, for when Drive reports no checksum
+   */
+  static saveState(item, remote, localHash, remoteContent) {
+    const remoteHash = remote?.hash ?? remote?.md5Checksum ?? (remoteContent ? md5(remoteContent) : null);
+    SyncState.upsert({
+      kind: item.kind,
+      itemKey: item.key,
+      remoteId: remote?.id,
+      remoteModifiedTime: remote?.modifiedTime,
+      remoteHash,
+      localHash
+    });
+  }
+}
+
+export default SyncService;
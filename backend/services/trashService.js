@@ -0,0 +1,175 @@
+import dotenv from 'dotenv';
+import MeatCut from '../models/MeatCut.js';
+import MeatCutImage from '../models/MeatCutImage.js';
+import Metadata from '../models/Metadata.js';
+import imageStorage from './imageStorageService.js';
+import AuditService from './auditService.js';
+import ImageDerivativeService from './imageDerivativeService.js';
+import ImageCacheService from './imageCacheService.js';
+import { clientError } from '../middleware/errorHandler.js';
+
+dotenv.config();
+
+const DEFAULT_RETENTION_DAYS = 30;
+const AUTO_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+/**
+ * Trash Service
+ * Lists, restores and purges soft-deleted meat cuts
+ */
+export class TrashService {
+  /**
+   * Days a meat cut stays in the trash before it is purged automatically
+   * (TRASH_RETENTION_DAYS, 0 disables automatic purge)
+   * @returns {number}
+   */
+  static getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  /**
+   * Get meat cuts in the trash
+   * @returns {Array} - Meat cuts with deletedAt, deletedBy and purgeAt (null when auto purge is off)
+   */
+  static list() {
+    const retentionDays = this.getRetentionDays();
+
+    return MeatCut.findDeleted().map(meatCut => {
+      let purgeAt = null;
+      if (retentionDays > 0) {
+        const deletedAt = new Date(`${meatCut.deletedAt.replace(' ', 'T')}Z`);
+        purgeAt = new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      }
+
+      return {
+        ...meatCut,
+        cookingMethods: MeatCut.getCookingMethods(meatCut.id),
+        recommendedDishes: MeatCut.getRecommendedDishes(meatCut.id),
+        imageUrl: meatCut.googleDriveImageId ? `/api/drive/image/${meatCut.googleDriveImageId}` : null,
+        purgeAt
+      };
+    });
+  }
+
+  /**
+   * Take a meat cut out of the trash
+   * @param {number} id - Meat cut ID
+   * @param {object} actor - Audit actor
+   * @returns {object} - Restored meat cut
+   */
+  static restore(id, actor) {
+    if (!MeatCut.restoreDeleted(id)) {
+      throw clientError('Meat cut not found in trash', 404);
+    }
+
+    AuditService.record({
+      actor,
+      action: 'meat_cut.undelete',
+      entityType: 'meat_cut',
+      entityId: id,
+      after: AuditService.snapshotMeatCut(id)
+    });
+    Metadata.touchMeatCutsUpdate();
+
+    return MeatCut.findById(id);
+  }
+
+  /**
+   * Permanently delete a trashed meat cut and the images no other cut uses
+   * @param {number} id - Meat cut ID
+   * @param {object} actor - Audit actor
+   * @param {object} options - { automatic: purged by the retention policy }
+   * @returns {Promise<boolean>}
+   */
+  static async purge(id, actor, options = {}) {
+    const meatCut = MeatCut.findById(id, { includeDeleted: true });
+    if (!meatCut || MeatCut.findById(id)) {
+      throw clientError('Meat cut not found in trash', 404);
+    }
+
+    const before = AuditService.snapshotMeatCut(id);
+    MeatCut.purge(id);
+
+    const imageIds = new Set([meatCut.googleDriveImageId, ...meatCut.images.map(image => image.imageId)]);
+    for (const imageId of imageIds) {
+      if (!imageId || MeatCut.countByImageId(imageId) > 0 || MeatCutImage.countByImageId(imageId) > 0) {
+        continue;
+      }
+      try {
+        await ImageDerivativeService.deleteFor(imageId);
+        await imageStorage.deleteImage(imageId);
+        await ImageCacheService.remove(imageId);
+      } catch (error) {
+        console.error('Failed to delete image from storage:', error);
+        // The meat cut is gone either way; the file can be cleaned up by hand
+      }
+    }
+
+    AuditService.record({
+      actor,
+      action: 'meat_cut.purge',
+      entityType: 'meat_cut',
+      entityId: id,
+      before,
+      metadata: options.automatic ? { automatic: true } : null
+    });
+
+    return true;
+  }
+
+  /**
+   * Purge every meat cut in the trash
+   * @param {object} actor - Audit actor
+   * @returns {Promise<{purged: number, purgedIds: Array<number>}>}
+   */
+  static async purgeAll(actor) {
+    const ids = MeatCut.findDeleted().map(meatCut => meatCut.id);
+    for (const id of ids) {
+      await this.purge(id, actor);
+    }
+    return { purged: ids.length, purgedIds: ids };
+  }
+
+  /**
+   * Purge meat cuts that have been in the trash longer than the retention period
+   * @returns {Promise<number>} - Number of purged meat cuts
+   */
+  static async purgeExpired() {
+    const retentionDays = this.getRetentionDays();
+    if (retentionDays === 0) return 0;
+
+    const actor = AuditService.systemActor('trash-retention');
+    const ids = MeatCut.findExpiredDeletedIds(retentionDays);
+    for (const id of ids) {
+      await this.purge(id, actor, { automatic: true });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Purge expired trash now and then once a day
+   * @returns {NodeJS.Timeout|null} - Interval timer, or null when auto purge is off
+   */
+  static startAutoPurge() {
+    if (this.getRetentionDays() === 0) return null;
+
+    const run = async () => {
+      try {
+        const purged = await this.purgeExpired();
+        if (purged > 0) {
+          console.log(`Purged ${purged} meat cut(s) from the trash after ${this.getRetentionDays()} days`);
+        }
+      } catch (error) {
+        console.error('Failed to purge expired trash:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, AUTO_PURGE_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+}
+
+export default TrashService;
@@ -0,0 +1,155 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Chinese text utilities: Simplified/Traditional conversion and toneless Pinyin.
+ * Uses the offline tables in utils/data/ so no network or native library is needed.
+ */
+
+const ST_TABLE_PATH = join(__dirname, 'data/zh-st-characters.txt');
+const PINYIN_TABLE_PATH = join(__dirname, 'data/zh-pinyin.txt');
+
+// Longest toneless Pinyin syllable ("zhuang", "shuang", "chuang")
+const MAX_SYLLABLE_LENGTH = 6;
+
+let tables = null;
+
+/**
+ * Read a tab-separated table file, skipping comment lines
+ * @param {string} path - Table file path
+ * @returns {Array<[string, string]>} - Key/value pairs
+ */
+function readTable(path) {
+  return readFileSync(path, 'utf-8')
+    .split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split('\t'));
+}
+
+/**
+ * Load conversion tables on first use
+ * @returns {{toTraditional: Map, toSimplified: Map, pinyin: Map, syllables: Set}}
+ */
+function getTables() {
+  if (tables) return tables;
+
+  const toTraditional = new Map();
+  const toSimplified = new Map();
+  for (const [simplified, traditional] of readTable(ST_TABLE_PATH)) {
+    const candidates = traditional.split(' ');
+    toTraditional.set(simplified, candidates[0]);
+    for (const candidate of candidates) {
+      if (!toSimplified.has(candidate)) {
+        toSimplified.set(candidate, simplified);
+      }
+    }
+  }
+
+  const pinyin = new Map();
+  const syllables = new Set();
+  for (const [syllable, characters] of readTable(PINYIN_TABLE_PATH)) {
+    syllables.add(syllable);
+    for (const ch of characters) {
+      pinyin.set(ch, syllable);
+    }
+  }
+
+  tables = { toTraditional, toSimplified, pinyin, syllables };
+  return tables;
+}
+
+/**
+ * Convert Traditional characters to Simplified
+ * @param {string} text - Text to convert
+ * @returns {string}
+ */
+export function toSimplified(text) {
+  if (!text) return '';
+  const { toSimplified: map } = getTables();
+  return Array.from(text, ch => map.get(ch) || ch).join('');
+}
+
+/**
+ * Convert Simplified characters to Traditional (first candidate when ambiguous)
+ * @param {string} text - Text to convert
+ * @returns {string}
+ */
+export function toTraditional(text) {
+  if (!text) return '';
+  const { toTraditional: map } = getTables();
+  return Array.from(text, ch => map.get(ch) || ch).join('');
+}
+
+/**
+ * Convert Chinese characters to toneless Pinyin syllables separated by spaces
+ * (e.g. "板腱牛排" -> "ban jian niu pai"). Non-Chinese characters are dropped.
+ * @param {string} text - Text to convert
+ * @returns {string}
+ */
+export function toPinyin(text) {
+  if (!text) return '';
+  const { pinyin } = getTables();
+  const simplified = toSimplified(text);
+  return Array.from(simplified, ch => pinyin.get(ch))
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Split unspaced toneless Pinyin into syllables (e.g. "banjian" -> ["ban", "jian"]).
+ * Prefers the split with the fewest syllables.
+ * @param {string} word - Latin letters only
+ * @returns {Array<string>|null} - Syllables, or null if the word is not Pinyin
+ */
+export function segmentPinyin(word) {
+  const input = (word || '').toLowerCase().replace(/ü/g, 'v');
+  if (!/^[a-z]+$/.test(input)) return null;
+
+  const { syllables } = getTables();
+  // best[i] = fewest syllables covering input.slice(0, i)
+  const best = new Array(input.length + 1).fill(null);
+  best[0] = [];
+
+  for (let end = 1; end <= input.length; end++) {
+    for (let length = 1; length <= Math.min(MAX_SYLLABLE_LENGTH, end); length++) {
+      const previous = best[end - length];
+      const syllable = input.slice(end - length, end);
+      if (previous && syllables.has(syllable) &&
+          (!best[end] || previous.length + 1 < best[end].length)) {
+        best[end] = [...previous, syllable];
+      }
+    }
+  }
+
+  return best[input.length];
+}
+
+/**
+ * Interpret a query as toneless Pinyin (e.g. "banjian niupai" -> "ban jian niu pai")
+ * @param {string} q - Search query
+ * @returns {string|null} - Space-separated syllables, or null if the query is not Pinyin
+ */
+export function parsePinyinQuery(q) {
+  const words = (q || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const syllables = [];
+  for (const word of words) {
+    const segmented = segmentPinyin(word);
+    if (!segmented) return null;
+    syllables.push(...segmented);
+  }
+  return syllables.join(' ');
+}
+
+export default {
+  toSimplified,
+  toTraditional,
+  toPinyin,
+  segmentPinyin,
+  parsePinyinQuery
+};
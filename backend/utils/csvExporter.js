@@ -1,94 +1,64 @@
-import getDatabase from '../config/database.js';
 import MeatCut from '../models/MeatCut.js';
+import { EXPORT_COLUMNS, toExportRecord } from './meatCutColumns.js';
+import { CONTENT_TYPES, writeRows } from './fileFormats.js';
 
 /**
- * Export all meat cuts to CSV format
- * @returns {string} - CSV content as string
+ * Build the export records for all meat cuts
+ * @returns {Array<object>} - Records keyed by field name
  */
-export function exportMeatCutsToCSV() {
-  const db = getDatabase();
+function getExportRecords() {
   const meatCuts = MeatCut.findAll();
-  
-  // CSV headers
-  const headers = [
-    'ID',
-    'Name',
-    'Chinese Name',
-    'Part',
-    'Lean',
-    'Price Min',
-    'Price Max',
-    'Price Mean',
-    'Price Display',
-    'Texture & Notes',
-    'image reference',
-    'Rec. Cooking Methods',
-    'Recommended Dishes',
-    'Google Drive Image ID',
-    'Google Drive Image URL',
-    'Slug'
-  ];
-
-  // Helper function to escape CSV values
-  function escapeCSV(value) {
-    if (value === null || value === undefined) {
-      return '';
-    }
-    const str = String(value);
-    // If contains comma, quote, or newline, wrap in quotes and escape quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
-    }
-    return str;
-  }
+  const relations = MeatCut.getRelations(meatCuts.map(mc => mc.id));
 
-  // Build CSV rows
-  const rows = meatCuts.map(mc => {
-    const cookingMethods = MeatCut.getCookingMethods(mc.id).join(', ');
-    const recommendedDishes = MeatCut.getRecommendedDishes(mc.id).join(', ');
-    
-    return [
-      mc.id,
-      mc.name,
-      mc.chineseName || '',
-      mc.part || '',
-      mc.lean ? 'Yes' : 'No',
-      mc.priceRange.min,
-      mc.priceRange.max,
-      mc.priceRange.mean,
-      mc.priceRange.display,
-      mc.textureNotes || '',
-      mc.imageReference || '',
-      cookingMethods,
-      recommendedDishes,
-      mc.googleDriveImageId || '',
-      mc.googleDriveImageUrl || '',
-      mc.slug || ''
-    ].map(escapeCSV).join(',');
+  return meatCuts.map(mc => {
+    const { cookingMethods, recommendedDishes } = relations.get(mc.id);
+    return toExportRecord(mc, cookingMethods, recommendedDishes);
   });
+}
 
-  // Combine headers and rows
-  const csvContent = [
-    headers.map(escapeCSV).join(','),
-    ...rows
-  ].join('\n');
+/**
+ * Build an export file name with today's date
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+function getExportFilename(extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
+  return `meat_cuts_export_${timestamp}.${extension}`;
+}
 
-  return csvContent;
+/**
+ * Export all meat cuts to CSV format
+ * @returns {Promise<string>} - CSV content as string
+ */
+export async function exportMeatCutsToCSV() {
+  return writeRows(getExportRecords(), EXPORT_COLUMNS, 'csv');
 }
 
 /**
  * Export meat cuts to CSV with filename including timestamp
- * @returns {object} - { content: string, filename: string }
+ * @returns {Promise<object>} - { content: string, filename: string }
  */
-export function exportMeatCutsToCSVWithFilename() {
-  const content = exportMeatCutsToCSV();
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-  const filename = `meat_cuts_export_${timestamp}.csv`;
-  
+export async function exportMeatCutsToCSVWithFilename() {
+  return {
+    content: await exportMeatCutsToCSV(),
+    filename: getExportFilename('csv')
+  };
+}
+
+/**
+ * Export all meat cuts as a download in any supported format
+ * CSV downloads start with a byte order mark so Excel reads Chinese names as UTF-8.
+ * @param {string} format - csv, xlsx, json or ndjson
+ * @returns {Promise<object>} - { content: string|Buffer, filename: string, contentType: string }
+ */
+export async function exportMeatCuts(format = 'csv') {
+  const content = await writeRows(getExportRecords(), EXPORT_COLUMNS, format);
+
   return {
-    content,
-    filename
+    content: format === 'csv' ? `\uFEFF${content}` : content,
+    filename: getExportFilename(format),
+    contentType: CONTENT_TYPES[format]
   };
 }
 
-export default { exportMeatCutsToCSV, exportMeatCutsToCSVWithFilename };
+export default { exportMeatCutsToCSV, exportMeatCutsToCSVWithFilename, exportMeatCuts };
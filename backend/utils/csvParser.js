@@ -0,0 +1,157 @@
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { validatePriceRange } from './validators.js';
+import { mapRow } from './meatCutColumns.js';
+import { DEFAULT_CURRENCY, DEFAULT_UNIT, formatPrice } from './priceParser.js';
+
+/**
+ * CSV parsing for meat cut imports
+ */
+
+// Fields a new meat cut must have
+const REQUIRED_FIELDS = ['name', 'chineseName', 'part', 'imageReference'];
+
+/**
+ * Read a CSV file or buffer into row objects
+ * @param {string|Buffer} input - CSV path or file contents
+ * @returns {Promise<Array<object>>} - Rows keyed by header
+ */
+export function parseCSV(input) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    const source = Buffer.isBuffer(input) ? Readable.from([input]) : createReadStream(input);
+    
+    source
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+      .on('data', (row) => {
+        rows.push(row);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Convert an imported row (CSV, Excel or JSON) to meat cut fields
+ * Only columns present in the file are returned, so partial files can update
+ * some fields and leave the rest alone.
+ * @param {object} row - Row keyed by header
+ * @param {object} profile - Mapping profile ({ columns }) from ImportProfile
+ * @param {object} options - { requireAll: every required field must be present (new meat cuts) }
+ * @returns {{id: number|null, slug: string|null, fields: object, errors: Array<string>}}
+ */
+export function parseMeatCutRow(row, profile, options = {}) {
+  const values = mapRow(row, profile.columns);
+  const fields = {};
+  const errors = [];
+  
+  for (const field of ['name', 'chineseName', 'part', 'imageReference']) {
+    if (values[field]) fields[field] = values[field].value;
+  }
+  
+  if (values.lean) fields.lean = values.lean.value;
+  
+  for (const field of ['textureNotes', 'googleDriveImageId', 'googleDriveImageUrl']) {
+    if (values[field]) fields[field] = values[field].value || null;
+  }
+  
+  for (const field of ['cookingMethods', 'recommendedDishes']) {
+    if (values[field]) fields[field] = values[field].value;
+  }
+  
+  // Prices: explicit min/max columns win over the display string
+  const { priceDisplay, priceMin, priceMax, priceMean } = values;
+  let prices = null;
+  if (priceMin?.text || priceMax?.text) {
+    const min = priceValue(priceMin, 'min');
+    const max = priceValue(priceMax, 'max');
+    if (validatePriceRange(min, max)) {
+      const mean = priceValue(priceMean, 'mean');
+      // The display string may still state the currency and unit
+      const stated = typeof priceDisplay?.value === 'object' ? priceDisplay.value ?? {} : {};
+      prices = { min, max, mean: mean ?? (min + max) / 2, currency: stated.currency, unit: stated.unit };
+    } else {
+      errors.push(`Invalid price range: ${priceMin?.text ?? ''} – ${priceMax?.text ?? ''}`);
+    }
+  } else if (priceDisplay) {
+    // A plain number (number transform) is a single price
+    if (typeof priceDisplay.value === 'number') {
+      const price = priceDisplay.value;
+      prices = { min: price, max: price, mean: price, currency: null, unit: null };
+    } else if (priceDisplay.value) {
+      prices = priceDisplay.value;
+    } else {
+      errors.push(`Invalid price "${priceDisplay.text}": ${priceDisplay.error || 'not a price'}`);
+    }
+  } else if (options.requireAll) {
+    errors.push('Missing required field: price');
+  }
+  
+  const currency = priceAttribute(values.priceCurrency, prices?.currency, 'currency', errors);
+  const unit = priceAttribute(values.priceUnit, prices?.unit, 'unit', errors);
+  if (prices) {
+    const price = { ...prices, currency: currency ?? DEFAULT_CURRENCY, unit: unit ?? DEFAULT_UNIT };
+    Object.assign(fields, {
+      priceMin: price.min,
+      priceMax: price.max,
+      priceMean: price.mean,
+      priceCurrency: price.currency,
+      priceUnit: price.unit,
+      priceDisplay: typeof priceDisplay?.value !== 'number' && priceDisplay?.text ? priceDisplay.text : formatPrice(price)
+    });
+  } else if ((values.priceCurrency?.text || values.priceUnit?.text) && !errors.length) {
+    errors.push('Price currency and unit need a price in the same row');
+  }
+  
+  for (const field of REQUIRED_FIELDS) {
+    if (fields[field] === '' || (options.requireAll && fields[field] === undefined)) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  }
+  
+  return {
+    id: values.id?.value ?? null,
+    slug: values.slug?.text || null,
+    fields,
+    errors
+  };
+}
+
+/**
+ * Resolve a price currency or unit from its own column and the price text
+ * A separate column fills in what the price text leaves out; it must not contradict it.
+ * @param {object|undefined} mapped - { text, value } from mapRow() for the currency or unit column
+ * @param {string|null|undefined} stated - Currency or unit written in the price text
+ * @param {string} name - currency or unit, for error messages
+ * @param {Array<string>} errors - Row errors to add to
+ * @returns {string|null} - Currency code or unit key, or null when neither states one
+ */
+function priceAttribute(mapped, stated, name, errors) {
+  if (!mapped?.text) {
+    return stated ?? null;
+  }
+  if (!mapped.value) {
+    errors.push(`Unknown price ${name}: ${mapped.text}`);
+    return stated ?? null;
+  }
+  if (stated && stated !== mapped.value) {
+    errors.push(`Price ${name} ${mapped.value} does not match the price (${stated})`);
+  }
+  return mapped.value;
+}
+
+/**
+ * Read a price from a mapped price column
+ * @param {object|undefined} mapped - { text, value } from mapRow()
+ * @param {string} key - min, max or mean, for columns using the price transform
+ * @returns {number|null} - Price, or null if absent or invalid
+ */
+function priceValue(mapped, key) {
+  if (!mapped || mapped.value === null) {
+    return null;
+  }
+  return typeof mapped.value === 'number' ? mapped.value : mapped.value[key];
+}
+
+export default { parseCSV, parseMeatCutRow };
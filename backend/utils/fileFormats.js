@@ -0,0 +1,234 @@
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import ExcelJS from 'exceljs';
+import { clientError } from '../middleware/errorHandler.js';
+import { parseCSV } from './csvParser.js';
+
+/**
+ * Reading and writing meat cut rows as CSV, Excel (.xlsx), JSON and NDJSON
+ */
+
+export const FILE_FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+/**
+ * Work out a file's format from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} - One of FILE_FORMATS, or null if the extension is unknown
+ */
+export function detectFormat(fileName) {
+  return EXTENSIONS[extname(fileName || '').toLowerCase()] || null;
+}
+
+/**
+ * Read a file into row objects keyed by header (spreadsheets) or property (JSON)
+ * @param {string|Buffer} input - File path or contents
+ * @param {string} format - One of FILE_FORMATS
+ * @returns {Promise<Array<object>>} - Rows
+ */
+export async function readRows(input, format = 'csv') {
+  if (format === 'csv') {
+    return parseCSV(input);
+  }
+
+  const buffer = Buffer.isBuffer(input) ? input : await readFile(input);
+
+  if (format === 'xlsx') {
+    return readWorkbook(buffer);
+  }
+  if (format === 'json') {
+    const rows = parseJSON(buffer.toString('utf8'), 'The file is not valid JSON');
+    if (!Array.isArray(rows)) {
+      throw clientError('A JSON import must be an array of meat cuts');
+    }
+    return rows.map((row, index) => requireObject(row, `Item ${index + 1}`));
+  }
+  if (format === 'ndjson') {
+    return buffer.toString('utf8')
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line.length > 0)
+      .map(({ line, number }) => requireObject(parseJSON(line, `Line ${number} is not valid JSON`), `Line ${number}`));
+  }
+
+  throw clientError(`Format must be one of: ${FILE_FORMATS.join(', ')}`);
+}
+
+/**
+ * Write records in a file format
+ * Spreadsheets get one column per header with lists joined by commas;
+ * JSON keeps field names and native values.
+ * @param {Array<object>} records - Records keyed by field name
+ * @param {Array<{field: string, header: string}>} columns - Columns, in order
+ * @param {string} format - One of FILE_FORMATS
+ * @returns {Promise<string|Buffer>} - File contents
+ */
+export async function writeRows(records, columns, format = 'csv') {
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  if (format === 'ndjson') {
+    return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+  }
+
+  const cells = records.map(record => columns.map(({ field }) => toCell(record[field])));
+
+  if (format === 'csv') {
+    return [
+      columns.map(({ header }) => escapeCSV(header)).join(','),
+      ...cells.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+  }
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Meat Cuts', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(({ header }) => ({ header, width: Math.max(12, header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(cells);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  throw clientError(`Format must be one of: ${FILE_FORMATS.join(', ')}`);
+}
+
+/**
+ * Convert a native value to a spreadsheet cell
+ * @param {*} value - Value
+ * @returns {string|number} - Cell value
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return value;
+}
+
+/**
+ * Escape a CSV value
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped value
+ */
+function escapeCSV(value) {
+  const str = String(value);
+  // If contains comma, quote, or newline, wrap in quotes and escape quotes
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Read the first worksheet of an Excel workbook into rows keyed by the header row
+ * @param {Buffer} buffer - .xlsx contents
+ * @returns {Promise<Array<object>>} - Rows (empty rows are dropped)
+ */
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw clientError('The file is not a valid Excel (.xlsx) workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellText(cell.value).trim();
+  });
+
+  const rows = [];
+  for (let number = 2; number <= sheet.rowCount; number++) {
+    const row = {};
+    let empty = true;
+    headers.forEach((header, column) => {
+      if (!header) return;
+      row[header] = cellText(sheet.getRow(number).getCell(column).value);
+      if (row[header] !== '') empty = false;
+    });
+    if (!empty) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Flatten an Excel cell value (rich text, hyperlinks, formulas, dates) to text
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} - Cell text
+ */
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Parse JSON, reporting syntax errors as client errors
+ * @param {string} text - JSON text
+ * @param {string} message - Error message
+ * @returns {*} - Parsed value
+ */
+function parseJSON(text, message) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw clientError(message);
+  }
+}
+
+/**
+ * Ensure an imported JSON item is an object
+ * @param {*} value - Parsed item
+ * @param {string} label - Where the item came from, for the error message
+ * @returns {object} - The item
+ */
+function requireObject(value, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw clientError(`${label} must be an object`);
+  }
+  return value;
+}
+
+export default { FILE_FORMATS, CONTENT_TYPES, detectFormat, readRows, writeRows };
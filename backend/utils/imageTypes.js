@@ -0,0 +1,42 @@
+/**
+ * Recognizing image files from their first bytes
+ */
+
+/**
+ * Check whether a buffer holds an ASCII string at an offset
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Byte offset
+ * @param {string} text - Expected text
+ * @returns {boolean}
+ */
+function hasText(buffer, offset, text) {
+  return buffer.length >= offset + text.length &&
+    buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+/**
+ * Work out an image's MIME type from its signature
+ * @param {Buffer} buffer - File contents (the first 32 bytes are enough)
+ * @returns {string|null} - MIME type, or null if not a recognized image
+ */
+export function detectImageType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (hasText(buffer, 0, '\x89PNG\r\n\x1a\n')) return 'image/png';
+  if (hasText(buffer, 0, 'GIF87a') || hasText(buffer, 0, 'GIF89a')) return 'image/gif';
+  if (hasText(buffer, 0, 'RIFF') && hasText(buffer, 8, 'WEBP')) return 'image/webp';
+  if (hasText(buffer, 4, 'ftyp')) {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+  if (hasText(buffer, 0, 'BM')) return 'image/bmp';
+  if (hasText(buffer, 0, 'II*\x00') || hasText(buffer, 0, 'MM\x00*')) return 'image/tiff';
+
+  return null;
+}
+
+export default {
+  detectImageType
+};
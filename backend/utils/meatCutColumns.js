@@ -0,0 +1,164 @@
+import { normalizeLean } from './validators.js';
+import { parsePrice, normalizeCurrency, normalizeUnit, PriceFormatError } from './priceParser.js';
+
+/**
+ * Column mapping shared by meat cut imports and exports (CSV, Excel, JSON)
+ * Imports map source columns to fields with a mapping profile (see ImportProfile)
+ */
+
+// Transforms a profile column may apply for each field; the first is the default
+// - text: trimmed string; integer / number: parsed number
+// - boolean: Yes/No, true/false, 1/0; list: split on a separator (default ',')
+// - price: a price string such as "$6 – $9" or "NT$450–600/斤" (see priceParser.js)
+// - currency: a currency code or symbol (USD, NT$); unit: lb, kg, 100g, jin (斤) or piece
+export const FIELD_TRANSFORMS = {
+  id: ['integer'],
+  name: ['text'],
+  chineseName: ['text'],
+  part: ['text'],
+  lean: ['boolean'],
+  priceDisplay: ['price', 'number'],
+  priceMin: ['number', 'price'],
+  priceMax: ['number', 'price'],
+  priceMean: ['number', 'price'],
+  priceCurrency: ['currency'],
+  priceUnit: ['unit'],
+  textureNotes: ['text'],
+  imageReference: ['text'],
+  cookingMethods: ['list'],
+  recommendedDishes: ['list'],
+  googleDriveImageId: ['text'],
+  googleDriveImageUrl: ['text'],
+  slug: ['text']
+};
+
+// Exported columns, in order; spreadsheets use the header, JSON uses the field name
+export const EXPORT_COLUMNS = [
+  { field: 'id', header: 'ID' },
+  { field: 'name', header: 'Name' },
+  { field: 'chineseName', header: 'Chinese Name' },
+  { field: 'part', header: 'Part' },
+  { field: 'lean', header: 'Lean' },
+  { field: 'priceMin', header: 'Price Min' },
+  { field: 'priceMax', header: 'Price Max' },
+  { field: 'priceMean', header: 'Price Mean' },
+  { field: 'priceCurrency', header: 'Price Currency' },
+  { field: 'priceUnit', header: 'Price Unit' },
+  { field: 'priceDisplay', header: 'Price Display' },
+  { field: 'textureNotes', header: 'Texture & Notes' },
+  { field: 'imageReference', header: 'image reference' },
+  { field: 'cookingMethods', header: 'Rec. Cooking Methods' },
+  { field: 'recommendedDishes', header: 'Recommended Dishes' },
+  { field: 'googleDriveImageId', header: 'Google Drive Image ID' },
+  { field: 'googleDriveImageUrl', header: 'Google Drive Image URL' },
+  { field: 'slug', header: 'Slug' }
+];
+
+/**
+ * Parse a separated list (cooking methods, recommended dishes)
+ * @param {string|Array} value - List string, or an array from JSON
+ * @param {string} separator - Item separator (default ',')
+ * @returns {Array<string>} - Trimmed, de-duplicated, sorted names
+ */
+export function parseList(value, separator = ',') {
+  const items = Array.isArray(value) ? value.map(String) : String(value ?? '').split(separator);
+  const names = items
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+
+  return [...new Set(names)].sort();
+}
+
+/**
+ * Convert a source value with a profile column's transform
+ * @param {*} raw - Value from the file (JSON rows may hold native values)
+ * @param {object} column - { field, transform, separator }
+ * @returns {{text: string, value: *, error?: string}} - Trimmed text and the converted value
+ *   (null when a number, price, currency or unit cannot be parsed; prices also carry the error)
+ */
+export function applyTransform(raw, column) {
+  const text = raw === null || raw === undefined
+    ? ''
+    : (Array.isArray(raw) ? raw.join(', ') : String(raw)).trim();
+  const transform = column.transform || FIELD_TRANSFORMS[column.field][0];
+
+  switch (transform) {
+    case 'integer': {
+      const value = parseInt(text);
+      return { text, value: isNaN(value) ? null : value };
+    }
+    case 'number': {
+      const value = parseFloat(text);
+      return { text, value: isNaN(value) ? null : value };
+    }
+    case 'boolean':
+      return { text, value: normalizeLean(text) };
+    case 'list':
+      return { text, value: parseList(Array.isArray(raw) ? raw : text, column.separator || ',') };
+    case 'price':
+      try {
+        // Currency and unit stay null when not stated, so separate columns can fill them in
+        return { text, value: parsePrice(text, { currency: null, unit: null }) };
+      } catch (error) {
+        if (!(error instanceof PriceFormatError)) throw error;
+        return { text, value: null, error: error.message };
+      }
+    case 'currency':
+      return { text, value: normalizeCurrency(text) };
+    case 'unit':
+      return { text, value: normalizeUnit(text) };
+    default:
+      return { text, value: text };
+  }
+}
+
+/**
+ * Map an imported row to fields with a profile
+ * When several columns map to the same field, the first one present in the row wins.
+ * @param {object} row - Row keyed by header
+ * @param {Array<object>} columns - Profile columns: { source, field, transform, separator }
+ * @returns {object} - { [field]: { text, value } } for the fields present in the row
+ */
+export function mapRow(row, columns) {
+  const values = {};
+
+  for (const column of columns) {
+    if (values[column.field] === undefined && row[column.source] !== undefined) {
+      values[column.field] = applyTransform(row[column.source], column);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Build the export record for a meat cut
+ * @param {object} meatCut - Meat cut from MeatCut.findAll()
+ * @param {Array<string>} cookingMethods - Cooking method names
+ * @param {Array<string>} recommendedDishes - Dish names
+ * @returns {object} - Native values keyed by field name (lists stay arrays)
+ */
+export function toExportRecord(meatCut, cookingMethods, recommendedDishes) {
+  return {
+    id: meatCut.id,
+    name: meatCut.name,
+    chineseName: meatCut.chineseName || '',
+    part: meatCut.part || '',
+    lean: Boolean(meatCut.lean),
+    priceMin: meatCut.priceRange.min,
+    priceMax: meatCut.priceRange.max,
+    priceMean: meatCut.priceRange.mean,
+    priceCurrency: meatCut.priceRange.currency,
+    priceUnit: meatCut.priceRange.unit,
+    priceDisplay: meatCut.priceRange.display,
+    textureNotes: meatCut.textureNotes || '',
+    imageReference: meatCut.imageReference || '',
+    cookingMethods,
+    recommendedDishes,
+    googleDriveImageId: meatCut.googleDriveImageId || '',
+    googleDriveImageUrl: meatCut.googleDriveImageUrl || '',
+    slug: meatCut.slug || ''
+  };
+}
+
+export default { FIELD_TRANSFORMS, EXPORT_COLUMNS, parseList, applyTransform, mapRow, toExportRecord };
@@ -0,0 +1,252 @@
+import { readdirSync, readFileSync, existsSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, '../migrations');
+
+// Migration files are named NNN_description.up.sql / NNN_description.down.sql
+// or NNN_description.js (exporting up(db) and down(db))
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+?)(?:\.(up|down))?\.(sql|js)$/;
+
+/**
+ * Format a migration as NNN_name for log output
+ * @param {object} migration - Migration definition
+ * @returns {string}
+ */
+function formatMigrationId(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Ensure the table that records applied migrations exists
+ * @param {object} db - better-sqlite3 database
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Load all migration definitions from the migrations directory
+ * @param {string} directory - Migrations directory
+ * @returns {Array<{version: number, name: string, upFile: string|null, downFile: string|null, moduleFile: string|null}>}
+ */
+export function loadMigrations(directory = MIGRATIONS_DIR) {
+  if (!existsSync(directory)) {
+    throw new Error(`Migrations directory not found at: ${directory}`);
+  }
+
+  const migrations = new Map();
+
+  for (const file of readdirSync(directory)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionStr, name, direction, extension] = match;
+    const version = parseInt(versionStr, 10);
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, upFile: null, downFile: null, moduleFile: null });
+    }
+    const migration = migrations.get(version);
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+    }
+
+    const filePath = join(directory, file);
+    if (extension === 'js') {
+      migration.moduleFile = filePath;
+    } else if (direction === 'up') {
+      migration.upFile = filePath;
+    } else if (direction === 'down') {
+      migration.downFile = filePath;
+    }
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of sorted) {
+    if (!migration.moduleFile && !migration.upFile) {
+      throw new Error(`Migration ${formatMigrationId(migration)} has no up migration`);
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Get applied migrations from the database
+ * @param {object} db - better-sqlite3 database
+ * @returns {Array<{version: number, name: string, appliedAt: string}>}
+ */
+export function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+    .all()
+    .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+}
+
+/**
+ * Resolve the up/down steps of a migration
+ * @param {object} migration - Migration definition
+ * @returns {Promise<{up: Function, down: Function|null}>}
+ */
+async function resolveSteps(migration) {
+  if (migration.moduleFile) {
+    const module = await import(pathToFileURL(migration.moduleFile).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${formatMigrationId(migration)} does not export an up() function`);
+    }
+    return {
+      up: module.up,
+      down: typeof module.down === 'function' ? module.down : null
+    };
+  }
+
+  return {
+    up: (db) => db.exec(readFileSync(migration.upFile, 'utf-8')),
+    down: migration.downFile
+      ? (db) => db.exec(readFileSync(migration.downFile, 'utf-8'))
+      : null
+  };
+}
+
+/**
+ * Get status of every known migration
+ * @param {object} db - better-sqlite3 database
+ * @returns {Array<{version: number, name: string, applied: boolean, appliedAt: string|null, reversible: boolean}>}
+ */
+export function getMigrationStatus(db) {
+  const applied = new Map(getAppliedMigrations(db).map(m => [m.version, m]));
+  const known = loadMigrations();
+
+  const status = known.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.appliedAt || null,
+    reversible: Boolean(migration.moduleFile || migration.downFile)
+  }));
+
+  // Applied versions whose files are gone are still reported
+  for (const [version, migration] of applied) {
+    if (!known.some(m => m.version === version)) {
+      status.push({ ...migration, applied: true, reversible: false, missing: true });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply all pending migrations in version order
+ * Each migration runs in its own transaction.
+ * @param {object} db - better-sqlite3 database
+ * @param {object} options - { to: highest version to apply }
+ * @returns {Promise<Array<{version: number, name: string}>>} - Applied migrations
+ */
+export async function runPendingMigrations(db, options = {}) {
+  const appliedVersions = new Set(getAppliedMigrations(db).map(m => m.version));
+  const pending = loadMigrations().filter(m =>
+    !appliedVersions.has(m.version) && (options.to === undefined || m.version <= options.to)
+  );
+
+  const applied = [];
+  for (const migration of pending) {
+    const { up } = await resolveSteps(migration);
+
+    db.transaction(() => {
+      up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+    })();
+
+    console.log(`✓ Applied migration ${formatMigrationId(migration)}`);
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return applied;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {object} db - better-sqlite3 database
+ * @param {object} options - { steps: number of migrations (default 1), to: version to roll back to (exclusive) }
+ * @returns {Promise<Array<{version: number, name: string}>>} - Rolled back migrations
+ */
+export async function rollbackMigrations(db, options = {}) {
+  const known = new Map(loadMigrations().map(m => [m.version, m]));
+  const appliedDesc = getAppliedMigrations(db).reverse();
+
+  let targets;
+  if (options.to !== undefined) {
+    targets = appliedDesc.filter(m => m.version > options.to);
+  } else {
+    const steps = options.steps === undefined ? 1 : options.steps;
+    targets = appliedDesc.slice(0, steps);
+  }
+
+  const rolledBack = [];
+  for (const appliedMigration of targets) {
+    const migration = known.get(appliedMigration.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${formatMigrationId(appliedMigration)}: migration file not found`);
+    }
+
+    const { down } = await resolveSteps(migration);
+    if (!down) {
+      throw new Error(`Migration ${formatMigrationId(migration)} has no down migration`);
+    }
+
+    db.transaction(() => {
+      down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    })();
+
+    console.log(`✓ Rolled back migration ${formatMigrationId(migration)}`);
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Create empty up/down SQL files for a new migration
+ * @param {string} name - Migration description (e.g. "add_price_history")
+ * @returns {{version: number, upFile: string, downFile: string}}
+ */
+export function createMigration(name) {
+  const safeName = String(name || '').trim().toLowerCase().replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!safeName) {
+    throw new Error('Migration name is required');
+  }
+
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const prefix = formatMigrationId({ version, name: safeName });
+  const upFile = join(MIGRATIONS_DIR, `${prefix}.up.sql`);
+  const downFile = join(MIGRATIONS_DIR, `${prefix}.down.sql`);
+
+  writeFileSync(upFile, `-- Migration ${String(version).padStart(3, '0')}: ${safeName}\n\n`);
+  writeFileSync(downFile, `-- Revert migration ${String(version).padStart(3, '0')}: ${safeName}\n\n`);
+
+  return { version, upFile, downFile };
+}
+
+export default {
+  loadMigrations,
+  getAppliedMigrations,
+  getMigrationStatus,
+  runPendingMigrations,
+  rollbackMigrations,
+  createMigration
+};
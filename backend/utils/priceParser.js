@@ -0,0 +1,319 @@
+/**
+ * Price parsing and formatting for meat cut prices
+ *
+ * Grammar (whitespace is allowed between tokens):
+ *   price     := amount [separator amount] [unit]
+ *   amount    := [currency] number [currency]
+ *   separator := "-" | "–" | "—" | "~" | "to" | "至"
+ *   unit      := ("/" | "per" | "a" | "每") unit-name | "each" | "ea"
+ *   number    := 1,234.56 | 12.50 | 12,50 (decimal comma) | .5
+ *
+ * Examples: "$6 – $9", "$12.50 to $15", "NT$450–600/斤", "€20/kg", "450 TWD per jin"
+ * Input is NFKC-normalized first, so full-width digits and symbols ("ＮＴ＄４５０") work too.
+ */
+
+// Currency and unit used when a price does not state one (the init data is USD per lb)
+export const DEFAULT_CURRENCY = 'USD';
+export const DEFAULT_UNIT = 'lb';
+
+// Supported currencies: ISO code -> display symbol, decimals shown and accepted spellings
+export const CURRENCIES = {
+  USD: { symbol: '$', decimals: 2, tokens: ['US$', '$', 'USD'] },
+  TWD: { symbol: 'NT$', decimals: 0, tokens: ['NT$', 'NTD', 'TWD', '元'] },
+  HKD: { symbol: 'HK$', decimals: 2, tokens: ['HK$', 'HKD'] },
+  CNY: { symbol: 'CN¥', decimals: 2, tokens: ['CN¥', 'RMB', 'CNY'] },
+  JPY: { symbol: '¥', decimals: 0, tokens: ['JP¥', '¥', '円', 'JPY'] },
+  EUR: { symbol: '€', decimals: 2, tokens: ['€', 'EUR'] },
+  GBP: { symbol: '£', decimals: 2, tokens: ['£', 'GBP'] },
+  CAD: { symbol: 'CA$', decimals: 2, tokens: ['CA$', 'C$', 'CAD'] },
+  AUD: { symbol: 'A$', decimals: 2, tokens: ['AU$', 'A$', 'AUD'] },
+  SGD: { symbol: 'S$', decimals: 2, tokens: ['S$', 'SGD'] },
+  KRW: { symbol: '₩', decimals: 0, tokens: ['₩', 'KRW'] }
+};
+
+// Supported units: key -> display suffix, weight in grams (null: not a weight) and accepted spellings
+// 斤 (jin, catty) is the Taiwanese 600 g jin.
+export const UNITS = {
+  lb: { suffix: '/lb', grams: 453.59237, tokens: ['lbs', 'lb', 'pounds', 'pound', '磅'] },
+  kg: { suffix: '/kg', grams: 1000, tokens: ['kilograms', 'kilogram', 'kilos', 'kilo', 'kgs', 'kg', '公斤'] },
+  '100g': { suffix: '/100g', grams: 100, tokens: ['100g', '100 g', '100克', '100公克'] },
+  jin: { suffix: '/斤', grams: 600, tokens: ['台斤', '斤', 'jin', 'catties', 'catty'] },
+  piece: { suffix: '/piece', grams: null, tokens: ['pieces', 'piece', 'pcs', 'pc', 'each', 'ea', '塊', '份', '片', '個'] }
+};
+
+/**
+ * Error raised for text that does not follow the price grammar
+ * position is the 1-based character where parsing stopped.
+ */
+export class PriceFormatError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'PriceFormatError';
+    this.position = position;
+  }
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a sticky regex matching any token of a table, longest first
+ * Latin tokens must not run into further letters ("kg" but not "kgx").
+ * @param {object} table - CURRENCIES or UNITS
+ * @returns {{pattern: RegExp, lookup: Map<string, string>}} - Pattern and lowercased token -> key
+ */
+function buildTokenMatcher(table) {
+  const lookup = new Map();
+  for (const [key, { tokens }] of Object.entries(table)) {
+    for (const token of tokens) lookup.set(token.toLowerCase(), key);
+  }
+
+  const alternatives = [...lookup.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(token => escapeRegExp(token) + (/[a-z]$/.test(token) ? '(?![a-z])' : ''));
+
+  return { pattern: new RegExp(`(?:${alternatives.join('|')})`, 'iy'), lookup };
+}
+
+const CURRENCY_MATCHER = buildTokenMatcher(CURRENCIES);
+const UNIT_MATCHER = buildTokenMatcher(UNITS);
+
+const NUMBER_PATTERN = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+,\d{1,2}(?!\d)|\d+(?:\.\d+)?|\.\d+/y;
+const SEPARATOR_PATTERN = /(?:[-–—~]|to(?![a-z])|至)/iy;
+const UNIT_PREFIX_PATTERN = /(?:\/|per(?![a-z])|a(?![a-z])|每)/iy;
+const WORD_PATTERN = /[^\s\d/]+/y;
+
+/**
+ * Sequential reader over the price text
+ */
+class PriceScanner {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+  }
+
+  /**
+   * Consume a sticky pattern at the current position (after whitespace)
+   * @param {RegExp} pattern - Sticky regex
+   * @returns {string|null} - Matched text, or null (nothing consumed)
+   */
+  match(pattern) {
+    this.skipSpace();
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.text);
+    if (!match) return null;
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  atEnd() {
+    this.skipSpace();
+    return this.pos >= this.text.length;
+  }
+
+  /**
+   * Describe what is at the current position, for error messages
+   * @returns {string}
+   */
+  found() {
+    return this.atEnd() ? 'the end of the text' : `"${this.text.slice(this.pos, this.pos + 12)}"`;
+  }
+
+  error(message) {
+    return new PriceFormatError(`${message} at position ${this.pos + 1}`, this.pos + 1);
+  }
+}
+
+/**
+ * Read an optional currency token
+ * @param {PriceScanner} scanner
+ * @returns {string|null} - Currency code
+ */
+function readCurrency(scanner) {
+  const token = scanner.match(CURRENCY_MATCHER.pattern);
+  return token ? CURRENCY_MATCHER.lookup.get(token.toLowerCase()) : null;
+}
+
+/**
+ * Read an amount: a number with an optional currency before or after it
+ * @param {PriceScanner} scanner
+ * @param {string} expected - What the amount is, for error messages
+ * @returns {{value: number, currency: string|null}}
+ */
+function readAmount(scanner, expected) {
+  const prefix = readCurrency(scanner);
+  const number = scanner.match(NUMBER_PATTERN);
+
+  if (number === null) {
+    throw scanner.error(`Expected ${expected}, found ${scanner.found()}`);
+  }
+
+  const value = parseFloat(/^\d+,\d{1,2}$/.test(number) ? number.replace(',', '.') : number.replace(/,/g, ''));
+  const suffix = readCurrency(scanner);
+
+  if (prefix && suffix && prefix !== suffix) {
+    throw scanner.error(`Conflicting currencies ${prefix} and ${suffix}`);
+  }
+
+  return { value, currency: prefix || suffix };
+}
+
+/**
+ * Read an optional unit ("/kg", "per lb", "each")
+ * @param {PriceScanner} scanner
+ * @returns {string|null} - Unit key
+ */
+function readUnit(scanner) {
+  const prefix = scanner.match(UNIT_PREFIX_PATTERN);
+  const start = scanner.pos;
+  const token = scanner.match(UNIT_MATCHER.pattern);
+
+  if (token) {
+    return UNIT_MATCHER.lookup.get(token.toLowerCase());
+  }
+  if (prefix) {
+    scanner.pos = start;
+    const word = scanner.match(WORD_PATTERN);
+    scanner.pos = start;
+    throw scanner.error(word
+      ? `Unknown unit "${word}" (use ${Object.keys(UNITS).join(', ')})`
+      : `Expected a unit after "${prefix}"`);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a price such as "$12.50 to $15", "NT$450–600/斤" or "€20/kg"
+ * @param {string} text - Price text
+ * @param {object} defaults - { currency, unit } used when the text states none
+ *   (DEFAULT_CURRENCY / DEFAULT_UNIT; pass null to get null back instead)
+ * @returns {{min: number, max: number, mean: number, currency: string|null, unit: string|null}}
+ * @throws {PriceFormatError} - When the text does not follow the grammar
+ */
+export function parsePrice(text, defaults = {}) {
+  const { currency: defaultCurrency = DEFAULT_CURRENCY, unit: defaultUnit = DEFAULT_UNIT } = defaults;
+  const input = typeof text === 'string' ? text.normalize('NFKC').trim() : '';
+
+  if (!input) {
+    throw new PriceFormatError('Price is empty');
+  }
+
+  const scanner = new PriceScanner(input);
+  const min = readAmount(scanner, 'a price');
+  let max = min;
+
+  const separator = scanner.match(SEPARATOR_PATTERN);
+  if (separator) {
+    max = readAmount(scanner, `a maximum price after "${separator}"`);
+  }
+
+  const unit = readUnit(scanner);
+
+  if (!scanner.atEnd()) {
+    throw scanner.error(`Unexpected ${scanner.found()}`);
+  }
+  if (min.currency && max.currency && min.currency !== max.currency) {
+    throw new PriceFormatError(`Conflicting currencies ${min.currency} and ${max.currency}`);
+  }
+  if (min.value > max.value) {
+    throw new PriceFormatError(`Minimum price ${min.value} is higher than maximum price ${max.value}`);
+  }
+
+  return {
+    min: min.value,
+    max: max.value,
+    mean: (min.value + max.value) / 2,
+    currency: min.currency || max.currency || defaultCurrency,
+    unit: unit || defaultUnit
+  };
+}
+
+/**
+ * Normalize a currency code or symbol ("NT$", "twd", "€")
+ * @param {string} value - Currency as written
+ * @returns {string|null} - ISO code, or null if not supported
+ */
+export function normalizeCurrency(value) {
+  const text = typeof value === 'string' ? value.normalize('NFKC').trim() : '';
+  return CURRENCY_MATCHER.lookup.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Normalize a unit ("per kg", "/斤", "lbs")
+ * @param {string} value - Unit as written
+ * @returns {string|null} - Unit key, or null if not supported
+ */
+export function normalizeUnit(value) {
+  const text = typeof value === 'string' ? value.normalize('NFKC').trim() : '';
+  if (!text) return null;
+
+  const scanner = new PriceScanner(text);
+  scanner.match(UNIT_PREFIX_PATTERN);
+  const token = scanner.match(UNIT_MATCHER.pattern);
+
+  return token && scanner.atEnd() ? UNIT_MATCHER.lookup.get(token.toLowerCase()) : null;
+}
+
+/**
+ * Round an amount to the decimals shown for a currency (0 for TWD, JPY, KRW)
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO code
+ * @returns {number} - Rounded amount
+ */
+export function roundAmount(amount, currency) {
+  const factor = 10 ** (CURRENCIES[currency]?.decimals ?? 2);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert a price per one unit to a price per another unit
+ * Only weights convert; a per-piece price only matches another per-piece price.
+ * @param {number} amount - Price per fromUnit
+ * @param {string} fromUnit - Unit key
+ * @param {string} toUnit - Unit key
+ * @returns {number|null} - Unrounded price per toUnit, or null when the units do not convert
+ */
+export function convertUnitPrice(amount, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return amount;
+
+  const from = UNITS[fromUnit]?.grams;
+  const to = UNITS[toUnit]?.grams;
+  return from && to ? amount * (to / from) : null;
+}
+
+/**
+ * Format a price for display, e.g. "$6 – $9" or "NT$450 – NT$600/斤"
+ * The default unit (lb) is left out, matching the existing price texts.
+ * @param {object} price - { min, max, currency, unit }
+ * @returns {string} - Display text
+ */
+export function formatPrice({ min, max, currency = DEFAULT_CURRENCY, unit = DEFAULT_UNIT }) {
+  const symbol = CURRENCIES[currency]?.symbol ?? `${currency} `;
+  const range = min === max ? `${symbol}${min}` : `${symbol}${min} – ${symbol}${max}`;
+  return unit === DEFAULT_UNIT ? range : `${range}${UNITS[unit]?.suffix ?? `/${unit}`}`;
+}
+
+export default {
+  DEFAULT_CURRENCY,
+  DEFAULT_UNIT,
+  CURRENCIES,
+  UNITS,
+  PriceFormatError,
+  parsePrice,
+  normalizeCurrency,
+  normalizeUnit,
+  roundAmount,
+  convertUnitPrice,
+  formatPrice
+};
@@ -0,0 +1,100 @@
+/**
+ * Parser for the search box query syntax, e.g.
+ *   part:Chuck method:Grilling -braising "flat iron" -dish:"Pot Roast" lean:yes
+ * - word: ranked full-text term
+ * - "phrase": must appear as a phrase
+ * - field:value / field:"two words": filter on part, method (or cookingMethod), dish or lean
+ * - a leading "-" excludes a word, phrase or field value
+ */
+
+// Query field names (lowercase) -> key of the parsed value list
+const FIELDS = {
+  part: 'parts',
+  method: 'cookingMethods',
+  cookingmethod: 'cookingMethods',
+  dish: 'dishes'
+};
+
+const LEAN_VALUES = {
+  yes: true,
+  true: true,
+  no: false,
+  false: false
+};
+
+// Optional "-", optional "field:", then a quoted phrase (closing quote optional) or a word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/giu;
+
+/**
+ * Parse a search query into text terms and filters
+ * @param {string} q - Search query
+ * @returns {{
+ *   terms: string[], phrases: string[], excludeTerms: string[], excludePhrases: string[],
+ *   parts: string[], cookingMethods: string[], dishes: string[],
+ *   excludeParts: string[], excludeCookingMethods: string[], excludeDishes: string[],
+ *   lean: boolean|undefined
+ * }}
+ */
+export function parseSearchQuery(q) {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excludeTerms: [],
+    excludePhrases: [],
+    parts: [],
+    cookingMethods: [],
+    dishes: [],
+    excludeParts: [],
+    excludeCookingMethods: [],
+    excludeDishes: [],
+    lean: undefined
+  };
+  if (!q || typeof q !== 'string') return parsed;
+
+  for (const [, minus, field, quoted, word] of q.matchAll(TOKEN_PATTERN)) {
+    const exclude = minus === '-';
+    const value = (quoted ?? word).trim();
+    const key = field && FIELDS[field.toLowerCase()];
+
+    // Nothing searchable (e.g. a lone "-")
+    if (!/[\p{L}\p{N}]/u.test(value)) continue;
+
+    if (key) {
+      const list = exclude ? `exclude${key[0].toUpperCase()}${key.slice(1)}` : key;
+      parsed[list].push(value);
+    } else if (field && field.toLowerCase() === 'lean' && value.toLowerCase() in LEAN_VALUES) {
+      const lean = LEAN_VALUES[value.toLowerCase()];
+      parsed.lean = exclude ? !lean : lean;
+    } else {
+      // Unknown fields are searched as plain text
+      const text = field ? `${field}:${value}` : value;
+      if (quoted !== undefined) {
+        parsed[exclude ? 'excludePhrases' : 'phrases'].push(text);
+      } else {
+        parsed[exclude ? 'excludeTerms' : 'terms'].push(text);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Read a list parameter given repeated and/or comma-separated
+ * (e.g. ?part=Chuck&part=Rib or ?part=Chuck,Rib)
+ * @param {string|Array<string>|undefined} value - Query parameter
+ * @returns {Array<string>} - Trimmed, non-empty values
+ */
+export function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+export default {
+  parseSearchQuery,
+  parseListParam
+};
@@ -0,0 +1,157 @@
+import { toSimplified, parsePinyinQuery } from './chineseText.js';
+
+/**
+ * Text helpers for the meat_cuts_fts full-text index
+ */
+
+// Columns holding the meat cut's own text (as opposed to derived Chinese variants)
+export const ORIGINAL_COLUMNS = [
+  'name',
+  'chinese_name',
+  'part',
+  'texture_notes',
+  'cooking_methods',
+  'recommended_dishes'
+];
+
+// CJK Unified Ideographs (incl. Extension A) and CJK compatibility ideographs
+const CJK_CHAR = '[\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff]';
+const CJK_PATTERN = new RegExp(CJK_CHAR);
+const CJK_GLOBAL_PATTERN = new RegExp(CJK_CHAR, 'g');
+
+export const HIGHLIGHT_START = '<mark>';
+export const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Check whether text contains Chinese characters
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export function containsCJK(text) {
+  return CJK_PATTERN.test(text || '');
+}
+
+/**
+ * Separate Chinese characters with spaces so the unicode61 tokenizer
+ * indexes each character as its own token (e.g. "板腱牛排" -> "板 腱 牛 排").
+ * This lets a query for "牛排" match as a phrase inside a longer name.
+ * @param {string} text - Text to segment
+ * @returns {string} - Segmented text
+ */
+export function segmentForSearch(text) {
+  if (!text) return '';
+  return text
+    .replace(CJK_GLOBAL_PATTERN, ch => ` ${ch} `)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Undo segmentForSearch on highlighted output, keeping highlight markers
+ * (e.g. "<mark>牛</mark> <mark>排</mark>" -> "<mark>牛排</mark>")
+ * @param {string} text - Segmented text
+ * @returns {string} - Text with spaces between Chinese characters removed
+ */
+export function restoreSegmentedText(text) {
+  if (!text) return text;
+
+  const marker = `(?:${HIGHLIGHT_START}|${HIGHLIGHT_END.replace('/', '\\/')})*`;
+  const gap = new RegExp(`(${CJK_CHAR})(${marker}) (${marker})(?=${CJK_CHAR})`, 'g');
+
+  let restored = text;
+  let previous;
+  do {
+    previous = restored;
+    restored = restored.replace(gap, '$1$2$3');
+  } while (restored !== previous);
+
+  return restored.split(`${HIGHLIGHT_END}${HIGHLIGHT_START}`).join('');
+}
+
+/**
+ * Build an FTS5 MATCH expression from a free-text query.
+ * Every term is quoted (so user input cannot inject FTS syntax), Latin terms
+ * are prefix-matched, Chinese terms become character phrases, and terms are
+ * OR-ed so partial matches are still returned and ranked by BM25.
+ * @param {string} q - Search query
+ * @returns {string|null} - MATCH expression or null if nothing searchable
+ */
+export function buildFtsQuery(q) {
+  if (!q || typeof q !== 'string') return null;
+
+  const terms = q
+    .split(/[\s,;/]+/)
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(term => /[\p{L}\p{N}]/u.test(term));
+
+  const expressions = terms.map(term => {
+    if (containsCJK(term)) {
+      return `"${segmentForSearch(term)}"`;
+    }
+    return `"${term}"*`;
+  });
+
+  return expressions.length > 0 ? expressions.join(' OR ') : null;
+}
+
+/**
+ * Build an FTS5 MATCH expression for one word or phrase over the meat cut's own text.
+ * Latin words are prefix-matched unless `phrase` is set; Chinese text is
+ * matched as a character phrase in its written form or in Simplified form.
+ * @param {string} text - Word or phrase
+ * @param {object} options - { phrase: match the whole text as a phrase (default false) }
+ * @returns {string|null} - MATCH expression or null if nothing searchable
+ */
+export function buildTermQuery(text, { phrase = false } = {}) {
+  const term = (text || '').replace(/"/g, '').trim();
+  if (!/[\p{L}\p{N}]/u.test(term)) return null;
+
+  if (containsCJK(term)) {
+    return `({${ORIGINAL_COLUMNS.join(' ')}} : "${segmentForSearch(term)}")` +
+      ` OR (chinese_name_simplified : "${segmentForSearch(toSimplified(term))}")`;
+  }
+  return `{${ORIGINAL_COLUMNS.join(' ')}} : "${term}"${phrase ? '' : '*'}`;
+}
+
+/**
+ * Build the FTS5 MATCH expressions for each way a query can match.
+ * - fulltext: the query as typed, over the original columns
+ * - simplifiedTraditional: Chinese terms normalized to Simplified, over chinese_name_simplified
+ *   (so both Simplified and Traditional input find Traditional names)
+ * - pinyin: the query read as toneless Pinyin, as a syllable phrase over chinese_name_pinyin
+ * @param {string} q - Search query
+ * @returns {{fulltext: string|null, simplifiedTraditional: string|null, pinyin: string|null, combined: string|null}}
+ */
+export function buildSearchQueries(q) {
+  const base = buildFtsQuery(q);
+  const fulltext = base ? `{${ORIGINAL_COLUMNS.join(' ')}} : (${base})` : null;
+
+  let simplifiedTraditional = null;
+  if (containsCJK(q)) {
+    const simplified = buildFtsQuery(toSimplified(q));
+    simplifiedTraditional = simplified ? `chinese_name_simplified : (${simplified})` : null;
+  }
+
+  let pinyin = null;
+  const syllables = containsCJK(q) ? null : parsePinyinQuery(q);
+  if (syllables) {
+    pinyin = `chinese_name_pinyin : "${syllables}"`;
+  }
+
+  const parts = [fulltext, simplifiedTraditional, pinyin].filter(Boolean);
+  return {
+    fulltext,
+    simplifiedTraditional,
+    pinyin,
+    combined: parts.length > 0 ? parts.map(part => `(${part})`).join(' OR ') : null
+  };
+}
+
+export default {
+  containsCJK,
+  segmentForSearch,
+  restoreSegmentedText,
+  buildFtsQuery,
+  buildTermQuery,
+  buildSearchQueries
+};
@@ -1,3 +1,5 @@
+import { parsePrice, PriceFormatError } from './priceParser.js';
+
 /**
  * Validation utilities for meat cut data
  */
@@ -22,34 +24,21 @@ export function validatePriceRange(min, max) {
 }
 
 /**
- * Parse price display string (e.g., "$6 – $9") to min, max, mean
+ * Parse price display string (e.g., "$6 – $9", "NT$450–600/斤") to min, max, mean
+ * Kept for callers that only need the numbers; see parsePrice() for currency,
+ * unit and error details.
  * @param {string} priceDisplay - Price display string
- * @returns {{min: number, max: number, mean: number} | null} - Parsed prices or null if invalid
+ * @returns {{min: number, max: number, mean: number, currency: string, unit: string} | null} - Parsed prices or null if invalid
  */
 export function parsePriceDisplay(priceDisplay) {
-  if (!priceDisplay || typeof priceDisplay !== 'string') {
-    return null;
+  try {
+    return parsePrice(priceDisplay);
+  } catch (error) {
+    if (error instanceof PriceFormatError) {
+      return null;
+    }
+    throw error;
   }
-  
-  // Remove $ and spaces, split by common separators (–, -, to)
-  const cleaned = priceDisplay.replace(/\$/g, '').trim();
-  const separators = /[–\-\s+to\s+]/i;
-  const parts = cleaned.split(separators).map(p => p.trim()).filter(p => p);
-  
-  if (parts.length < 1) {
-    return null;
-  }
-  
-  const min = parseFloat(parts[0]);
-  const max = parts.length > 1 ? parseFloat(parts[1]) : min;
-  
-  if (isNaN(min) || isNaN(max)) {
-    return null;
-  }
-  
-  const mean = (min + max) / 2;
-  
-  return { min, max, mean };
 }
 
 /**
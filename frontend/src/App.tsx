@@ -1,88 +1,107 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Routes, Route, useParams } from 'react-router-dom';
 import { Box } from '@mui/material';
-import { MeatCut, FilterState, SortOption } from './types';
-import { loadMeatCutData } from './utils/csvParser';
-import { filterAndSortMeatCuts, getPriceRangeFromCuts } from './utils/filters';
+import { MeatCut, FilterState, SortOption, CurrencyOption, MeatCutSearchResult } from './types';
+import { searchMeatCuts, loadCurrencies } from './utils/csvParser';
 import MeatCutDetail from './components/MeatCutDetail';
 import Sidebar from './components/Sidebar';
 import Admin from './pages/Admin';
 import AdminLogin from './pages/AdminLogin';
 
 function HomePage() {
+  // Search results loaded so far (one or more pages)
   const [meatCuts, setMeatCuts] = useState<MeatCut[]>([]);
+  // Pagination, facets and price range of the latest page
+  const [search, setSearch] = useState<Omit<MeatCutSearchResult, 'results'> | null>(null);
   const [selectedCut, setSelectedCut] = useState<MeatCut | null>(null);
   const [filters, setFilters] = useState<FilterState>({
     searchQuery: '',
-    priceRange: [0, 100],
+    priceRange: null,
+    parts: [],
+    cookingMethods: [],
+    match: 'any',
+    lean: null,
     sortBy: 'name' as SortOption,
+    currency: 'USD',
   });
+  const [currencies, setCurrencies] = useState<CurrencyOption[]>([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Filters of the latest search, so pages of an outdated search are dropped
+  const filtersRef = useRef(filters);
 
-  // Use all meat cuts from the backend
-  const testCuts = useMemo(() => {
-    return meatCuts;
-  }, [meatCuts]);
+  // Price range for the slider: the whole catalogue, in whole currency units
+  const priceRange: [number, number] = search
+    ? [Math.floor(search.priceRange.min), Math.ceil(search.priceRange.max)]
+    : [0, 100];
 
-  // Get price range for slider
-  const priceRange = useMemo(() => {
-    if (meatCuts.length === 0) return [0, 100] as [number, number];
-    return getPriceRangeFromCuts(meatCuts);
-  }, [meatCuts]);
-
-  // Initialize price range when data loads
-  useEffect(() => {
-    if (testCuts.length > 0 && filters.priceRange[1] === 100) {
-      const range = getPriceRangeFromCuts(testCuts);
-      setFilters(prev => ({ ...prev, priceRange: range }));
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [testCuts]);
-
-  // Filter and sort cuts
-  const filteredCuts = useMemo(() => {
-    return filterAndSortMeatCuts(testCuts, filters);
-  }, [testCuts, filters]);
-
-  // Set initial selected cut (first in filtered list, sorted by name)
+  // Search again from the first page whenever the filters change
   useEffect(() => {
-    if (filteredCuts.length > 0 && !selectedCut) {
-      setSelectedCut(filteredCuts[0]);
-    } else if (selectedCut && !filteredCuts.find(c => c.id === selectedCut.id)) {
-      // If selected cut is no longer in filtered results, select first one
-      setSelectedCut(filteredCuts[0] || null);
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [filteredCuts]);
-
-  // Load data
-  useEffect(() => {
-    loadMeatCutData()
-      .then((data) => {
-        setMeatCuts(data);
+    filtersRef.current = filters;
+    let cancelled = false;
+
+    searchMeatCuts(filters)
+      .then(({ results, ...rest }) => {
+        if (cancelled) return;
+        setMeatCuts(results);
+        setSearch(rest);
+        // Keep the selected cut (with prices in the current currency) while it still matches
+        setSelectedCut(prev => (prev && results.find(c => c.id === prev.id)) || results[0] || null);
         setLoading(false);
       })
       .catch((error) => {
         console.error('Error loading meat cut data:', error);
         setLoading(false);
       });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters]);
+
+  // Load the currencies prices can be shown in
+  useEffect(() => {
+    loadCurrencies()
+      .then(setCurrencies)
+      .catch((error) => {
+        console.error('Error loading currencies:', error);
+      });
   }, []);
 
+  const hasMore = search ? search.pagination.page < search.pagination.totalPages : false;
+
+  const handleLoadMore = () => {
+    if (!search || !hasMore || loadingMore) return;
+
+    const requestFilters = filters;
+    setLoadingMore(true);
+    searchMeatCuts(requestFilters, search.pagination.page + 1)
+      .then(({ results, ...rest }) => {
+        if (filtersRef.current !== requestFilters) return;
+        setMeatCuts(prev => [...prev, ...results]);
+        setSearch(rest);
+      })
+      .catch((error) => {
+        console.error('Error loading more meat cuts:', error);
+      })
+      .finally(() => setLoadingMore(false));
+  };
+
   const handleSelectCut = (cut: MeatCut) => {
     setSelectedCut(cut);
   };
 
   const handlePrevious = () => {
-    const currentIndex = filteredCuts.findIndex(c => c.id === selectedCut?.id);
+    const currentIndex = meatCuts.findIndex(c => c.id === selectedCut?.id);
     if (currentIndex > 0) {
-      setSelectedCut(filteredCuts[currentIndex - 1]);
+      setSelectedCut(meatCuts[currentIndex - 1]);
     }
   };
 
   const handleNext = () => {
-    const currentIndex = filteredCuts.findIndex(c => c.id === selectedCut?.id);
-    if (currentIndex < filteredCuts.length - 1) {
-      setSelectedCut(filteredCuts[currentIndex + 1]);
+    const currentIndex = meatCuts.findIndex(c => c.id === selectedCut?.id);
+    if (currentIndex < meatCuts.length - 1) {
+      setSelectedCut(meatCuts[currentIndex + 1]);
     }
   };
 
@@ -96,8 +115,8 @@ function HomePage() {
     }
   };
 
-  const canGoPrevious = filteredCuts.findIndex(c => c.id === selectedCut?.id) > 0;
-  const canGoNext = filteredCuts.findIndex(c => c.id === selectedCut?.id) < filteredCuts.length - 1;
+  const canGoPrevious = meatCuts.findIndex(c => c.id === selectedCut?.id) > 0;
+  const canGoNext = meatCuts.findIndex(c => c.id === selectedCut?.id) < meatCuts.length - 1;
 
   if (loading) {
     return (
@@ -140,13 +159,18 @@ function HomePage() {
       {/* Sidebar */}
       <Sidebar
         titleImage="/data/beef_cuts_title.jpg"
-        meatCuts={testCuts}
-        filteredCuts={filteredCuts}
+        meatCuts={meatCuts}
+        total={search?.pagination.total ?? 0}
+        facets={search?.facets ?? null}
+        hasMore={hasMore}
+        loadingMore={loadingMore}
+        onLoadMore={handleLoadMore}
         selectedCut={selectedCut}
         onSelectCut={handleSelectCut}
         filters={filters}
         onFiltersChange={setFilters}
         priceRange={priceRange}
+        currencies={currencies}
       />
     </Box>
   );
@@ -1,4 +1,21 @@
 import apiClient from './client';
+import { MeatCutImage } from '../types';
+
+// Currencies and units understood by the backend price parser (utils/priceParser.js)
+export const PRICE_CURRENCIES = ['USD', 'TWD', 'HKD', 'CNY', 'JPY', 'EUR', 'GBP', 'CAD', 'AUD', 'SGD', 'KRW'] as const;
+export type PriceCurrency = typeof PRICE_CURRENCIES[number];
+
+export const PRICE_UNITS = {
+  lb: 'per lb',
+  kg: 'per kg',
+  '100g': 'per 100 g',
+  jin: 'per 斤 (jin)',
+  piece: 'per piece'
+} as const;
+export type PriceUnit = keyof typeof PRICE_UNITS;
+
+// 'observations': the price range is derived from recent store price observations
+export type PriceMode = 'manual' | 'observations';
 
 export interface AdminMeatCut {
   id: number;
@@ -10,8 +27,11 @@ export interface AdminMeatCut {
     min: number;
     max: number;
     mean: number;
+    currency: PriceCurrency;
+    unit: PriceUnit;
     display: string;
   };
+  priceMode: PriceMode;
   cookingMethods: string[];
   recommendedDishes: string[];
   textureNotes: string;
@@ -19,9 +39,67 @@ export interface AdminMeatCut {
   googleDriveImageId?: string | null;
   googleDriveImageUrl?: string | null;
   imageUrl: string | null;
+  // Gallery in display order, starting with the primary (main) image
+  images: MeatCutImage[];
   slug: string;
 }
 
+export interface TrashedMeatCut extends AdminMeatCut {
+  deletedAt: string;
+  deletedBy: string | null;
+  // When the cut will be purged automatically (null if automatic purge is off)
+  purgeAt: string | null;
+}
+
+// Units of a currency per 1 USD
+export interface ExchangeRate {
+  currency: PriceCurrency;
+  symbol: string;
+  rate: number;
+  updatedBy: string | null;
+  updatedAt: string;
+}
+
+export interface Store {
+  id: number;
+  name: string;
+  location: string | null;
+  url: string | null;
+  notes: string | null;
+  observationCount?: number;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type StoreInput = Pick<Store, 'name'> & Partial<Pick<Store, 'location' | 'url' | 'notes'>>;
+
+export interface PriceObservation {
+  id: number;
+  storeId: number;
+  storeName: string;
+  meatCutId: number;
+  price: number;
+  currency: PriceCurrency;
+  unit: PriceUnit;
+  observedOn: string;
+  note: string | null;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PriceObservationInput {
+  storeId: number;
+  meatCutId: number;
+  // A number, or a price text such as "NT$450/斤"
+  price: number | string;
+  currency?: PriceCurrency;
+  unit?: PriceUnit;
+  observedOn?: string;
+  note?: string;
+}
+
 export interface DriveImage {
   id: string;
   name: string;
@@ -30,9 +108,157 @@ export interface DriveImage {
   modifiedTime: string;
 }
 
+export type AdminRole = 'viewer' | 'editor' | 'admin';
+
+export interface AdminUser {
+  id: number;
+  username: string;
+  role: AdminRole;
+  lastLoginAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AuditEntry {
+  id: number;
+  actor: {
+    type: 'user' | 'apiKey' | 'system';
+    id: number | null;
+    name: string;
+  };
+  action: string;
+  entityType: string;
+  entityId: string | null;
+  changes: Record<string, { before: unknown; after: unknown }> | null;
+  metadata: Record<string, unknown> | null;
+  createdAt: string;
+}
+
+export interface AuditQuery {
+  page?: number;
+  limit?: number;
+  entityType?: string;
+  entityId?: string | number;
+  action?: string;
+  actorId?: number;
+}
+
+export interface MeatCutRevision {
+  id: number;
+  meatCutId: number;
+  revisionNumber: number;
+  snapshot: {
+    row: Record<string, unknown>;
+    cookingMethods: string[];
+    recommendedDishes: string[];
+  };
+  reason: 'update' | 'restore';
+  createdBy: string | null;
+  createdAt: string;
+}
+
+export interface RevisionDiff {
+  from: { id: number; revisionNumber: number; createdAt: string };
+  to: { id: 'current' } | { id: number; revisionNumber: number; createdAt: string };
+  changes: Record<string, { before: unknown; after: unknown }>;
+}
+
+export type ImportMode = 'insert' | 'upsert' | 'replace';
+
+export type DataFormat = 'csv' | 'xlsx' | 'json' | 'ndjson';
+
+export interface ImportRow {
+  // CSV row number; null for meat cuts a full replace removes
+  row: number | null;
+  action: 'create' | 'update' | 'unchanged' | 'remove' | 'skip';
+  meatCutId: number | null;
+  name: string | null;
+  changes: Record<string, { before: unknown; after: unknown }>;
+  errors: string[];
+}
+
+export interface ImportProfileMatch {
+  id: number;
+  name: string;
+  builtin: boolean;
+  // Share of the file's columns the profile maps (0-1)
+  score: number;
+  matchedColumns: string[];
+  unmatchedColumns: string[];
+  fields: string[];
+}
+
+export interface ImportResult {
+  dryRun: boolean;
+  format: DataFormat;
+  mode: ImportMode;
+  profile: { id: number; name: string };
+  rows: ImportRow[];
+  summary: {
+    total: number;
+    created: number;
+    updated: number;
+    unchanged: number;
+    removed: number;
+    skipped: number;
+  };
+  // Identifies the previewed changes; send it back when confirming
+  fingerprint: string;
+}
+
+export type SyncAction = 'upload' | 'download' | 'delete-local' | 'delete-remote' | 'conflict' | 'forget' | 'none';
+
+export type SyncSide = 'local' | 'remote';
+
+export interface SyncItem {
+  // "image:<imageReference>" or "csv:meat-cuts"
+  id: string;
+  kind: 'image' | 'csv';
+  key: string;
+  name: string;
+  meatCutIds?: number[];
+  // Stored image of the meat cuts when planned
+  imageId?: string | null;
+  // Meat cuts whose gallery still shows the image; the image is not deleted while there are any
+  galleryMeatCutIds?: number[];
+  local: { fileName?: string; hash: string } | null;
+  remote: { id: string; name: string; modifiedTime: string; hash: string | null } | null;
+  action: SyncAction;
+  reason: string;
+}
+
+export interface SyncPlan {
+  generatedAt: string;
+  // Items in sync are left out
+  items: SyncItem[];
+  summary: Record<SyncAction, number>;
+  // Kinds whose files could not be listed
+  errors: { kind: 'image' | 'csv'; message: string }[];
+  // Identifies the planned changes; send it back when applying
+  fingerprint: string;
+}
+
+export interface SyncResult {
+  results: {
+    id: string;
+    kind: 'image' | 'csv';
+    key: string;
+    action: SyncAction;
+    status: 'done' | 'skipped' | 'failed';
+    side?: SyncSide;
+    error?: string;
+  }[];
+  summary: { done: number; skipped: number; failed: number };
+  errors: { kind: 'image' | 'csv'; message: string }[];
+}
+
 export interface LoginResponse {
   success: boolean;
   token?: string;
+  expiresIn?: number;
+  refreshToken?: string;
+  refreshExpiresAt?: string;
+  user?: AdminUser;
   message?: string;
   error?: {
     message: string;
@@ -46,6 +272,41 @@ export const adminApi = {
     return response.data;
   },
 
+  logout: async (all = false): Promise<{ success: boolean; revoked: number }> => {
+    const response = await apiClient.post('/admin/logout', { all });
+    return response.data;
+  },
+
+  getCurrentUser: async (): Promise<{ success: boolean; authType: string; user: AdminUser | null }> => {
+    const response = await apiClient.get('/admin/me');
+    return response.data;
+  },
+
+  getUsers: async (): Promise<{ users: AdminUser[]; roles: AdminRole[] }> => {
+    const response = await apiClient.get('/admin/users');
+    return response.data;
+  },
+
+  createUser: async (username: string, password: string, role: AdminRole): Promise<AdminUser> => {
+    const response = await apiClient.post('/admin/users', { username, password, role });
+    return response.data.user;
+  },
+
+  updateUser: async (id: number, changes: { role?: AdminRole; password?: string }): Promise<AdminUser> => {
+    const response = await apiClient.put(`/admin/users/${id}`, changes);
+    return response.data.user;
+  },
+
+  deleteUser: async (id: number): Promise<{ success: boolean; message: string }> => {
+    const response = await apiClient.delete(`/admin/users/${id}`);
+    return response.data;
+  },
+
+  getAuditLog: async (query: AuditQuery = {}): Promise<{ entries: AuditEntry[]; total: number; page: number; limit: number }> => {
+    const response = await apiClient.get('/admin/audit', { params: query });
+    return response.data;
+  },
+
   getMeatCuts: async (page = 1, limit = 1000): Promise<{ meatCuts: AdminMeatCut[]; total: number }> => {
     const response = await apiClient.get('/admin/meat-cuts', {
       params: { page, limit }
@@ -78,6 +339,42 @@ export const adminApi = {
     return response.data;
   },
 
+  getTrash: async (): Promise<{ meatCuts: TrashedMeatCut[]; retentionDays: number }> => {
+    const response = await apiClient.get('/admin/trash');
+    return response.data;
+  },
+
+  restoreFromTrash: async (id: number): Promise<AdminMeatCut> => {
+    const response = await apiClient.post(`/admin/trash/${id}/restore`);
+    return response.data.meatCut;
+  },
+
+  purgeFromTrash: async (id: number): Promise<void> => {
+    await apiClient.delete(`/admin/trash/${id}`);
+  },
+
+  emptyTrash: async (): Promise<{ purged: number; purgedIds: number[] }> => {
+    const response = await apiClient.delete('/admin/trash');
+    return response.data;
+  },
+
+  getRevisions: async (meatCutId: number): Promise<MeatCutRevision[]> => {
+    const response = await apiClient.get(`/admin/meat-cuts/${meatCutId}/revisions`);
+    return response.data.revisions;
+  },
+
+  diffRevisions: async (meatCutId: number, from: number, to: number | 'current' = 'current'): Promise<RevisionDiff> => {
+    const response = await apiClient.get(`/admin/meat-cuts/${meatCutId}/revisions/diff`, {
+      params: { from, to }
+    });
+    return response.data;
+  },
+
+  restoreRevision: async (meatCutId: number, revisionId: number): Promise<AdminMeatCut> => {
+    const response = await apiClient.post(`/admin/meat-cuts/${meatCutId}/revisions/${revisionId}/restore`);
+    return response.data;
+  },
+
   deleteMeatCuts: async (ids: number[]): Promise<{ success: boolean; deleted: number; deletedIds: number[]; errors: any[] }> => {
     const response = await apiClient.post('/admin/meat-cuts/bulk-delete', { ids });
     return response.data;
@@ -142,24 +439,143 @@ export const adminApi = {
     return response.data;
   },
 
-  exportCSV: async (): Promise<Blob> => {
-    const response = await apiClient.get('/admin/export/csv', {
+  planDriveSync: async (): Promise<SyncPlan> => {
+    const response = await apiClient.post('/admin/sync/plan');
+    return response.data.plan;
+  },
+
+  applyDriveSync: async (
+    resolutions: Record<string, SyncSide>,
+    fingerprint: string
+  ): Promise<SyncResult> => {
+    const response = await apiClient.post('/admin/sync/apply', { resolutions, fingerprint });
+    return response.data;
+  },
+
+  // The format is detected from the file extension
+  importFile: async (
+    file: File,
+    options: { dryRun: boolean; mode?: ImportMode; profile?: number; fingerprint?: string }
+  ): Promise<ImportResult> => {
+    const data = new FormData();
+    data.append('file', file);
+    data.append('dryRun', String(options.dryRun));
+    data.append('mode', options.mode || 'upsert');
+    if (options.profile) {
+      data.append('profile', String(options.profile));
+    }
+    if (options.fingerprint) {
+      data.append('fingerprint', options.fingerprint);
+    }
+    const response = await apiClient.post('/admin/import', data, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      transformRequest: [(data) => data] // Don't transform FormData
+    });
+    return response.data;
+  },
+
+  // Rank the mapping profiles against the file's header row, best first
+  detectImportProfile: async (file: File): Promise<{ headers: string[]; profiles: ImportProfileMatch[] }> => {
+    const data = new FormData();
+    data.append('file', file);
+    const response = await apiClient.post('/admin/import/detect', data, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      transformRequest: [(data) => data] // Don't transform FormData
+    });
+    return response.data;
+  },
+
+  getExchangeRates: async (): Promise<ExchangeRate[]> => {
+    const response = await apiClient.get('/admin/exchange-rates');
+    return response.data.rates;
+  },
+
+  updateExchangeRate: async (currency: PriceCurrency, rate: number): Promise<void> => {
+    await apiClient.put(`/admin/exchange-rates/${currency}`, { rate });
+  },
+
+  // All rows must be valid, otherwise nothing is imported
+  importExchangeRates: async (file: File): Promise<{ updated: PriceCurrency[]; unchanged: number; rates: ExchangeRate[] }> => {
+    const data = new FormData();
+    data.append('file', file);
+    const response = await apiClient.post('/admin/exchange-rates/import', data, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      transformRequest: [(data) => data] // Don't transform FormData
+    });
+    return response.data;
+  },
+
+  getStores: async (): Promise<Store[]> => {
+    const response = await apiClient.get('/admin/stores');
+    return response.data.stores;
+  },
+
+  createStore: async (store: StoreInput): Promise<Store> => {
+    const response = await apiClient.post('/admin/stores', store);
+    return response.data.store;
+  },
+
+  updateStore: async (id: number, store: StoreInput): Promise<Store> => {
+    const response = await apiClient.put(`/admin/stores/${id}`, store);
+    return response.data.store;
+  },
+
+  // Only stores without price observations can be deleted
+  deleteStore: async (id: number): Promise<void> => {
+    await apiClient.delete(`/admin/stores/${id}`);
+  },
+
+  getPriceObservations: async (
+    query: { meatCutId?: number; storeId?: number; page?: number; limit?: number } = {}
+  ): Promise<{ observations: PriceObservation[]; pagination: { page: number; limit: number; total: number; totalPages: number } }> => {
+    const response = await apiClient.get('/admin/price-observations', { params: query });
+    return response.data;
+  },
+
+  createPriceObservation: async (observation: PriceObservationInput): Promise<PriceObservation> => {
+    const response = await apiClient.post('/admin/price-observations', observation);
+    return response.data.observation;
+  },
+
+  updatePriceObservation: async (id: number, observation: Partial<PriceObservationInput>): Promise<PriceObservation> => {
+    const response = await apiClient.put(`/admin/price-observations/${id}`, observation);
+    return response.data.observation;
+  },
+
+  deletePriceObservation: async (id: number): Promise<void> => {
+    await apiClient.delete(`/admin/price-observations/${id}`);
+  },
+
+  exportData: async (format: DataFormat): Promise<Blob> => {
+    const response = await apiClient.get('/admin/export', {
+      params: { format },
       responseType: 'blob'
     });
     return response.data;
   }
 };
 
-// Set auth token for API client
-export const setAuthToken = (token: string | null) => {
+// Set auth tokens for API client
+export const setAuthToken = (token: string | null, refreshToken?: string | null) => {
   if (token) {
-    // Use the token as API key for authentication
-    apiClient.defaults.headers.common['X-API-Key'] = token;
+    apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     localStorage.setItem('admin_token', token);
   } else {
-    delete apiClient.defaults.headers.common['X-API-Key'];
+    delete apiClient.defaults.headers.common['Authorization'];
     localStorage.removeItem('admin_token');
   }
+
+  if (refreshToken) {
+    localStorage.setItem('admin_refresh_token', refreshToken);
+  } else if (!token || refreshToken === null) {
+    localStorage.removeItem('admin_refresh_token');
+  }
 };
 
 // Get auth token from localStorage
@@ -167,8 +583,69 @@ export const getAuthToken = (): string | null => {
   return localStorage.getItem('admin_token');
 };
 
+// Get refresh token from localStorage
+export const getRefreshToken = (): string | null => {
+  return localStorage.getItem('admin_refresh_token');
+};
+
+// Exchange the refresh token for a new token pair; shared by concurrent 401s
+let refreshRequest: Promise<string | null> | null = null;
+
+const refreshAuthToken = (): Promise<string | null> => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.resolve(null);
+  }
+
+  if (!refreshRequest) {
+    refreshRequest = apiClient
+      .post('/admin/refresh', { refreshToken })
+      .then((response) => {
+        setAuthToken(response.data.token, response.data.refreshToken);
+        return response.data.token as string;
+      })
+      .catch(() => {
+        setAuthToken(null);
+        return null;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
+// Retry admin requests once with a refreshed token when the access token has expired
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+    const isAuthRoute = request?.url && /\/admin\/(login|refresh)$/.test(request.url);
+
+    if (error.response?.status === 401 && request && !request._retried && !isAuthRoute) {
+      request._retried = true;
+      const token = await refreshAuthToken();
+      if (token) {
+        request.headers['Authorization'] = `Bearer ${token}`;
+        return apiClient(request);
+      }
+    }
+
+    return Promise.reject(error);
+  }
+);
+
 // Initialize auth token on load
 const savedToken = getAuthToken();
 if (savedToken) {
   setAuthToken(savedToken);
 }
+
+// Roles in increasing order of privilege
+const ROLE_ORDER: AdminRole[] = ['viewer', 'editor', 'admin'];
+
+// Check whether a user's role grants at least the required role
+export const hasRole = (user: AdminUser | null, role: AdminRole): boolean => {
+  return !!user && ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+};
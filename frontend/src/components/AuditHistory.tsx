@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Pagination,
+  CircularProgress,
+  Chip
+} from '@mui/material';
+import { adminApi, AuditEntry } from '../api/admin';
+import { formatValue } from '../utils/formatValue';
+
+interface AuditHistoryProps {
+  entityType: string;
+  entityId: number | string;
+  // Changes whenever the entity is saved, so the panel reloads
+  refreshKey?: unknown;
+}
+
+const PAGE_SIZE = 10;
+
+export default function AuditHistory({ entityType, entityId, refreshKey }: AuditHistoryProps) {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setPage(1);
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    adminApi.getAuditLog({ entityType, entityId, page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setEntries(data.entries);
+        setTotal(data.total);
+      })
+      .catch(() => {
+        if (!cancelled) setEntries([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [entityType, entityId, page, refreshKey]);
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        History
+      </Typography>
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : entries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No recorded changes
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {entries.map((entry) => (
+            <ListItem key={entry.id} alignItems="flex-start" divider disableGutters>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <Chip label={entry.action.split('.').pop()} size="small" />
+                    <Typography variant="body2">
+                      {entry.actor.name}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {new Date(`${entry.createdAt.replace(' ', 'T')}Z`).toLocaleString('en-US')}
+                    </Typography>
+                  </Box>
+                }
+                secondary={
+                  entry.changes && (entry.action.endsWith('.update') || entry.action.endsWith('.restore')) ? (
+                    <Box component="span" sx={{ display: 'block', mt: 0.5 }}>
+                      {Object.entries(entry.changes).map(([field, change]) => (
+                        <Typography key={field} variant="caption" component="span" sx={{ display: 'block' }}>
+                          <strong>{field}</strong>: {formatValue(change.before)} → {formatValue(change.after)}
+                        </Typography>
+                      ))}
+                    </Box>
+                  ) : entry.metadata ? (
+                    <Typography variant="caption" component="span">
+                      {Object.entries(entry.metadata).map(([key, value]) => `${key}: ${formatValue(value)}`).join(' · ')}
+                    </Typography>
+                  ) : null
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {total > PAGE_SIZE && (
+        <Pagination
+          size="small"
+          sx={{ mt: 1 }}
+          count={Math.ceil(total / PAGE_SIZE)}
+          page={page}
+          onChange={(_, value) => setPage(value)}
+        />
+      )}
+    </Box>
+  );
+}
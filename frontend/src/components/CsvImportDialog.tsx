@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  TextField,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { adminApi, ImportMode, ImportProfileMatch, ImportResult, ImportRow } from '../api/admin';
+import { formatValue } from '../utils/formatValue';
+
+interface CsvImportDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onImported: (result: ImportResult) => void;
+}
+
+const ACTION_COLORS: Record<ImportRow['action'], 'success' | 'info' | 'warning' | 'error' | 'default'> = {
+  create: 'success',
+  update: 'info',
+  unchanged: 'default',
+  remove: 'warning',
+  skip: 'error'
+};
+
+const MODE_DESCRIPTIONS: Record<ImportMode, string> = {
+  insert: 'Only create meat cuts that do not exist yet; existing ones are left alone.',
+  upsert: 'Create new meat cuts and update existing ones, matched by ID, slug or image reference.',
+  replace: 'Make the catalog match the file: also move meat cuts that are not in it to the trash.'
+};
+
+export default function CsvImportDialog({ open, onClose, onImported }: CsvImportDialogProps) {
+  const [file, setFile] = useState<File | null>(null);
+  const [mode, setMode] = useState<ImportMode>('upsert');
+  // Mapping profiles ranked against the file's header row, best first
+  const [profiles, setProfiles] = useState<ImportProfileMatch[]>([]);
+  const [profileId, setProfileId] = useState<number | ''>('');
+  const [preview, setPreview] = useState<ImportResult | null>(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setProfiles([]);
+    setProfileId('');
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const loadPreview = async (selected: File, selectedMode: ImportMode, selectedProfile: number | '') => {
+    setPreview(null);
+    setError('');
+    try {
+      setLoading(true);
+      setPreview(await adminApi.importFile(selected, {
+        dryRun: true,
+        mode: selectedMode,
+        profile: selectedProfile || undefined
+      }));
+    } catch (err: any) {
+      setError('Preview failed: ' + (err.response?.data?.error?.message || err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    reset();
+    setFile(selected);
+    try {
+      setLoading(true);
+      const detected = await adminApi.detectImportProfile(selected);
+      const best = detected.profiles[0]?.id ?? '';
+      setProfiles(detected.profiles);
+      setProfileId(best);
+      await loadPreview(selected, mode, best);
+    } catch (err: any) {
+      setError('Could not read the file: ' + (err.response?.data?.error?.message || err.message || 'Unknown error'));
+      setLoading(false);
+    }
+  };
+
+  const handleModeChange = async (selectedMode: ImportMode) => {
+    setMode(selectedMode);
+    if (file) {
+      await loadPreview(file, selectedMode, profileId);
+    }
+  };
+
+  const handleProfileChange = async (selectedProfile: number) => {
+    setProfileId(selectedProfile);
+    if (file) {
+      await loadPreview(file, mode, selectedProfile);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!file || !preview) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const result = await adminApi.importFile(file, {
+        dryRun: false,
+        mode: preview.mode,
+        profile: preview.profile.id,
+        fingerprint: preview.fingerprint
+      });
+      reset();
+      onImported(result);
+    } catch (err: any) {
+      setError('Import failed: ' + (err.response?.data?.error?.message || err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const visibleRows = preview
+    ? preview.rows.filter((row) => showUnchanged || row.action !== 'unchanged')
+    : [];
+  const selectedMatch = profiles.find((match) => match.id === profileId);
+  const changeCount = preview ? preview.summary.created + preview.summary.updated + preview.summary.removed : 0;
+  // The server refuses a full replace that would skip rows
+  const blocked = preview?.mode === 'replace' && preview.summary.skipped > 0;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Meat Cuts</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Upload a CSV, Excel (.xlsx), JSON or NDJSON file using the export columns.
+          The import runs as a single transaction: if anything fails, nothing is changed.
+          Nothing changes until you confirm the preview.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', my: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Mode"
+            value={mode}
+            onChange={(e) => handleModeChange(e.target.value as ImportMode)}
+            disabled={loading}
+            sx={{ minWidth: 140 }}
+          >
+            <MenuItem value="insert">Insert</MenuItem>
+            <MenuItem value="upsert">Upsert</MenuItem>
+            <MenuItem value="replace">Full replace</MenuItem>
+          </TextField>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={loading}>
+            Choose File
+            <input type="file" hidden accept=".csv,.xlsx,.json,.ndjson,.jsonl" onChange={handleFileChange} />
+          </Button>
+          {file && <Typography variant="body2">{file.name}</Typography>}
+          {loading && <CircularProgress size={24} />}
+        </Box>
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+          {MODE_DESCRIPTIONS[mode]}
+        </Typography>
+
+        {profiles.length > 0 && (
+          <Box sx={{ mb: 2 }}>
+            <TextField
+              select
+              size="small"
+              label="Column mapping"
+              value={profileId}
+              onChange={(e) => handleProfileChange(Number(e.target.value))}
+              disabled={loading}
+              sx={{ minWidth: 280 }}
+            >
+              {profiles.map((match) => (
+                <MenuItem key={match.id} value={match.id}>
+                  {match.name} ({Math.round(match.score * 100)}% of columns)
+                </MenuItem>
+              ))}
+            </TextField>
+            {selectedMatch && selectedMatch.unmatchedColumns.length > 0 && (
+              <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 0.5 }}>
+                Ignored columns: {selectedMatch.unmatchedColumns.join(', ')}
+              </Typography>
+            )}
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {preview && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+              <Chip label={`${preview.summary.created} create`} color="success" size="small" />
+              <Chip label={`${preview.summary.updated} update`} color="info" size="small" />
+              <Chip label={`${preview.summary.unchanged} unchanged`} size="small" />
+              {preview.summary.removed > 0 && (
+                <Chip label={`${preview.summary.removed} move to trash`} color="warning" size="small" />
+              )}
+              {preview.summary.skipped > 0 && (
+                <Chip label={`${preview.summary.skipped} skipped with errors`} color="error" size="small" />
+              )}
+              <FormControlLabel
+                sx={{ ml: 'auto' }}
+                control={<Switch size="small" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />}
+                label="Show unchanged rows"
+              />
+            </Box>
+
+            {blocked && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                A full replace cannot skip rows. Fix the rows with errors before importing.
+              </Alert>
+            )}
+
+            {visibleRows.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No changes to import
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>Meat Cut</TableCell>
+                    <TableCell>Changes</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {visibleRows.map((row) => (
+                    <TableRow key={row.row ?? `removed-${row.meatCutId}`}>
+                      <TableCell>{row.row ?? '—'}</TableCell>
+                      <TableCell>
+                        <Chip label={row.action} color={ACTION_COLORS[row.action]} size="small" />
+                      </TableCell>
+                      <TableCell>
+                        {row.name || '—'}
+                        {row.meatCutId && (
+                          <Typography variant="caption" color="text.secondary"> #{row.meatCutId}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {row.errors.map((message) => (
+                          <Typography key={message} variant="caption" color="error" sx={{ display: 'block' }}>
+                            {message}
+                          </Typography>
+                        ))}
+                        {Object.entries(row.changes).map(([field, change]) => (
+                          <Typography key={field} variant="caption" sx={{ display: 'block' }}>
+                            <strong>{field}</strong>: {row.action === 'create'
+                              ? formatValue(change.after)
+                              : `${formatValue(change.before)} → ${formatValue(change.after)}`}
+                          </Typography>
+                        ))}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleConfirm}
+          disabled={loading || !preview || blocked || changeCount === 0}
+        >
+          Import {changeCount} Change(s)
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,203 @@
+import { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  Select,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import SyncAltIcon from '@mui/icons-material/SyncAlt';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import { adminApi, SyncAction, SyncPlan, SyncSide } from '../api/admin';
+
+interface DriveSyncProps {
+  canApply: boolean;
+  // Called after a sync changed something
+  onSynced: () => void;
+}
+
+const ACTION_COLORS: Record<SyncAction, 'success' | 'info' | 'warning' | 'error' | 'default'> = {
+  upload: 'info',
+  download: 'success',
+  'delete-local': 'warning',
+  'delete-remote': 'warning',
+  conflict: 'error',
+  forget: 'default',
+  none: 'default'
+};
+
+const ACTION_LABELS: Record<SyncAction, string> = {
+  upload: 'Upload to Drive',
+  download: 'Download',
+  'delete-local': 'Delete local',
+  'delete-remote': 'Delete on Drive',
+  conflict: 'Conflict',
+  forget: 'Forget',
+  none: 'In sync'
+};
+
+export default function DriveSync({ canApply, onSynced }: DriveSyncProps) {
+  const [plan, setPlan] = useState<SyncPlan | null>(null);
+  // Winning side of each conflict by item ID; unresolved conflicts are skipped
+  const [resolutions, setResolutions] = useState<Record<string, SyncSide>>({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handlePlan = async () => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      setPlan(await adminApi.planDriveSync());
+      setResolutions({});
+    } catch (err: any) {
+      setError('Failed to plan the sync: ' + (err.response?.data?.error?.message || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!plan) return;
+    const unresolved = plan.items.filter(item => item.action === 'conflict' && !resolutions[item.id]).length;
+    if (unresolved > 0 && !window.confirm(`${unresolved} conflict(s) have no side chosen and will be skipped. Continue?`)) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const result = await adminApi.applyDriveSync(resolutions, plan.fingerprint);
+      const failed = result.results.filter(item => item.status === 'failed');
+      setSuccess(`Synced ${result.summary.done}, skipped ${result.summary.skipped}, failed ${result.summary.failed}`);
+      if (failed.length > 0) {
+        setError(failed.map(item => `${item.id}: ${item.error}`).join('\n'));
+      }
+      setPlan(await adminApi.planDriveSync());
+      setResolutions({});
+      if (result.summary.done > 0) {
+        onSynced();
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to sync');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">
+          Drive Sync
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button size="small" startIcon={<SyncAltIcon />} onClick={handlePlan} disabled={loading}>
+            {plan ? 'Refresh Plan' : 'Plan Sync'}
+          </Button>
+          {canApply && plan && plan.items.length > 0 && (
+            <Button size="small" variant="contained" startIcon={<PlayArrowIcon />} onClick={handleApply} disabled={loading}>
+              Apply
+            </Button>
+          )}
+        </Box>
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        Two-way sync of the local meat cut images and the meat cuts CSV with Drive.
+        Changes on one side since the last sync are copied to the other; changes on both sides are conflicts.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2, whiteSpace: 'pre-line' }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {plan && (
+        <>
+          {plan.errors.map(planError => (
+            <Alert key={planError.kind} severity="warning" sx={{ mb: 1 }}>
+              Could not list {planError.kind === 'csv' ? 'CSV files' : 'images'}: {planError.message}
+            </Alert>
+          ))}
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+            {(Object.keys(ACTION_LABELS) as SyncAction[])
+              .filter(action => plan.summary[action] > 0)
+              .map(action => (
+                <Chip
+                  key={action}
+                  label={`${plan.summary[action]} ${ACTION_LABELS[action].toLowerCase()}`}
+                  color={ACTION_COLORS[action]}
+                  size="small"
+                />
+              ))}
+          </Box>
+
+          {plan.items.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              Everything is in sync.
+            </Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Item</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Winner</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {plan.items.map(item => (
+                  <TableRow key={item.id}>
+                    <TableCell>
+                      {item.name}
+                      <Typography variant="caption" color="text.secondary" component="div">
+                        {item.kind === 'csv' ? 'CSV' : item.local?.fileName || item.key}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={ACTION_LABELS[item.action]} color={ACTION_COLORS[item.action]} size="small" />
+                    </TableCell>
+                    <TableCell>{item.reason}</TableCell>
+                    <TableCell>
+                      {item.action === 'conflict' && (
+                        <Select
+                          size="small"
+                          displayEmpty
+                          value={resolutions[item.id] || ''}
+                          disabled={!canApply}
+                          onChange={(e) => setResolutions(prev => ({ ...prev, [item.id]: e.target.value as SyncSide }))}
+                          sx={{ minWidth: 130 }}
+                        >
+                          <MenuItem value="">Skip</MenuItem>
+                          <MenuItem value="local">{item.local ? 'Local copy' : 'Local (delete)'}</MenuItem>
+                          <MenuItem value="remote">{item.remote ? 'Drive copy' : 'Drive (delete)'}</MenuItem>
+                        </Select>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,171 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import SaveIcon from '@mui/icons-material/Save';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { adminApi, ExchangeRate } from '../api/admin';
+
+interface ExchangeRatesProps {
+  canEdit: boolean;
+}
+
+const formatDate = (value: string) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`)
+  .toLocaleString('en-US');
+
+export default function ExchangeRates({ canEdit }: ExchangeRatesProps) {
+  const [rates, setRates] = useState<ExchangeRate[]>([]);
+  // Edited rates by currency, as typed
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const loadRates = async () => {
+    try {
+      setRates(await adminApi.getExchangeRates());
+      setDrafts({});
+    } catch (err: any) {
+      setError('Failed to load exchange rates: ' + (err.response?.data?.error?.message || err.message));
+    }
+  };
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const handleSave = async (rate: ExchangeRate) => {
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.updateExchangeRate(rate.currency, Number(drafts[rate.currency]));
+      setSuccess(`Saved the ${rate.currency} rate`);
+      await loadRates();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to save exchange rate');
+    }
+  };
+
+  const handleImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      const result = await adminApi.importExchangeRates(file);
+      setSuccess(result.updated.length > 0
+        ? `Updated ${result.updated.join(', ')} (${result.unchanged} unchanged)`
+        : 'All rates were already up to date');
+      setRates(result.rates);
+      setDrafts({});
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to import exchange rates');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">
+          Exchange Rates
+        </Typography>
+        {canEdit && (
+          <>
+            <Button size="small" startIcon={<UploadFileIcon />} onClick={() => fileInputRef.current?.click()}>
+              Import CSV
+            </Button>
+            <input ref={fileInputRef} type="file" accept=".csv,.xlsx,.json,.ndjson,.jsonl" hidden onChange={handleImport} />
+          </>
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        Units of each currency per 1 USD, used to show prices in the shopper's currency.
+        {canEdit && ' Imported files need Currency and Rate columns.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Currency</TableCell>
+            <TableCell>Rate</TableCell>
+            <TableCell>Updated</TableCell>
+            {canEdit && <TableCell align="right">Actions</TableCell>}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rates.map((rate) => {
+            // USD is the base currency; its rate is always 1
+            const editable = canEdit && rate.currency !== 'USD';
+            const draft = drafts[rate.currency];
+
+            return (
+              <TableRow key={rate.currency}>
+                <TableCell>
+                  {rate.currency}
+                  <Typography variant="caption" color="text.secondary" component="span" sx={{ ml: 1 }}>
+                    {rate.symbol}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {editable ? (
+                    <TextField
+                      size="small"
+                      type="number"
+                      value={draft ?? String(rate.rate)}
+                      onChange={(e) => setDrafts(prev => ({ ...prev, [rate.currency]: e.target.value }))}
+                      inputProps={{ min: 0, step: 'any' }}
+                      sx={{ width: 120 }}
+                    />
+                  ) : (
+                    rate.rate
+                  )}
+                </TableCell>
+                <TableCell>
+                  {formatDate(rate.updatedAt)}
+                  {rate.updatedBy && ` by ${rate.updatedBy}`}
+                </TableCell>
+                {canEdit && (
+                  <TableCell align="right">
+                    {editable && (
+                      <Button
+                        size="small"
+                        startIcon={<SaveIcon />}
+                        onClick={() => handleSave(rate)}
+                        disabled={draft === undefined || draft === String(rate.rate)}
+                      >
+                        Save
+                      </Button>
+                    )}
+                  </TableCell>
+                )}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </Paper>
+  );
+}
@@ -0,0 +1,147 @@
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  Select,
+  MenuItem,
+  Stack
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import { ImageRole, MeatCutImage } from '../types';
+
+// Most images a meat cut's gallery can hold (backend services/meatCutImageService.js)
+export const MAX_GALLERY_IMAGES = 20;
+
+// The primary image is edited as the main image
+export type GalleryRole = Exclude<ImageRole, 'primary'>;
+
+const GALLERY_ROLES: GalleryRole[] = ['raw', 'cooked', 'diagram'];
+
+export interface GalleryItem {
+  // Stored image ID; null for a file not uploaded yet
+  imageId: string | null;
+  file: File | null;
+  previewUrl: string;
+  role: GalleryRole;
+  caption: string;
+}
+
+// The saved images of a meat cut, other than its main image, as editor items
+export function toGalleryItems(images: MeatCutImage[] = []): GalleryItem[] {
+  const backendUrl = 'http://localhost:5000';
+  return images
+    .filter(image => image.role !== 'primary')
+    .map(image => ({
+      imageId: image.imageId,
+      file: null,
+      previewUrl: `${backendUrl}${image.url}?size=thumbnail`,
+      role: image.role as GalleryRole,
+      caption: image.caption || ''
+    }));
+}
+
+interface GalleryEditorProps {
+  // Images after the main one, in display order
+  items: GalleryItem[];
+  onChange: (items: GalleryItem[]) => void;
+}
+
+const ROLE_LABELS: Record<GalleryRole, string> = {
+  raw: 'Raw',
+  cooked: 'Cooked',
+  diagram: 'Diagram'
+};
+
+export default function GalleryEditor({ items, onChange }: GalleryEditorProps) {
+  // The main image is the first one of the gallery
+  const canAdd = items.length < MAX_GALLERY_IMAGES - 1;
+
+  const handleAddFiles = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_GALLERY_IMAGES - 1 - items.length);
+    onChange([
+      ...items,
+      ...files.map(file => ({
+        imageId: null,
+        file,
+        previewUrl: URL.createObjectURL(file),
+        role: 'raw' as const,
+        caption: ''
+      }))
+    ]);
+    e.target.value = '';
+  };
+
+  const handleUpdate = (index: number, changes: Partial<GalleryItem>) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleMove = (index: number, offset: number) => {
+    const next = [...items];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle1">Gallery</Typography>
+        <Button variant="outlined" component="label" size="small" startIcon={<AddIcon />} disabled={!canAdd}>
+          Add Images
+          <input type="file" hidden multiple accept="image/jpeg,image/png,image/webp,image/gif" onChange={handleAddFiles} />
+        </Button>
+      </Box>
+
+      {items.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No other images. Add raw, cooked or diagram photos to show after the main image.
+        </Typography>
+      ) : (
+        <Stack spacing={1}>
+          {items.map((item, index) => (
+            <Box key={item.imageId || item.previewUrl} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Box
+                component="img"
+                src={item.previewUrl}
+                alt={item.caption || `Gallery image ${index + 1}`}
+                sx={{ width: 56, height: 56, objectFit: 'cover', borderRadius: 1, flexShrink: 0 }}
+              />
+              <Select
+                size="small"
+                value={item.role}
+                onChange={(e) => handleUpdate(index, { role: e.target.value as GalleryRole })}
+                sx={{ minWidth: 110 }}
+              >
+                {GALLERY_ROLES.map(role => (
+                  <MenuItem key={role} value={role}>{ROLE_LABELS[role]}</MenuItem>
+                ))}
+              </Select>
+              <TextField
+                size="small"
+                label="Caption"
+                value={item.caption}
+                onChange={(e) => handleUpdate(index, { caption: e.target.value })}
+                inputProps={{ maxLength: 200 }}
+                sx={{ flex: 1 }}
+              />
+              <IconButton size="small" onClick={() => handleMove(index, -1)} disabled={index === 0}>
+                <ArrowUpwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => handleMove(index, 1)} disabled={index === items.length - 1}>
+                <ArrowDownwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" color="error" onClick={() => onChange(items.filter((_, i) => i !== index))}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+        </Stack>
+      )}
+    </Paper>
+  );
+}
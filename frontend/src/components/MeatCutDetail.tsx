@@ -1,7 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Box, Typography, IconButton, Paper } from '@mui/material';
 import { KeyboardArrowUp, KeyboardArrowDown } from '@mui/icons-material';
-import { MeatCut } from '../types';
+import { MeatCut, ImageRole } from '../types';
+import PriceTrendChart from './PriceTrendChart';
+import StorePrices from './StorePrices';
+import { imageSizeUrl, imageSrcSet } from '../utils/csvParser';
+
+const IMAGE_ROLE_LABELS: Record<ImageRole, string> = {
+  primary: 'Main',
+  raw: 'Raw',
+  cooked: 'Cooked',
+  diagram: 'Diagram'
+};
 
 interface MeatCutDetailProps {
   meatCut: MeatCut | null;
@@ -20,6 +30,9 @@ export default function MeatCutDetail({
   canGoNext,
   onTagClick,
 }: MeatCutDetailProps) {
+  // Gallery position, which starts over on another cut
+  const [gallery, setGallery] = useState<{ cutId: number | null; index: number }>({ cutId: null, index: 0 });
+
   if (!meatCut) {
     return (
       <Box sx={{ 
@@ -36,6 +49,30 @@ export default function MeatCutDetail({
     );
   }
 
+  const images = meatCut.images ?? [];
+  const imageIndex = gallery.cutId === meatCut.id ? gallery.index : 0;
+  const image = images[imageIndex];
+  const imagePath = image?.url ?? meatCut.imagePath;
+  const isFirstImage = imageIndex === 0;
+  const isLastImage = imageIndex >= images.length - 1;
+
+  // Up/down page through the cut's gallery first, then move to the previous/next cut
+  const handlePrevious = () => {
+    if (isFirstImage) {
+      onPrevious();
+    } else {
+      setGallery({ cutId: meatCut.id, index: imageIndex - 1 });
+    }
+  };
+
+  const handleNext = () => {
+    if (isLastImage) {
+      onNext();
+    } else {
+      setGallery({ cutId: meatCut.id, index: imageIndex + 1 });
+    }
+  };
+
   return (
     <Box sx={{ 
       width: '100%', 
@@ -89,6 +126,10 @@ export default function MeatCutDetail({
             </Typography>
           ))}
         </Box>
+
+        {/* Price Trend (in the currency prices are shown in) */}
+        <PriceTrendChart slug={meatCut.slug} currency={meatCut.priceRange.currency} />
+        <StorePrices slug={meatCut.slug} currency={meatCut.priceRange.currency} />
       </Box>
 
       {/* Image Container */}
@@ -112,8 +153,8 @@ export default function MeatCutDetail({
           zIndex: 1
         }}>
           <IconButton
-            onClick={onPrevious}
-            disabled={!canGoPrevious}
+            onClick={handlePrevious}
+            disabled={!canGoPrevious && isFirstImage}
             sx={{
               bgcolor: 'transparent',
               '&:hover': { bgcolor: 'rgba(0, 0, 0, 0.04)' },
@@ -124,8 +165,8 @@ export default function MeatCutDetail({
           </IconButton>
           
           <IconButton
-            onClick={onNext}
-            disabled={!canGoNext}
+            onClick={handleNext}
+            disabled={!canGoNext && isLastImage}
             sx={{
               bgcolor: 'transparent',
               '&:hover': { bgcolor: 'rgba(0, 0, 0, 0.04)' },
@@ -138,8 +179,11 @@ export default function MeatCutDetail({
 
         <Box
           component="img"
-          src={meatCut.imagePath}
-          alt={meatCut.name}
+          key={imagePath}
+          src={imageSizeUrl(imagePath, 'medium')}
+          srcSet={imageSrcSet(imagePath, ['medium', 'full'])}
+          sizes="(max-width: 900px) 100vw, 60vw"
+          alt={image?.caption || meatCut.name}
           sx={{
             maxWidth: '100%',
             maxHeight: '100%',
@@ -147,9 +191,29 @@ export default function MeatCutDetail({
           }}
           onError={(e) => {
             const target = e.target as HTMLImageElement;
+            target.srcset = '';
             target.src = '/placeholder.jpg';
           }}
         />
+
+        {/* Gallery position, role and caption */}
+        {images.length > 1 && image && (
+          <Box sx={{
+            position: 'absolute',
+            bottom: 0,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            bgcolor: 'rgba(255, 255, 255, 0.85)',
+            px: 1.5,
+            py: 0.5,
+            borderRadius: 1
+          }}>
+            <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+              {imageIndex + 1} / {images.length} · {IMAGE_ROLE_LABELS[image.role]}
+              {image.caption ? ` — ${image.caption}` : ''}
+            </Typography>
+          </Box>
+        )}
       </Box>
 
       {/* Conditional Footer Message on Right Bottom */}
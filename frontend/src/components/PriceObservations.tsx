@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  IconButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { adminApi, PriceObservation, PriceUnit, PRICE_CURRENCIES, PRICE_UNITS, Store } from '../api/admin';
+
+interface PriceObservationsProps {
+  meatCutId: number;
+  canEdit: boolean;
+  // Changes whenever stores or the meat cut change, so the panel reloads
+  refreshKey?: unknown;
+  // Called after observations change (the cut's price may have been derived from them)
+  onChanged?: () => void;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export default function PriceObservations({ meatCutId, canEdit, refreshKey, onChanged }: PriceObservationsProps) {
+  const [observations, setObservations] = useState<PriceObservation[]>([]);
+  const [stores, setStores] = useState<Store[]>([]);
+  const [storeId, setStoreId] = useState<number | ''>('');
+  // A number, or a price text such as "NT$450/斤"; the selects fill in what the text leaves out
+  const [price, setPrice] = useState('');
+  const [currency, setCurrency] = useState('');
+  const [unit, setUnit] = useState('');
+  const [observedOn, setObservedOn] = useState(today());
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadObservations = async () => {
+    const result = await adminApi.getPriceObservations({ meatCutId, limit: 200 });
+    setObservations(result.observations);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([adminApi.getPriceObservations({ meatCutId, limit: 200 }), adminApi.getStores()])
+      .then(([result, storeList]) => {
+        if (cancelled) return;
+        setObservations(result.observations);
+        setStores(storeList);
+      })
+      .catch((err: any) => {
+        if (!cancelled) setError('Failed to load store prices: ' + (err.response?.data?.error?.message || err.message));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [meatCutId, refreshKey]);
+
+  const handleAdd = async () => {
+    if (storeId === '') return;
+
+    setSaving(true);
+    setError('');
+    try {
+      await adminApi.createPriceObservation({
+        storeId,
+        meatCutId,
+        price: /^\d+(\.\d+)?$/.test(price.trim()) ? Number(price) : price,
+        ...(currency && { currency: currency as PriceObservation['currency'] }),
+        ...(unit && { unit: unit as PriceUnit }),
+        observedOn,
+        ...(note.trim() && { note: note.trim() })
+      });
+      setPrice('');
+      setNote('');
+      await loadObservations();
+      onChanged?.();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to record price');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (observation: PriceObservation) => {
+    setError('');
+    try {
+      await adminApi.deletePriceObservation(observation.id);
+      await loadObservations();
+      onChanged?.();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete price');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" sx={{ mb: 1 }}>
+        Store Prices
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {canEdit && (
+        stores.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Add a store in the Stores panel to record prices.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+            <TextField
+              select
+              size="small"
+              label="Store"
+              value={storeId}
+              onChange={(e) => setStoreId(Number(e.target.value))}
+              sx={{ minWidth: 160 }}
+            >
+              {stores.map(store => (
+                <MenuItem key={store.id} value={store.id}>{store.name}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              size="small"
+              label="Price"
+              placeholder="12.99 or NT$450/斤"
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              sx={{ width: 170 }}
+            />
+            <TextField
+              select
+              size="small"
+              label="Currency"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              sx={{ width: 110 }}
+            >
+              <MenuItem value="">Auto</MenuItem>
+              {PRICE_CURRENCIES.map(code => (
+                <MenuItem key={code} value={code}>{code}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="Unit"
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              sx={{ width: 140 }}
+            >
+              <MenuItem value="">Auto</MenuItem>
+              {(Object.keys(PRICE_UNITS) as PriceUnit[]).map(key => (
+                <MenuItem key={key} value={key}>{PRICE_UNITS[key]}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              size="small"
+              type="date"
+              label="Date"
+              value={observedOn}
+              onChange={(e) => setObservedOn(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ max: today() }}
+            />
+            <TextField
+              size="small"
+              label="Note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              sx={{ flex: 1, minWidth: 120 }}
+            />
+            <Button
+              startIcon={<AddIcon />}
+              onClick={handleAdd}
+              disabled={saving || storeId === '' || !price.trim()}
+            >
+              Record
+            </Button>
+          </Box>
+        )
+      )}
+
+      {observations.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No store prices recorded
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Store</TableCell>
+              <TableCell>Price</TableCell>
+              <TableCell>Note</TableCell>
+              {canEdit && <TableCell />}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {observations.map(observation => (
+              <TableRow key={observation.id}>
+                <TableCell>{observation.observedOn}</TableCell>
+                <TableCell>{observation.storeName}</TableCell>
+                <TableCell>
+                  {observation.price} {observation.currency} {PRICE_UNITS[observation.unit]}
+                </TableCell>
+                <TableCell>{observation.note || '—'}</TableCell>
+                {canEdit && (
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => handleDelete(observation)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { Box, Typography } from '@mui/material';
+import { TrendingUp, TrendingDown, TrendingFlat } from '@mui/icons-material';
+import { PriceHistory } from '../types';
+import { loadPriceHistory } from '../utils/csvParser';
+
+interface PriceTrendChartProps {
+  slug: string;
+  currency: string;
+}
+
+const WIDTH = 160;
+const HEIGHT = 40;
+const PADDING = 4;
+
+const toTime = (value: string) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`).getTime();
+
+const formatMonth = (value: string) => new Date(toTime(value))
+  .toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+export default function PriceTrendChart({ slug, currency }: PriceTrendChartProps) {
+  const [history, setHistory] = useState<PriceHistory | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHistory(null);
+
+    loadPriceHistory(slug, currency)
+      .then((result) => {
+        if (!cancelled) setHistory(result);
+      })
+      .catch((error) => {
+        console.error('Error loading price history:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, currency]);
+
+  if (!history?.trend) {
+    return null;
+  }
+
+  // The trend compares prices in the latest currency and unit; plot the same entries
+  const last = history.entries[history.entries.length - 1].priceRange;
+  const points = history.entries.filter(entry =>
+    entry.priceRange.currency === last.currency && entry.priceRange.unit === last.unit
+  );
+
+  if (points.length < 2) {
+    return null;
+  }
+
+  const times = points.map(entry => toTime(entry.recordedAt));
+  const means = points.map(entry => entry.priceRange.mean);
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime || 1;
+  const minMean = Math.min(...means);
+  const meanSpan = Math.max(...means) - minMean || 1;
+
+  const x = (time: number) => PADDING + ((time - minTime) / timeSpan) * (WIDTH - 2 * PADDING);
+  const y = (mean: number) => HEIGHT - PADDING - ((mean - minMean) / meanSpan) * (HEIGHT - 2 * PADDING);
+
+  // Prices hold until the next change, so draw steps rather than slopes
+  const path = points.map((entry, idx) => {
+    const px = x(times[idx]);
+    const py = y(entry.priceRange.mean);
+    return idx === 0 ? `M ${px} ${py}` : `H ${px} V ${py}`;
+  }).join(' ');
+
+  const { trend } = history;
+  const color = trend.direction === 'up' ? 'error.main' : trend.direction === 'down' ? 'success.main' : 'text.secondary';
+  const TrendIcon = trend.direction === 'up' ? TrendingUp : trend.direction === 'down' ? TrendingDown : TrendingFlat;
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mt: 1.5 }}>
+      <Box component="svg" width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} sx={{ color }}>
+        <title>{`Average price since ${formatMonth(points[0].recordedAt)}`}</title>
+        <path d={path} fill="none" stroke="currentColor" strokeWidth={2} strokeLinejoin="round" />
+        <circle cx={x(times[times.length - 1])} cy={y(means[means.length - 1])} r={3} fill="currentColor" />
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color }}>
+        <TrendIcon fontSize="small" />
+        <Typography variant="body2">
+          {trend.changePercent !== null && `${trend.changePercent > 0 ? '+' : ''}${trend.changePercent}% `}
+          since {formatMonth(points[0].recordedAt)}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
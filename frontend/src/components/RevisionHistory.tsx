@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Alert
+} from '@mui/material';
+import { adminApi, AdminMeatCut, MeatCutRevision, RevisionDiff } from '../api/admin';
+import { formatValue } from '../utils/formatValue';
+
+interface RevisionHistoryProps {
+  meatCutId: number;
+  canRestore: boolean;
+  // Changes whenever the meat cut is saved, so the panel reloads
+  refreshKey?: unknown;
+  onRestored: (meatCut: AdminMeatCut) => void;
+}
+
+const formatDate = (value: string) => new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('en-US');
+
+export default function RevisionHistory({ meatCutId, canRestore, refreshKey, onRestored }: RevisionHistoryProps) {
+  const [revisions, setRevisions] = useState<MeatCutRevision[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [from, setFrom] = useState<number | ''>('');
+  const [to, setTo] = useState<number | 'current'>('current');
+  const [diff, setDiff] = useState<RevisionDiff | null>(null);
+  const [restoring, setRestoring] = useState<number | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    adminApi.getRevisions(meatCutId)
+      .then((data) => {
+        if (cancelled) return;
+        setRevisions(data);
+        setFrom(data.length > 0 ? data[0].id : '');
+        setTo('current');
+      })
+      .catch(() => {
+        if (!cancelled) setRevisions([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [meatCutId, refreshKey]);
+
+  useEffect(() => {
+    if (from === '') {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    adminApi.diffRevisions(meatCutId, from, to)
+      .then((data) => {
+        if (!cancelled) setDiff(data);
+      })
+      .catch(() => {
+        if (!cancelled) setDiff(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [meatCutId, from, to]);
+
+  const handleRestore = async (revision: MeatCutRevision) => {
+    if (!window.confirm(`Restore revision #${revision.revisionNumber}? The current values will be kept as a new revision.`)) return;
+
+    try {
+      setRestoring(revision.id);
+      setError('');
+      const restored = await adminApi.restoreRevision(meatCutId, revision.id);
+      onRestored(restored);
+    } catch (err: any) {
+      setError('Restore failed: ' + (err.response?.data?.error?.message || err.message || 'Unknown error'));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Revisions
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress size={24} />
+      ) : revisions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No previous revisions
+        </Typography>
+      ) : (
+        <>
+          <List dense disablePadding sx={{ maxHeight: 240, overflow: 'auto' }}>
+            {revisions.map((revision) => (
+              <ListItem
+                key={revision.id}
+                divider
+                disableGutters
+                secondaryAction={canRestore && (
+                  <Button
+                    size="small"
+                    onClick={() => handleRestore(revision)}
+                    disabled={restoring !== null}
+                  >
+                    {restoring === revision.id ? 'Restoring...' : 'Restore'}
+                  </Button>
+                )}
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                      <Typography variant="body2">#{revision.revisionNumber}</Typography>
+                      {revision.reason === 'restore' && <Chip label="before restore" size="small" />}
+                      <Typography variant="caption" color="text.secondary">
+                        {revision.createdBy || 'unknown'} · {formatDate(revision.createdAt)}
+                      </Typography>
+                    </Box>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <TextField
+              select
+              size="small"
+              label="Compare"
+              value={from}
+              onChange={(e) => setFrom(Number(e.target.value))}
+              sx={{ minWidth: 140 }}
+            >
+              {revisions.map((revision) => (
+                <MenuItem key={revision.id} value={revision.id}>
+                  #{revision.revisionNumber}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              size="small"
+              label="With"
+              value={to}
+              onChange={(e) => setTo(e.target.value === 'current' ? 'current' : Number(e.target.value))}
+              sx={{ minWidth: 140 }}
+            >
+              <MenuItem value="current">Current</MenuItem>
+              {revisions.map((revision) => (
+                <MenuItem key={revision.id} value={revision.id}>
+                  #{revision.revisionNumber}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          {diff && (
+            Object.keys(diff.changes).length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                No differences
+              </Typography>
+            ) : (
+              <Table size="small" sx={{ mt: 1 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Field</TableCell>
+                    <TableCell>#{diff.from.revisionNumber}</TableCell>
+                    <TableCell>{'revisionNumber' in diff.to ? `#${diff.to.revisionNumber}` : 'Current'}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {Object.entries(diff.changes).map(([field, change]) => (
+                    <TableRow key={field}>
+                      <TableCell><strong>{field}</strong></TableCell>
+                      <TableCell>{formatValue(change.before)}</TableCell>
+                      <TableCell>{formatValue(change.after)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
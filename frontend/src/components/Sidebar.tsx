@@ -12,18 +12,24 @@ import {
   ListItem,
   ListItemButton,
   ListItemText,
+  ListItemAvatar,
+  Avatar,
   InputAdornment,
   IconButton,
+  Button,
+  Chip,
   SelectChangeEvent,
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
-import { MeatCut, FilterState, SortOption } from '../types';
+import { MeatCut, FilterState, SortOption, CurrencyOption, FacetCount, SearchFacets } from '../types';
+import { imageSizeUrl } from '../utils/csvParser';
 
 // Constants
 const DEBOUNCE_DELAY_MS = 300;
 const SIDEBAR_WIDTH = 400;
 const TITLE_IMAGE_MAX_HEIGHT = 150;
 const MAX_DISPLAYED_TAGS = 2;
+const THUMBNAIL_SIZE = 56;
 
 // Styling constants
 const sectionBoxStyles = {
@@ -46,13 +52,20 @@ const sidebarBoxStyles = {
 
 interface SidebarProps {
   titleImage: string;
+  // Search results loaded so far
   meatCuts: MeatCut[];
-  filteredCuts: MeatCut[];
+  // Number of meat cuts matching the filters
+  total: number;
+  facets: SearchFacets | null;
+  hasMore: boolean;
+  loadingMore: boolean;
+  onLoadMore: () => void;
   selectedCut: MeatCut | null;
   onSelectCut: (cut: MeatCut) => void;
   filters: FilterState;
   onFiltersChange: (filters: FilterState) => void;
   priceRange: [number, number];
+  currencies: CurrencyOption[];
 }
 
 // Sub-components
@@ -83,25 +96,61 @@ function TitleImage({ src }: TitleImageProps) {
 }
 
 interface PriceRangeFilterProps {
-  value: [number, number];
+  value: [number, number] | null;
   min: number;
   max: number;
-  onChange: (range: [number, number]) => void;
+  // Called when the slider is released; null when the whole range is selected
+  onChange: (range: [number, number] | null) => void;
+  currency: string;
+  currencies: CurrencyOption[];
+  onCurrencyChange: (currency: string) => void;
 }
 
-function PriceRangeFilter({ value, min, max, onChange }: PriceRangeFilterProps) {
+function PriceRangeFilter({ value, min, max, onChange, currency, currencies, onCurrencyChange }: PriceRangeFilterProps) {
+  // Follows the slider while dragging; the search only runs once it is released
+  const [range, setRange] = useState<[number, number]>(value ?? [min, max]);
+
+  useEffect(() => {
+    setRange(value ?? [min, max]);
+  }, [value, min, max]);
+
   const handleChange = (_event: Event, newValue: number | number[]) => {
-    onChange(newValue as [number, number]);
+    setRange(newValue as [number, number]);
   };
 
+  const handleChangeCommitted = (_event: React.SyntheticEvent | Event, newValue: number | number[]) => {
+    const [low, high] = newValue as [number, number];
+    onChange(low <= min && high >= max ? null : [low, high]);
+  };
+
+  const symbol = currencies.find((option) => option.code === currency)?.symbol ?? '$';
+
   return (
     <Box sx={sectionBoxStyles}>
-      <Typography variant="body2" gutterBottom>
-        Price Range: ${value[0]} - ${value[1]}
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+        <Typography variant="body2">
+          Price Range: {symbol}{range[0]} - {symbol}{range[1]}
+        </Typography>
+        {currencies.length > 1 && (
+          <FormControl size="small" sx={{ minWidth: 100 }}>
+            <Select
+              value={currency}
+              onChange={(e) => onCurrencyChange(e.target.value)}
+              inputProps={{ 'aria-label': 'currency' }}
+            >
+              {currencies.map((option) => (
+                <MenuItem key={option.code} value={option.code}>
+                  {option.code} ({option.symbol})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
       <Slider
-        value={value}
+        value={range}
         onChange={handleChange}
+        onChangeCommitted={handleChangeCommitted}
         valueLabelDisplay="auto"
         min={min}
         max={max}
@@ -155,9 +204,10 @@ interface SortDropdownProps {
 
 const SORT_OPTIONS: { value: SortOption; label: string }[] = [
   { value: 'name', label: 'Name A-Z' },
-  { value: 'cut', label: 'Cut' },
+  { value: 'part', label: 'Cut' },
   { value: 'cookingMethod', label: 'Cooking Method' },
   { value: 'price', label: 'Price' },
+  { value: 'relevance', label: 'Best Match' },
 ];
 
 function SortDropdown({ value, onChange }: SortDropdownProps) {
@@ -181,6 +231,97 @@ function SortDropdown({ value, onChange }: SortDropdownProps) {
   );
 }
 
+interface FacetSelectProps {
+  label: string;
+  value: string[];
+  options: FacetCount[];
+  onChange: (value: string[]) => void;
+}
+
+function FacetSelect({ label, value, options, onChange }: FacetSelectProps) {
+  // Keep chosen values listed even when nothing else matches them any more
+  const shown = [
+    ...value
+      .filter((chosen) => !options.some((option) => option.value === chosen))
+      .map((chosen) => ({ value: chosen, count: 0 })),
+    ...options,
+  ];
+
+  const handleChange = (event: SelectChangeEvent<string[]>) => {
+    const selected = event.target.value;
+    onChange(typeof selected === 'string' ? selected.split(',') : selected);
+  };
+
+  return (
+    <FormControl fullWidth size="small">
+      <InputLabel>{label}</InputLabel>
+      <Select
+        multiple
+        value={value}
+        label={label}
+        onChange={handleChange}
+        renderValue={(selected) => selected.join(', ')}
+      >
+        {shown.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.value} ({option.count})
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+}
+
+interface FacetFiltersProps {
+  facets: SearchFacets | null;
+  filters: FilterState;
+  onChange: (changes: Partial<FilterState>) => void;
+}
+
+function FacetFilters({ facets, filters, onChange }: FacetFiltersProps) {
+  const leanCount = (value: boolean) => facets?.lean.find((option) => option.value === value)?.count ?? 0;
+
+  return (
+    <Box sx={sectionBoxStyles}>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <FacetSelect
+          label="part"
+          value={filters.parts}
+          options={facets?.parts ?? []}
+          onChange={(parts) => onChange({ parts })}
+        />
+        <FacetSelect
+          label="cooking method"
+          value={filters.cookingMethods}
+          options={facets?.cookingMethods ?? []}
+          onChange={(cookingMethods) => onChange({ cookingMethods })}
+        />
+      </Box>
+      <Box sx={{ display: 'flex', gap: 1, mt: 1, alignItems: 'center' }}>
+        {[true, false].map((lean) => (
+          <Chip
+            key={String(lean)}
+            size="small"
+            label={`${lean ? 'Lean' : 'Not lean'} (${leanCount(lean)})`}
+            color={filters.lean === lean ? 'primary' : 'default'}
+            variant={filters.lean === lean ? 'filled' : 'outlined'}
+            onClick={() => onChange({ lean: filters.lean === lean ? null : lean })}
+          />
+        ))}
+        {filters.cookingMethods.length > 1 && (
+          <Chip
+            size="small"
+            sx={{ ml: 'auto' }}
+            label={filters.match === 'all' ? 'All methods' : 'Any method'}
+            variant="outlined"
+            onClick={() => onChange({ match: filters.match === 'all' ? 'any' : 'all' })}
+          />
+        )}
+      </Box>
+    </Box>
+  );
+}
+
 interface MeatCutListItemProps {
   cut: MeatCut;
   isSelected: boolean;
@@ -209,6 +350,15 @@ function MeatCutListItem({ cut, isSelected, onSelect, onTagClick }: MeatCutListI
       }}
     >
       <ListItemButton onClick={() => onSelect(cut)}>
+        <ListItemAvatar sx={{ minWidth: THUMBNAIL_SIZE + 16 }}>
+          <Avatar
+            variant="rounded"
+            src={imageSizeUrl(cut.imagePath, 'thumbnail')}
+            alt={cut.name}
+            imgProps={{ loading: 'lazy' }}
+            sx={{ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE }}
+          />
+        </ListItemAvatar>
         <ListItemText
           primary={
             <Box>
@@ -268,40 +418,62 @@ function EmptyState() {
 
 interface MeatCutListProps {
   cuts: MeatCut[];
+  total: number;
+  hasMore: boolean;
+  loadingMore: boolean;
+  onLoadMore: () => void;
   selectedCut: MeatCut | null;
   onSelectCut: (cut: MeatCut) => void;
   onTagClick: (tag: string) => void;
 }
 
-function MeatCutList({ cuts, selectedCut, onSelectCut, onTagClick }: MeatCutListProps) {
+function MeatCutList({ cuts, total, hasMore, loadingMore, onLoadMore, selectedCut, onSelectCut, onTagClick }: MeatCutListProps) {
   if (cuts.length === 0) {
     return <EmptyState />;
   }
 
   return (
-    <List sx={{ p: 0 }}>
-      {cuts.map((cut) => (
-        <MeatCutListItem
-          key={cut.id}
-          cut={cut}
-          isSelected={selectedCut?.id === cut.id}
-          onSelect={onSelectCut}
-          onTagClick={onTagClick}
-        />
-      ))}
-    </List>
+    <>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', px: 2, py: 1 }}>
+        Showing {cuts.length} of {total}
+      </Typography>
+      <List sx={{ p: 0 }}>
+        {cuts.map((cut) => (
+          <MeatCutListItem
+            key={cut.id}
+            cut={cut}
+            isSelected={selectedCut?.id === cut.id}
+            onSelect={onSelectCut}
+            onTagClick={onTagClick}
+          />
+        ))}
+      </List>
+      {hasMore && (
+        <Box sx={{ p: 2, textAlign: 'center' }}>
+          <Button onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Show more'}
+          </Button>
+        </Box>
+      )}
+    </>
   );
 }
 
 // Main component
 export default function Sidebar({
   titleImage,
-  filteredCuts,
+  meatCuts,
+  total,
+  facets,
+  hasMore,
+  loadingMore,
+  onLoadMore,
   selectedCut,
   onSelectCut,
   filters,
   onFiltersChange,
   priceRange,
+  currencies,
 }: SidebarProps) {
   const [searchQuery, setSearchQuery] = useState(filters.searchQuery);
 
@@ -323,12 +495,27 @@ export default function Sidebar({
   }, [searchQuery]);
 
   const handlePriceRangeChange = useCallback(
-    (range: [number, number]) => {
+    (range: [number, number] | null) => {
       onFiltersChange({ ...filters, priceRange: range });
     },
     [filters, onFiltersChange]
   );
 
+  const handleCurrencyChange = useCallback(
+    (currency: string) => {
+      // The price range was in the old currency
+      onFiltersChange({ ...filters, currency, priceRange: null });
+    },
+    [filters, onFiltersChange]
+  );
+
+  const handleFacetChange = useCallback(
+    (changes: Partial<FilterState>) => {
+      onFiltersChange({ ...filters, ...changes });
+    },
+    [filters, onFiltersChange]
+  );
+
   const handleSortChange = useCallback(
     (sortBy: SortOption) => {
       onFiltersChange({ ...filters, sortBy });
@@ -358,12 +545,20 @@ export default function Sidebar({
         min={priceRange[0]}
         max={priceRange[1]}
         onChange={handlePriceRangeChange}
+        currency={filters.currency}
+        currencies={currencies}
+        onCurrencyChange={handleCurrencyChange}
       />
       <SearchBar value={searchQuery} onChange={setSearchQuery} />
+      <FacetFilters facets={facets} filters={filters} onChange={handleFacetChange} />
       <SortDropdown value={filters.sortBy} onChange={handleSortChange} />
       <Box sx={{ flex: 1, overflow: 'auto' }}>
         <MeatCutList
-          cuts={filteredCuts}
+          cuts={meatCuts}
+          total={total}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          onLoadMore={onLoadMore}
           selectedCut={selectedCut}
           onSelectCut={onSelectCut}
           onTagClick={handleTagClick}
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import { Box, Typography, Chip, Tooltip } from '@mui/material';
+import { StorePriceComparison } from '../types';
+import { loadStorePrices } from '../utils/csvParser';
+
+interface StorePricesProps {
+  slug: string;
+  currency: string;
+}
+
+// Stores shown in the detail view; the rest are summarized as "+N more"
+const MAX_STORES = 4;
+
+const UNIT_SUFFIXES: Record<string, string> = {
+  lb: '/lb',
+  kg: '/kg',
+  '100g': '/100g',
+  jin: '/斤',
+  piece: '/piece'
+};
+
+const formatAmount = (amount: number, currency: string, unit: string) => {
+  const formatted = new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: 0 }).format(amount);
+  return `${formatted}${UNIT_SUFFIXES[unit] ?? `/${unit}`}`;
+};
+
+export default function StorePrices({ slug, currency }: StorePricesProps) {
+  const [comparison, setComparison] = useState<StorePriceComparison | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setComparison(null);
+
+    loadStorePrices(slug, currency)
+      .then((result) => {
+        if (!cancelled) setComparison(result);
+      })
+      .catch((error) => {
+        console.error('Error loading store prices:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, currency]);
+
+  // Only recent prices are compared; older ones are in the admin history
+  const stores = comparison?.stores.filter(store => store.recent && store.price !== null) ?? [];
+  if (!comparison || stores.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+      <Typography variant="body2" color="text.secondary">
+        Where to buy:
+      </Typography>
+      {stores.slice(0, MAX_STORES).map(store => (
+        <Tooltip
+          key={store.storeId}
+          title={[
+            store.location,
+            `Seen ${store.observedOn} at ${store.observed.display}`,
+            store.note
+          ].filter(Boolean).join(' · ')}
+        >
+          <Chip
+            size="small"
+            variant={store.cheapest ? 'filled' : 'outlined'}
+            color={store.cheapest ? 'success' : 'default'}
+            label={`${store.store} ${formatAmount(store.price as number, comparison.currency, comparison.unit)}`}
+            {...(store.url && { component: 'a', href: store.url, target: '_blank', rel: 'noopener noreferrer', clickable: true })}
+          />
+        </Tooltip>
+      ))}
+      {stores.length > MAX_STORES && (
+        <Typography variant="body2" color="text.secondary">
+          +{stores.length - MAX_STORES} more
+        </Typography>
+      )}
+    </Box>
+  );
+}
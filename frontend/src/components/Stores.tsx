@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  IconButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SaveIcon from '@mui/icons-material/Save';
+import ClearIcon from '@mui/icons-material/Clear';
+import { adminApi, Store, StoreInput } from '../api/admin';
+
+interface StoresProps {
+  canEdit: boolean;
+  // Called after stores change, so store pickers elsewhere can reload
+  onChange?: () => void;
+}
+
+const emptyDraft: StoreInput = { name: '', location: '', url: '', notes: '' };
+
+export default function Stores({ canEdit, onChange }: StoresProps) {
+  const [stores, setStores] = useState<Store[]>([]);
+  // Store being added (id null) or edited
+  const [editing, setEditing] = useState<{ id: number | null; draft: StoreInput } | null>(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadStores = async () => {
+    try {
+      setStores(await adminApi.getStores());
+    } catch (err: any) {
+      setError('Failed to load stores: ' + (err.response?.data?.error?.message || err.message));
+    }
+  };
+
+  useEffect(() => {
+    loadStores();
+  }, []);
+
+  const handleSave = async () => {
+    if (!editing) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      if (editing.id === null) {
+        const store = await adminApi.createStore(editing.draft);
+        setSuccess(`Added ${store.name}`);
+      } else {
+        const store = await adminApi.updateStore(editing.id, editing.draft);
+        setSuccess(`Saved ${store.name}`);
+      }
+      setEditing(null);
+      await loadStores();
+      onChange?.();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to save store');
+    }
+  };
+
+  const handleDelete = async (store: Store) => {
+    if (!window.confirm(`Delete ${store.name}?`)) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.deleteStore(store.id);
+      setSuccess(`Deleted ${store.name}`);
+      await loadStores();
+      onChange?.();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete store');
+    }
+  };
+
+  const setDraft = (field: keyof StoreInput, value: string) => {
+    setEditing(prev => prev && { ...prev, draft: { ...prev.draft, [field]: value } });
+  };
+
+  const renderEditRow = (key: string | number) => editing && (
+    <TableRow key={key}>
+      <TableCell>
+        <TextField size="small" placeholder="Name" value={editing.draft.name} onChange={(e) => setDraft('name', e.target.value)} />
+      </TableCell>
+      <TableCell>
+        <TextField size="small" placeholder="Location" value={editing.draft.location || ''} onChange={(e) => setDraft('location', e.target.value)} />
+      </TableCell>
+      <TableCell>
+        <TextField size="small" placeholder="https://" value={editing.draft.url || ''} onChange={(e) => setDraft('url', e.target.value)} />
+      </TableCell>
+      <TableCell />
+      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+        <IconButton size="small" onClick={handleSave} disabled={!editing.draft.name.trim()}>
+          <SaveIcon fontSize="small" />
+        </IconButton>
+        <IconButton size="small" onClick={() => setEditing(null)}>
+          <ClearIcon fontSize="small" />
+        </IconButton>
+      </TableCell>
+    </TableRow>
+  );
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">
+          Stores
+        </Typography>
+        {canEdit && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setEditing({ id: null, draft: { ...emptyDraft } })}>
+            Add Store
+          </Button>
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        Butchers and supermarkets where prices are observed. Record prices from a meat cut's Store Prices panel.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Name</TableCell>
+            <TableCell>Location</TableCell>
+            <TableCell>Website</TableCell>
+            <TableCell>Prices</TableCell>
+            {canEdit && <TableCell align="right">Actions</TableCell>}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {editing?.id === null && renderEditRow('new')}
+          {stores.map((store) => (
+            editing?.id === store.id ? renderEditRow(store.id) : (
+              <TableRow key={store.id}>
+                <TableCell>{store.name}</TableCell>
+                <TableCell>{store.location || '—'}</TableCell>
+                <TableCell>
+                  {store.url ? (
+                    <a href={store.url} target="_blank" rel="noopener noreferrer">{store.url}</a>
+                  ) : '—'}
+                </TableCell>
+                <TableCell>{store.observationCount ?? 0}</TableCell>
+                {canEdit && (
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <IconButton
+                      size="small"
+                      onClick={() => setEditing({
+                        id: store.id,
+                        draft: { name: store.name, location: store.location || '', url: store.url || '', notes: store.notes || '' }
+                      })}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleDelete(store)} disabled={(store.observationCount ?? 0) > 0}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            )
+          ))}
+          {stores.length === 0 && editing?.id !== null && (
+            <TableRow>
+              <TableCell colSpan={canEdit ? 5 : 4}>
+                <Typography variant="body2" color="text.secondary">No stores yet</Typography>
+              </TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    </Paper>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import RestoreIcon from '@mui/icons-material/Restore';
+import { adminApi, TrashedMeatCut } from '../api/admin';
+
+interface TrashBinProps {
+  // Changes whenever meat cuts are reloaded, so newly deleted cuts show up
+  refreshKey?: unknown;
+  onRestored: () => void;
+}
+
+const formatDate = (value: string) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`)
+  .toLocaleString('en-US');
+
+export default function TrashBin({ refreshKey, onRestored }: TrashBinProps) {
+  const [meatCuts, setMeatCuts] = useState<TrashedMeatCut[]>([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadTrash = async () => {
+    try {
+      const data = await adminApi.getTrash();
+      setMeatCuts(data.meatCuts);
+      setRetentionDays(data.retentionDays);
+    } catch (err: any) {
+      setError('Failed to load trash: ' + (err.response?.data?.error?.message || err.message));
+    }
+  };
+
+  useEffect(() => {
+    loadTrash();
+  }, [refreshKey]);
+
+  const handleRestore = async (meatCut: TrashedMeatCut) => {
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.restoreFromTrash(meatCut.id);
+      setSuccess(`Restored "${meatCut.name}"`);
+      onRestored();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to restore meat cut');
+    }
+  };
+
+  const handlePurge = async (meatCut: TrashedMeatCut) => {
+    if (!window.confirm(`Permanently delete "${meatCut.name}" and its image? This cannot be undone.`)) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.purgeFromTrash(meatCut.id);
+      setSuccess(`Permanently deleted "${meatCut.name}"`);
+      await loadTrash();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete meat cut');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${meatCuts.length} meat cut(s) in the trash? This cannot be undone.`)) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      const result = await adminApi.emptyTrash();
+      setSuccess(`Permanently deleted ${result.purged} meat cut(s)`);
+      await loadTrash();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to empty trash');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">
+          Trash ({meatCuts.length})
+        </Typography>
+        <Button
+          size="small"
+          color="error"
+          startIcon={<DeleteForeverIcon />}
+          onClick={handleEmpty}
+          disabled={meatCuts.length === 0}
+        >
+          Empty Trash
+        </Button>
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        {retentionDays > 0
+          ? `Deleted meat cuts are permanently removed after ${retentionDays} days.`
+          : 'Deleted meat cuts are kept until they are removed here.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {meatCuts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          The trash is empty
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Deleted</TableCell>
+              <TableCell>Purged</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {meatCuts.map((meatCut) => (
+              <TableRow key={meatCut.id}>
+                <TableCell>
+                  {meatCut.name}
+                  <Typography variant="caption" color="text.secondary" component="span" sx={{ ml: 1 }}>
+                    {meatCut.chineseName}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {formatDate(meatCut.deletedAt)}
+                  {meatCut.deletedBy && ` by ${meatCut.deletedBy}`}
+                </TableCell>
+                <TableCell>{meatCut.purgeAt ? formatDate(meatCut.purgeAt) : 'Never'}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" startIcon={<RestoreIcon />} onClick={() => handleRestore(meatCut)}>
+                    Restore
+                  </Button>
+                  <IconButton size="small" color="error" onClick={() => handlePurge(meatCut)}>
+                    <DeleteForeverIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+}
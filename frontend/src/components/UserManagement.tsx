@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Select,
+  MenuItem,
+  IconButton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import { adminApi, AdminRole, AdminUser } from '../api/admin';
+
+interface UserManagementProps {
+  currentUser: AdminUser | null;
+}
+
+const ROLE_DESCRIPTIONS: Record<AdminRole, string> = {
+  viewer: 'Export CSV and view sync status',
+  editor: 'Create and update meat cuts',
+  admin: 'Delete, manage Drive files and users'
+};
+
+export default function UserManagement({ currentUser }: UserManagementProps) {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [roles, setRoles] = useState<AdminRole[]>(['viewer', 'editor', 'admin']);
+  const [newUsername, setNewUsername] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState<AdminRole>('viewer');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadUsers = async () => {
+    try {
+      const data = await adminApi.getUsers();
+      setUsers(data.users);
+      setRoles(data.roles);
+    } catch (err: any) {
+      setError('Failed to load users: ' + (err.response?.data?.error?.message || err.message));
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const handleCreate = async () => {
+    setError('');
+    setSuccess('');
+    try {
+      const user = await adminApi.createUser(newUsername.trim(), newPassword, newRole);
+      setSuccess(`Created ${user.role} "${user.username}"`);
+      setNewUsername('');
+      setNewPassword('');
+      setNewRole('viewer');
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to create user');
+    }
+  };
+
+  const handleRoleChange = async (user: AdminUser, role: AdminRole) => {
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.updateUser(user.id, { role });
+      setSuccess(`"${user.username}" is now ${role}`);
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to change role');
+    }
+  };
+
+  const handleResetPassword = async (user: AdminUser) => {
+    const password = window.prompt(`New password for "${user.username}" (at least 8 characters)`);
+    if (!password) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.updateUser(user.id, { password });
+      setSuccess(`Password changed for "${user.username}"; their sessions were signed out`);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to change password');
+    }
+  };
+
+  const handleDelete = async (user: AdminUser) => {
+    if (!window.confirm(`Delete user "${user.username}"?`)) return;
+
+    setError('');
+    setSuccess('');
+    try {
+      await adminApi.deleteUser(user.id);
+      setSuccess(`Deleted "${user.username}"`);
+      await loadUsers();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete user');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, bgcolor: 'background.paper', border: 1, borderColor: 'divider' }}>
+      <Typography variant="h6" gutterBottom>
+        User Management
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Username</TableCell>
+            <TableCell>Role</TableCell>
+            <TableCell>Last Login</TableCell>
+            <TableCell align="right">Actions</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {users.map((user) => (
+            <TableRow key={user.id}>
+              <TableCell>
+                {user.username}
+                {currentUser?.id === user.id && ' (you)'}
+              </TableCell>
+              <TableCell>
+                <Select
+                  size="small"
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value as AdminRole)}
+                >
+                  {roles.map((role) => (
+                    <MenuItem key={role} value={role}>{role}</MenuItem>
+                  ))}
+                </Select>
+              </TableCell>
+              <TableCell>{user.lastLoginAt || 'Never'}</TableCell>
+              <TableCell align="right">
+                <Button size="small" onClick={() => handleResetPassword(user)}>
+                  Reset Password
+                </Button>
+                <IconButton
+                  size="small"
+                  color="error"
+                  onClick={() => handleDelete(user)}
+                  disabled={currentUser?.id === user.id}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          label="Username"
+          value={newUsername}
+          onChange={(e) => setNewUsername(e.target.value)}
+        />
+        <TextField
+          size="small"
+          label="Password"
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+        />
+        <Select
+          size="small"
+          value={newRole}
+          onChange={(e) => setNewRole(e.target.value as AdminRole)}
+        >
+          {roles.map((role) => (
+            <MenuItem key={role} value={role}>{role}</MenuItem>
+          ))}
+        </Select>
+        <Button
+          variant="contained"
+          startIcon={<PersonAddIcon />}
+          onClick={handleCreate}
+          disabled={!newUsername.trim() || !newPassword}
+        >
+          Add User
+        </Button>
+        <Typography variant="caption" color="text.secondary">
+          {ROLE_DESCRIPTIONS[newRole]}
+        </Typography>
+      </Box>
+    </Paper>
+  );
+}
@@ -22,8 +22,10 @@ import {
   DialogContent,
   DialogActions,
   Select,
+  Menu,
   MenuItem,
   FormControl,
+  FormHelperText,
   InputLabel,
   Grid,
   IconButton,
@@ -39,7 +41,19 @@ import DownloadIcon from '@mui/icons-material/Download';
 import FolderIcon from '@mui/icons-material/Folder';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import ErrorIcon from '@mui/icons-material/Error';
-import { adminApi, AdminMeatCut, DriveImage, setAuthToken, getAuthToken } from '../api/admin';
+import LogoutIcon from '@mui/icons-material/Logout';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { adminApi, AdminMeatCut, AdminUser, DataFormat, DriveImage, ImportResult, PRICE_CURRENCIES, PRICE_UNITS, PriceCurrency, PriceMode, PriceUnit, setAuthToken, getAuthToken, hasRole } from '../api/admin';
+import UserManagement from '../components/UserManagement';
+import TrashBin from '../components/TrashBin';
+import DriveSync from '../components/DriveSync';
+import ExchangeRates from '../components/ExchangeRates';
+import Stores from '../components/Stores';
+import PriceObservations from '../components/PriceObservations';
+import CsvImportDialog from '../components/CsvImportDialog';
+import AuditHistory from '../components/AuditHistory';
+import RevisionHistory from '../components/RevisionHistory';
+import GalleryEditor, { GalleryItem, toGalleryItems } from '../components/GalleryEditor';
 
 interface MeatCutFormData {
   name: string;
@@ -48,12 +62,17 @@ interface MeatCutFormData {
   lean: boolean;
   priceMin: string;
   priceMax: string;
+  priceCurrency: PriceCurrency;
+  priceUnit: PriceUnit;
+  priceMode: PriceMode;
   textureNotes: string;
   imageReference: string;
   tags: string[];
   imageFile: File | null;
   googleDriveImageId: string | null;
   currentImageUrl: string | null;
+  // Images shown after the main one
+  gallery: GalleryItem[];
 }
 
 const initialFormData: MeatCutFormData = {
@@ -63,12 +82,23 @@ const initialFormData: MeatCutFormData = {
   lean: false,
   priceMin: '',
   priceMax: '',
+  priceCurrency: 'USD',
+  priceUnit: 'lb',
+  priceMode: 'manual',
   textureNotes: '',
   imageReference: '',
   tags: [],
   imageFile: null,
   googleDriveImageId: null,
-  currentImageUrl: null
+  currentImageUrl: null,
+  gallery: []
+};
+
+const EXPORT_FORMAT_LABELS: Record<DataFormat, string> = {
+  csv: 'CSV',
+  xlsx: 'Excel (.xlsx)',
+  json: 'JSON',
+  ndjson: 'NDJSON'
 };
 
 export default function Admin() {
@@ -89,6 +119,16 @@ export default function Admin() {
   const [syncing, setSyncing] = useState(false);
   const [driveCSVFiles, setDriveCSVFiles] = useState<any[]>([]);
   const [showCSVFiles, setShowCSVFiles] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState<HTMLElement | null>(null);
+  const [currentUser, setCurrentUser] = useState<AdminUser | null>(null);
+  // Bumped when stores change, so the store prices panel reloads its store list
+  const [storesVersion, setStoresVersion] = useState(0);
+
+  // Viewers can only export and check sync status; editors can also create and update;
+  // admins can also delete and manage Drive files and users
+  const canEdit = hasRole(currentUser, 'editor');
+  const isAdmin = hasRole(currentUser, 'admin');
 
   // Check authentication
   useEffect(() => {
@@ -103,12 +143,14 @@ export default function Admin() {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [meatCutsData, tagsData, imagesData, statusData] = await Promise.all([
+      const [meatCutsData, tagsData, imagesData, statusData, meData] = await Promise.all([
         adminApi.getMeatCuts(),
         adminApi.getTags(),
-        adminApi.getDriveImages(),
-        adminApi.getSyncStatus().catch(() => null)
+        adminApi.getDriveImages().catch(() => []),
+        adminApi.getSyncStatus().catch(() => null),
+        adminApi.getCurrentUser().catch(() => null)
       ]);
+      setCurrentUser(meData?.user || null);
       setMeatCuts(meatCutsData.meatCuts);
       setAvailableTags([...tagsData.parts, ...tagsData.cookingMethods]);
       setDriveImages(imagesData);
@@ -128,6 +170,16 @@ export default function Admin() {
     }
   };
 
+  const handleLogout = async () => {
+    try {
+      await adminApi.logout();
+    } catch (err) {
+      // Session may already be expired or revoked; clear local tokens regardless
+    }
+    setAuthToken(null);
+    navigate('/admin/login');
+  };
+
   const loadDriveCSVFiles = async () => {
     try {
       const result = await adminApi.getDriveCSVFiles();
@@ -153,23 +205,30 @@ export default function Admin() {
     }
   };
 
-  const handleDownloadCSV = async () => {
+  const handleDownload = async (format: DataFormat) => {
+    setExportMenuAnchor(null);
     try {
-      const blob = await adminApi.exportCSV();
+      const blob = await adminApi.exportData(format);
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `meat_cuts_export_${new Date().toISOString().split('T')[0]}.csv`;
+      a.download = `meat_cuts_export_${new Date().toISOString().split('T')[0]}.${format}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
       document.body.removeChild(a);
-      setSuccess('CSV downloaded successfully');
+      setSuccess(`${EXPORT_FORMAT_LABELS[format]} downloaded successfully`);
     } catch (err: any) {
       setError('Download failed: ' + (err.message || 'Unknown error'));
     }
   };
 
+  const handleImported = async (result: ImportResult) => {
+    setImportDialogOpen(false);
+    setSuccess(`Imported CSV: ${result.summary.created} created, ${result.summary.updated} updated, ${result.summary.removed} moved to trash`);
+    await loadData();
+  };
+
   const handleDownloadDriveCSV = async (fileId: string, fileName: string) => {
     try {
       const blob = await adminApi.downloadDriveCSV(fileId);
@@ -208,15 +267,34 @@ export default function Admin() {
       lean: meatCut.lean,
       priceMin: meatCut.priceRange.min.toString(),
       priceMax: meatCut.priceRange.max.toString(),
+      priceCurrency: meatCut.priceRange.currency,
+      priceUnit: meatCut.priceRange.unit,
+      priceMode: meatCut.priceMode,
       textureNotes: meatCut.textureNotes || '',
       imageReference: meatCut.imageReference || '',
       tags: [...meatCut.cookingMethods],
       imageFile: null,
       googleDriveImageId: meatCut.googleDriveImageId || null,
-      currentImageUrl: meatCut.imageUrl || null
+      currentImageUrl: meatCut.imageUrl || null,
+      gallery: toGalleryItems(meatCut.images)
     });
   };
 
+  const handleRevisionRestored = async (meatCut: AdminMeatCut) => {
+    setSuccess(`Restored "${meatCut.name}" to a previous revision`);
+    await loadData();
+    handleSelectMeatCut(meatCut);
+  };
+
+  // Observations change the price of cuts priced from them; show the new price
+  const handlePriceObservationsChanged = async () => {
+    if (selectedMeatCut?.priceMode !== 'observations') return;
+
+    const meatCut = await adminApi.getMeatCut(selectedMeatCut.id);
+    await loadData();
+    handleSelectMeatCut(meatCut);
+  };
+
   const handleAddClick = () => {
     setSelectedMeatCut(null);
     setFormData(initialFormData);
@@ -254,7 +332,7 @@ export default function Admin() {
       setSaving(true);
       const result = await adminApi.deleteMeatCuts(Array.from(selectedIds));
       if (result.success) {
-        setSuccess(`Successfully deleted ${result.deleted} meat cut(s)`);
+        setSuccess(`Moved ${result.deleted} meat cut(s) to the trash`);
         setSelectedIds(new Set());
         if (selectedMeatCut && selectedIds.has(selectedMeatCut.id)) {
           setSelectedMeatCut(null);
@@ -301,6 +379,9 @@ export default function Admin() {
       formDataToSend.append('lean', formData.lean ? 'true' : 'false');
       formDataToSend.append('priceMin', formData.priceMin || '0');
       formDataToSend.append('priceMax', formData.priceMax || '0');
+      formDataToSend.append('priceCurrency', formData.priceCurrency);
+      formDataToSend.append('priceUnit', formData.priceUnit);
+      formDataToSend.append('priceMode', formData.priceMode);
       formDataToSend.append('textureNotes', formData.textureNotes || '');
       formDataToSend.append('imageReference', formData.imageReference || '');
       
@@ -319,9 +400,23 @@ export default function Admin() {
         // Keeping current image - no need to send anything for image as backend keeps existing if nothing new sent
       }
 
+      // Gallery: the main image stays first, new files are placed by their position among the uploads
+      const primaryImage = selectedMeatCut?.images?.find(image => image.role === 'primary');
+      const galleryFiles = formData.gallery.filter(item => item.file);
+      galleryFiles.forEach(item => formDataToSend.append('images', item.file as File));
+      formDataToSend.append('gallery', JSON.stringify([
+        ...(primaryImage ? [{ imageId: primaryImage.imageId, role: 'primary', caption: primaryImage.caption }] : []),
+        ...formData.gallery.map(item => ({
+          ...(item.file ? { upload: galleryFiles.indexOf(item) } : { imageId: item.imageId }),
+          role: item.role,
+          caption: item.caption
+        }))
+      ]));
+
       if (selectedMeatCut) {
-        // Update existing
-        await adminApi.updateMeatCut(selectedMeatCut.id, formDataToSend);
+        // Update existing (reselected so new gallery files are not uploaded again)
+        const updated = await adminApi.updateMeatCut(selectedMeatCut.id, formDataToSend);
+        handleSelectMeatCut(updated);
         setSuccess('Meat cut updated successfully');
       } else {
         // Create new
@@ -409,8 +504,8 @@ export default function Admin() {
   return (
     <Box sx={{ minHeight: '100vh', bgcolor: 'background.default', p: 2 }}>
       <Container maxWidth="xl">
-        {/* Title Image */}
-        <Box sx={{ mb: 2 }}>
+        {/* Title Image and Session */}
+        <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
           <img
             src="/data/admin-page-title.png"
             alt="Admin"
@@ -419,6 +514,16 @@ export default function Admin() {
               (e.target as HTMLImageElement).style.display = 'none';
             }}
           />
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 'auto' }}>
+            {currentUser && (
+              <Typography variant="body2" color="text.secondary">
+                Signed in as {currentUser.username} ({currentUser.role})
+              </Typography>
+            )}
+            <Button variant="outlined" color="inherit" size="small" startIcon={<LogoutIcon />} onClick={handleLogout}>
+              Logout
+            </Button>
+          </Box>
         </Box>
 
         {/* Sync Status and CSV Management */}
@@ -470,7 +575,7 @@ export default function Admin() {
                 color="primary"
                 startIcon={<CloudSyncIcon />}
                 onClick={handleSyncCSVToDrive}
-                disabled={syncing}
+                disabled={syncing || !isAdmin}
               >
                 {syncing ? 'Syncing...' : 'Sync CSV to Drive'}
               </Button>
@@ -478,9 +583,29 @@ export default function Admin() {
                 variant="outlined"
                 color="inherit"
                 startIcon={<DownloadIcon />}
-                onClick={handleDownloadCSV}
+                onClick={(e) => setExportMenuAnchor(e.currentTarget)}
               >
-                Download CSV
+                Download
+              </Button>
+              <Menu
+                anchorEl={exportMenuAnchor}
+                open={Boolean(exportMenuAnchor)}
+                onClose={() => setExportMenuAnchor(null)}
+              >
+                {(Object.keys(EXPORT_FORMAT_LABELS) as DataFormat[]).map((format) => (
+                  <MenuItem key={format} onClick={() => handleDownload(format)}>
+                    {EXPORT_FORMAT_LABELS[format]}
+                  </MenuItem>
+                ))}
+              </Menu>
+              <Button
+                variant="outlined"
+                color="inherit"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setImportDialogOpen(true)}
+                disabled={!canEdit}
+              >
+                Import
               </Button>
               <Button
                 variant="outlined"
@@ -517,6 +642,7 @@ export default function Admin() {
                           size="small"
                           color="error"
                           onClick={() => handleDeleteDriveCSV(file.id)}
+                          disabled={!isAdmin}
                         >
                           <DeleteIcon fontSize="small" />
                         </IconButton>
@@ -537,6 +663,13 @@ export default function Admin() {
           )}
         </Paper>
 
+        {/* User Management (admins only) */}
+        {isAdmin && <UserManagement currentUser={currentUser} />}
+        {isAdmin && <TrashBin refreshKey={meatCuts} onRestored={loadData} />}
+        {canEdit && <DriveSync canApply={isAdmin} onSynced={loadData} />}
+        <ExchangeRates canEdit={canEdit} />
+        <Stores canEdit={canEdit} onChange={() => setStoresVersion(version => version + 1)} />
+
         <Grid container spacing={2}>
           {/* Left Side - Meat Cuts List */}
           <Grid item xs={12} md={4}>
@@ -546,6 +679,7 @@ export default function Admin() {
                   variant="contained"
                   startIcon={<AddIcon />}
                   onClick={handleAddClick}
+                  disabled={!canEdit}
                   size="small"
                 >
                   Add
@@ -555,7 +689,7 @@ export default function Admin() {
                   color="error"
                   startIcon={<DeleteIcon />}
                   onClick={() => setDeleteDialogOpen(true)}
-                  disabled={selectedIds.size === 0}
+                  disabled={selectedIds.size === 0 || !isAdmin}
                   size="small"
                 >
                   Delete Selected ({selectedIds.size})
@@ -668,7 +802,7 @@ export default function Admin() {
                         <input
                           type="file"
                           hidden
-                          accept="image/*"
+                          accept="image/jpeg,image/png,image/webp,image/gif"
                           onChange={handleImageFileChange}
                         />
                       </Button>
@@ -705,6 +839,14 @@ export default function Admin() {
                   </Paper>
                 </Grid>
 
+                {/* Gallery */}
+                <Grid item xs={12}>
+                  <GalleryEditor
+                    items={formData.gallery}
+                    onChange={(gallery) => setFormData(prev => ({ ...prev, gallery }))}
+                  />
+                </Grid>
+
                 {/* Name */}
                 <Grid item xs={12} md={6}>
                   <TextField
@@ -770,6 +912,53 @@ export default function Admin() {
                     onChange={(e) => setFormData(prev => ({ ...prev, priceMax: e.target.value }))}
                   />
                 </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Currency</InputLabel>
+                    <Select
+                      value={formData.priceCurrency}
+                      label="Currency"
+                      onChange={(e) => setFormData(prev => ({ ...prev, priceCurrency: e.target.value as PriceCurrency }))}
+                    >
+                      {PRICE_CURRENCIES.map(currency => (
+                        <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Unit</InputLabel>
+                    <Select
+                      value={formData.priceUnit}
+                      label="Unit"
+                      onChange={(e) => setFormData(prev => ({ ...prev, priceUnit: e.target.value as PriceUnit }))}
+                    >
+                      {(Object.keys(PRICE_UNITS) as PriceUnit[]).map(unit => (
+                        <MenuItem key={unit} value={unit}>{PRICE_UNITS[unit]}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12}>
+                  <FormControl fullWidth>
+                    <InputLabel>Price Source</InputLabel>
+                    <Select
+                      value={formData.priceMode}
+                      label="Price Source"
+                      onChange={(e) => setFormData(prev => ({ ...prev, priceMode: e.target.value as PriceMode }))}
+                    >
+                      <MenuItem value="manual">Entered by hand</MenuItem>
+                      <MenuItem value="observations">Recent store price observations</MenuItem>
+                    </Select>
+                    {formData.priceMode === 'observations' && (
+                      <FormHelperText>
+                        Min and max come from the latest recent price at each store, in the currency and unit above.
+                        The prices entered here are used until there are recent observations.
+                      </FormHelperText>
+                    )}
+                  </FormControl>
+                </Grid>
 
                 {/* Tags */}
                 <Grid item xs={12}>
@@ -837,7 +1026,7 @@ export default function Admin() {
                       <Button
                         variant="contained"
                         onClick={handleSave}
-                        disabled={saving}
+                        disabled={saving || !canEdit}
                         startIcon={saving ? <CircularProgress size={20} /> : null}
                       >
                         {saving ? 'Updating...' : 'Update'}
@@ -847,7 +1036,7 @@ export default function Admin() {
                         variant="contained"
                         color="primary"
                         onClick={handleSave}
-                        disabled={saving}
+                        disabled={saving || !canEdit}
                         startIcon={saving ? <CircularProgress size={20} /> : <AddIcon />}
                       >
                         {saving ? 'Adding...' : 'Add'}
@@ -863,18 +1052,61 @@ export default function Admin() {
                     </Button>
                   </Box>
                 </Grid>
+
+                {/* Change History */}
+                {selectedMeatCut && (
+                  <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                      <AuditHistory entityType="meat_cut" entityId={selectedMeatCut.id} refreshKey={meatCuts} />
+                    </Paper>
+                  </Grid>
+                )}
+
+                {/* Store Prices */}
+                {selectedMeatCut && (
+                  <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                      <PriceObservations
+                        meatCutId={selectedMeatCut.id}
+                        canEdit={canEdit}
+                        refreshKey={storesVersion}
+                        onChanged={handlePriceObservationsChanged}
+                      />
+                    </Paper>
+                  </Grid>
+                )}
+
+                {/* Revisions */}
+                {selectedMeatCut && (
+                  <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                      <RevisionHistory
+                        meatCutId={selectedMeatCut.id}
+                        canRestore={canEdit}
+                        refreshKey={meatCuts}
+                        onRestored={handleRevisionRestored}
+                      />
+                    </Paper>
+                  </Grid>
+                )}
               </Grid>
             </Paper>
           </Grid>
         </Grid>
 
+        <CsvImportDialog
+          open={importDialogOpen}
+          onClose={() => setImportDialogOpen(false)}
+          onImported={handleImported}
+        />
+
         {/* Delete Confirmation Dialog */}
         <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
           <DialogTitle>Delete Selected Items?</DialogTitle>
           <DialogContent>
             <Typography>
-              Are you sure you want to delete {selectedIds.size} meat cut(s)? 
-              This will also delete the images from Google Drive. This action cannot be undone.
+              Move {selectedIds.size} meat cut(s) to the trash? 
+              They can be restored from the trash until they are permanently deleted.
             </Typography>
           </DialogContent>
           <DialogActions>
@@ -26,7 +26,7 @@ export default function AdminLogin() {
     try {
       const response = await adminApi.login(username, password);
       if (response.success && response.token) {
-        setAuthToken(response.token);
+        setAuthToken(response.token, response.refreshToken);
         navigate('/admin');
       } else {
         setError(response.error?.message || 'Login failed');
@@ -1,5 +1,6 @@
 export interface MeatCut {
   id: number;
+  slug: string;
   name: string;
   chineseName: string;
   part: string;
@@ -8,6 +9,8 @@ export interface MeatCut {
     min: number;
     max: number;
     mean: number;
+    currency: string;
+    unit: string;
     display: string;
   };
   cookingMethods: string[];
@@ -17,12 +20,120 @@ export interface MeatCut {
   imagePath: string;
   googleDriveImageId?: string | null;
   googleDriveImageUrl?: string | null;
+  // Gallery in display order; the primary image is the one at imagePath
+  images?: MeatCutImage[];
 }
 
-export type SortOption = 'name' | 'cut' | 'cookingMethod' | 'price';
+export type ImageRole = 'primary' | 'raw' | 'cooked' | 'diagram';
+
+export interface MeatCutImage {
+  id: number;
+  imageId: string;
+  // Absolute in search results, relative (/api/drive/image/...) from the admin API
+  url: string;
+  role: ImageRole;
+  caption: string | null;
+  sortOrder: number;
+}
+
+// Resized copies served by the image proxy
+export type ImageSize = 'thumbnail' | 'medium' | 'full';
+
+export type SortOption = 'name' | 'part' | 'cookingMethod' | 'price' | 'relevance';
 
 export interface FilterState {
   searchQuery: string;
-  priceRange: [number, number];
+  // null while the whole price range is selected
+  priceRange: [number, number] | null;
+  // A cut matches any of the parts
+  parts: string[];
+  cookingMethods: string[];
+  // Whether a cut needs any or all of the cooking methods
+  match: 'any' | 'all';
+  lean: boolean | null;
   sortBy: SortOption;
+  currency: string;
+}
+
+export interface FacetCount<T = string> {
+  value: T;
+  count: number;
+}
+
+export interface SearchFacets {
+  parts: FacetCount[];
+  cookingMethods: FacetCount[];
+  lean: FacetCount<boolean>[];
+}
+
+export interface SearchPagination {
+  page: number;
+  limit: number;
+  total: number;
+  totalPages: number;
+}
+
+export interface MeatCutSearchResult {
+  results: MeatCut[];
+  pagination: SearchPagination;
+  currency: string;
+  // Unit the price filters, price sorting and priceRange compare prices in
+  unit: string;
+  // Lowest and highest price of the whole catalogue, in currency per unit
+  priceRange: { min: number; max: number };
+  facets: SearchFacets;
+}
+
+export interface CurrencyOption {
+  code: string;
+  symbol: string;
+}
+
+export interface PriceHistoryEntry {
+  id: number;
+  priceRange: MeatCut['priceRange'];
+  source: string | null;
+  store: string | null;
+  recordedAt: string;
+}
+
+export interface PriceTrend {
+  first: number;
+  last: number;
+  change: number;
+  changePercent: number | null;
+  direction: 'up' | 'down' | 'flat';
+}
+
+export interface PriceHistory {
+  currency: string;
+  unit: string;
+  entries: PriceHistoryEntry[];
+  trend: PriceTrend | null;
+}
+
+export interface StorePrice {
+  storeId: number;
+  store: string;
+  location: string | null;
+  url: string | null;
+  // In the comparison's currency and unit; null when the observed price does not convert
+  price: number | null;
+  observed: { price: number; currency: string; unit: string; display: string };
+  observedOn: string;
+  note: string | null;
+  // Observed within the last recentDays days
+  recent: boolean;
+  cheapest: boolean;
+  observationCount: number;
+}
+
+export interface StorePriceComparison {
+  currency: string;
+  unit: string;
+  recentDays: number;
+  priceMode: 'manual' | 'observations';
+  priceRange: MeatCut['priceRange'] | null;
+  cheapestStoreId: number | null;
+  stores: StorePrice[];
 }
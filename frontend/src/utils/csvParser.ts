@@ -1,37 +1,99 @@
 import apiClient from '../api/client';
-import { MeatCut } from '../types';
+import { FilterState, MeatCutSearchResult, CurrencyOption, PriceHistory, StorePriceComparison, ImageSize, MeatCutImage } from '../types';
 
-export async function loadMeatCutData(): Promise<MeatCut[]> {
+// Meat cuts per page of search results
+export const SEARCH_PAGE_SIZE = 50;
+
+// Longest side of each resized image copy, in pixels
+export const IMAGE_SIZE_WIDTHS: Record<ImageSize, number> = {
+  thumbnail: 320,
+  medium: 800,
+  full: 1600
+};
+
+// Only images served through the backend proxy have resized copies
+const isProxiedImage = (imagePath: string) => imagePath.includes('/api/drive/image/');
+
+export function imageSizeUrl(imagePath: string, size: ImageSize): string {
+  if (!isProxiedImage(imagePath)) return imagePath;
+  return `${imagePath}${imagePath.includes('?') ? '&' : '?'}size=${size}`;
+}
+
+export function imageSrcSet(imagePath: string, sizes: ImageSize[]): string | undefined {
+  if (!isProxiedImage(imagePath)) return undefined;
+  return sizes.map(size => `${imageSizeUrl(imagePath, size)} ${IMAGE_SIZE_WIDTHS[size]}w`).join(', ');
+}
+
+export async function searchMeatCuts(filters: FilterState, page = 1): Promise<MeatCutSearchResult> {
   try {
-    const response = await apiClient.get('/meat-cuts/search');
-    const { results } = response.data;
+    // Filtering, sorting and paging happen on the server; prices come back in the requested currency
+    const response = await apiClient.get('/meat-cuts/search', {
+      params: {
+        ...(filters.searchQuery.trim() && { q: filters.searchQuery.trim() }),
+        ...(filters.priceRange && { priceMin: filters.priceRange[0], priceMax: filters.priceRange[1] }),
+        ...(filters.parts.length > 0 && { part: filters.parts.join(',') }),
+        ...(filters.cookingMethods.length > 0 && { cookingMethod: filters.cookingMethods.join(','), match: filters.match }),
+        ...(filters.lean !== null && { lean: filters.lean }),
+        currency: filters.currency,
+        sort: filters.sortBy,
+        page,
+        limit: SEARCH_PAGE_SIZE
+      }
+    });
+    const { results, ...rest } = response.data;
     
     const backendUrl = 'http://localhost:5000';
     
-    return results.map((item: any) => {
-      let imagePath = `/data/beef_cuts_images/${item.imageReference}.jpg`;
-      
-      // Priority: googleDriveImageId > imageUrl > googleDriveImageUrl > local fallback
-      if (item.googleDriveImageId) {
-        // Use backend proxy endpoint for Google Drive images
-        imagePath = `${backendUrl}/api/drive/image/${item.googleDriveImageId}`;
-      } else if (item.imageUrl) {
-        // Use provided imageUrl (already from backend, might be relative)
-        imagePath = item.imageUrl.startsWith('http') 
-          ? item.imageUrl 
-          : `${backendUrl}${item.imageUrl}`;
-      } else if (item.googleDriveImageUrl) {
-        // Use direct Google Drive URL if available
-        imagePath = item.googleDriveImageUrl;
-      }
-      
-      return {
-        ...item,
-        imagePath
-      };
-    });
+    return {
+      ...rest,
+      results: results.map((item: any) => {
+        let imagePath = `/data/beef_cuts_images/${item.imageReference}.jpg`;
+        
+        // Priority: googleDriveImageId > imageUrl > googleDriveImageUrl > local fallback
+        if (item.googleDriveImageId) {
+          // Use backend proxy endpoint for Google Drive images
+          imagePath = `${backendUrl}/api/drive/image/${item.googleDriveImageId}`;
+        } else if (item.imageUrl) {
+          // Use provided imageUrl (already from backend, might be relative)
+          imagePath = item.imageUrl.startsWith('http') 
+            ? item.imageUrl 
+            : `${backendUrl}${item.imageUrl}`;
+        } else if (item.googleDriveImageUrl) {
+          // Use direct Google Drive URL if available
+          imagePath = item.googleDriveImageUrl;
+        }
+        
+        return {
+          ...item,
+          imagePath,
+          images: (item.images || []).map((image: MeatCutImage) => ({
+            ...image,
+            url: `${backendUrl}${image.url}`
+          }))
+        };
+      })
+    };
   } catch (error) {
     console.error('Error loading meat cut data from API:', error);
     throw error;
   }
 }
+
+export async function loadCurrencies(): Promise<CurrencyOption[]> {
+  const response = await apiClient.get('/filters/options');
+  return response.data.currencies || [];
+}
+
+export async function loadPriceHistory(slug: string, currency?: string): Promise<PriceHistory> {
+  const response = await apiClient.get(`/meat-cuts/${encodeURIComponent(slug)}/price-history`, {
+    params: currency ? { currency } : {}
+  });
+  return response.data;
+}
+
+export async function loadStorePrices(slug: string, currency?: string): Promise<StorePriceComparison> {
+  const response = await apiClient.get(`/meat-cuts/${encodeURIComponent(slug)}/prices`, {
+    params: currency ? { currency } : {}
+  });
+  return response.data;
+}
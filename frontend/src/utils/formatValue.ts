@@ -0,0 +1,6 @@
+// Render a diff value compactly (arrays as comma-separated lists)
+export function formatValue(value: unknown): string {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+}